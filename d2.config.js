@@ -12,6 +12,7 @@ const config = {
         app: './src/App.jsx',
     },
     minDhisVersion: '2.35',
+    dataStoreNamespace: 'ai-insights',
     authorities: []
 }
 
@@ -0,0 +1,283 @@
+const express = require('express');
+const { Readable, pipeline } = require('stream');
+
+/**
+ * AI gateway: an OpenAI-compatible /v1 API that holds the provider key server-side
+ * and forwards to OpenAI, Ollama (http://localhost:11434/v1) or any other
+ * OpenAI-compatible backend.
+ *
+ * Configuration (environment variables):
+ *   GATEWAY_UPSTREAM_URL      Base URL of the upstream /v1 API (default https://api.openai.com/v1)
+ *   GATEWAY_API_KEY           Provider key sent upstream as a Bearer token (optional for Ollama)
+ *   GATEWAY_MODEL             Force every request to use this model (optional)
+ *   GATEWAY_CLIENT_TOKEN      Shared token clients must send as "Authorization: Bearer ..."
+ *   GATEWAY_ALLOWED_ORIGINS   Comma-separated origins allowed to call the gateway, e.g. https://play.dhis2.org
+ *   GATEWAY_TRUST_PROXY       Express "trust proxy" setting, so that clients behind a reverse proxy are told
+ *                             apart by X-Forwarded-For: true, a number of hops, or addresses and subnets
+ *   GATEWAY_DHIS2_URL         Base URL of the DHIS2 server, e.g. https://dhis2.example.org. Requests must then
+ *                             carry a valid DHIS2 session cookie, and the rate limit applies per DHIS2 user
+ *   RATE_LIMIT_PER_MINUTE     Requests allowed per user (or client address) per window (default 20)
+ *   RATE_LIMIT_WINDOW_MS      Rate limit window in milliseconds (default 60000)
+ *
+ * A gateway holding a provider key needs GATEWAY_CLIENT_TOKEN, otherwise anyone who can reach it
+ * could spend the key; createGatewayRouter refuses to start without. GATEWAY_ALLOWED_ORIGINS only
+ * adds to the token, as any client other than a browser can send whatever Origin it likes.
+ */
+
+/**
+ * Read the trust proxy setting from the environment
+ * @param {string} value - 'true', a number of hops, or comma-separated addresses and subnets
+ * @returns {boolean|number|Array} Value for the Express "trust proxy" setting
+ */
+const parseTrustProxy = (value = '') => {
+  if (value === '' || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value.split(',').map(address => address.trim()).filter(Boolean);
+};
+
+/**
+ * Create an in-memory sliding-window rate limiter keyed by the DHIS2 user that
+ * requireDhis2User verified, or by client address when no DHIS2 server is configured.
+ * Headers such as X-DHIS2-User are chosen by the client, so they cannot be used to tell
+ * clients apart. Behind a reverse proxy req.ip is the proxy's address unless "trust proxy" is set
+ * @param {number} limit - Requests allowed per window
+ * @param {number} windowMs - Window length in milliseconds
+ * @returns {Function} Express middleware
+ */
+const createRateLimiter = (limit, windowMs) => {
+  const requestsByClient = new Map();
+  let lastSweep = Date.now();
+
+  return (req, res, next) => {
+    const clientId = req.dhis2User ? `user ${req.dhis2User}` : req.ip;
+    const now = Date.now();
+
+    // Forget clients without requests in the last window, at most once per window
+    if (now - lastSweep >= windowMs) {
+      requestsByClient.forEach((times, id) => {
+        if (now - times[times.length - 1] >= windowMs) {
+          requestsByClient.delete(id);
+        }
+      });
+      lastSweep = now;
+    }
+
+    const recent = (requestsByClient.get(clientId) || []).filter(time => now - time < windowMs);
+
+    if (recent.length >= limit) {
+      const retryAfterSeconds = Math.ceil((windowMs - (now - recent[0])) / 1000);
+      const claimedUser = !req.dhis2User && req.get('X-DHIS2-User');
+      console.log(`[GATEWAY] Rate limit hit for ${clientId}${claimedUser ? ` (${claimedUser})` : ''}`);
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({
+        error: {
+          type: 'rate_limit_exceeded',
+          message: `Rate limit of ${limit} requests per ${Math.round(windowMs / 1000)} seconds exceeded. Try again in ${retryAfterSeconds} seconds.`
+        }
+      });
+    }
+
+    recent.push(now);
+    requestsByClient.set(clientId, recent);
+    next();
+  };
+};
+
+/**
+ * Reject requests from origins that are not allowed, when a list is configured. Requests
+ * without an Origin header (not sent by a browser) are rejected too
+ * @param {Array} allowedOrigins - Allowed origins, or empty to allow all
+ * @returns {Function} Express middleware
+ */
+const requireAllowedOrigin = (allowedOrigins) => (req, res, next) => {
+  if (allowedOrigins.length === 0 || allowedOrigins.includes(req.get('Origin'))) {
+    return next();
+  }
+  return res.status(403).json({
+    error: {
+      type: 'forbidden',
+      message: 'Origin not allowed by the gateway'
+    }
+  });
+};
+
+/**
+ * Reject requests without the shared client token, when one is configured
+ * @param {string} clientToken - Expected token, or empty to allow all clients
+ * @returns {Function} Express middleware
+ */
+const requireClientToken = (clientToken) => (req, res, next) => {
+  if (!clientToken || req.get('Authorization') === `Bearer ${clientToken}`) {
+    return next();
+  }
+  return res.status(401).json({
+    error: {
+      type: 'unauthorized',
+      message: 'Missing or invalid gateway token'
+    }
+  });
+};
+
+/**
+ * Reject requests without a valid DHIS2 session, when a DHIS2 server is configured. The
+ * session cookie is forwarded to /api/me of that server and the username it returns is
+ * set as req.dhis2User
+ * @param {Object} options - Gateway options
+ * @returns {Function} Express middleware
+ */
+const requireDhis2User = (options) => async (req, res, next) => {
+  if (!options.dhis2Url) {
+    return next();
+  }
+
+  const unauthorized = () => res.status(401).json({
+    error: {
+      type: 'unauthorized',
+      message: 'Missing or invalid DHIS2 session'
+    }
+  });
+
+  const cookie = req.get('Cookie');
+  if (!cookie) {
+    return unauthorized();
+  }
+
+  try {
+    // DHIS2 answers 401, or redirects to its login page, when the session is not valid
+    const response = await fetch(`${options.dhis2Url}/api/me?fields=username`, {
+      headers: { Cookie: cookie, Accept: 'application/json' },
+      redirect: 'manual',
+      signal: AbortSignal.timeout(options.timeout)
+    });
+    const user = response.ok ? await response.json() : null;
+    if (!user || !user.username) {
+      return unauthorized();
+    }
+    req.dhis2User = user.username;
+    return next();
+  } catch (err) {
+    console.error(`[GATEWAY] DHIS2 session check failed: ${err.message}`);
+    return res.status(502).json({
+      error: {
+        type: 'gateway_error',
+        message: `Could not verify the DHIS2 session at ${options.dhis2Url}: ${err.message}`
+      }
+    });
+  }
+};
+
+/**
+ * Forward a request upstream and stream the response back to the client
+ * @param {Object} options - Gateway options
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} path - Upstream path below the base URL
+ * @param {Object} body - JSON body for POST requests, or null for GET
+ */
+const forwardToUpstream = async (options, req, res, path, body = null) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), options.timeout);
+
+  // Stop the upstream request if the browser goes away (e.g. the user pressed Stop)
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (options.apiKey) {
+    headers.Authorization = `Bearer ${options.apiKey}`;
+  }
+
+  try {
+    const upstream = await fetch(`${options.upstreamUrl}${path}`, {
+      method: body ? 'POST' : 'GET',
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+      signal: controller.signal
+    });
+
+    console.log(`[GATEWAY] ${req.method} ${path} -> ${options.upstreamUrl} (${upstream.status})` +
+      (req.dhis2User ? ` for ${req.dhis2User}` : ''));
+
+    res.status(upstream.status);
+    const contentType = upstream.headers.get('content-type');
+    if (contentType) {
+      res.set('Content-Type', contentType);
+    }
+
+    if (!upstream.body) {
+      return res.end();
+    }
+    // The client going away aborts the upstream request, which ends the stream with an AbortError
+    pipeline(Readable.fromWeb(upstream.body), res, (err) => {
+      if (err && !controller.signal.aborted) {
+        console.error(`[GATEWAY] Stream error: ${err.message}`);
+      }
+    });
+  } catch (err) {
+    if (res.headersSent) {
+      return res.end();
+    }
+    const timedOut = err.name === 'AbortError';
+    console.error(`[GATEWAY] Error: ${err.message}`);
+    res.status(timedOut ? 504 : 502).json({
+      error: {
+        type: 'gateway_error',
+        message: timedOut
+          ? `Upstream did not respond within ${options.timeout}ms`
+          : `Could not reach upstream at ${options.upstreamUrl}: ${err.message}`
+      }
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Create the gateway router, to be mounted at /v1
+ * @param {Object} overrides - Options that take precedence over the environment
+ * @returns {Object} Express router and the resolved options
+ */
+const createGatewayRouter = (overrides = {}) => {
+  const options = {
+    upstreamUrl: (process.env.GATEWAY_UPSTREAM_URL || 'https://api.openai.com/v1').replace(/\/$/, ''),
+    apiKey: process.env.GATEWAY_API_KEY || '',
+    model: process.env.GATEWAY_MODEL || '',
+    clientToken: process.env.GATEWAY_CLIENT_TOKEN || '',
+    allowedOrigins: (process.env.GATEWAY_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
+    trustProxy: parseTrustProxy(process.env.GATEWAY_TRUST_PROXY),
+    dhis2Url: (process.env.GATEWAY_DHIS2_URL || '').replace(/\/$/, ''),
+    rateLimit: parseInt(process.env.RATE_LIMIT_PER_MINUTE || '20', 10),
+    rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000', 10),
+    timeout: 120000,
+    ...overrides
+  };
+
+  if (options.apiKey && !options.clientToken) {
+    throw new Error('GATEWAY_API_KEY is set without GATEWAY_CLIENT_TOKEN, so anyone who can reach the gateway ' +
+      'could use the provider key. Set GATEWAY_CLIENT_TOKEN.');
+  }
+
+  const router = express.Router();
+  router.use(express.json({ limit: '10mb' }));
+  router.use(requireAllowedOrigin(options.allowedOrigins));
+  router.use(requireClientToken(options.clientToken));
+  router.use(requireDhis2User(options));
+
+  router.get('/models', (req, res) => forwardToUpstream(options, req, res, '/models'));
+
+  router.post('/chat/completions', createRateLimiter(options.rateLimit, options.rateLimitWindowMs), (req, res) => {
+    const body = { ...req.body };
+    if (options.model) {
+      body.model = options.model;
+    }
+    return forwardToUpstream(options, req, res, '/chat/completions', body);
+  });
+
+  return { router, options };
+};
+
+module.exports = { createGatewayRouter, createRateLimiter, parseTrustProxy };
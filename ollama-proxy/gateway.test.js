@@ -0,0 +1,355 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { createGatewayRouter, createRateLimiter, parseTrustProxy } = require('./gateway');
+
+const STREAM_CHUNKS = ['Hello', ' from', ' upstream'];
+
+/**
+ * Start a server on a free local port
+ * @param {Function} handler - Request handler (or Express app)
+ * @returns {Promise<Object>} { url, close }
+ */
+const listen = (handler) => new Promise(resolve => {
+  const server = http.createServer(handler);
+  server.listen(0, '127.0.0.1', () => {
+    resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
+
+/**
+ * Stub of an OpenAI-compatible API that records the requests it receives
+ * @returns {Promise<Object>} { url, close, requests }
+ */
+const startStubUpstream = async () => {
+  const requests = [];
+  const app = express();
+  app.use(express.json());
+
+  app.get('/models', (req, res) => {
+    requests.push({ path: req.path, authorization: req.get('Authorization') });
+    res.json({ data: [{ id: 'gpt-4o' }] });
+  });
+
+  app.post('/chat/completions', (req, res) => {
+    requests.push({ path: req.path, authorization: req.get('Authorization'), body: req.body });
+    if (!req.body.stream) {
+      return res.json({ model: req.body.model, choices: [{ message: { role: 'assistant', content: 'Hello' } }] });
+    }
+    // Server-sent events, written one by one as an upstream streams its tokens
+    res.set('Content-Type', 'text/event-stream');
+    let index = 0;
+    res.on('close', () => clearInterval(timer));
+    const timer = setInterval(() => {
+      if (index < STREAM_CHUNKS.length) {
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: STREAM_CHUNKS[index++] } }] })}\n\n`);
+      } else {
+        clearInterval(timer);
+        res.end('data: [DONE]\n\n');
+      }
+    }, 10);
+  });
+
+  const server = await listen(app);
+  return { ...server, requests };
+};
+
+/**
+ * Start the gateway in front of an upstream
+ * @param {Object} overrides - Gateway options
+ * @returns {Promise<Object>} { url, close }
+ */
+const startGateway = (overrides) => {
+  const app = express();
+  const gateway = createGatewayRouter({ timeout: 5000, ...overrides });
+  app.set('trust proxy', gateway.options.trustProxy);
+  app.use('/v1', gateway.router);
+  return listen(app);
+};
+
+const postChat = (url, body, headers = {}, signal = undefined) => fetch(`${url}/v1/chat/completions`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify(body),
+  signal
+});
+
+describe('AI gateway', () => {
+  let upstream;
+  let gateway;
+  const clientHeaders = { Authorization: 'Bearer client-token', 'X-DHIS2-User': 'admin' };
+
+  before(async () => {
+    upstream = await startStubUpstream();
+    gateway = await startGateway({
+      upstreamUrl: upstream.url,
+      apiKey: 'sk-upstream',
+      clientToken: 'client-token',
+      model: 'gpt-4o',
+      rateLimit: 100
+    });
+  });
+
+  after(async () => {
+    await gateway.close();
+    await upstream.close();
+  });
+
+  it('forwards chat requests with the provider key and the configured model', async () => {
+    const response = await postChat(gateway.url, { model: 'gpt-3.5-turbo', messages: [] }, clientHeaders);
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), {
+      model: 'gpt-4o',
+      choices: [{ message: { role: 'assistant', content: 'Hello' } }]
+    });
+
+    const request = upstream.requests[upstream.requests.length - 1];
+    assert.equal(request.authorization, 'Bearer sk-upstream');
+    assert.equal(request.body.model, 'gpt-4o');
+  });
+
+  it('forwards the model list', async () => {
+    const response = await fetch(`${gateway.url}/v1/models`, { headers: clientHeaders });
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { data: [{ id: 'gpt-4o' }] });
+  });
+
+  it('streams server-sent events through as they arrive', async () => {
+    const response = await postChat(gateway.url, { messages: [], stream: true }, clientHeaders);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let reads = 0;
+    let text = '';
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      reads++;
+      text += decoder.decode(value, { stream: true });
+    }
+    const content = text.split('\n')
+      .filter(line => line.startsWith('data: ') && line !== 'data: [DONE]')
+      .map(line => JSON.parse(line.slice(6)).choices[0].delta.content)
+      .join('');
+    assert.equal(content, STREAM_CHUNKS.join(''));
+    assert.ok(text.endsWith('data: [DONE]\n\n'));
+    assert.ok(reads > 1, 'the events arrive in more than one read');
+  });
+
+  it('keeps running when a client drops in the middle of a stream', async () => {
+    const controller = new AbortController();
+    const response = await postChat(gateway.url, { messages: [], stream: true }, clientHeaders, controller.signal);
+    const reader = response.body.getReader();
+    await reader.read();
+    controller.abort();
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const next = await fetch(`${gateway.url}/v1/models`, { headers: clientHeaders });
+    assert.equal(next.status, 200);
+  });
+
+  it('rejects requests with a wrong or missing client token', async () => {
+    const wrongToken = await postChat(gateway.url, { messages: [] }, { Authorization: 'Bearer sk-guess' });
+    assert.equal(wrongToken.status, 401);
+    assert.equal((await wrongToken.json()).error.type, 'unauthorized');
+
+    const noToken = await fetch(`${gateway.url}/v1/models`);
+    assert.equal(noToken.status, 401);
+  });
+});
+
+describe('AI gateway rate limit', () => {
+  let upstream;
+  let gateway;
+
+  before(async () => {
+    upstream = await startStubUpstream();
+    gateway = await startGateway({ upstreamUrl: upstream.url, clientToken: 'client-token', rateLimit: 2 });
+  });
+
+  after(async () => {
+    await gateway.close();
+    await upstream.close();
+  });
+
+  it('answers 429 with Retry-After over the limit, whatever user the client claims to be', async () => {
+    const statuses = [];
+    for (const user of ['alice', 'bob', 'carol']) {
+      const response = await postChat(gateway.url, { messages: [] }, {
+        Authorization: 'Bearer client-token',
+        'X-DHIS2-User': user
+      });
+      statuses.push(response.status);
+      if (response.status === 429) {
+        assert.ok(Number(response.headers.get('retry-after')) > 0);
+        assert.equal((await response.json()).error.type, 'rate_limit_exceeded');
+      }
+    }
+    assert.deepEqual(statuses, [200, 200, 429]);
+    assert.equal(upstream.requests.length, 2);
+  });
+});
+
+describe('AI gateway rate limit behind a reverse proxy', () => {
+  it('limits each forwarded client address separately when the proxy is trusted', async () => {
+    const upstream = await startStubUpstream();
+    const gateway = await startGateway({
+      upstreamUrl: upstream.url,
+      clientToken: 'client-token',
+      rateLimit: 1,
+      trustProxy: parseTrustProxy('loopback')
+    });
+    const send = (address) => postChat(gateway.url, { messages: [] }, {
+      Authorization: 'Bearer client-token',
+      'X-Forwarded-For': address
+    });
+    try {
+      assert.equal((await send('203.0.113.1')).status, 200);
+      assert.equal((await send('203.0.113.2')).status, 200);
+      assert.equal((await send('203.0.113.1')).status, 429);
+    } finally {
+      await gateway.close();
+      await upstream.close();
+    }
+  });
+
+  it('reads the trust proxy setting', () => {
+    assert.equal(parseTrustProxy(''), false);
+    assert.equal(parseTrustProxy('true'), true);
+    assert.equal(parseTrustProxy('2'), 2);
+    assert.deepEqual(parseTrustProxy('loopback, 10.0.0.0/8'), ['loopback', '10.0.0.0/8']);
+  });
+});
+
+/**
+ * Stub of a DHIS2 server whose /api/me knows a session cookie per user
+ * @param {Object} sessions - Username by JSESSIONID
+ * @returns {Promise<Object>} { url, close, requests }
+ */
+const startStubDhis2 = async (sessions) => {
+  const requests = [];
+  const app = express();
+
+  app.get('/api/me', (req, res) => {
+    requests.push({ cookie: req.get('Cookie') });
+    const session = /JSESSIONID=([^;]+)/.exec(req.get('Cookie') || '');
+    if (!session || !sessions[session[1]]) {
+      return res.redirect('/dhis-web-commons/security/login.action');
+    }
+    return res.json({ username: sessions[session[1]] });
+  });
+
+  const server = await listen(app);
+  return { ...server, requests };
+};
+
+describe('AI gateway rate limit per DHIS2 user', () => {
+  let upstream;
+  let dhis2;
+  let gateway;
+
+  before(async () => {
+    upstream = await startStubUpstream();
+    dhis2 = await startStubDhis2({ 'session-alice': 'alice', 'session-bob': 'bob' });
+    gateway = await startGateway({
+      upstreamUrl: upstream.url,
+      clientToken: 'client-token',
+      dhis2Url: dhis2.url,
+      rateLimit: 1
+    });
+  });
+
+  after(async () => {
+    await gateway.close();
+    await dhis2.close();
+    await upstream.close();
+  });
+
+  const send = (session, user) => postChat(gateway.url, { messages: [] }, {
+    Authorization: 'Bearer client-token',
+    'X-DHIS2-User': user,
+    ...(session ? { Cookie: `JSESSIONID=${session}` } : {})
+  });
+
+  it('limits two users from the same address separately, by the user their session belongs to', async () => {
+    assert.equal((await send('session-alice', 'alice')).status, 200);
+    assert.equal((await send('session-bob', 'bob')).status, 200);
+    // Claiming to be someone else does not reset the limit of the session's user
+    const again = await send('session-alice', 'carol');
+    assert.equal(again.status, 429);
+    assert.equal((await again.json()).error.type, 'rate_limit_exceeded');
+    assert.equal(upstream.requests.length, 2);
+    assert.equal(dhis2.requests[0].cookie, 'JSESSIONID=session-alice');
+  });
+
+  it('rejects requests without a valid DHIS2 session', async () => {
+    const noSession = await send(null, 'alice');
+    assert.equal(noSession.status, 401);
+    assert.equal((await noSession.json()).error.type, 'unauthorized');
+
+    const expired = await send('session-expired', 'bob');
+    assert.equal(expired.status, 401);
+    assert.equal(upstream.requests.length, 2);
+  });
+});
+
+describe('createRateLimiter', () => {
+  /**
+   * Pass a request from a client address through a limiter
+   * @returns {number} 200 when passed on, otherwise the status sent
+   */
+  const check = (limiter, ip) => {
+    let status = 200;
+    const res = { set: () => res, status: code => { status = code; return res; }, json: () => res };
+    limiter({ ip, get: () => undefined }, res, () => {});
+    return status;
+  };
+
+  it('limits each client address separately and allows it again after the window', async () => {
+    const limiter = createRateLimiter(1, 50);
+    assert.equal(check(limiter, '10.0.0.1'), 200);
+    assert.equal(check(limiter, '10.0.0.1'), 429);
+    assert.equal(check(limiter, '10.0.0.2'), 200);
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.equal(check(limiter, '10.0.0.1'), 200);
+  });
+});
+
+describe('AI gateway access', () => {
+  it('refuses to start with a provider key but no client token, even with allowed origins', () => {
+    assert.throws(() => createGatewayRouter({ apiKey: 'sk-upstream', clientToken: '', allowedOrigins: [] }),
+      /without GATEWAY_CLIENT_TOKEN/);
+    assert.throws(() => createGatewayRouter({ apiKey: 'sk-upstream', clientToken: '', allowedOrigins: ['https://dhis2.example.org'] }),
+      /without GATEWAY_CLIENT_TOKEN/);
+  });
+
+  it('only accepts the allowed origins when they are configured', async () => {
+    const upstream = await startStubUpstream();
+    const gateway = await startGateway({
+      upstreamUrl: upstream.url,
+      apiKey: 'sk-upstream',
+      clientToken: 'client-token',
+      allowedOrigins: ['https://dhis2.example.org']
+    });
+    const token = { Authorization: 'Bearer client-token' };
+    try {
+      const allowed = await postChat(gateway.url, { messages: [] }, { ...token, Origin: 'https://dhis2.example.org' });
+      assert.equal(allowed.status, 200);
+      const otherOrigin = await postChat(gateway.url, { messages: [] }, { ...token, Origin: 'https://evil.example.com' });
+      assert.equal(otherOrigin.status, 403);
+      const noOrigin = await postChat(gateway.url, { messages: [] }, token);
+      assert.equal(noOrigin.status, 403);
+      const noToken = await postChat(gateway.url, { messages: [] }, { Origin: 'https://dhis2.example.org' });
+      assert.equal(noToken.status, 401);
+    } finally {
+      await gateway.close();
+      await upstream.close();
+    }
+  });
+});
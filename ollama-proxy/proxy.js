@@ -1,16 +1,29 @@
 const express = require('express');
 const cors = require('cors');
 const { createProxyMiddleware } = require('http-proxy-middleware');
+const { createGatewayRouter } = require('./gateway');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const TIMEOUT = parseInt(process.env.TIMEOUT || '120000', 10); // 120 seconds default timeout, configurable via env
 
-// Enable CORS for all routes
+let gateway;
+try {
+  gateway = createGatewayRouter({ timeout: TIMEOUT });
+} catch (err) {
+  console.error(`[GATEWAY] ${err.message}`);
+  process.exit(1);
+}
+
+// Client addresses for the gateway rate limit without GATEWAY_DHIS2_URL, from X-Forwarded-For when behind a trusted reverse proxy
+app.set('trust proxy', gateway.options.trustProxy);
+
+// Enable CORS for all routes. The Ollama proxy holds no key; the gateway checks the client
+// token and allowed origins itself
 app.use(cors({
-  origin: '*', // Allow all origins for testing, restrict in production
+  origin: '*',
   methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Origin', 'X-Requested-With', 'Accept'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Origin', 'X-Requested-With', 'Accept', 'X-DHIS2-User'],
   credentials: true
 }));
 
@@ -18,7 +31,7 @@ app.use(cors({
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS, PUT, DELETE');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-DHIS2-User');
   res.header('Access-Control-Allow-Credentials', 'true');
 
   // Handle preflight requests
@@ -71,6 +84,9 @@ app.use('/api', createProxyMiddleware({
   }
 }));
 
+// AI gateway: OpenAI-compatible API with the provider key held in this process
+app.use('/v1', gateway.router);
+
 // Add a catch-all route for debugging
 app.use('*', (req, res) => {
   res.status(200).json({
@@ -80,15 +96,26 @@ app.use('*', (req, res) => {
     config: {
       port: PORT,
       timeout: TIMEOUT + 'ms',
-      ollamaServer: 'http://localhost:11434'
+      ollamaServer: 'http://localhost:11434',
+      gatewayUpstream: gateway.options.upstreamUrl,
+      gatewayKeyConfigured: Boolean(gateway.options.apiKey),
+      gatewayClientTokenRequired: Boolean(gateway.options.clientToken),
+      gatewayAllowedOrigins: gateway.options.allowedOrigins,
+      gatewayTrustProxy: gateway.options.trustProxy,
+      gatewayDhis2Url: gateway.options.dhis2Url,
+      rateLimit: `${gateway.options.rateLimit} requests per ${gateway.options.rateLimitWindowMs}ms per ` +
+        (gateway.options.dhis2Url ? 'DHIS2 user' : 'client address')
     },
     endpoints: {
       '/health': 'Health check endpoint',
-      '/api/...': 'Proxy to Ollama API (e.g., /api/tags, /api/chat)'
+      '/api/...': 'Proxy to Ollama API (e.g., /api/tags, /api/chat)',
+      '/v1/chat/completions': 'AI gateway (OpenAI-compatible) forwarding to GATEWAY_UPSTREAM_URL',
+      '/v1/models': 'Models available from the gateway upstream'
     },
     usage: {
       setCustomTimeout: 'Run with TIMEOUT=90000 node proxy.js for a 90 second timeout',
-      setCustomPort: 'Run with PORT=8080 node proxy.js to use port 8080'
+      setCustomPort: 'Run with PORT=8080 node proxy.js to use port 8080',
+      gateway: 'Run with GATEWAY_API_KEY=sk-... GATEWAY_CLIENT_TOKEN=... node proxy.js to forward /v1 requests to OpenAI'
     }
   });
 });
@@ -100,5 +127,7 @@ app.listen(PORT, () => {
   console.log(`Use this URL in your DHIS2 AI Insights app: http://localhost:${PORT}`);
   console.log(`Test the proxy with: curl http://localhost:${PORT}/health`);
   console.log(`Check available Ollama models with: curl http://localhost:${PORT}/api/tags`);
+  console.log(`AI gateway forwarding /v1/chat/completions to ${gateway.options.upstreamUrl}` +
+    (gateway.options.apiKey ? ' (provider key configured)' : ' (no provider key)'));
   console.log(`\nTo set a custom timeout: TIMEOUT=90000 node proxy.js (for 90 seconds)`);
 });
\ No newline at end of file
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useMemo } from 'react'
 import { useDataEngine, useDataQuery } from '@dhis2/app-runtime'
 import { 
   CenteredContent, 
@@ -18,7 +18,19 @@ import { AIQuerySelection } from './components/AIQuerySelection.jsx'
 import { SettingsPanel } from './components/SettingsPanel.jsx'
 import { DataDashboard } from './components/DataDashboard.jsx'
 import { DatasetSelector } from './components/DatasetSelector.jsx'
-import { getApiKeyFromStorage, isApiKeySet, getSettings } from './utils/storage'
+import { NaturalLanguageSelector } from './components/NaturalLanguageSelector.jsx'
+import {
+  getApiKeyFromStorage,
+  loadSettings,
+  createSelectionKey,
+  saveConversation,
+  getSavedConversation,
+  deleteSavedConversation,
+  saveDataSnapshot,
+  getDataSnapshot
+} from './utils/storage'
+import { isAIConfigured } from './utils/aiService'
+import { createAnalyticsQuery } from './utils/analyticsQuery'
 
 // Query to retrieve current user's info and check connection
 const userQuery = {
@@ -36,28 +48,89 @@ const App = () => {
   const [selectedPeriod, setSelectedPeriod] = useState('THIS_MONTH') // Set default period
   const [selectedOrgUnit, setSelectedOrgUnit] = useState(null)
   const [selectedDataType, setSelectedDataType] = useState('aggregate') // Default data type
+  const [selectedDisaggregation, setSelectedDisaggregation] = useState([]) // Categories to break data elements down by
+  const [selectedQueryOptions, setSelectedQueryOptions] = useState({}) // Filters, aggregation type, approval level, ...
+  // Changed to start the step-by-step selector afresh when a described selection replaces its choices
+  const [selectorKey, setSelectorKey] = useState(0)
   const [apiKeySet, setApiKeySet] = useState(false)
+  const [settingsLoaded, setSettingsLoaded] = useState(false)
   // Persistent chat state
   const [conversation, setConversation] = useState([])
   const [dataSnapshot, setDataSnapshot] = useState(null)
 
+  // Load organisation defaults and user settings from the DHIS2 data stores
   useEffect(() => {
+    loadSettings(engine).finally(() => setSettingsLoaded(true))
+  }, [engine])
+
+  useEffect(() => {
+    if (!settingsLoaded) return
+
     // Check if API configuration is set
-    const settings = getSettings() || {}
-    const isConfigured =
-      (settings.aiProvider === 'openai' && isApiKeySet()) ||
-      (settings.aiProvider === 'ollama' && settings.ollamaServerUrl && settings.ollamaModel)
+    setApiKeySet(isAIConfigured())
+  }, [showSettings, settingsLoaded])
 
-    setApiKeySet(isConfigured)
-  }, [showSettings])
+  // The whole selection as one analytics query, shared by the insights and the dashboard
+  const analyticsQuery = useMemo(() => createAnalyticsQuery({
+    dataType: selectedDataType,
+    dataElements: selectedDataElements,
+    period: selectedPeriod,
+    orgUnit: selectedOrgUnit,
+    disaggregation: selectedDisaggregation,
+    ...selectedQueryOptions
+  }), [selectedDataType, selectedDataElements, selectedPeriod, selectedOrgUnit, selectedDisaggregation, selectedQueryOptions])
 
-  // Reset conversation when data selection changes
+  const selectionKey = createSelectionKey(selectedDataElements, selectedPeriod, selectedOrgUnit, selectedDataType, analyticsQuery)
+
+  // Reset conversation when data selection changes, then restore anything saved for the new selection
   useEffect(() => {
     setConversation([])
     setDataSnapshot(null)
-  }, [selectedDataElements, selectedPeriod, selectedOrgUnit])
 
-  if (loading) {
+    if (!selectionKey) return
+
+    let cancelled = false
+    Promise.all([getSavedConversation(selectionKey), getDataSnapshot(selectionKey)])
+      .then(([savedConversation, savedSnapshot]) => {
+        if (cancelled) return
+        if (savedConversation && savedConversation.length > 0) {
+          setConversation(savedConversation)
+        }
+        if (savedSnapshot) {
+          setDataSnapshot(savedSnapshot)
+        }
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [selectionKey])
+
+  // Persist the conversation and fetched data for the current selection
+  useEffect(() => {
+    if (selectionKey && conversation.length > 0) {
+      saveConversation(selectionKey, conversation)
+    }
+  }, [conversation])
+
+  useEffect(() => {
+    if (selectionKey && dataSnapshot) {
+      saveDataSnapshot(selectionKey, dataSnapshot)
+    }
+  }, [dataSnapshot])
+
+  // A selection resolved from a description replaces everything chosen in the steps
+  const handleDescribedSelection = (selection) => {
+    setSelectedDataType(selection.dataType)
+    setSelectedDataElements(selection.dataElements)
+    setSelectedPeriod(selection.period)
+    setSelectedOrgUnit(selection.orgUnit)
+    setSelectedDisaggregation([])
+    setSelectedQueryOptions({})
+    setSelectorKey(key => key + 1)
+  }
+
+  if (loading || !settingsLoaded) {
     return (
       <CenteredContent>
         <CircularLoader />
@@ -115,6 +188,7 @@ const App = () => {
         <SettingsPanel 
           onClose={() => setShowSettings(false)} 
           engine={engine}
+          isAdmin={Boolean(data.me.authorities && data.me.authorities.includes('ALL'))}
         />
       ) : (
         <>
@@ -151,8 +225,18 @@ const App = () => {
           <Box padding="8px 16px">
             {activeTab === 'data_selection' ? (
               <>
+                <NaturalLanguageSelector
+                  engine={engine}
+                  user={data.me}
+                  onSelectionConfirmed={handleDescribedSelection}
+                />
+                
+                <Divider margin="16px 0" />
+                
                 <DatasetSelector
+                  key={selectorKey}
                   engine={engine}
+                  initialPeriod={selectedPeriod}
                   onDataElementsSelected={(elements, dataType, metadata) => {
                     // Store both the element IDs and their metadata if available
                     if (metadata && metadata.length > 0) {
@@ -174,6 +258,8 @@ const App = () => {
                   }}
                   onPeriodSelected={setSelectedPeriod}
                   onOrgUnitSelected={setSelectedOrgUnit}
+                  onDisaggregationSelected={setSelectedDisaggregation}
+                  onQueryOptionsSelected={setSelectedQueryOptions}
                 />
                 
                 {selectedDataElements.length > 0 && selectedOrgUnit && (
@@ -203,9 +289,11 @@ const App = () => {
                 selectedPeriod={selectedPeriod}
                 selectedOrgUnit={selectedOrgUnit}
                 selectedDataType={selectedDataType}
+                analyticsQuery={analyticsQuery}
                 user={data.me}
                 conversation={conversation}
                 setConversation={setConversation}
+                onClearConversation={() => selectionKey && deleteSavedConversation(selectionKey)}
                 dataSnapshot={dataSnapshot}
                 setDataSnapshot={setDataSnapshot}
               />
@@ -216,6 +304,7 @@ const App = () => {
                 selectedPeriod={selectedPeriod}
                 selectedOrgUnit={selectedOrgUnit}
                 selectedDataType={selectedDataType}
+                analyticsQuery={analyticsQuery}
               />
             )}
           </Box>
@@ -16,7 +16,11 @@ import ReactMarkdown from 'react-markdown'
 import { fetchDataForElements } from '../utils/dhis2Data'
 import { sendToAI } from '../utils/aiService'
 import { generateWordReport } from '../utils/reportGenerator'
+import { formatPeriod } from '../utils/formatters'
 import { getAIInfo } from '../utils/aiService'
+import { getSettings } from '../utils/storage'
+import { getOrgUnitBreakdownName } from '../utils/orgUnits'
+import { estimateCost } from '../utils/tokens'
 
 // Suggested prompts for users
 const suggestedPrompts = [
@@ -47,15 +51,148 @@ const multiOrgUnitPrompts = [
   "Which organization units should be prioritized for support?",
 ]
 
+/**
+ * Token use of the conversation: the context used by the last request, and the tokens and
+ * estimated cost of the live answers so far (cached answers cost nothing)
+ * @param {Object} props
+ * @param {Array} props.conversation - Conversation messages; answers carry the usage reported by the provider
+ * @param {Object} props.aiInfo - Provider info with model and contextWindow
+ */
+const TokenMeter = ({ conversation, aiInfo }) => {
+  const answers = conversation.filter(message => message.role === 'assistant' && message.usage)
+  if (!aiInfo || answers.length === 0) return null
+
+  const last = answers[answers.length - 1]
+  const promptTokens = last.usage.prompt_tokens || 0
+  const share = aiInfo.contextWindow ? Math.min(100, Math.round((promptTokens + (last.usage.completion_tokens || 0)) / aiInfo.contextWindow * 100)) : null
+
+  const liveAnswers = answers.filter(message => !message.cached)
+  const chatTokens = liveAnswers.reduce((total, message) =>
+    total + (message.usage.total_tokens || (message.usage.prompt_tokens || 0) + (message.usage.completion_tokens || 0)), 0)
+  const costs = liveAnswers.map(message => estimateCost(message.model || aiInfo.model, message.usage)).filter(cost => cost !== null)
+  const chatCost = costs.length > 0 ? costs.reduce((total, cost) => total + cost, 0) : null
+
+  return (
+    <div className="token-meter">
+      <div>
+        Last request: {promptTokens.toLocaleString()} prompt + {(last.usage.completion_tokens || 0).toLocaleString()} answer tokens
+        {share !== null && ` (${share}% of the ${aiInfo.contextWindow.toLocaleString()}-token context window)`}
+        {' · '}This chat: {chatTokens.toLocaleString()} tokens
+        {chatCost !== null && `, about $${chatCost < 0.01 ? chatCost.toFixed(4) : chatCost.toFixed(2)}`}
+        {last.summarizedCount > 0 && ` · ${last.summarizedCount} earlier messages summarised to fit`}
+      </div>
+      {share !== null && (
+        <div className="token-meter-bar">
+          <div
+            className="token-meter-fill"
+            style={{ width: `${share}%`, backgroundColor: share >= 85 ? '#d32f2f' : share >= 60 ? '#f9a825' : '#43a047' }}
+          />
+        </div>
+      )}
+    </div>
+  )
+}
+
+/**
+ * The DHIS2 requests the AI made while answering, shown above its answer
+ * @param {Object} props
+ * @param {Array} props.toolCalls - Tool calls ({ name, summary, error })
+ */
+const ToolCallList = ({ toolCalls }) => {
+  if (!toolCalls || toolCalls.length === 0) return null
+  return (
+    <div className="tool-calls">
+      <div className="tool-calls-title">Fetched from DHIS2 while answering:</div>
+      {toolCalls.map((call, index) => (
+        <div key={index} className={`tool-call${call.error ? ' tool-call-error' : ''}`}>
+          {call.summary}{call.error ? `: ${call.error}` : ''}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+/**
+ * A structured answer shown as cards: summary, key findings, anomalies with the org unit and
+ * period they concern, prioritised recommendations and the confidence of the analysis
+ * @param {Object} props
+ * @param {Object} props.insights - Insights from parseInsights (insights.js)
+ */
+const InsightCards = ({ insights }) => (
+  <div className="insights">
+    {insights.summary && (
+      <ReactMarkdown
+        components={{
+          p: ({node, ...props}) => <p style={{ marginBottom: '8px', marginTop: '0' }} {...props} />
+        }}
+      >
+        {insights.summary}
+      </ReactMarkdown>
+    )}
+
+    {insights.findings.length > 0 && (
+      <div className="insight-section">
+        <h4>Key findings</h4>
+        {insights.findings.map((finding, index) => (
+          <div key={index} className="insight-item">
+            {finding.title && <div className="insight-item-title">{finding.title}</div>}
+            {finding.detail}
+          </div>
+        ))}
+      </div>
+    )}
+
+    {insights.anomalies.length > 0 && (
+      <div className="insight-section">
+        <h4>Anomalies</h4>
+        {insights.anomalies.map((anomaly, index) => (
+          <div key={index} className={`insight-item insight-level-${anomaly.severity}`}>
+            <div>{anomaly.description}</div>
+            <div className="insight-tags">
+              <span className="insight-badge">{anomaly.severity} severity</span>
+              {anomaly.orgUnit && <span className="insight-tag">{anomaly.orgUnit}</span>}
+              {anomaly.period && <span className="insight-tag">{anomaly.period}</span>}
+            </div>
+          </div>
+        ))}
+      </div>
+    )}
+
+    {insights.recommendations.length > 0 && (
+      <div className="insight-section">
+        <h4>Recommendations</h4>
+        {insights.recommendations.map((recommendation, index) => (
+          <div key={index} className={`insight-item insight-level-${recommendation.priority}`}>
+            <div>{recommendation.action}</div>
+            <div className="insight-tags">
+              <span className="insight-badge">{recommendation.priority} priority</span>
+              {recommendation.owner && <span className="insight-tag">{recommendation.owner}</span>}
+            </div>
+          </div>
+        ))}
+      </div>
+    )}
+
+    {insights.confidence.level && (
+      <div className={`insight-confidence insight-level-${insights.confidence.level}`}>
+        <strong>Confidence: {insights.confidence.level}</strong>
+        {insights.confidence.reason && ` - ${insights.confidence.reason}`}
+      </div>
+    )}
+  </div>
+)
+
 export const AIQuerySelection = ({
   engine,
   selectedDataElements,
   selectedPeriod,
   selectedOrgUnit,
   selectedDataType,
+  analyticsQuery = null,
   user,
   conversation: externalConversation,
   setConversation: setExternalConversation,
+  onClearConversation,
   dataSnapshot: externalDataSnapshot,
   setDataSnapshot: setExternalDataSnapshot
 }) => {
@@ -69,6 +206,9 @@ export const AIQuerySelection = ({
   const [aiInfo, setAIInfo] = useState(null) // AI provider info
   const [streamingMessage, setStreamingMessage] = useState('') // For streaming text
   const [isStreaming, setIsStreaming] = useState(false) // Track streaming state
+  const [loadingProgress, setLoadingProgress] = useState(null) // Progress of large data fetches
+  const [liveToolCalls, setLiveToolCalls] = useState([]) // Tool calls of the answer being generated
+  const abortControllerRef = useRef(null) // Cancels the in-flight AI request
   const resizableChatRef = useRef(null)
 
   // Use external state if provided, fallback to local state for backward compatibility
@@ -81,7 +221,16 @@ export const AIQuerySelection = ({
     // Reset response when data selection changes
     setResponse(null)
     // Note: dataSnapshot is now managed by parent component
-  }, [selectedDataElements, selectedPeriod, selectedOrgUnit])
+  }, [selectedDataElements, selectedPeriod, selectedOrgUnit, analyticsQuery])
+
+  // Stop any in-flight AI request when the chat is closed
+  useEffect(() => {
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort()
+      }
+    }
+  }, [])
 
   // Fetch AI provider info
   useEffect(() => {
@@ -173,8 +322,18 @@ export const AIQuerySelection = ({
     setQuery(value)
   }
 
-  const handleQuerySubmit = async () => {
-    if (!query.trim()) return
+  /**
+   * Ask the AI a question about the current data selection
+   * @param {Object} options - Submission options
+   * @param {number} options.replaceIndex - Index of an assistant message to re-ask live and replace
+   */
+  const handleQuerySubmit = async (options = {}) => {
+    const isReask = typeof options.replaceIndex === 'number'
+    const questionMessage = isReask ? conversation[options.replaceIndex - 1] : null
+    const questionText = questionMessage ? questionMessage.content : query
+    const history = isReask ? conversation.slice(0, options.replaceIndex - 1) : conversation
+    
+    if (!questionText || !questionText.trim()) return
     
     // Clear previous errors
     setError(null)
@@ -232,13 +391,21 @@ export const AIQuerySelection = ({
             dataElementsArray,
             selectedPeriod,
             selectedOrgUnit,
-            dataType
+            dataType,
+            {
+              includeComparisons: getSettings().comparePeriods !== false,
+              maxRows: getSettings().maxDataRows,
+              onProgress: setLoadingProgress,
+              query: analyticsQuery
+            }
           )
         } catch (err) {
           console.error("Error fetching data:", err);
           setError(`Error fetching data: ${err.message}`);
           setIsLoading(false);
           return;
+        } finally {
+          setLoadingProgress(null)
         }
         setDataSnapshot(data)
       }
@@ -257,10 +424,13 @@ export const AIQuerySelection = ({
           name: selectedOrgUnit.displayName || selectedOrgUnit.name || selectedOrgUnit.id,
           displayName: selectedOrgUnit.displayName || selectedOrgUnit.name || selectedOrgUnit.id,
           includeChildOrgUnits: selectedOrgUnit.includeChildOrgUnits,
+          breakdown: selectedOrgUnit.breakdown,
+          groupSets: selectedOrgUnit.groupSets || [],
           path: selectedOrgUnit.path,
           level: selectedOrgUnit.level,
           isSpecial: selectedOrgUnit.isSpecial
         },
+        disaggregation: analyticsQuery ? analyticsQuery.disaggregation : [],
         multiOrgUnitMode: data && data.multiOrgUnitMode,
         childOrgUnits: data && data.childOrgUnits ? data.childOrgUnits.map(ou => ({
           id: ou.id,
@@ -274,55 +444,119 @@ export const AIQuerySelection = ({
       }
       
       // Send to AI with streaming support
-      const newMessage = {
+      const newMessage = questionMessage || {
         role: 'user',
-        content: query,
+        content: questionText,
         timestamp: new Date().toISOString()
       }
       
       // Start streaming
       setIsStreaming(true)
       setStreamingMessage('')
+      setLiveToolCalls([])
       
-      // Add user message to conversation immediately
-      setConversation([...conversation, newMessage])
+      // Add user message to conversation immediately (re-asks keep their original question)
+      if (!isReask) {
+        setConversation([...conversation, newMessage])
+      }
       
-      const result = await sendToAI(query, data, context, conversation, (chunk) => {
-        // Update streaming message as chunks arrive
-        setStreamingMessage(prev => prev + chunk)
-      })
+      const abortController = new AbortController()
+      abortControllerRef.current = abortController
+      let streamedText = ''
+      
+      let result
+      try {
+        result = await sendToAI(questionText, data, context, history, (chunk) => {
+          // Update streaming message as chunks arrive
+          streamedText += chunk
+          setStreamingMessage(prev => prev + chunk)
+        }, {
+          bypassCache: isReask,
+          signal: abortController.signal,
+          engine,
+          onToolCall: (call) => setLiveToolCalls(calls => [...calls, call])
+        })
+      } catch (err) {
+        if (!abortController.signal.aborted) {
+          throw err
+        }
+        // Stopped before the provider could return anything usable
+        result = { message: streamedText, truncated: true }
+      } finally {
+        abortControllerRef.current = null
+      }
       
       // Streaming complete - add final AI message to conversation
       setIsStreaming(false)
       setStreamingMessage('')
+      setLiveToolCalls([])
+      
+      if (result.truncated && !result.message) {
+        // Nothing arrived before the user pressed Stop; put the question back so it can be asked again
+        if (!isReask) {
+          setConversation(conversation)
+          setQuery(questionText)
+        }
+        return
+      }
       
       const aiMessage = {
         role: 'assistant',
         content: result.message,
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        cached: Boolean(result.cached),
+        cachedAt: result.cachedAt || null,
+        truncated: Boolean(result.truncated),
+        usage: result.usage || null,
+        model: result.model || (aiInfo && aiInfo.model) || null,
+        summarizedCount: result.summarizedCount || 0,
+        toolCalls: result.toolCalls || null,
+        insights: result.insights || null,
+        structuredFallback: Boolean(result.structuredFallback)
       }
       
-      setConversation([...conversation, newMessage, aiMessage])
+      if (isReask) {
+        // Swap the cached answer for the live one in place
+        setConversation(conversation.map((message, index) => (
+          index === options.replaceIndex ? aiMessage : message
+        )))
+      } else {
+        setConversation([...conversation, newMessage, aiMessage])
+        setQuery('')
+      }
       setResponse(result)
-      setQuery('')
     } catch (err) {
       setError(`Error: ${err.message}`)
       setIsStreaming(false)
       setStreamingMessage('')
+      setLiveToolCalls([])
     } finally {
       setIsLoading(false)
     }
   }
 
+  const handleStopGeneration = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort()
+    }
+  }
+
   const handleKeyDown = (e) => {
     if (e.key === 'Enter' && e.ctrlKey) {
       handleQuerySubmit()
     }
   }
 
+  const handleReaskLive = (messageIndex) => {
+    handleQuerySubmit({ replaceIndex: messageIndex })
+  }
+
   const handleClearConversation = () => {
     setConversation([])
     setResponse(null)
+    if (onClearConversation) {
+      onClearConversation()
+    }
   }
 
   const handleSuggestedPromptClick = (prompt) => {
@@ -368,16 +602,7 @@ export const AIQuerySelection = ({
 
   // Helper function to format period display
   const formatPeriodDisplay = (period) => {
-    const periodMap = {
-      'THIS_MONTH': 'This Month',
-      'LAST_MONTH': 'Last Month', 
-      'THIS_QUARTER': 'This Quarter',
-      'LAST_QUARTER': 'Last Quarter',
-      'THIS_YEAR': 'This Year',
-      'LAST_YEAR': 'Last Year',
-      'LAST_12_MONTHS': 'Last 12 Months'
-    }
-    return periodMap[period] || period
+    return formatPeriod(period)
   }
 
   return (
@@ -395,7 +620,7 @@ export const AIQuerySelection = ({
             <div>
               <strong>Org Unit:</strong> <span style={{ color: '#666' }}>
                 {selectedOrgUnit ? selectedOrgUnit.displayName || selectedOrgUnit.name || selectedOrgUnit.id : 'None selected'}
-                {selectedOrgUnit && selectedOrgUnit.includeChildOrgUnits && <span style={{ color: '#1976d2' }}> (+ child units)</span>}
+                {getOrgUnitBreakdownName(selectedOrgUnit) && <span style={{ color: '#1976d2' }}> (+ {getOrgUnitBreakdownName(selectedOrgUnit)})</span>}
               </span>
             </div>
           </div>
@@ -421,15 +646,13 @@ export const AIQuerySelection = ({
             {aiInfo && (
               <span style={{
                 fontSize: '12px',
-                backgroundColor: aiInfo.provider === 'openai' ? '#10a37f' : '#ff6700',
+                backgroundColor: aiInfo.badgeColor,
                 color: 'white',
                 padding: '2px 6px',
                 borderRadius: '10px',
                 fontWeight: 'bold'
               }}>
-                {aiInfo.provider === 'openai'
-                  ? `OpenAI: ${aiInfo.model}`
-                  : `Ollama: ${aiInfo.model}`}
+                {`${aiInfo.label}: ${aiInfo.model}`}
               </span>
             )}
           </div>
@@ -440,6 +663,8 @@ export const AIQuerySelection = ({
           )}
         </div>
         
+        <TokenMeter conversation={conversation} aiInfo={aiInfo} />
+        
         <div 
           className="resizable-chat-area" 
           ref={resizableChatRef}
@@ -466,31 +691,62 @@ export const AIQuerySelection = ({
                   <p>{message.content}</p>
                 ) : (
                   <div className="ai-message-container">
+                    <ToolCallList toolCalls={message.toolCalls} />
                     <div className="ai-message">
-                      <ReactMarkdown 
-                        components={{
-                          // Remove className prop to fix ReactMarkdown crash and reduce spacing
-                          p: ({node, ...props}) => <p style={{ marginBottom: '8px', marginTop: '0' }} {...props} />,
-                          div: ({node, ...props}) => <div {...props} />,
-                          span: ({node, ...props}) => <span {...props} />,
-                          br: () => <br />,
-                          // Handle headings with reduced spacing
-                          h1: ({node, ...props}) => <h1 style={{ marginBottom: '8px', marginTop: '16px' }} {...props} />,
-                          h2: ({node, ...props}) => <h2 style={{ marginBottom: '6px', marginTop: '12px' }} {...props} />,
-                          h3: ({node, ...props}) => <h3 style={{ marginBottom: '4px', marginTop: '8px' }} {...props} />,
-                          h4: ({node, ...props}) => <h4 style={{ marginBottom: '4px', marginTop: '8px' }} {...props} />,
-                          // Handle lists with reduced spacing
-                          ul: ({node, ...props}) => <ul style={{ marginBottom: '8px', marginTop: '0', paddingLeft: '16px' }} {...props} />,
-                          ol: ({node, ...props}) => <ol style={{ marginBottom: '8px', marginTop: '0', paddingLeft: '16px' }} {...props} />,
-                          li: ({node, ...props}) => <li style={{ marginBottom: '2px' }} {...props} />
-                        }}
-                      >
-                        {message.content}
-                      </ReactMarkdown>
+                      {message.insights ? (
+                        <InsightCards insights={message.insights} />
+                      ) : (
+                        <ReactMarkdown 
+                          components={{
+                            // Remove className prop to fix ReactMarkdown crash and reduce spacing
+                            p: ({node, ...props}) => <p style={{ marginBottom: '8px', marginTop: '0' }} {...props} />,
+                            div: ({node, ...props}) => <div {...props} />,
+                            span: ({node, ...props}) => <span {...props} />,
+                            br: () => <br />,
+                            // Handle headings with reduced spacing
+                            h1: ({node, ...props}) => <h1 style={{ marginBottom: '8px', marginTop: '16px' }} {...props} />,
+                            h2: ({node, ...props}) => <h2 style={{ marginBottom: '6px', marginTop: '12px' }} {...props} />,
+                            h3: ({node, ...props}) => <h3 style={{ marginBottom: '4px', marginTop: '8px' }} {...props} />,
+                            h4: ({node, ...props}) => <h4 style={{ marginBottom: '4px', marginTop: '8px' }} {...props} />,
+                            // Handle lists with reduced spacing
+                            ul: ({node, ...props}) => <ul style={{ marginBottom: '8px', marginTop: '0', paddingLeft: '16px' }} {...props} />,
+                            ol: ({node, ...props}) => <ol style={{ marginBottom: '8px', marginTop: '0', paddingLeft: '16px' }} {...props} />,
+                            li: ({node, ...props}) => <li style={{ marginBottom: '2px' }} {...props} />
+                          }}
+                        >
+                          {message.content}
+                        </ReactMarkdown>
+                      )}
                     </div>
                     
                     {/* Actions for AI messages */}
                     <div className="message-actions">
+                      {message.truncated && (
+                        <span className="truncated-badge">
+                          Stopped early - this answer is incomplete
+                        </span>
+                      )}
+                      {message.structuredFallback && (
+                        <span className="truncated-badge">
+                          Shown as text - the answer did not match the structured insights format
+                        </span>
+                      )}
+                      {message.cached && (
+                        <>
+                          <span className="cached-badge">
+                            Cached response{message.cachedAt ? ` from ${new Date(message.cachedAt).toLocaleString()}` : ''}
+                          </span>
+                          <Tooltip content="Skip the cache and send this question to the AI provider again">
+                            <Button
+                              small
+                              onClick={() => handleReaskLive(index)}
+                              disabled={isLoading}
+                            >
+                              Re-ask live
+                            </Button>
+                          </Tooltip>
+                        </>
+                      )}
                       <Tooltip content="Download as HTML report (can be printed or saved as PDF)">
                         <Button
                           small
@@ -525,6 +781,7 @@ export const AIQuerySelection = ({
             {isStreaming && streamingMessage && (
               <div className="message-bubble message-ai">
                 <div className="ai-message-container">
+                  <ToolCallList toolCalls={liveToolCalls} />
                   <div className="ai-message">
                     <ReactMarkdown 
                       components={{
@@ -558,15 +815,18 @@ export const AIQuerySelection = ({
             {isLoading && !isStreaming && (
               <div className="message-bubble message-ai" style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
                 <CircularLoader small />
-                <p>Analyzing your data...</p>
+                <p>{loadingProgress ? `${loadingProgress.message}...` : 'Analyzing your data...'}</p>
               </div>
             )}
             
             {/* Initial streaming indicator */}
             {isStreaming && !streamingMessage && (
-              <div className="message-bubble message-ai" style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
-                <CircularLoader small />
-                <p>Thinking...</p>
+              <div className="message-bubble message-ai">
+                <ToolCallList toolCalls={liveToolCalls} />
+                <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+                  <CircularLoader small />
+                  <p>{liveToolCalls.length > 0 ? 'Fetching more data from DHIS2...' : 'Thinking...'}</p>
+                </div>
               </div>
             )}
             
@@ -603,14 +863,23 @@ export const AIQuerySelection = ({
                 />
                 
                 <div className="query-button-container">
-                  <Button
-                    primary
-                    onClick={handleQuerySubmit}
-                    disabled={isLoading || !query.trim()}
-                    icon={<IconArrowRight24 />}
-                  >
-                    Send
-                  </Button>
+                  {isStreaming ? (
+                    <Button
+                      destructive
+                      onClick={handleStopGeneration}
+                    >
+                      Stop
+                    </Button>
+                  ) : (
+                    <Button
+                      primary
+                      onClick={() => handleQuerySubmit()}
+                      disabled={isLoading || !query.trim()}
+                      icon={<IconArrowRight24 />}
+                    >
+                      Send
+                    </Button>
+                  )}
                 </div>
               </div>
             </Box>
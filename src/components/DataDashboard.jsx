@@ -13,7 +13,13 @@ import {
 import { Chart as ChartJS, registerables } from 'chart.js'
 import { Bar, Line, Pie } from 'react-chartjs-2'
 import { fetchDataForElements } from '../utils/dhis2Data'
-import { formatValue, formatPeriod } from '../utils/formatters'
+import { formatValue, formatPeriod, formatPercentage } from '../utils/formatters'
+import { comparePeriodIds } from '../utils/periods'
+import { getSettings } from '../utils/storage'
+import { getOrgUnitBreakdownName } from '../utils/orgUnits'
+import { describeAnalyticsQuery } from '../utils/analyticsQuery'
+import { THRESHOLD_METHODS } from '../utils/outbreak'
+import { DATA_QUALITY_DIMENSIONS } from '../utils/dataQuality'
 
 // Register ChartJS components
 ChartJS.register(...registerables)
@@ -31,7 +37,8 @@ export const DataDashboard = ({
   selectedDataElements,
   selectedPeriod,
   selectedOrgUnit,
-  selectedDataType = 'aggregate' 
+  selectedDataType = 'aggregate',
+  analyticsQuery = null
 }) => {
   const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState(null)
@@ -40,6 +47,16 @@ export const DataDashboard = ({
   const [activeTab, setActiveTab] = useState('chart')
   const [tableData, setTableData] = useState([])
   const [sortConfig, setSortConfig] = useState({ key: null, direction: 'ascending' })
+  const [comparisons, setComparisons] = useState(null)
+  const [eventSummary, setEventSummary] = useState(null)
+  const [trackerSummary, setTrackerSummary] = useState(null)
+  const [groupSetBreakdown, setGroupSetBreakdown] = useState(null)
+  const [categoryBreakdown, setCategoryBreakdown] = useState(null)
+  const [statistics, setStatistics] = useState(null)
+  const [outbreaks, setOutbreaks] = useState(null)
+  const [dataQuality, setDataQuality] = useState(null)
+  const [loadingProgress, setLoadingProgress] = useState(null)
+  const [truncationNote, setTruncationNote] = useState(null)
 
   useEffect(() => {
     const loadData = async () => {
@@ -50,6 +67,15 @@ export const DataDashboard = ({
       try {
         setIsLoading(true)
         setError(null)
+        setComparisons(null)
+        setEventSummary(null)
+        setTrackerSummary(null)
+        setGroupSetBreakdown(null)
+        setCategoryBreakdown(null)
+        setStatistics(null)
+        setOutbreaks(null)
+        setDataQuality(null)
+        setTruncationNote(null)
 
         console.log("DataDashboard - Loading data with:", {
           dataElements: selectedDataElements,
@@ -64,7 +90,8 @@ export const DataDashboard = ({
         let dataElementIds = selectedDataElements;
 
         // Check if we have objects with IDs and extract just the IDs for the API call
-        if (typeof selectedDataElements[0] === 'object' && selectedDataElements[0] !== null) {
+        // (event and tracker analysis need the program and stage carried by the objects, so keep them)
+        if (!['event', 'tracker'].includes(selectedDataType) && typeof selectedDataElements[0] === 'object' && selectedDataElements[0] !== null) {
           if (selectedDataElements[0].id) {
             dataElementIds = selectedDataElements.map(de => de.id);
             console.log("Extracted IDs from objects:", dataElementIds);
@@ -80,10 +107,17 @@ export const DataDashboard = ({
           dataElementIds, // Use the extracted IDs
           selectedPeriod,
           selectedOrgUnit,
-          selectedDataType
+          selectedDataType,
+          {
+            includeComparisons: getSettings().comparePeriods !== false,
+            maxRows: getSettings().maxDataRows,
+            onProgress: setLoadingProgress,
+            query: analyticsQuery
+          }
         )
 
         console.log("Data fetched successfully, now processing for visualization");
+        setTruncationNote(data.truncated ? data.truncationNote : null)
 
         // Process the data for charts
         processDataForVisualization(data)
@@ -92,11 +126,12 @@ export const DataDashboard = ({
         setError(`Error loading data: ${err.message}`)
       } finally {
         setIsLoading(false)
+        setLoadingProgress(null)
       }
     }
 
     loadData()
-  }, [engine, selectedDataElements, selectedPeriod, selectedOrgUnit, selectedDataType])
+  }, [engine, selectedDataElements, selectedPeriod, selectedOrgUnit, selectedDataType, analyticsQuery])
 
   const processDataForVisualization = (data) => {
     console.log("Processing data for visualization:", data);
@@ -111,6 +146,9 @@ export const DataDashboard = ({
       return;
     }
 
+    // The data quality checks also explain an empty result, so they are kept without rows
+    setDataQuality(data.dataQuality || null)
+
     if (!data.rows || data.rows.length === 0) {
       setError('No data rows available for the selected criteria. Try selecting different data elements or a different time period.');
       return;
@@ -196,6 +234,9 @@ export const DataDashboard = ({
           uniquePeriods.sort((a, b) => a.localeCompare(b));
         }
       }
+    } else {
+      // Other selections can mix period types (e.g. weeks and months), so order by start date
+      uniquePeriods.sort(comparePeriodIds)
     }
     
     const labels = uniquePeriods.map(periodId => {
@@ -410,6 +451,13 @@ export const DataDashboard = ({
     }
 
     setTableData(sortedTableRows)
+    setComparisons((data.summary && data.summary.comparisons) || null)
+    setEventSummary(data.eventSummary || null)
+    setTrackerSummary(data.trackerSummary || null)
+    setGroupSetBreakdown((data.summary && data.summary.groupSetBreakdown) || null)
+    setCategoryBreakdown((data.summary && data.summary.categoryBreakdown) || null)
+    setStatistics((data.summary && data.summary.statistics) || null)
+    setOutbreaks((data.summary && data.summary.outbreaks) || null)
   }
 
   const handleChartTypeChange = ({ selected }) => {
@@ -644,6 +692,463 @@ export const DataDashboard = ({
     )
   }
 
+  // Render the change against the previous period and the same period last year
+  const renderComparisonTable = () => {
+    if (!comparisons) return null
+
+    const renderChange = (change, percentChange) => {
+      if (change === null) return <span style={{ color: '#999' }}>-</span>
+      const color = change > 0 ? '#2e7d32' : change < 0 ? '#c62828' : '#666'
+      const arrow = change > 0 ? '▲' : change < 0 ? '▼' : ''
+      return (
+        <span style={{ color }}>
+          {arrow} {formatValue(Math.abs(change), 'NUMBER')}
+          {percentChange !== null && ` (${percentChange > 0 ? '+' : ''}${percentChange}%)`}
+        </span>
+      )
+    }
+
+    const rows = [
+      ...Object.entries(comparisons.dataElements).map(([dataElement, stats]) => ({
+        orgUnit: comparisons.orgUnits ? 'All selected' : selectedOrgUnit?.displayName || selectedOrgUnit?.name,
+        dataElement,
+        stats
+      })),
+      ...Object.entries(comparisons.orgUnits || {}).flatMap(([orgUnit, ouData]) =>
+        Object.entries(ouData).map(([dataElement, stats]) => ({ orgUnit, dataElement, stats }))
+      )
+    ]
+
+    return (
+      <>
+        <p style={{ fontSize: '14px', color: '#666', marginTop: 0 }}>
+          <strong>Selected:</strong> {comparisons.periods.current} &middot;{' '}
+          <strong>Previous period:</strong> {comparisons.periods.previous} &middot;{' '}
+          <strong>Same period last year:</strong> {comparisons.periods.lastYear}
+          <br />
+          Values are {comparisons.aggregation === 'average' ? 'averages' : 'totals'} over each period range.
+        </p>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th style={tableHeaderStyle}>Data Element</th>
+              <th style={tableHeaderStyle}>Organization Unit</th>
+              <th style={tableHeaderStyle}>Selected</th>
+              <th style={tableHeaderStyle}>Previous</th>
+              <th style={tableHeaderStyle}>Change</th>
+              <th style={tableHeaderStyle}>Last Year</th>
+              <th style={tableHeaderStyle}>Change</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, index) => (
+              <tr key={index} style={{ backgroundColor: index % 2 === 0 ? '#f8f8f8' : 'white' }}>
+                <td style={tableCellStyle}>{row.dataElement}</td>
+                <td style={tableCellStyle}>{row.orgUnit}</td>
+                <td style={tableCellStyle}>{formatValue(row.stats.current, 'NUMBER')}</td>
+                <td style={tableCellStyle}>{formatValue(row.stats.previous, 'NUMBER')}</td>
+                <td style={tableCellStyle}>{renderChange(row.stats.changeFromPrevious, row.stats.percentChangeFromPrevious)}</td>
+                <td style={tableCellStyle}>{formatValue(row.stats.lastYear, 'NUMBER')}</td>
+                <td style={tableCellStyle}>{renderChange(row.stats.changeFromLastYear, row.stats.percentChangeFromLastYear)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </>
+    )
+  }
+
+  // Render one table per org unit group set, with a row per group and a column per data item
+  const renderGroupSetBreakdown = () => {
+    if (!groupSetBreakdown) return null
+
+    return Object.entries(groupSetBreakdown).map(([groupSet, groups]) => {
+      const dataNames = Array.from(new Set(Object.values(groups).flatMap(values => Object.keys(values))))
+      return (
+        <div key={groupSet}>
+          <h4 style={{ margin: '16px 0 8px' }}>By {groupSet}</h4>
+          <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '16px' }}>
+            <thead>
+              <tr>
+                <th style={tableHeaderStyle}>Group</th>
+                {dataNames.map(name => <th key={name} style={tableHeaderStyle}>{name}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(groups).map(([group, values], index) => (
+                <tr key={group} style={{ backgroundColor: index % 2 === 0 ? '#f8f8f8' : 'white' }}>
+                  <td style={tableCellStyle}>{group}</td>
+                  {dataNames.map(name => (
+                    <td key={name} style={tableCellStyle}>{values[name] === undefined ? '-' : formatValue(values[name], 'NUMBER')}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )
+    })
+  }
+
+  // Render one table per data element and category, with a row per category option
+  const renderCategoryBreakdown = () => {
+    if (!categoryBreakdown) return null
+
+    return Object.entries(categoryBreakdown).flatMap(([category, dataElements]) =>
+      Object.entries(dataElements).map(([dataElement, breakdown]) => (
+        <div key={`${category}-${dataElement}`}>
+          <h4 style={{ margin: '16px 0 8px' }}>{dataElement} by {category}</h4>
+          <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '16px' }}>
+            <thead>
+              <tr>
+                <th style={tableHeaderStyle}>{category}</th>
+                <th style={tableHeaderStyle}>Total</th>
+                <th style={tableHeaderStyle}>% of total</th>
+                {breakdown.change !== null && (
+                  <>
+                    <th style={tableHeaderStyle}>Change ({breakdown.periods[0]} to {breakdown.periods[1]})</th>
+                    <th style={tableHeaderStyle}>% of change</th>
+                  </>
+                )}
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(breakdown.options).map(([option, stats], index) => (
+                <tr key={option} style={{ backgroundColor: index % 2 === 0 ? '#f8f8f8' : 'white' }}>
+                  <td style={tableCellStyle}>{option}</td>
+                  <td style={tableCellStyle}>{formatValue(stats.total, 'NUMBER')}</td>
+                  <td style={tableCellStyle}>{stats.percentOfTotal === null ? '-' : `${stats.percentOfTotal}%`}</td>
+                  {breakdown.change !== null && (
+                    <>
+                      <td style={tableCellStyle}>{stats.change > 0 ? '+' : ''}{formatValue(stats.change, 'NUMBER')}</td>
+                      <td style={tableCellStyle}>{stats.percentOfChange === null ? '-' : `${stats.percentOfChange}%`}</td>
+                    </>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))
+    )
+  }
+
+  // Render the trend, seasonality, outlier and alert analysis of each data element, then every finding
+  const renderStatistics = () => {
+    if (!statistics) return null
+    const severityColors = { alert: '#d32f2f', warning: '#ed6c02', info: '#1976d2' }
+
+    return (
+      <>
+        <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '16px' }}>
+          <thead>
+            <tr>
+              <th style={tableHeaderStyle}>Data Element</th>
+              <th style={tableHeaderStyle}>Trend</th>
+              <th style={tableHeaderStyle}>Moving average</th>
+              <th style={tableHeaderStyle}>Year over year</th>
+              <th style={tableHeaderStyle}>Seasonality</th>
+              <th style={tableHeaderStyle}>Outliers</th>
+              <th style={tableHeaderStyle}>Alert</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(statistics.dataElements).map(([dataElement, { overall }], index) => (
+              <tr key={dataElement} style={{ backgroundColor: index % 2 === 0 ? '#f8f8f8' : 'white' }}>
+                <td style={tableCellStyle}>{dataElement}</td>
+                <td style={tableCellStyle}>
+                  {overall.trend
+                    ? `${overall.trend.direction} (${overall.trend.slope > 0 ? '+' : ''}${overall.trend.slope}/period, p = ${overall.trend.pValue})`
+                    : '-'}
+                </td>
+                <td style={tableCellStyle}>
+                  {overall.movingAverage ? `${formatValue(overall.movingAverage.latest, 'NUMBER')} (was ${formatValue(overall.movingAverage.previous, 'NUMBER')})` : '-'}
+                </td>
+                <td style={tableCellStyle}>
+                  {overall.yearOverYear && overall.yearOverYear.percentChange !== null
+                    ? `${overall.yearOverYear.percentChange > 0 ? '+' : ''}${overall.yearOverYear.percentChange}%`
+                    : '-'}
+                </td>
+                <td style={tableCellStyle}>
+                  {overall.seasonality
+                    ? `${overall.seasonality.seasonal ? `Peak ${overall.seasonality.peakMonth}` : 'Not significant'} (strength ${overall.seasonality.strength})`
+                    : '-'}
+                </td>
+                <td style={tableCellStyle}>{overall.outliers.length}</td>
+                <td style={{ ...tableCellStyle, color: overall.alerts && overall.alerts.latestInAlert ? severityColors.alert : undefined }}>
+                  {overall.alerts ? (overall.alerts.latestInAlert ? 'Yes' : 'No') : '-'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <h4 style={{ margin: '16px 0 8px' }}>Findings</h4>
+        {statistics.findings.length === 0 ? (
+          <p style={{ fontSize: '14px' }}>No alerts, outliers or significant trends were found.</p>
+        ) : (
+          <ul style={{ fontSize: '14px', paddingLeft: '20px' }}>
+            {statistics.findings.map((finding, index) => (
+              <li key={index} style={{ marginBottom: '4px' }}>
+                <strong style={{ color: severityColors[finding.severity] }}>{finding.severity.toUpperCase()}</strong> {finding.message}
+              </li>
+            ))}
+          </ul>
+        )}
+      </>
+    )
+  }
+
+  // Render the ranked values above the epidemic thresholds with the thresholds they exceed
+  const renderOutbreaks = () => {
+    if (!outbreaks) return null
+    const levelColors = { epidemic: '#d32f2f', alert: '#ed6c02' }
+    const showOrgUnit = outbreaks.alerts.some(alert => alert.orgUnit)
+
+    if (outbreaks.alerts.length === 0) {
+      return (
+        <p style={{ fontSize: '14px' }}>
+          No period or organization unit is above the alert or epidemic threshold
+          ({outbreaks.evaluated} values compared{outbreaks.insufficientHistory > 0 ? `, ${outbreaks.insufficientHistory} with too little history` : ''}).
+        </p>
+      )
+    }
+
+    return (
+      <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr>
+            <th style={tableHeaderStyle}>#</th>
+            <th style={tableHeaderStyle}>Level</th>
+            <th style={tableHeaderStyle}>Data Element</th>
+            {showOrgUnit && <th style={tableHeaderStyle}>Organization Unit</th>}
+            <th style={tableHeaderStyle}>Period</th>
+            <th style={tableHeaderStyle}>Value</th>
+            {THRESHOLD_METHODS.map(method => (
+              <th key={method.id} style={tableHeaderStyle}>{method.name}</th>
+            ))}
+            <th style={tableHeaderStyle}>Times median</th>
+          </tr>
+        </thead>
+        <tbody>
+          {outbreaks.alerts.map((alert, index) => (
+            <tr key={index} style={{ backgroundColor: index % 2 === 0 ? '#f8f8f8' : 'white' }}>
+              <td style={tableCellStyle}>{index + 1}</td>
+              <td style={{ ...tableCellStyle, color: levelColors[alert.level], fontWeight: 'bold' }}>
+                {alert.level === 'epidemic' ? 'Epidemic' : 'Alert'}
+              </td>
+              <td style={tableCellStyle}>{alert.dataElement}</td>
+              {showOrgUnit && <td style={tableCellStyle}>{alert.orgUnit}</td>}
+              <td style={tableCellStyle}>
+                {formatPeriod(alert.period)}{alert.latest && <strong> (latest)</strong>}
+              </td>
+              <td style={tableCellStyle}>{formatValue(alert.value, 'NUMBER')}</td>
+              {THRESHOLD_METHODS.map(method => (
+                <td
+                  key={method.id}
+                  style={{ ...tableCellStyle, color: alert.exceeded.includes(method.id) ? levelColors[alert.level] : undefined }}
+                >
+                  {formatValue(alert.thresholds[method.id], 'NUMBER')}
+                </td>
+              ))}
+              <td style={tableCellStyle}>{alert.timesMedian !== null ? `${alert.timesMedian}x` : '-'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )
+  }
+
+  // Render the data quality scorecard per org unit, lowest score first, and the issues found
+  const renderDataQuality = () => {
+    if (!dataQuality) return null
+    const gradeColors = { good: '#2e7d32', fair: '#ed6c02', poor: '#d32f2f' }
+    const formatScore = (score) => (score === null ? '-' : formatPercentage(score))
+    const { overall } = dataQuality
+
+    return (
+      <>
+        <p style={{ fontSize: '14px', marginTop: 0 }}>
+          <strong>Overall score:</strong>{' '}
+          <span style={{ color: gradeColors[overall.grade], fontWeight: 'bold' }}>
+            {formatScore(overall.score)}{overall.grade && ` (${overall.grade})`}
+          </span>
+          {' - '}
+          {overall.missingValues !== null && `${overall.missingValues} missing, `}
+          {overall.zeroValues} zero, {overall.outliers} extreme outlier and {overall.inconsistencies} inconsistent values
+          {dataQuality.dataSets.length > 0 && ` - reporting of ${dataQuality.dataSets.map(dataSet => dataSet.name).join(', ')}`}
+        </p>
+        <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '16px' }}>
+          <thead>
+            <tr>
+              <th style={tableHeaderStyle}>Organization Unit</th>
+              <th style={tableHeaderStyle}>Score</th>
+              {DATA_QUALITY_DIMENSIONS.map(dimension => (
+                <th key={dimension.id} style={tableHeaderStyle}>{dimension.name}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {dataQuality.orgUnits.map((card, index) => (
+              <tr key={card.orgUnit} style={{ backgroundColor: index % 2 === 0 ? '#f8f8f8' : 'white' }}>
+                <td style={tableCellStyle}>{card.orgUnit}</td>
+                <td style={{ ...tableCellStyle, color: gradeColors[card.grade], fontWeight: 'bold' }}>
+                  {formatScore(card.score)}{card.grade && ` (${card.grade})`}
+                </td>
+                {DATA_QUALITY_DIMENSIONS.map(dimension => (
+                  <td key={dimension.id} style={tableCellStyle}>{formatScore(card.scores[dimension.id])}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <h4 style={{ margin: '16px 0 8px' }}>Issues</h4>
+        {dataQuality.issues.length === 0 ? (
+          <p style={{ fontSize: '14px' }}>No data quality issues were found.</p>
+        ) : (
+          <ul style={{ fontSize: '14px', paddingLeft: '20px' }}>
+            {dataQuality.issues.map((issue, index) => (
+              <li key={index} style={{ marginBottom: '4px' }}>{issue}</li>
+            ))}
+          </ul>
+        )}
+      </>
+    )
+  }
+
+  // Render counts keyed by name as a two-column table
+  const renderCountTable = (title, counts, countLabel = 'Events') => (
+    <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '16px' }}>
+      <thead>
+        <tr>
+          <th style={tableHeaderStyle}>{title}</th>
+          <th style={tableHeaderStyle}>{countLabel}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {Object.entries(counts).map(([name, count], index) => (
+          <tr key={name} style={{ backgroundColor: index % 2 === 0 ? '#f8f8f8' : 'white' }}>
+            <td style={tableCellStyle}>{name}</td>
+            <td style={tableCellStyle}>{formatValue(count, 'INTEGER')}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
+
+  // Render the value breakdown of each event or tracker data element
+  const renderFieldBreakdowns = (breakdowns, countLabel) => {
+    const valueTitles = { ageBands: 'Age (years)', months: 'Month' }
+    return Object.entries(breakdowns).map(([dataElement, breakdown]) => (
+      <div key={dataElement}>
+        <h4 style={{ margin: '16px 0 8px' }}>{dataElement}</h4>
+        {breakdown.type === 'numeric' ? (
+          <p style={{ fontSize: '14px', margin: '0 0 16px' }}>
+            Mean {formatValue(breakdown.mean, 'NUMBER')} &middot; Median {formatValue(breakdown.median, 'NUMBER')} &middot;
+            Min {formatValue(breakdown.min, 'NUMBER')} &middot; Max {formatValue(breakdown.max, 'NUMBER')} &middot;
+            {' '}{breakdown.count} values
+          </p>
+        ) : breakdown.type === 'recorded' ? (
+          <p style={{ fontSize: '14px', margin: '0 0 16px' }}>Recorded in {breakdown.recorded} events</p>
+        ) : (
+          renderCountTable(valueTitles[breakdown.type] || 'Value', breakdown.values, countLabel)
+        )}
+      </div>
+    ))
+  }
+
+  // Render event counts and the value breakdown of each event data element
+  const renderEventBreakdown = () => {
+    if (!eventSummary) return null
+
+    return (
+      <>
+        <p style={{ fontSize: '14px', color: '#666', marginTop: 0 }}>
+          <strong>{eventSummary.program}</strong> ({eventSummary.stage}): {formatValue(eventSummary.totalEvents, 'INTEGER')} events
+          {eventSummary.sampled && ` - value statistics use the first ${eventSummary.eventsAnalysed} events`}
+        </p>
+
+        {renderFieldBreakdowns(eventSummary.dataElementBreakdowns)}
+
+        <h4 style={{ margin: '16px 0 8px' }}>Events by organization unit</h4>
+        {renderCountTable('Organization Unit', eventSummary.eventsByOrgUnit)}
+      </>
+    )
+  }
+
+  // Render enrollment status, stage completion, cohorts and de-identified breakdowns
+  const renderTrackerSummary = () => {
+    if (!trackerSummary) return null
+
+    return (
+      <>
+        <p style={{ fontSize: '14px', color: '#666', marginTop: 0 }}>
+          <strong>{trackerSummary.program}</strong>: {formatValue(trackerSummary.enrollments, 'INTEGER')} enrollments
+          {trackerSummary.truncated && ` - only ${trackerSummary.trackedEntitiesAnalysed} of ${trackerSummary.trackedEntitiesTotal} tracked entities were analysed`}
+          <br />
+          Counts below 5 are shown as &quot;&lt;5&quot;
+          {trackerSummary.suppressedCells > 0 ? `, and ${trackerSummary.suppressedCells} month and organisation unit cells with fewer than 5 enrollments are left out of the charts and table.` : '.'}
+          {trackerSummary.excludedFields.length > 0 && ` Not shown to protect privacy: ${trackerSummary.excludedFields.join(', ')}.`}
+        </p>
+
+        <h4 style={{ margin: '16px 0 8px' }}>Enrollment status</h4>
+        {renderCountTable('Status', trackerSummary.enrollmentStatus, 'Enrollments')}
+
+        <h4 style={{ margin: '16px 0 8px' }}>Program stage completion</h4>
+        <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '16px' }}>
+          <thead>
+            <tr>
+              <th style={tableHeaderStyle}>Stage</th>
+              <th style={tableHeaderStyle}>Events</th>
+              <th style={tableHeaderStyle}>Completed events</th>
+              <th style={tableHeaderStyle}>Enrollments with stage completed</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(trackerSummary.stageCompletion).map(([stage, stats], index) => (
+              <tr key={stage} style={{ backgroundColor: index % 2 === 0 ? '#f8f8f8' : 'white' }}>
+                <td style={tableCellStyle}>{stage}</td>
+                <td style={tableCellStyle}>{formatValue(stats.events, 'INTEGER')}</td>
+                <td style={tableCellStyle}>{formatValue(stats.completedEvents, 'INTEGER')}</td>
+                <td style={tableCellStyle}>
+                  {formatValue(stats.enrollmentsCompleted, 'INTEGER')}
+                  {stats.completionRate !== null && ` (${formatPercentage(stats.completionRate)})`}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <h4 style={{ margin: '16px 0 8px' }}>Enrollment cohorts</h4>
+        <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '16px' }}>
+          <thead>
+            <tr>
+              <th style={tableHeaderStyle}>Enrolled in</th>
+              <th style={tableHeaderStyle}>Enrolled</th>
+              <th style={tableHeaderStyle}>Active</th>
+              <th style={tableHeaderStyle}>Completed</th>
+              <th style={tableHeaderStyle}>Cancelled</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(trackerSummary.cohorts).map(([cohort, counts], index) => (
+              <tr key={cohort} style={{ backgroundColor: index % 2 === 0 ? '#f8f8f8' : 'white' }}>
+                <td style={tableCellStyle}>{cohort}</td>
+                <td style={tableCellStyle}>{formatValue(counts.enrolled, 'INTEGER')}</td>
+                <td style={tableCellStyle}>{formatValue(counts.ACTIVE, 'INTEGER')}</td>
+                <td style={tableCellStyle}>{formatValue(counts.COMPLETED, 'INTEGER')}</td>
+                <td style={tableCellStyle}>{formatValue(counts.CANCELLED, 'INTEGER')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {renderFieldBreakdowns(trackerSummary.dataElementBreakdowns, 'Count')}
+      </>
+    )
+  }
+
   const tableHeaderStyle = {
     padding: '12px 8px',
     borderBottom: '2px solid #ddd',
@@ -669,16 +1174,7 @@ export const DataDashboard = ({
 
   // Helper function to format period display
   const formatPeriodDisplay = (period) => {
-    const periodMap = {
-      'THIS_MONTH': 'This Month',
-      'LAST_MONTH': 'Last Month', 
-      'THIS_QUARTER': 'This Quarter',
-      'LAST_QUARTER': 'Last Quarter',
-      'THIS_YEAR': 'This Year',
-      'LAST_YEAR': 'Last Year',
-      'LAST_12_MONTHS': 'Last 12 Months'
-    }
-    return periodMap[period] || period
+    return formatPeriod(period)
   }
 
   return (
@@ -696,10 +1192,15 @@ export const DataDashboard = ({
             <div>
               <strong>Org Unit:</strong> <span style={{ color: '#666' }}>
                 {selectedOrgUnit ? selectedOrgUnit.displayName || selectedOrgUnit.name || selectedOrgUnit.id : 'None selected'}
-                {selectedOrgUnit && selectedOrgUnit.includeChildOrgUnits && <span style={{ color: '#1976d2' }}> (+ child units)</span>}
+                {getOrgUnitBreakdownName(selectedOrgUnit) && <span style={{ color: '#1976d2' }}> (+ {getOrgUnitBreakdownName(selectedOrgUnit)})</span>}
               </span>
             </div>
           </div>
+          {describeAnalyticsQuery(analyticsQuery).length > 0 && (
+            <div style={{ fontSize: '13px', color: '#666', marginTop: '6px' }}>
+              <strong>Query options:</strong> {describeAnalyticsQuery(analyticsQuery).join('; ')}
+            </div>
+          )}
         </Box>
       </Card>
       
@@ -712,14 +1213,51 @@ export const DataDashboard = ({
           ) : isLoading ? (
             <Box margin="24px 0" display="flex" justifyContent="center">
               <CircularLoader />
-              <p style={{ marginLeft: '8px' }}>Loading data...</p>
+              <p style={{ marginLeft: '8px' }}>{loadingProgress ? `${loadingProgress.message}...` : 'Loading data...'}</p>
             </Box>
           ) : error ? (
-            <NoticeBox error title="Error">
-              {error}
-            </NoticeBox>
+            <>
+              <NoticeBox error title="Error">
+                {error}
+              </NoticeBox>
+              {dataQuality && (
+                <Box margin="16px 0">
+                  <h4 style={{ margin: '0 0 8px' }}>Data quality</h4>
+                  {renderDataQuality()}
+                </Box>
+              )}
+            </>
           ) : (
             <>
+              {truncationNote && (
+                <Box margin="0 0 16px 0">
+                  <NoticeBox warning title="Partial data">
+                    {truncationNote}
+                  </NoticeBox>
+                </Box>
+              )}
+              {outbreaks && outbreaks.alerts.some(alert => alert.latest) && (
+                <Box margin="0 0 16px 0">
+                  <NoticeBox error title="Outbreak alerts in the latest period">
+                    {outbreaks.alerts
+                      .filter(alert => alert.latest)
+                      .slice(0, 5)
+                      .map((alert, index) => <div key={index}>{alert.message}</div>)}
+                    <div style={{ marginTop: '4px' }}>See the Outbreaks tab for the ranked alert list.</div>
+                  </NoticeBox>
+                </Box>
+              )}
+              {statistics && statistics.findings.some(finding => finding.severity === 'alert') && (
+                <Box margin="0 0 16px 0">
+                  <NoticeBox warning title="Statistical alerts">
+                    {statistics.findings
+                      .filter(finding => finding.severity === 'alert')
+                      .slice(0, 5)
+                      .map((finding, index) => <div key={index}>{finding.message}</div>)}
+                    <div style={{ marginTop: '4px' }}>See the Statistics tab for details.</div>
+                  </NoticeBox>
+                </Box>
+              )}
               <Box margin="0 0 16px 0">
                 <TabBar>
                   <Tab 
@@ -734,6 +1272,70 @@ export const DataDashboard = ({
                   >
                     Table View
                   </Tab>
+                  {eventSummary && (
+                    <Tab 
+                      selected={activeTab === 'events'} 
+                      onClick={() => setActiveTab('events')}
+                    >
+                      Event Breakdown
+                    </Tab>
+                  )}
+                  {trackerSummary && (
+                    <Tab 
+                      selected={activeTab === 'tracker'} 
+                      onClick={() => setActiveTab('tracker')}
+                    >
+                      Enrollment Analysis
+                    </Tab>
+                  )}
+                  {statistics && (
+                    <Tab 
+                      selected={activeTab === 'statistics'} 
+                      onClick={() => setActiveTab('statistics')}
+                    >
+                      Statistics
+                    </Tab>
+                  )}
+                  {dataQuality && (
+                    <Tab 
+                      selected={activeTab === 'dataQuality'} 
+                      onClick={() => setActiveTab('dataQuality')}
+                    >
+                      Data Quality
+                    </Tab>
+                  )}
+                  {outbreaks && (
+                    <Tab 
+                      selected={activeTab === 'outbreaks'} 
+                      onClick={() => setActiveTab('outbreaks')}
+                    >
+                      Outbreaks
+                    </Tab>
+                  )}
+                  {comparisons && (
+                    <Tab 
+                      selected={activeTab === 'comparison'} 
+                      onClick={() => setActiveTab('comparison')}
+                    >
+                      Period Comparison
+                    </Tab>
+                  )}
+                  {groupSetBreakdown && (
+                    <Tab 
+                      selected={activeTab === 'groups'} 
+                      onClick={() => setActiveTab('groups')}
+                    >
+                      Group Comparison
+                    </Tab>
+                  )}
+                  {categoryBreakdown && (
+                    <Tab 
+                      selected={activeTab === 'categories'} 
+                      onClick={() => setActiveTab('categories')}
+                    >
+                      Disaggregation
+                    </Tab>
+                  )}
                 </TabBar>
               </Box>
               
@@ -747,7 +1349,7 @@ export const DataDashboard = ({
                   borderRadius="4px"
                 >
                   <p style={{ margin: 0, fontSize: '14px', color: '#1976d2' }}>
-                    <strong>📊 Multi-Organization Unit Analysis:</strong> Data is broken down by individual child organization units for comparative analysis.
+                    <strong>📊 Multi-Organization Unit Analysis:</strong> Data is broken down by {getOrgUnitBreakdownName(selectedOrgUnit)} for comparative analysis.
                     {chartData.datasets.length > 1 && ` Showing ${chartData.datasets.length} organization units.`}
                   </p>
                 </Box>
@@ -775,6 +1377,53 @@ export const DataDashboard = ({
                     {renderChart()}
                   </div>
                 </>
+              ) : activeTab === 'events' && eventSummary ? (
+                <Box margin="16px 0">
+                  {renderEventBreakdown()}
+                </Box>
+              ) : activeTab === 'tracker' && trackerSummary ? (
+                <Box margin="16px 0">
+                  {renderTrackerSummary()}
+                </Box>
+              ) : activeTab === 'statistics' && statistics ? (
+                <Box margin="16px 0">
+                  <p style={{ fontSize: '14px', color: '#666', marginTop: 0 }}>
+                    Trends are tested for significance (p &lt; 0.05). Outliers use z-scores (|z| &ge; 3) and the interquartile range; alerts compare the latest 3 periods with the periods before them (EWMA and CUSUM).
+                  </p>
+                  {renderStatistics()}
+                </Box>
+              ) : activeTab === 'dataQuality' && dataQuality ? (
+                <Box margin="16px 0">
+                  <p style={{ fontSize: '14px', color: '#666', marginTop: 0 }}>
+                    Completeness and timeliness come from the reporting rates of the datasets; values present counts the data element and period values reported; outliers have a modified z-score of 3.5 or more; consistency checks that numerators of percentage indicators do not exceed their denominators.
+                  </p>
+                  {renderDataQuality()}
+                </Box>
+              ) : activeTab === 'outbreaks' && outbreaks ? (
+                <Box margin="16px 0">
+                  <p style={{ fontSize: '14px', color: '#666', marginTop: 0 }}>
+                    Each value is compared with the same period in the previous {outbreaks.baselineYears} years (and the neighbouring weeks for weekly data). Values above the mean + 2 SD are at epidemic level, values above the third quartile at alert level; the 5-year median is the expected level.
+                  </p>
+                  {renderOutbreaks()}
+                </Box>
+              ) : activeTab === 'comparison' && comparisons ? (
+                <Box margin="16px 0">
+                  {renderComparisonTable()}
+                </Box>
+              ) : activeTab === 'groups' && groupSetBreakdown ? (
+                <Box margin="16px 0">
+                  <p style={{ fontSize: '14px', color: '#666', marginTop: 0 }}>
+                    Totals over the whole period and all selected organization units, per org unit group.
+                  </p>
+                  {renderGroupSetBreakdown()}
+                </Box>
+              ) : activeTab === 'categories' && categoryBreakdown ? (
+                <Box margin="16px 0">
+                  <p style={{ fontSize: '14px', color: '#666', marginTop: 0 }}>
+                    Totals over the whole period and organization unit selection, per category option. The share of the change shows which options drive an increase or decrease.
+                  </p>
+                  {renderCategoryBreakdown()}
+                </Box>
               ) : (
                 <Box margin="16px 0">
                   {renderTable()}
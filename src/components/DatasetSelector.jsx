@@ -15,9 +15,12 @@ import {
   Divider,
   NoticeBox,
   Transfer,
-  Checkbox
+  CheckboxField
 } from '@dhis2/ui'
 import { IconCheckmark24 } from '@dhis2/ui-icons'
+import { PeriodSelector } from './PeriodSelector.jsx'
+import { QueryOptions } from './QueryOptions.jsx'
+import { parseBreakdownOptionValue } from '../utils/orgUnits'
 
 // Query to fetch data elements
 const dataElementsQuery = {
@@ -99,6 +102,32 @@ const orgUnitsQuery = {
   }
 }
 
+// Query to fetch the hierarchy levels, org unit groups and group sets offered as breakdowns
+const orgUnitBreakdownQuery = {
+  levels: {
+    resource: 'organisationUnitLevels',
+    params: {
+      fields: 'level,displayName',
+      paging: 'false'
+    }
+  },
+  groups: {
+    resource: 'organisationUnitGroups',
+    params: {
+      fields: 'id,displayName',
+      paging: 'false'
+    }
+  },
+  groupSets: {
+    resource: 'organisationUnitGroupSets',
+    params: {
+      fields: 'id,displayName,organisationUnitGroups[id,displayName]',
+      filter: 'dataDimension:eq:true',
+      paging: 'false'
+    }
+  }
+}
+
 // Dynamic queries - will be created when needed
 // Get data values to check aggregate data availability
 const createAggregateDataAvailabilityQuery = (orgUnitId) => ({
@@ -139,22 +168,14 @@ const createTrackerDataAvailabilityQuery = (orgUnitId) => ({
   }
 })
 
-// Available periods
-const periods = [
-  { id: 'THIS_MONTH', name: 'This Month' },
-  { id: 'LAST_MONTH', name: 'Last Month' },
-  { id: 'THIS_QUARTER', name: 'This Quarter' },
-  { id: 'LAST_QUARTER', name: 'Last Quarter' },
-  { id: 'THIS_YEAR', name: 'This Year' },
-  { id: 'LAST_YEAR', name: 'Last Year' },
-  { id: 'LAST_12_MONTHS', name: 'Last 12 Months' }
-]
-
 export const DatasetSelector = ({ 
   engine, 
   onDataElementsSelected, 
   onPeriodSelected, 
-  onOrgUnitSelected 
+  onOrgUnitSelected,
+  onDisaggregationSelected = () => {},
+  onQueryOptionsSelected = () => {},
+  initialPeriod = 'THIS_MONTH'
 }) => {
   // Data states
   const [dataElements, setDataElements] = useState([])
@@ -162,7 +183,7 @@ export const DatasetSelector = ({
   const [programIndicators, setProgramIndicators] = useState([])
   const [programs, setPrograms] = useState([])
   const [selectedDataElements, setSelectedDataElements] = useState([])
-  const [selectedPeriod, setSelectedPeriod] = useState('THIS_MONTH')
+  const [selectedPeriod, setSelectedPeriod] = useState(initialPeriod)
   const [selectedOrgUnit, setSelectedOrgUnit] = useState(null)
   const [dataType, setDataType] = useState('') // empty by default, options: 'aggregate', 'event', 'tracker', 'indicator', 'programIndicator'
   
@@ -194,8 +215,10 @@ export const DatasetSelector = ({
   const [selectedIndicatorGroup, setSelectedIndicatorGroup] = useState(null)
   const [selectedProgramForIndicators, setSelectedProgramForIndicators] = useState(null)
   
-  // Multi-org unit breakdown option
-  const [includeChildOrgUnits, setIncludeChildOrgUnits] = useState(false)
+  // Multi-org unit breakdown option: '' (none), 'CHILDREN', 'LEVEL-n' or 'OU_GROUP-x'
+  const [orgUnitBreakdown, setOrgUnitBreakdown] = useState('')
+  // Org unit group sets (facility type, ownership, ...) to disaggregate by
+  const [selectedGroupSets, setSelectedGroupSets] = useState([])
 
   // Use static data queries for better performance
   const { loading: dataElementsLoading, error: dataElementsError, data: dataElementsData } = 
@@ -219,6 +242,69 @@ export const DatasetSelector = ({
   const { loading: orgUnitsLoading, error: orgUnitsError, data: orgUnitsData } = 
     useDataQuery(orgUnitsQuery);
   
+  // Breakdown options are optional; without them only the child unit breakdown is offered
+  const { data: orgUnitBreakdownData } = useDataQuery(orgUnitBreakdownQuery);
+  const orgUnitLevels = orgUnitBreakdownData?.levels?.organisationUnitLevels || [];
+  const orgUnitGroups = orgUnitBreakdownData?.groups?.organisationUnitGroups || [];
+  const orgUnitGroupSets = orgUnitBreakdownData?.groupSets?.organisationUnitGroupSets || [];
+  
+  // Levels below the selected org unit (all levels for special org units, whose level is unknown)
+  const selectedOrgUnitLevel = selectedOrgUnit && selectedOrgUnit.path
+    ? selectedOrgUnit.path.split('/').filter(Boolean).length
+    : 0;
+  const breakdownLevels = orgUnitLevels
+    .filter(level => level.level > selectedOrgUnitLevel)
+    .sort((a, b) => a.level - b.level);
+  
+  /**
+   * Attach the chosen breakdown to an org unit before passing it on
+   * @param {Object} orgUnit - Selected org unit
+   * @param {string} breakdownValue - Breakdown picker value
+   * @param {Array} groupSetIds - Selected org unit group set IDs
+   * @returns {Object} Org unit with breakdown, includeChildOrgUnits and groupSets set
+   */
+  const withBreakdown = (orgUnit, breakdownValue = orgUnitBreakdown, groupSetIds = selectedGroupSets) => {
+    const breakdown = parseBreakdownOptionValue(breakdownValue, {
+      levels: Object.fromEntries(orgUnitLevels.map(level => [level.level, level.displayName])),
+      groups: Object.fromEntries(orgUnitGroups.map(group => [group.id, group.displayName]))
+    });
+    return {
+      ...orgUnit,
+      includeChildOrgUnits: Boolean(breakdown),
+      breakdown,
+      groupSets: groupSetIds.map(id => {
+        const groupSet = orgUnitGroupSets.find(set => set.id === id) || {};
+        return {
+          id,
+          name: groupSet.displayName || id,
+          groups: (groupSet.organisationUnitGroups || []).map(group => ({ id: group.id, name: group.displayName }))
+        };
+      })
+    };
+  };
+  
+  const handleBreakdownChange = ({ selected }) => {
+    setOrgUnitBreakdown(selected);
+    if (selectedOrgUnit) {
+      onOrgUnitSelected(withBreakdown(selectedOrgUnit, selected));
+    }
+  };
+  
+  const handleGroupSetsChange = ({ selected }) => {
+    setSelectedGroupSets(selected);
+    if (selectedOrgUnit) {
+      onOrgUnitSelected(withBreakdown(selectedOrgUnit, orgUnitBreakdown, selected));
+    }
+  };
+  
+  // A level breakdown at or above a newly selected org unit no longer applies
+  useEffect(() => {
+    if (orgUnitBreakdown.startsWith('LEVEL-') &&
+        parseInt(orgUnitBreakdown.slice('LEVEL-'.length), 10) <= selectedOrgUnitLevel) {
+      handleBreakdownChange({ selected: '' });
+    }
+  }, [selectedOrgUnitLevel]);
+  
   // Process data when it's available
   useEffect(() => {
     if (!dataElementsLoading && !indicatorsLoading && !indicatorGroupsLoading && 
@@ -333,11 +419,7 @@ export const DatasetSelector = ({
       setSelectedOrgUnit(specialOrgUnit);
       
       // Pass special org unit with multi-org unit setting
-      const specialOrgUnitWithSettings = {
-        ...specialOrgUnit,
-        includeChildOrgUnits: includeChildOrgUnits
-      };
-      onOrgUnitSelected(specialOrgUnitWithSettings);
+      onOrgUnitSelected(withBreakdown(specialOrgUnit));
       
       // Special org units always have data available
       setAvailableDataTypes({
@@ -425,11 +507,7 @@ export const DatasetSelector = ({
       setSelectedOrgUnit(fullOrgUnit);
       
       // Pass org unit with multi-org unit setting
-      const orgUnitWithSettings = {
-        ...fullOrgUnit,
-        includeChildOrgUnits: includeChildOrgUnits
-      };
-      onOrgUnitSelected(orgUnitWithSettings);
+      onOrgUnitSelected(withBreakdown(fullOrgUnit));
       
       // Check data availability for the selected org unit
       if (fullOrgUnit && fullOrgUnit.id) {
@@ -654,6 +732,42 @@ export const DatasetSelector = ({
   // Store selected data elements with their parent information
   const [selectedElementsWithMetadata, setSelectedElementsWithMetadata] = useState([]);
   
+  // Categories (age, sex, ...) offered for the selected aggregate data elements, and those chosen
+  const [availableCategories, setAvailableCategories] = useState([]);
+  const [selectedCategories, setSelectedCategories] = useState([]);
+  
+  // Advanced analytics query options (filters, aggregation type, approval level, measure criteria)
+  const [queryOptions, setQueryOptions] = useState({});
+  const [showQueryOptions, setShowQueryOptions] = useState(false);
+  
+  const handleQueryOptionsChange = (options) => {
+    setQueryOptions(options);
+    onQueryOptionsSelected(options);
+  };
+  
+  /**
+   * Pass the chosen categories on as { id, name }; 'co' stands for every category option combo
+   * @param {Array} categoryIds - Chosen category IDs
+   * @param {Array} categories - Categories to look the names up in
+   */
+  const updateDisaggregation = (categoryIds, categories = availableCategories) => {
+    setSelectedCategories(categoryIds);
+    onDisaggregationSelected(categoryIds.map(id => ({
+      id,
+      name: id === 'co' ? 'Disaggregation' : (categories.find(category => category.id === id) || {}).displayName || id
+    })));
+  };
+  
+  // Clearing the data elements (new org unit, data type, dataset, ...) clears the breakdown too
+  useEffect(() => {
+    if (selectedDataElements.length === 0) {
+      setAvailableCategories([]);
+      if (selectedCategories.length > 0) {
+        updateDisaggregation([]);
+      }
+    }
+  }, [selectedDataElements]);
+  
   // Handle indicator group selection
   const handleIndicatorGroupSelect = async (indicatorGroupId) => {
     try {
@@ -820,7 +934,7 @@ export const DatasetSelector = ({
           results: {
             resource: 'programs/' + programId,
             params: {
-              fields: 'id,displayName,programStages[id,displayName,programStageDataElements[dataElement[id,displayName,valueType]]]'
+              fields: 'id,displayName,programStages[id,displayName,programStageDataElements[dataElement[id,displayName,valueType,optionSet[id]]]]'
             }
           }
         };
@@ -902,7 +1016,11 @@ export const DatasetSelector = ({
         label: `${de.displayName} [${de.parentName}]`,
         value: de.id,
         parentName: de.parentName || '',
-        valueType: de.valueType || ''
+        valueType: de.valueType || '',
+        // Event analytics queries need the program, stage and option set of each element
+        programId: de.programId,
+        stageId: de.stageId,
+        optionSetId: de.optionSet ? de.optionSet.id : undefined
       }));
       
       setTransferData({
@@ -948,7 +1066,7 @@ export const DatasetSelector = ({
         results: {
           resource: 'dataSets/' + dataSetId,
           params: {
-            fields: 'id,displayName,dataSetElements[dataElement[id,displayName,valueType]]'
+            fields: 'id,displayName,dataSetElements[dataElement[id,displayName,valueType,categoryCombo[isDefault,categories[id,displayName,dataDimension]]]]'
           }
         }
       };
@@ -975,7 +1093,13 @@ export const DatasetSelector = ({
         label: `${de.displayName} [${de.parentName}]`,
         value: de.id,
         parentName: de.parentName || '',
-        valueType: de.valueType || ''
+        valueType: de.valueType || '',
+        // The dataset, for its reporting rates in the data quality checks
+        dataSetId: de.dataSetId,
+        // Categories usable as analytics dimensions, for breaking the data element down
+        categories: de.categoryCombo && !de.categoryCombo.isDefault
+          ? (de.categoryCombo.categories || []).filter(category => category.dataDimension !== false)
+          : []
       }));
       
       setTransferData({
@@ -1011,12 +1135,32 @@ export const DatasetSelector = ({
           displayName: option ? option.label : id, // Fallback to ID if label not found
           parentName: option ? option.parentName : '', // Include parent information
           valueType: option ? option.valueType : '',
+          programId: option ? option.programId : undefined,
+          stageId: option ? option.stageId : undefined,
+          optionSetId: option ? option.optionSetId : undefined,
+          dataSetId: option ? option.dataSetId : undefined,
           type: dataType // Track which type of data this is
         };
       });
       
       setSelectedElementsWithMetadata(selectedWithMetadata);
       
+      // Offer the categories of the selected aggregate data elements, keeping chosen ones that still apply
+      const categories = [];
+      selected.forEach(id => {
+        const option = transferData.options.find(opt => opt.value === id);
+        (option && option.categories || []).forEach(category => {
+          if (!categories.some(existing => existing.id === category.id)) {
+            categories.push(category);
+          }
+        });
+      });
+      setAvailableCategories(categories);
+      const stillAvailable = selectedCategories.filter(id => id === 'co' || categories.some(category => category.id === id));
+      if (stillAvailable.length !== selectedCategories.length) {
+        updateDisaggregation(categories.length > 0 ? stillAvailable : [], categories);
+      }
+      
       // For the DHIS2 API, we need to pass more detailed information
       console.log("Notifying parent component with selected elements:", selectedWithMetadata);
 
@@ -1099,16 +1243,52 @@ export const DatasetSelector = ({
                       
                       {/* Multi-org unit breakdown option */}
                       <div style={{ marginBottom: '8px', padding: '8px', background: '#f0f8ff', borderRadius: '4px' }}>
-                        <Checkbox
-                          checked={includeChildOrgUnits}
-                          label="Include child organization units breakdown"
-                          onChange={({ checked }) => setIncludeChildOrgUnits(checked)}
-                        />
-                        {includeChildOrgUnits && (
-                          <p style={{ fontSize: '12px', margin: '4px 0 0 24px', color: '#666' }}>
-                            Data will be analyzed separately for each child org unit, enabling comparative analysis
+                        <SingleSelectField
+                          label="Organization unit breakdown"
+                          selected={orgUnitBreakdown}
+                          onChange={handleBreakdownChange}
+                          filterable={orgUnitGroups.length > 10}
+                          dense
+                        >
+                          <SingleSelectOption value="" label="No breakdown (selected unit only)" />
+                          <SingleSelectOption value="CHILDREN" label="Immediate child units" />
+                          {breakdownLevels.map(level => (
+                            <SingleSelectOption
+                              key={`LEVEL-${level.level}`}
+                              value={`LEVEL-${level.level}`}
+                              label={`All units at level ${level.level} (${level.displayName})`}
+                            />
+                          ))}
+                          {orgUnitGroups.map(group => (
+                            <SingleSelectOption
+                              key={`OU_GROUP-${group.id}`}
+                              value={`OU_GROUP-${group.id}`}
+                              label={`Units in group: ${group.displayName}`}
+                            />
+                          ))}
+                        </SingleSelectField>
+                        {orgUnitBreakdown && (
+                          <p style={{ fontSize: '12px', margin: '4px 0 0 0', color: '#666' }}>
+                            {orgUnitBreakdown === 'CHILDREN'
+                              ? 'Data will be analyzed separately for each child org unit, enabling comparative analysis'
+                              : 'Data will be analyzed for every matching unit below the selection and rolled up through the levels in between'}
                           </p>
                         )}
+                        {orgUnitGroupSets.length > 0 && (
+                          <div style={{ marginTop: '8px' }}>
+                            <MultiSelectField
+                              label="Compare org unit groups by"
+                              selected={selectedGroupSets}
+                              onChange={handleGroupSetsChange}
+                              placeholder="e.g. facility type, ownership"
+                              dense
+                            >
+                              {orgUnitGroupSets.map(groupSet => (
+                                <MultiSelectOption key={groupSet.id} value={groupSet.id} label={groupSet.displayName} />
+                              ))}
+                            </MultiSelectField>
+                          </div>
+                        )}
                       </div>
                       
                       <div style={{ 
@@ -1441,21 +1621,10 @@ export const DatasetSelector = ({
                     borderRadius="4px"
                     background="#f9f9f9"
                   >
-                    <SingleSelectField
-                      label="Analysis Period"
+                    <PeriodSelector
                       selected={selectedPeriod}
                       onChange={handlePeriodChange}
-                      className="selector-field"
-                      dense
-                    >
-                      {periods.map(period => (
-                        <SingleSelectOption 
-                          key={period.id} 
-                          value={period.id} 
-                          label={period.name} 
-                        />
-                      ))}
-                    </SingleSelectField>
+                    />
                   </Box>
                 </div>
                 
@@ -1523,6 +1692,65 @@ export const DatasetSelector = ({
                         </div>
                       </Box>
                     )}
+                    
+                    {dataType === 'aggregate' && availableCategories.length > 0 && (
+                      <Box margin="12px 0 0 0">
+                        <MultiSelectField
+                          label="Break down by category (optional)"
+                          selected={selectedCategories}
+                          onChange={({ selected }) => updateDisaggregation(selected)}
+                          helpText="Analyze the selected data elements per category option, e.g. per age group or sex"
+                          dense
+                        >
+                          <MultiSelectOption value="co" label="All disaggregations (category option combinations)" />
+                          {availableCategories.map(category => (
+                            <MultiSelectOption key={category.id} value={category.id} label={category.displayName} />
+                          ))}
+                        </MultiSelectField>
+                      </Box>
+                    )}
+                    
+                    {!['event', 'tracker'].includes(dataType) && selectedDataElements.length > 0 && (
+                      <Box margin="12px 0 0 0">
+                        <CheckboxField
+                          label="Outbreak detection"
+                          checked={Boolean(queryOptions.outbreakDetection)}
+                          onChange={({ checked }) => handleQueryOptionsChange({ ...queryOptions, outbreakDetection: checked })}
+                          disabled={(queryOptions.filters || []).includes('pe')}
+                          helpText={(queryOptions.filters || []).includes('pe')
+                            ? 'Not available while periods are applied as a filter'
+                            : 'Compare each period with epidemic thresholds from the same periods in the previous 5 years (mean + 2 SD, third quartile, 5-year median)'}
+                          dense
+                        />
+                        <CheckboxField
+                          label="Data quality checks"
+                          checked={Boolean(queryOptions.dataQualityChecks)}
+                          onChange={({ checked }) => handleQueryOptionsChange({ ...queryOptions, dataQualityChecks: checked })}
+                          helpText={dataType === 'aggregate'
+                            ? 'Score completeness and timeliness of reporting, missing and zero values, extreme outliers and consistency per organization unit'
+                            : 'Score missing and zero values, extreme outliers and numerator/denominator consistency per organization unit'}
+                          dense
+                        />
+                      </Box>
+                    )}
+                    
+                    {!['event', 'tracker'].includes(dataType) && selectedDataElements.length > 0 && (
+                      <Box margin="12px 0 0 0">
+                        <Button
+                          small
+                          secondary
+                          icon={showQueryOptions ? <IconChevronUp24 /> : <IconChevronDown24 />}
+                          onClick={() => setShowQueryOptions(!showQueryOptions)}
+                        >
+                          Advanced query options
+                        </Button>
+                        {showQueryOptions && (
+                          <Box margin="12px 0 0 0">
+                            <QueryOptions value={queryOptions} onChange={handleQueryOptionsChange} />
+                          </Box>
+                        )}
+                      </Box>
+                    )}
                   </Box>
                 </div>
               </div>
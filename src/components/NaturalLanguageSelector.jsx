@@ -0,0 +1,153 @@
+import React, { useState } from 'react'
+import {
+  Card,
+  Box,
+  TextAreaField,
+  Button,
+  ButtonStrip,
+  CircularLoader,
+  NoticeBox
+} from '@dhis2/ui'
+import { resolveSelection } from '../utils/selectionResolver'
+import { getPeriodSelectionName } from '../utils/periods'
+import { getOrgUnitBreakdownName } from '../utils/orgUnits'
+
+const DATA_TYPE_LABELS = {
+  aggregate: 'Data elements',
+  indicator: 'Indicators',
+  programIndicator: 'Program indicators'
+}
+
+const EXAMPLE_DESCRIPTION = 'Malaria confirmed cases by district in Northern Region for the last 12 months'
+
+/**
+ * "Describe what you need" box: the AI resolves a plain-language description into a data
+ * selection, which replaces the current one once the user confirms it
+ * @param {Object} props
+ * @param {Object} props.engine - DHIS2 data engine
+ * @param {Object} props.user - The current DHIS2 user
+ * @param {Function} props.onSelectionConfirmed - Called with the confirmed selection
+ *   ({ dataType, dataElements, period, orgUnit } from resolveSelection)
+ */
+export const NaturalLanguageSelector = ({ engine, user, onSelectionConfirmed }) => {
+  const [description, setDescription] = useState('')
+  const [isResolving, setIsResolving] = useState(false)
+  const [proposal, setProposal] = useState(null)
+  const [error, setError] = useState(null)
+  const [applied, setApplied] = useState(false)
+
+  const handleResolve = async () => {
+    setIsResolving(true)
+    setError(null)
+    setProposal(null)
+    setApplied(false)
+    try {
+      setProposal(await resolveSelection(engine, description, { user }))
+    } catch (err) {
+      console.error('Error resolving the described selection:', err)
+      setError(err.message)
+    } finally {
+      setIsResolving(false)
+    }
+  }
+
+  const handleConfirm = () => {
+    onSelectionConfirmed(proposal)
+    setProposal(null)
+    setApplied(true)
+  }
+
+  const handleKeyDown = (e) => {
+    if (e && e.key === 'Enter' && e.ctrlKey && description.trim() && !isResolving) {
+      handleResolve()
+    }
+  }
+
+  const breakdownName = proposal ? getOrgUnitBreakdownName(proposal.orgUnit) : ''
+
+  return (
+    <Card>
+      <Box padding="16px 24px">
+        <h3 style={{ margin: '0 0 8px 0' }}>Describe the data you need</h3>
+        <TextAreaField
+          value={description}
+          onChange={({ value }) => {
+            setDescription(value)
+            setApplied(false)
+          }}
+          onKeyDown={(payload, event) => handleKeyDown(event)}
+          placeholder={EXAMPLE_DESCRIPTION}
+          rows={2}
+          helpText="The AI looks up matching data elements, indicators and organisation units, and proposes a selection for you to confirm. Use the steps below to select event or tracker data."
+        />
+        <Box margin="8px 0 0 0">
+          <Button
+            primary
+            small
+            onClick={handleResolve}
+            disabled={!description.trim() || isResolving}
+          >
+            Find data
+          </Button>
+        </Box>
+
+        {isResolving && (
+          <Box margin="12px 0 0 0" display="flex" alignItems="center">
+            <CircularLoader small />
+            <span style={{ marginLeft: '8px' }}>Looking up matching data...</span>
+          </Box>
+        )}
+
+        {error && (
+          <Box margin="12px 0 0 0">
+            <NoticeBox error title="Could not resolve the description">
+              {error}
+            </NoticeBox>
+          </Box>
+        )}
+
+        {proposal && (
+          <Box margin="12px 0 0 0">
+            <NoticeBox title="Proposed selection">
+              {proposal.explanation && <p style={{ marginTop: 0 }}>{proposal.explanation}</p>}
+              <ul className="proposed-selection">
+                <li>
+                  <strong>{DATA_TYPE_LABELS[proposal.dataType]}:</strong>{' '}
+                  {proposal.dataElements.map(item => item.displayName).join(', ')}
+                </li>
+                <li>
+                  <strong>Organisation unit:</strong> {proposal.orgUnit.displayName}
+                  {breakdownName && ` (${breakdownName})`}
+                </li>
+                <li>
+                  <strong>Period:</strong> {getPeriodSelectionName(proposal.period)}
+                </li>
+              </ul>
+              {proposal.notes.length > 0 && (
+                <ul className="proposed-selection-notes">
+                  {proposal.notes.map((note, index) => <li key={index}>{note}</li>)}
+                </ul>
+              )}
+              <ButtonStrip>
+                <Button primary small onClick={handleConfirm}>
+                  Use this selection
+                </Button>
+                <Button small onClick={() => setProposal(null)}>
+                  Discard
+                </Button>
+              </ButtonStrip>
+            </NoticeBox>
+          </Box>
+        )}
+
+        {applied && (
+          <Box margin="12px 0 0 0">
+            <NoticeBox valid title="Selection applied">
+              Analyze it with AI below or open the Data Dashboard. Choosing in the steps below replaces it.
+            </NoticeBox>
+          </Box>
+        )}
+      </Box>
+    </Card>
+  )
+}
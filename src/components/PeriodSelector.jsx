@@ -0,0 +1,166 @@
+import React, { useState, useEffect } from 'react'
+import {
+  SingleSelectField,
+  SingleSelectOption,
+  MultiSelectField,
+  MultiSelectOption,
+  Button,
+  ButtonStrip
+} from '@dhis2/ui'
+import {
+  PERIOD_TYPES,
+  RELATIVE_PERIODS,
+  generateFixedPeriods,
+  isRelativePeriod,
+  splitPeriodSelection,
+  joinPeriodSelection,
+  getPeriodName,
+  comparePeriodIds
+} from '../utils/periods'
+
+// Years offered for fixed periods: the next year and the previous ten
+const getYearOptions = () => {
+  const currentYear = new Date().getFullYear()
+  return Array.from({ length: 12 }, (_, i) => String(currentYear + 1 - i))
+}
+
+/**
+ * Period picker supporting DHIS2 relative periods and fixed periods of every period type.
+ * The selection is a ';'-separated string of relative keywords and/or fixed period IDs,
+ * which is passed unchanged to the analytics pe dimension.
+ * @param {Object} props
+ * @param {string} props.selected - Current period selection
+ * @param {Function} props.onChange - Called with { selected } when the selection changes
+ */
+export const PeriodSelector = ({ selected, onChange }) => {
+  const selectedIds = splitPeriodSelection(selected)
+  const [mode, setMode] = useState(
+    selectedIds.length > 0 && !selectedIds.every(isRelativePeriod) ? 'fixed' : 'relative'
+  )
+  const [periodType, setPeriodType] = useState('MONTHLY')
+  const [year, setYear] = useState(String(new Date().getFullYear()))
+  const [fixedPeriods, setFixedPeriods] = useState([])
+
+  useEffect(() => {
+    setFixedPeriods(generateFixedPeriods(periodType, parseInt(year, 10)))
+  }, [periodType, year])
+
+  const relativeSelected = selectedIds.filter(isRelativePeriod)
+  const fixedSelected = selectedIds.filter(id => !isRelativePeriod(id))
+
+  const updateSelection = (ids) => {
+    if (ids.length === 0) return
+    onChange({ selected: joinPeriodSelection(ids) })
+  }
+
+  const handleRelativeChange = ({ selected: ids }) => {
+    updateSelection([...ids, ...fixedSelected])
+  }
+
+  // Fixed periods from other types or years stay selected, so ranges can span years
+  const handleFixedChange = ({ selected: ids }) => {
+    const visibleIds = new Set(fixedPeriods.map(period => period.id))
+    const otherIds = fixedSelected.filter(id => !visibleIds.has(id))
+    updateSelection([...relativeSelected, ...otherIds, ...ids].sort(comparePeriodIds))
+  }
+
+  const handleSelectAllFixed = () => {
+    updateSelection([...relativeSelected, ...fixedSelected, ...fixedPeriods.map(period => period.id)].sort(comparePeriodIds))
+  }
+
+  const visibleFixedSelected = fixedSelected.filter(id => fixedPeriods.some(period => period.id === id))
+  const hiddenFixedSelected = fixedSelected.filter(id => !fixedPeriods.some(period => period.id === id))
+
+  return (
+    <div>
+      <SingleSelectField
+        label="Analysis Period"
+        selected={mode}
+        onChange={({ selected: value }) => setMode(value)}
+        className="selector-field"
+        dense
+      >
+        <SingleSelectOption value="relative" label="Relative periods (e.g. Last 12 months)" />
+        <SingleSelectOption value="fixed" label="Fixed periods (e.g. 2024W12, 2024Q1)" />
+      </SingleSelectField>
+
+      {mode === 'relative' ? (
+        <div style={{ marginTop: '12px' }}>
+          <MultiSelectField
+            label="Relative periods"
+            selected={relativeSelected}
+            onChange={handleRelativeChange}
+            filterable
+            dense
+          >
+            {RELATIVE_PERIODS.map(period => (
+              <MultiSelectOption
+                key={period.id}
+                value={period.id}
+                label={`${period.group}: ${period.name}`}
+              />
+            ))}
+          </MultiSelectField>
+        </div>
+      ) : (
+        <div style={{ marginTop: '12px' }}>
+          <div style={{ display: 'flex', gap: '12px' }}>
+            <div style={{ flex: 2 }}>
+              <SingleSelectField
+                label="Period type"
+                selected={periodType}
+                onChange={({ selected: value }) => setPeriodType(value)}
+                dense
+              >
+                {PERIOD_TYPES.map(type => (
+                  <SingleSelectOption key={type.id} value={type.id} label={type.name} />
+                ))}
+              </SingleSelectField>
+            </div>
+            <div style={{ flex: 1 }}>
+              <SingleSelectField
+                label="Year"
+                selected={year}
+                onChange={({ selected: value }) => setYear(value)}
+                dense
+              >
+                {getYearOptions().map(option => (
+                  <SingleSelectOption key={option} value={option} label={option} />
+                ))}
+              </SingleSelectField>
+            </div>
+          </div>
+
+          <div style={{ marginTop: '12px' }}>
+            <MultiSelectField
+              label="Fixed periods"
+              selected={visibleFixedSelected}
+              onChange={handleFixedChange}
+              filterable
+              dense
+            >
+              {fixedPeriods.map(period => (
+                <MultiSelectOption key={period.id} value={period.id} label={period.name} />
+              ))}
+            </MultiSelectField>
+          </div>
+
+          <ButtonStrip>
+            <Button small onClick={handleSelectAllFixed} disabled={fixedPeriods.length === 0}>
+              Select all {fixedPeriods.length} periods
+            </Button>
+          </ButtonStrip>
+        </div>
+      )}
+
+      {selectedIds.length > 0 && (
+        <div style={{ marginTop: '12px', fontSize: '13px', color: '#555' }}>
+          <strong>Selected:</strong> {selectedIds.map(getPeriodName).join(', ')}
+          {mode === 'fixed' && hiddenFixedSelected.length > 0 && (
+            <span style={{ color: '#888' }}> ({hiddenFixedSelected.length} from other period types or years)</span>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,247 @@
+import React, { useState, useEffect } from 'react'
+import { useDataQuery, useDataEngine } from '@dhis2/app-runtime'
+import {
+  SingleSelectField,
+  SingleSelectOption,
+  MultiSelectField,
+  MultiSelectOption,
+  InputField,
+  Button,
+  ButtonStrip
+} from '@dhis2/ui'
+import {
+  AGGREGATION_TYPES,
+  MEASURE_CRITERIA_OPERATORS,
+  FILTERABLE_DIMENSIONS
+} from '../utils/analyticsQuery'
+
+const queryOptionsQuery = {
+  dimensions: {
+    resource: 'dimensions',
+    params: {
+      fields: 'id,displayName,dimensionType',
+      paging: 'false'
+    }
+  },
+  approvalLevels: {
+    resource: 'dataApprovalLevels',
+    params: {
+      fields: 'id,displayName,level',
+      paging: 'false'
+    }
+  }
+}
+
+// Readable names for the dimension types returned by the dimensions resource
+const DIMENSION_TYPE_NAMES = {
+  CATEGORY: 'Category',
+  CATEGORY_OPTION_GROUP_SET: 'Category option group set',
+  DATA_ELEMENT_GROUP_SET: 'Data element group set',
+  ORGANISATION_UNIT_GROUP_SET: 'Org unit group set'
+}
+
+/**
+ * Advanced analytics query options: extra dimensions, dimensions used as filters,
+ * aggregation type, approval level and measure criteria. The value holds the options
+ * part of an analytics query (see utils/analyticsQuery).
+ * @param {Object} props
+ * @param {Object} props.value - Current options { dimensions, filters, aggregationType, approvalLevel, measureCriteria }
+ * @param {Function} props.onChange - Called with the updated options
+ */
+export const QueryOptions = ({ value = {}, onChange }) => {
+  const engine = useDataEngine()
+  const { data } = useDataQuery(queryOptionsQuery)
+  const [dimensionItems, setDimensionItems] = useState({})
+
+  const availableDimensions = (data?.dimensions?.dimensions || [])
+    .filter(dimension => DIMENSION_TYPE_NAMES[dimension.dimensionType])
+  const approvalLevels = [...(data?.approvalLevels?.dataApprovalLevels || [])].sort((a, b) => a.level - b.level)
+
+  const dimensions = value.dimensions || []
+  const filters = value.filters || []
+  const measureCriteria = value.measureCriteria || []
+
+  const update = (changes) => onChange({ ...value, ...changes })
+
+  // Load the items of each added dimension once
+  useEffect(() => {
+    dimensions
+      .filter(dimension => !dimensionItems[dimension.id])
+      .forEach(dimension => loadItems(dimension.id))
+  }, [dimensions])
+
+  const loadItems = async (dimensionId) => {
+    try {
+      const response = await engine.query({
+        items: {
+          resource: `dimensions/${dimensionId}/items`,
+          params: { fields: 'id,displayName', paging: 'false' }
+        }
+      })
+      setDimensionItems(current => ({ ...current, [dimensionId]: response.items.items || [] }))
+    } catch (err) {
+      console.warn(`Failed to load the items of dimension ${dimensionId}:`, err)
+      setDimensionItems(current => ({ ...current, [dimensionId]: [] }))
+    }
+  }
+
+  const handleAddDimension = ({ selected }) => {
+    const dimension = availableDimensions.find(d => d.id === selected)
+    if (!dimension || dimensions.some(d => d.id === selected)) return
+    update({ dimensions: [...dimensions, { id: dimension.id, name: dimension.displayName, items: [] }] })
+  }
+
+  const handleRemoveDimension = (dimensionId) => {
+    update({
+      dimensions: dimensions.filter(d => d.id !== dimensionId),
+      filters: filters.filter(id => id !== dimensionId)
+    })
+  }
+
+  const handleItemsChange = (dimensionId, itemIds) => {
+    const items = (dimensionItems[dimensionId] || [])
+      .filter(item => itemIds.includes(item.id))
+      .map(item => ({ id: item.id, name: item.displayName }))
+    update({
+      dimensions: dimensions.map(d => (d.id === dimensionId ? { ...d, items } : d)),
+      // A filter without items would filter on nothing
+      filters: items.length > 0 ? filters : filters.filter(id => id !== dimensionId)
+    })
+  }
+
+  const handleCriterionChange = (index, changes) => {
+    update({ measureCriteria: measureCriteria.map((criterion, i) => (i === index ? { ...criterion, ...changes } : criterion)) })
+  }
+
+  const filterOptions = [
+    ...FILTERABLE_DIMENSIONS,
+    ...dimensions.filter(d => d.items.length > 0)
+  ]
+
+  return (
+    <div>
+      <SingleSelectField
+        label="Aggregation type"
+        selected={value.aggregationType || 'DEFAULT'}
+        onChange={({ selected }) => update({ aggregationType: selected === 'DEFAULT' ? null : selected })}
+        helpText="Override how values are aggregated over periods and organization units"
+        dense
+      >
+        {AGGREGATION_TYPES.map(type => (
+          <SingleSelectOption key={type.id} value={type.id} label={type.name} />
+        ))}
+      </SingleSelectField>
+
+      <div style={{ marginTop: '12px' }}>
+        <SingleSelectField
+          label="Add a dimension"
+          selected=""
+          onChange={handleAddDimension}
+          helpText="Break the data down by a category or group set, or use it as a filter"
+          filterable
+          dense
+        >
+          {availableDimensions
+            .filter(dimension => !dimensions.some(d => d.id === dimension.id))
+            .map(dimension => (
+              <SingleSelectOption
+                key={dimension.id}
+                value={dimension.id}
+                label={`${dimension.displayName} (${DIMENSION_TYPE_NAMES[dimension.dimensionType]})`}
+              />
+            ))}
+        </SingleSelectField>
+      </div>
+
+      {dimensions.map(dimension => (
+        <div key={dimension.id} style={{ display: 'flex', gap: '8px', alignItems: 'flex-end', marginTop: '8px' }}>
+          <div style={{ flex: 1 }}>
+            <MultiSelectField
+              label={dimension.name}
+              selected={dimension.items.map(item => item.id)}
+              onChange={({ selected }) => handleItemsChange(dimension.id, selected)}
+              placeholder="All items"
+              loading={!dimensionItems[dimension.id]}
+              filterable
+              dense
+            >
+              {(dimensionItems[dimension.id] || []).map(item => (
+                <MultiSelectOption key={item.id} value={item.id} label={item.displayName} />
+              ))}
+            </MultiSelectField>
+          </div>
+          <Button small destructive onClick={() => handleRemoveDimension(dimension.id)}>
+            Remove
+          </Button>
+        </div>
+      ))}
+
+      <div style={{ marginTop: '12px' }}>
+        <MultiSelectField
+          label="Use as filters"
+          selected={filters}
+          onChange={({ selected }) => update({ filters: selected })}
+          helpText="Filters aggregate over their items instead of listing each one; added dimensions need items to be used as filters"
+          dense
+        >
+          {filterOptions.map(option => (
+            <MultiSelectOption key={option.id} value={option.id} label={option.name} />
+          ))}
+        </MultiSelectField>
+      </div>
+
+      <div style={{ marginTop: '12px' }}>
+        <SingleSelectField
+          label="Approval level"
+          selected={value.approvalLevel ? value.approvalLevel.id : ''}
+          onChange={({ selected }) => {
+            const level = approvalLevels.find(l => l.id === selected)
+            update({ approvalLevel: level ? { id: level.id, name: level.displayName } : null })
+          }}
+          helpText="Only include data approved at this level"
+          dense
+        >
+          <SingleSelectOption value="" label="Any (approval not required)" />
+          {approvalLevels.map(level => (
+            <SingleSelectOption key={level.id} value={level.id} label={level.displayName} />
+          ))}
+        </SingleSelectField>
+      </div>
+
+      <div style={{ marginTop: '12px' }}>
+        <strong style={{ fontSize: '14px' }}>Only include values that are</strong>
+        {measureCriteria.map((criterion, index) => (
+          <div key={index} style={{ display: 'flex', gap: '8px', alignItems: 'flex-end', marginTop: '8px' }}>
+            <div style={{ flex: 1 }}>
+              <SingleSelectField
+                selected={criterion.operator}
+                onChange={({ selected }) => handleCriterionChange(index, { operator: selected })}
+                dense
+              >
+                {MEASURE_CRITERIA_OPERATORS.map(operator => (
+                  <SingleSelectOption key={operator.id} value={operator.id} label={operator.name} />
+                ))}
+              </SingleSelectField>
+            </div>
+            <div style={{ flex: 1 }}>
+              <InputField
+                type="number"
+                value={String(criterion.value)}
+                onChange={({ value: criterionValue }) => handleCriterionChange(index, { value: criterionValue })}
+                dense
+              />
+            </div>
+            <Button small destructive onClick={() => update({ measureCriteria: measureCriteria.filter((_, i) => i !== index) })}>
+              Remove
+            </Button>
+          </div>
+        ))}
+        <ButtonStrip>
+          <Button small onClick={() => update({ measureCriteria: [...measureCriteria, { operator: 'GE', value: '' }] })}>
+            Add condition
+          </Button>
+        </ButtonStrip>
+      </div>
+    </div>
+  )
+}
@@ -11,6 +11,7 @@ import {
   Box,
   SingleSelectField,
   SingleSelectOption,
+  TextAreaField,
   MultiSelectField,
   MultiSelectOption
 } from '@dhis2/ui'
@@ -18,12 +19,112 @@ import {
   saveApiKey, 
   getApiKeyFromStorage, 
   clearApiKey,
+  saveSecrets,
+  getSecret,
+  getGatewayToken,
   saveSettings,
-  getSettings
+  saveOrganisationSettings,
+  getSettings,
+  getSettingSource,
+  getInheritedSetting,
+  getStorageLimits,
+  getStorageUsage,
+  purgeStorage,
+  enforceStorageLimits
 } from '../utils/storage'
-import { testAIConnection } from '../utils/aiService'
+import { testAIConnection, getAvailableProviders } from '../utils/aiService'
+import { formatFileSize } from '../utils/formatters'
+
+// Labels for the stores shown in the storage usage table
+const storeLabels = {
+  cache: 'Cached AI responses',
+  conversations: 'Saved conversations',
+  snapshots: 'Data snapshots'
+}
+
+// Labels for where an effective setting value comes from
+const settingSourceLabels = {
+  user: 'Your setting',
+  organisation: 'Organisation default',
+  default: 'App default'
+}
+
+/**
+ * Show whether a setting is inherited or overridden by the user, with a way back to the inherited value
+ * @param {Object} props
+ * @param {string} props.settingKey - Setting name
+ * @param {Function} props.onReset - Called with the inherited value
+ */
+const SettingSource = ({ settingKey, onReset }) => {
+  const source = getSettingSource(settingKey)
+  return (
+    <div className="setting-source">
+      <span className={`setting-source-tag setting-source-${source}`}>
+        {settingSourceLabels[source]}
+      </span>
+      {source === 'user' && (
+        <Button small secondary onClick={() => onReset(getInheritedSetting(settingKey))}>
+          Reset to inherited
+        </Button>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Settings form for providers that describe their settings through settingsFields
+ * @param {Object} props
+ * @param {Object} props.provider - The registered provider
+ * @param {Object} props.values - Current values keyed by setting name
+ * @param {Function} props.onChange - Called with (settingKey, value)
+ * @param {Array} props.models - Models returned by the last connection test
+ */
+const ProviderSettingsFields = ({ provider, values, onChange, models }) => (
+  <>
+    {provider.settingsFields.map(field => (
+      <div className="settings-field" key={field.key}>
+        {field.type === 'model' && models.length > 0 ? (
+          <SingleSelectField
+            label={field.label}
+            selected={models.includes(values[field.key]) ? values[field.key] : ''}
+            onChange={({ selected }) => onChange(field.key, selected)}
+            className="selector-field"
+            helpText={field.helpText}
+          >
+            {models.map(model => (
+              <SingleSelectOption key={model} value={model} label={model} />
+            ))}
+          </SingleSelectField>
+        ) : field.type === 'textarea' ? (
+          <TextAreaField
+            label={field.label}
+            value={values[field.key] || ''}
+            onChange={({ value }) => onChange(field.key, value)}
+            placeholder={field.placeholder}
+            helpText={field.helpText}
+            rows={3}
+          />
+        ) : (
+          <InputField
+            label={field.label}
+            type={field.type === 'model' ? 'text' : (field.type || 'text')}
+            value={values[field.key] === undefined || values[field.key] === null ? '' : String(values[field.key])}
+            onChange={({ value }) => onChange(field.key, field.type === 'number' ? Number(value) : value)}
+            placeholder={field.placeholder}
+            helpText={field.helpText}
+          />
+        )}
+        {!field.secret && (
+          <SettingSource settingKey={field.key} onReset={value => onChange(field.key, value)} />
+        )}
+      </div>
+    ))}
+  </>
+)
+
+export const SettingsPanel = ({ onClose, engine, isAdmin = false }) => {
+  const providers = getAvailableProviders()
 
-export const SettingsPanel = ({ onClose, engine }) => {
   // OpenAI settings
   const [apiKey, setApiKey] = useState('')
   const [apiKeyMasked, setApiKeyMasked] = useState(true)
@@ -34,6 +135,14 @@ export const SettingsPanel = ({ onClose, engine }) => {
   // Ollama settings
   const [ollamaServerUrl, setOllamaServerUrl] = useState('http://localhost:11434')
   const [ollamaModel, setOllamaModel] = useState('llama3')
+  const [ollamaContextWindow, setOllamaContextWindow] = useState(8192)
+  const [openaiConnection, setOpenaiConnection] = useState('direct')
+  const [gatewayUrl, setGatewayUrl] = useState('http://localhost:3000')
+  const [gatewayToken, setGatewayToken] = useState('')
+  const selectedProvider = providers.find(provider => provider.id === aiProvider)
+  // Values for providers configured through their settingsFields
+  const [providerSettings, setProviderSettings] = useState({})
+  const [providerModels, setProviderModels] = useState([])
   const [availableOllamaModels, setAvailableOllamaModels] = useState([])
   
   // General settings
@@ -44,11 +153,26 @@ export const SettingsPanel = ({ onClose, engine }) => {
   const [temperature, setTemperature] = useState(0.7)
   const [model, setModel] = useState('gpt-4')
   const [cachingEnabled, setCachingEnabled] = useState(true)
+  const [comparePeriods, setComparePeriods] = useState(true)
+  const [aiTools, setAITools] = useState(true)
+  const [structuredOutput, setStructuredOutput] = useState(false)
+  const [maxDataRows, setMaxDataRows] = useState(50000)
+  
+  // Storage settings
+  const [storageUsage, setStorageUsage] = useState(null)
+  const [storageMaxSizeMB, setStorageMaxSizeMB] = useState(50)
+  const [cacheMaxEntries, setCacheMaxEntries] = useState(200)
+  const [cacheMaxAgeHours, setCacheMaxAgeHours] = useState(24)
+  const [purging, setPurging] = useState(false)
+  
+  // Save feedback
+  const [saveResult, setSaveResult] = useState(null)
 
   useEffect(() => {
     // Load API key from storage
     const storedApiKey = getApiKeyFromStorage() || ''
     setApiKey(storedApiKey)
+    setGatewayToken(getGatewayToken() || '')
     
     // Load other settings
     const settings = getSettings()
@@ -57,25 +181,65 @@ export const SettingsPanel = ({ onClose, engine }) => {
       setTemperature(settings.temperature || 0.7)
       setModel(settings.model || 'gpt-4')
       setCachingEnabled(settings.cachingEnabled !== false)
+      setComparePeriods(settings.comparePeriods !== false)
+      setAITools(settings.aiTools !== false)
+      setStructuredOutput(settings.structuredOutput === true)
+      setMaxDataRows(settings.maxDataRows || 50000)
       
       // Load AI provider settings
       setAIProvider(settings.aiProvider || 'openai')
       setOllamaServerUrl(settings.ollamaServerUrl || 'http://localhost:11434')
       setOllamaModel(settings.ollamaModel || 'llama3')
+      setOllamaContextWindow(settings.ollamaContextWindow || 8192)
+      setOpenaiConnection(settings.openaiConnection || 'direct')
+      setGatewayUrl(settings.gatewayUrl || 'http://localhost:3000')
+      
+      const fieldValues = {}
+      providers.forEach(provider => {
+        provider.settingsFields.forEach(field => {
+          fieldValues[field.key] = field.secret ? getSecret(field.key) || '' : settings[field.key]
+        })
+      })
+      setProviderSettings(fieldValues)
     }
+    
+    // Load storage limits and current usage
+    const limits = getStorageLimits()
+    setStorageMaxSizeMB(limits.maxSizeMB)
+    setCacheMaxEntries(limits.stores.cache.maxEntries)
+    setCacheMaxAgeHours(limits.stores.cache.maxAgeHours)
+    refreshStorageUsage()
   }, [])
 
-  const handleSaveApiKey = () => {
+  const refreshStorageUsage = async () => {
+    const usage = await getStorageUsage()
+    setStorageUsage(usage)
+  }
+
+  const handlePurgeStorage = async (storeName = null) => {
+    setPurging(true)
+    await purgeStorage(storeName)
+    await refreshStorageUsage()
+    setPurging(false)
+  }
+
+  const handleSaveApiKey = async () => {
     if (apiKey && apiKey.trim()) {
-      saveApiKey(apiKey.trim())
       setTestResult(null)
+      const saved = await saveApiKey(apiKey.trim())
+      setSaveResult(saved
+        ? { success: true, message: 'API key saved to your DHIS2 user account.' }
+        : { success: false, message: 'Could not save the API key to your DHIS2 user account.' })
     }
   }
 
-  const handleClearApiKey = () => {
-    clearApiKey()
+  const handleClearApiKey = async () => {
     setApiKey('')
     setTestResult(null)
+    const cleared = await clearApiKey()
+    setSaveResult(cleared
+      ? { success: true, message: 'API key removed from your DHIS2 user account.' }
+      : { success: false, message: 'Could not remove the API key from your DHIS2 user account.' })
   }
 
   const handleTestOpenAIConnection = async () => {
@@ -83,10 +247,10 @@ export const SettingsPanel = ({ onClose, engine }) => {
     setTestResult(null)
     
     try {
-      const result = await testAIConnection({ apiKey }, 'openai')
+      const result = await testAIConnection({ apiKey, connection: openaiConnection, gatewayUrl, gatewayToken }, 'openai')
       setTestResult({
         success: true,
-        message: `Successfully connected to OpenAI API. Available models: ${result.models.slice(0, 3).join(', ')}...`
+        message: `Successfully connected to ${openaiConnection === 'gateway' ? 'the AI gateway' : 'OpenAI API'}. Available models: ${result.models.slice(0, 3).join(', ')}...`
       })
     } catch (error) {
       setTestResult({
@@ -133,24 +297,98 @@ export const SettingsPanel = ({ onClose, engine }) => {
     }
   }
 
-  const handleSaveSettings = () => {
-    // Create settings object based on the selected provider
+  const handleProviderSettingChange = (key, value) => {
+    setProviderSettings(current => ({ ...current, [key]: value }))
+  }
+  
+  const handleTestProviderConnection = async () => {
+    setTestingConnection(true)
+    setTestResult(null)
+    
+    try {
+      const result = await testAIConnection(providerSettings, aiProvider)
+      setProviderModels(result.models || [])
+      setTestResult({
+        success: true,
+        message: `Successfully connected to ${selectedProvider.shortLabel}. ${
+          result.models && result.models.length
+            ? `Available models: ${result.models.slice(0, 5).join(', ')}${result.models.length > 5 ? '...' : ''}`
+            : 'No models reported by the server.'
+        }`
+      })
+    } catch (error) {
+      setTestResult({
+        success: false,
+        message: `Connection failed: ${error.message}`
+      })
+    } finally {
+      setTestingConnection(false)
+    }
+  }
+
+  const secretFieldKeys = providers.flatMap(provider =>
+    provider.settingsFields.filter(field => field.secret).map(field => field.key)
+  )
+  
+  // Collect the settings currently shown in the form; secret fields are saved separately
+  const buildSettings = () => ({
+    ...Object.fromEntries(
+      Object.entries(providerSettings).filter(([key]) => !secretFieldKeys.includes(key))
+    ),
+    maxTokens,
+    cachingEnabled,
+    comparePeriods,
+    aiTools,
+    structuredOutput,
+    maxDataRows,
+    aiProvider,
+    model,
+    temperature,
+    ollamaServerUrl,
+    ollamaModel,
+    ollamaContextWindow,
+    openaiConnection,
+    gatewayUrl
+  })
+
+  const handleSaveOrganisationDefaults = async () => {
+    const saved = await saveOrganisationSettings(buildSettings())
+    setSaveResult(saved
+      ? { success: true, message: 'Saved as the organisation-wide defaults for all users.' }
+      : { success: false, message: 'Could not save organisation defaults. Check that you have write access to the app data store.' })
+  }
+
+  const handleSaveSettings = async () => {
     const settings = {
-      maxTokens,
-      cachingEnabled,
-      aiProvider
+      ...buildSettings(),
+      storageLimits: {
+        maxSizeMB: storageMaxSizeMB,
+        stores: {
+          cache: {
+            maxEntries: cacheMaxEntries,
+            maxAgeHours: cacheMaxAgeHours
+          }
+        }
+      }
     }
     
-    // Add provider-specific settings
-    if (aiProvider === 'openai') {
-      settings.model = model
-      settings.temperature = temperature
-    } else if (aiProvider === 'ollama') {
-      settings.ollamaServerUrl = ollamaServerUrl
-      settings.ollamaModel = ollamaModel
+    // Secrets share one data store key, so the changed ones are saved in a single write
+    const changedSecrets = Object.fromEntries(
+      secretFieldKeys
+        .filter(key => (providerSettings[key] || '') !== (getSecret(key) || ''))
+        .map(key => [key, providerSettings[key]])
+    )
+    if (gatewayToken !== (getGatewayToken() || '')) {
+      changedSecrets.gatewayToken = gatewayToken
     }
-    
-    saveSettings(settings)
+    const secretsSaved = Object.keys(changedSecrets).length === 0 || await saveSecrets(changedSecrets)
+    const saved = await saveSettings(settings) && secretsSaved
+    if (!saved) {
+      setSaveResult({ success: false, message: 'Could not save settings to your DHIS2 user account.' })
+      return
+    }
+    // Apply lowered limits straight away rather than on the next write
+    await enforceStorageLimits()
     onClose()
   }
 
@@ -168,15 +406,74 @@ export const SettingsPanel = ({ onClose, engine }) => {
             <SingleSelectField
               label="AI Provider"
               selected={aiProvider}
-              onChange={({ selected }) => setAIProvider(selected)}
+              onChange={({ selected }) => {
+                setAIProvider(selected)
+                setProviderModels([])
+                setTestResult(null)
+              }}
               className="selector-field"
             >
-              <SingleSelectOption value="openai" label="OpenAI API (GPT-4, etc.)" />
-              <SingleSelectOption value="ollama" label="Ollama (Local or Remote)" />
+              {providers.map(provider => (
+                <SingleSelectOption key={provider.id} value={provider.id} label={provider.label} />
+              ))}
             </SingleSelectField>
+            <SettingSource settingKey="aiProvider" onReset={setAIProvider} />
           </div>
           
           {aiProvider === 'openai' ? (
+            <>
+              <div className="settings-field">
+                <SingleSelectField
+                  label="Connection"
+                  selected={openaiConnection}
+                  onChange={({ selected }) => setOpenaiConnection(selected)}
+                  className="selector-field"
+                  helpText="Use the AI gateway to keep the OpenAI key on a server instead of in each user's account."
+                >
+                  <SingleSelectOption value="direct" label="Direct (personal API key)" />
+                  <SingleSelectOption value="gateway" label="Via AI gateway (ollama-proxy)" />
+                </SingleSelectField>
+                <SettingSource settingKey="openaiConnection" onReset={setOpenaiConnection} />
+              </div>
+            </>
+          ) : null}
+          
+          {aiProvider === 'openai' && openaiConnection === 'gateway' ? (
+            <>
+              <h3>AI Gateway</h3>
+              <p>
+                Requests are sent to the AI gateway in the <code>ollama-proxy</code> folder, which holds the
+                provider key and applies rate limits. Start it with <code>GATEWAY_API_KEY=sk-... GATEWAY_CLIENT_TOKEN=... npm start</code>.
+                With <code>GATEWAY_DHIS2_URL</code> set it limits each DHIS2 user separately; serve it under this DHIS2 server's
+                address so that it receives your session.
+              </p>
+              
+              <div className="settings-field">
+                <InputField
+                  label="Gateway URL"
+                  value={gatewayUrl}
+                  onChange={({ value }) => setGatewayUrl(value)}
+                  placeholder="http://localhost:3000"
+                  helpText="Base URL of the ollama-proxy server. The gateway is served under /v1."
+                />
+                <SettingSource settingKey="gatewayUrl" onReset={setGatewayUrl} />
+              </div>
+              <div className="settings-field">
+                <InputField
+                  label="Gateway token"
+                  type="password"
+                  value={gatewayToken}
+                  onChange={({ value }) => setGatewayToken(value)}
+                  helpText="The GATEWAY_CLIENT_TOKEN the gateway was started with. Stored in your DHIS2 user account (user data store) when you save the settings."
+                />
+                <Box margin="16px 0">
+                  <Button onClick={handleTestOpenAIConnection} disabled={!gatewayUrl || testingConnection}>
+                    {testingConnection ? 'Testing...' : 'Test Connection'}
+                  </Button>
+                </Box>
+              </div>
+            </>
+          ) : aiProvider === 'openai' ? (
             <>
               <h3>OpenAI API Key</h3>
               <p>
@@ -191,7 +488,7 @@ export const SettingsPanel = ({ onClose, engine }) => {
                   value={apiKey}
                   onChange={({ value }) => setApiKey(value)}
                   placeholder="sk-..."
-                  helpText="Your OpenAI API key will be stored securely in your browser's local storage."
+                  helpText="Your OpenAI API key is stored in your DHIS2 user account (user data store), never in browser storage."
                 />
                 <Box margin="8px 0">
                   <Switch
@@ -211,7 +508,7 @@ export const SettingsPanel = ({ onClose, engine }) => {
                 </Box>
               </div>
             </>
-          ) : (
+          ) : aiProvider === 'ollama' ? (
             <>
               <h3>Ollama Server Configuration</h3>
               <p>
@@ -251,6 +548,7 @@ export const SettingsPanel = ({ onClose, engine }) => {
                   placeholder="http://localhost:11434"
                   helpText="URL of your Ollama server. The default is http://localhost:11434 for a local Ollama installation."
                 />
+                <SettingSource settingKey="ollamaServerUrl" onReset={setOllamaServerUrl} />
                 
                 <Box margin="16px 0">
                   <Button 
@@ -277,14 +575,46 @@ export const SettingsPanel = ({ onClose, engine }) => {
                     </SingleSelectField>
                   </Box>
                 )}
+                <p style={{ fontSize: '14px', margin: '8px 0 0' }}>
+                  Model: <strong>{ollamaModel}</strong>
+                </p>
+                <SettingSource settingKey="ollamaModel" onReset={setOllamaModel} />
+              </div>
+              
+              <div className="settings-field">
+                <InputField
+                  label="Context window (tokens)"
+                  type="number"
+                  value={ollamaContextWindow}
+                  onChange={({ value }) => setOllamaContextWindow(Number(value))}
+                  min={2048}
+                  step={1024}
+                  helpText="Context size Ollama allocates for the model (num_ctx); the data sent is sized to fit it. Larger windows let more of a large result through but need much more memory and can make Ollama reload the model. Keep it within what the model supports."
+                />
+                <SettingSource settingKey="ollamaContextWindow" onReset={setOllamaContextWindow} />
               </div>
             </>
-          )}
+          ) : selectedProvider ? (
+            <>
+              <h3>{selectedProvider.shortLabel} Configuration</h3>
+              <ProviderSettingsFields
+                provider={selectedProvider}
+                values={providerSettings}
+                onChange={handleProviderSettingChange}
+                models={providerModels}
+              />
+              <Box margin="16px 0">
+                <Button onClick={handleTestProviderConnection} disabled={testingConnection} primary>
+                  {testingConnection ? 'Testing...' : 'Test Connection'}
+                </Button>
+              </Box>
+            </>
+          ) : null}
           
           {testingConnection && (
             <Box margin="16px 0">
               <CircularLoader small />
-              <span style={{ marginLeft: '8px' }}>Testing connection to {aiProvider === 'openai' ? 'OpenAI' : 'Ollama'}...</span>
+              <span style={{ marginLeft: '8px' }}>Testing connection to {selectedProvider ? selectedProvider.shortLabel : aiProvider}...</span>
             </Box>
           )}
           
@@ -323,23 +653,27 @@ export const SettingsPanel = ({ onClose, engine }) => {
                       onChange={({ value }) => setModel(value)}
                       helpText="The OpenAI model to use for queries."
                     />
-                  </div>
-                  
-                  <div className="settings-field">
-                    <InputField
-                      label="Temperature"
-                      type="number"
-                      value={temperature}
-                      onChange={({ value }) => setTemperature(Number(value))}
-                      step={0.1}
-                      min={0}
-                      max={2}
-                      helpText="Controls randomness. Lower values are more focused, higher values more creative."
-                    />
+                    <SettingSource settingKey="model" onReset={setModel} />
                   </div>
                 </>
               )}
               
+              {aiProvider !== 'ollama' && (
+                <div className="settings-field">
+                  <InputField
+                    label="Temperature"
+                    type="number"
+                    value={temperature}
+                    onChange={({ value }) => setTemperature(Number(value))}
+                    step={0.1}
+                    min={0}
+                    max={2}
+                    helpText="Controls randomness. Lower values are more focused, higher values more creative."
+                  />
+                  <SettingSource settingKey="temperature" onReset={setTemperature} />
+                </div>
+              )}
+              
               <div className="settings-field">
                 <InputField
                   label="Max Tokens"
@@ -348,6 +682,7 @@ export const SettingsPanel = ({ onClose, engine }) => {
                   onChange={({ value }) => setMaxTokens(Number(value))}
                   helpText="Maximum number of tokens to generate in responses."
                 />
+                <SettingSource settingKey="maxTokens" onReset={setMaxTokens} />
               </div>
               
               <Divider margin="16px 0" />
@@ -360,13 +695,153 @@ export const SettingsPanel = ({ onClose, engine }) => {
                   onChange={() => setCachingEnabled(!cachingEnabled)}
                   helpText="Cache AI responses to save API costs for identical queries."
                 />
+                <SettingSource settingKey="cachingEnabled" onReset={setCachingEnabled} />
+              </div>
+              <div className="settings-field">
+                <Switch
+                  label="Compare with previous period and same period last year"
+                  checked={comparePeriods}
+                  onChange={() => setComparePeriods(!comparePeriods)}
+                  helpText="Fetch the comparison periods alongside each analysis and show the changes in the dashboard and to the AI."
+                />
+                <SettingSource settingKey="comparePeriods" onReset={setComparePeriods} />
+              </div>
+              <div className="settings-field">
+                <Switch
+                  label="Allow the AI to fetch additional data"
+                  checked={aiTools}
+                  onChange={() => setAITools(!aiTools)}
+                  helpText="Let OpenAI and Ollama models query analytics, child organization units, data item definitions and reporting rates during a conversation. Read-only, at most 5 requests per question."
+                />
+                <SettingSource settingKey="aiTools" onReset={setAITools} />
+              </div>
+              <div className="settings-field">
+                <Switch
+                  label="Structured insights"
+                  checked={structuredOutput}
+                  onChange={() => setStructuredOutput(!structuredOutput)}
+                  helpText="Ask OpenAI and Ollama models for findings, anomalies, prioritised recommendations and a confidence rating, shown as cards. Answers are not streamed; those that cannot be read this way are shown as text."
+                />
+                <SettingSource settingKey="structuredOutput" onReset={setStructuredOutput} />
+              </div>
+              <div className="settings-field">
+                <InputField
+                  label="Maximum rows per analysis"
+                  type="number"
+                  value={String(maxDataRows)}
+                  onChange={({ value }) => setMaxDataRows(Number(value))}
+                  min="1000"
+                  step="1000"
+                  helpText="Large analytics, event and tracker results are fetched in pages up to this many rows. Analyses that reach the limit are marked as partial."
+                />
+                <SettingSource settingKey="maxDataRows" onReset={setMaxDataRows} />
               </div>
+              
+              <h3>Storage</h3>
+              <p>
+                Cached responses, saved conversations and data snapshots are kept in your browser
+                {storageUsage ? ` (${storageUsage.backend === 'indexedDB' ? 'IndexedDB' : 'localStorage'})` : ''}.
+                The least recently used entries are removed when the limits below are reached.
+              </p>
+              
+              {storageUsage ? (
+                <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '16px', fontSize: '14px' }}>
+                  <thead>
+                    <tr>
+                      <th style={{ textAlign: 'left', padding: '6px', borderBottom: '2px solid #ddd' }}>Store</th>
+                      <th style={{ textAlign: 'right', padding: '6px', borderBottom: '2px solid #ddd' }}>Entries</th>
+                      <th style={{ textAlign: 'right', padding: '6px', borderBottom: '2px solid #ddd' }}>Size</th>
+                      <th style={{ padding: '6px', borderBottom: '2px solid #ddd' }}></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(storageUsage.stores).map(([store, usage]) => (
+                      <tr key={store}>
+                        <td style={{ padding: '6px', borderBottom: '1px solid #eee' }}>{storeLabels[store] || store}</td>
+                        <td style={{ textAlign: 'right', padding: '6px', borderBottom: '1px solid #eee' }}>{usage.entries}</td>
+                        <td style={{ textAlign: 'right', padding: '6px', borderBottom: '1px solid #eee' }}>{formatFileSize(usage.bytes)}</td>
+                        <td style={{ textAlign: 'right', padding: '6px', borderBottom: '1px solid #eee' }}>
+                          <Button small onClick={() => handlePurgeStorage(store)} disabled={purging || usage.entries === 0}>
+                            Purge
+                          </Button>
+                        </td>
+                      </tr>
+                    ))}
+                    <tr>
+                      <td style={{ padding: '6px', fontWeight: 'bold' }}>Total</td>
+                      <td></td>
+                      <td style={{ textAlign: 'right', padding: '6px', fontWeight: 'bold' }}>
+                        {formatFileSize(storageUsage.totalBytes)} of {formatFileSize(storageUsage.maxBytes)}
+                      </td>
+                      <td></td>
+                    </tr>
+                  </tbody>
+                </table>
+              ) : (
+                <Box margin="8px 0 16px">
+                  <CircularLoader small />
+                </Box>
+              )}
+              
+              <div className="settings-field">
+                <InputField
+                  label="Storage size limit (MB)"
+                  type="number"
+                  value={String(storageMaxSizeMB)}
+                  onChange={({ value }) => setStorageMaxSizeMB(Number(value))}
+                  min="1"
+                  helpText="Total size for cached responses, conversations and data snapshots. Limited to 4 MB when IndexedDB is unavailable."
+                />
+              </div>
+              
+              <div className="settings-field">
+                <InputField
+                  label="Maximum cached responses"
+                  type="number"
+                  value={String(cacheMaxEntries)}
+                  onChange={({ value }) => setCacheMaxEntries(Number(value))}
+                  min="1"
+                />
+              </div>
+              
+              <div className="settings-field">
+                <InputField
+                  label="Cache expiry (hours)"
+                  type="number"
+                  value={String(cacheMaxAgeHours)}
+                  onChange={({ value }) => setCacheMaxAgeHours(Number(value))}
+                  min="1"
+                  helpText="Cached responses older than this are discarded."
+                />
+              </div>
+              
+              <Box margin="8px 0 16px">
+                <Button destructive onClick={() => handlePurgeStorage()} disabled={purging}>
+                  {purging ? 'Purging...' : 'Purge All Stored Data'}
+                </Button>
+              </Box>
             </>
           )}
           
+          {saveResult && (
+            <Box margin="16px 0">
+              <NoticeBox
+                error={!saveResult.success}
+                success={saveResult.success}
+              >
+                {saveResult.message}
+              </NoticeBox>
+            </Box>
+          )}
+          
           <Box margin="24px 0 8px">
             <ButtonStrip>
               <Button primary onClick={handleSaveSettings}>Save Settings</Button>
+              {isAdmin && (
+                <Button onClick={handleSaveOrganisationDefaults}>
+                  Save as Organisation Default
+                </Button>
+              )}
               <Button onClick={onClose}>Cancel</Button>
             </ButtonStrip>
           </Box>
@@ -0,0 +1,75 @@
+/**
+ * Registry of AI providers.
+ *
+ * A provider is a plain object:
+ *   id, label, shortLabel, badgeColor - identification and display
+ *   capabilities - { streaming, modelListing, requiresApiKey, tools, structuredOutput }
+ *   settingsFields - settings rendered generically by the settings panel
+ *     ([{ key, label, type, placeholder, helpText, secret }]); secret fields are
+ *     stored in the user data store secrets rather than in settings
+ *   getInfo(settings) - model and parameters used for display and cache keys
+ *   isConfigured(settings) - whether the provider can be used with these settings
+ *   send(request) - request is { query, data, context, conversation, signal, tools, structured }; tools is a
+ *     runner from createToolRunner (aiTools.js) or null, and providers with the tools capability
+ *     run the turn through runToolLoop; structured asks providers with the structuredOutput
+ *     capability for a JSON answer of typed insights (insights.js)
+ *   stream(request, onStreamChunk) - like send, calling onStreamChunk with text deltas
+ *   complete(request) - optional; sends { messages, json, temperature, user, signal } as they are,
+ *     without the analysis prompt, and returns { message, usage, model }
+ *   listModels(options) - available model ids
+ *   test(options) - { success, models } or throws
+ */
+
+import { openaiProvider } from './openai'
+import { ollamaProvider } from './ollama'
+import { openaiCompatibleProvider } from './openaiCompatible'
+
+const REQUIRED_METHODS = ['getInfo', 'isConfigured', 'send', 'stream', 'listModels', 'test']
+
+const providers = new Map()
+
+/**
+ * Register an AI provider, replacing any provider with the same id
+ * @param {Object} provider - The provider implementation
+ */
+export const registerProvider = (provider) => {
+  if (!provider || !provider.id) {
+    throw new Error('AI provider must have an id')
+  }
+  const missing = REQUIRED_METHODS.filter(method => typeof provider[method] !== 'function')
+  if (missing.length > 0) {
+    throw new Error(`AI provider "${provider.id}" is missing: ${missing.join(', ')}`)
+  }
+
+  providers.set(provider.id, {
+    shortLabel: provider.label,
+    badgeColor: '#6e7a8a',
+    settingsFields: [],
+    ...provider,
+    capabilities: {
+      streaming: false,
+      modelListing: false,
+      requiresApiKey: false,
+      tools: false,
+      structuredOutput: false,
+      ...provider.capabilities
+    }
+  })
+}
+
+/**
+ * Get a registered provider
+ * @param {string} id - Provider id
+ * @returns {Object|null} The provider or null if it is not registered
+ */
+export const getProvider = (id) => providers.get(id) || null
+
+/**
+ * List all registered providers in registration order
+ * @returns {Array} Providers
+ */
+export const listProviders = () => Array.from(providers.values())
+
+registerProvider(openaiProvider)
+registerProvider(ollamaProvider)
+registerProvider(openaiCompatibleProvider)
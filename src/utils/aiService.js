@@ -1,52 +1,118 @@
-import { sendToOpenAI } from './openai'
-import { sendToOllama } from './ollama'
-import { getSettings } from './storage'
+import { getProvider, listProviders } from './aiProviders'
+import { getSettings, getCachedResponse, cacheResponse } from './storage'
+import { createToolRunner } from './aiTools'
+import { createStructuredResult } from './insights'
 
 /**
- * Sends a query to the configured AI provider (OpenAI or Ollama)
+ * Get the provider selected in settings
+ * @returns {Object} The provider implementation
+ */
+const getActiveProvider = () => {
+  const settings = getSettings() || {}
+  const provider = getProvider(settings.aiProvider || 'openai')
+  if (!provider) {
+    throw new Error(`Unknown AI provider: ${settings.aiProvider}`)
+  }
+  return provider
+}
+
+/**
+ * Sends a query to the configured AI provider
  * @param {string} query - The user's query
  * @param {Object} data - The DHIS2 data to analyze
  * @param {Object} context - Additional context information
  * @param {Array} conversation - The conversation history
  * @param {Function} onStreamChunk - Optional callback for streaming response chunks
- * @returns {Object} The AI response
+ * @param {Object} options - Request options
+ * @param {boolean} options.bypassCache - Skip the cache lookup and ask the provider live
+ * @param {AbortSignal} options.signal - Signal to stop the request; streamed answers come back with truncated: true
+ * @param {Object} options.engine - DHIS2 data engine; with it, providers that support tools can fetch more data
+ * @param {Function} options.onToolCall - Called with each tool call as it completes ({ name, arguments, summary, error })
+ * @returns {Object} The AI response (with cached: true when served from the cache, toolCalls when tools ran,
+ *   insights when the answer was structured and structuredFallback: true when it could not be read as insights)
  */
-export const sendToAI = async (query, data, context, conversation = [], onStreamChunk = null) => {
+export const sendToAI = async (query, data, context, conversation = [], onStreamChunk = null, options = {}) => {
+  const provider = getActiveProvider()
+  const aiInfo = getAIInfo()
   const settings = getSettings() || {}
-  const aiProvider = settings.aiProvider || 'openai'
   
-  // Based on the configured provider, send to appropriate service
-  if (aiProvider === 'ollama') {
-    return sendToOllama(query, data, context, conversation, onStreamChunk)
-  } else {
-    // Default to OpenAI
-    return sendToOpenAI(query, data, context, conversation, onStreamChunk)
+  // Structured answers are JSON, which is validated whole, so they are not streamed
+  const structured = Boolean(provider.capabilities.structuredOutput && settings.structuredOutput)
+  
+  // Providers only need role and content; UI flags like timestamps stay out of the request
+  const history = conversation.map(({ role, content }) => ({ role, content }))
+  
+  const cacheKeyContext = {
+    provider: aiInfo.provider,
+    model: aiInfo.model,
+    temperature: aiInfo.temperature,
+    period: context && context.period,
+    structured,
+    conversation: history
+  }
+  
+  if (!options.bypassCache) {
+    const cached = await getCachedResponse(query, data, cacheKeyContext)
+    if (cached) {
+      console.log(`Serving cached ${aiInfo.provider} response from ${new Date(cached.cachedAt).toISOString()}`)
+      return { ...cached, cached: true }
+    }
+  }
+  
+  // Tools can be switched off in settings, e.g. to keep answers to the selected data
+  const tools = provider.capabilities.tools && options.engine && settings.aiTools !== false
+    ? createToolRunner(options.engine, {
+        model: aiInfo.model,
+        contextWindow: aiInfo.contextWindow,
+        onToolCall: options.onToolCall
+      })
+    : null
+  
+  const request = { query, data, context, conversation: history, signal: options.signal, tools, structured }
+  const answer = onStreamChunk && provider.capabilities.streaming && !structured
+    ? await provider.stream(request, onStreamChunk)
+    : await provider.send(request)
+  const result = structured ? createStructuredResult(answer) : answer
+  
+  // A stopped answer is incomplete, so it is never served from the cache
+  if (!result.truncated) {
+    await cacheResponse(query, data, result, cacheKeyContext)
+  }
+  
+  return result
+}
+
+/**
+ * Sends chat messages to the configured AI provider as they are, for tasks other than
+ * analysing data (e.g. resolving a data selection from a description). Not cached.
+ * @param {Array} messages - Chat messages ({ role, content })
+ * @param {Object} options - Request options
+ * @param {boolean} options.json - Ask for an answer that is a JSON object
+ * @param {number} options.temperature - Temperature, instead of the one in settings
+ * @param {Object} options.user - The current DHIS2 user
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Object} { message, usage, model }
+ */
+export const completeWithAI = async (messages, options = {}) => {
+  const provider = getActiveProvider()
+  if (typeof provider.complete !== 'function') {
+    throw new Error(`${provider.shortLabel} does not support this feature`)
   }
+  return provider.complete({ messages, ...options })
 }
 
 /**
- * Tests connection to the configured AI provider
- * @param {Object} options - Connection options (apiKey for OpenAI or serverUrl for Ollama)
- * @param {string} provider - The provider to test ('openai' or 'ollama')
+ * Tests connection to an AI provider
+ * @param {Object} options - Provider specific connection options (e.g. apiKey, serverUrl)
+ * @param {string} providerId - The provider to test (defaults to the configured provider)
  * @returns {Object} Test result with available models
  */
-export const testAIConnection = async (options, provider) => {
+export const testAIConnection = async (options, providerId) => {
+  const provider = providerId ? getProvider(providerId) : getActiveProvider()
   if (!provider) {
-    const settings = getSettings() || {}
-    provider = settings.aiProvider || 'openai'
-  }
-  
-  if (provider === 'openai') {
-    // Import dynamically to avoid circular dependencies
-    const { testOpenAIConnection } = await import('./openai')
-    return testOpenAIConnection(options.apiKey)
-  } else if (provider === 'ollama') {
-    // Import dynamically to avoid circular dependencies
-    const { testOllamaConnection } = await import('./ollama')
-    return testOllamaConnection(options.serverUrl)
-  } else {
-    throw new Error(`Unknown AI provider: ${provider}`)
+    throw new Error(`Unknown AI provider: ${providerId}`)
   }
+  return provider.test(options || {})
 }
 
 /**
@@ -55,25 +121,35 @@ export const testAIConnection = async (options, provider) => {
  */
 export const getAIInfo = () => {
   const settings = getSettings() || {}
-  const aiProvider = settings.aiProvider || 'openai'
+  const provider = getProvider(settings.aiProvider || 'openai')
   
-  if (aiProvider === 'openai') {
-    return {
-      provider: 'openai',
-      model: settings.model || 'gpt-4',
-      temperature: settings.temperature || 0.7,
-      maxTokens: settings.maxTokens || 2000
-    }
-  } else if (aiProvider === 'ollama') {
+  if (!provider) {
     return {
-      provider: 'ollama',
-      model: settings.ollamaModel || 'llama3',
-      serverUrl: settings.ollamaServerUrl || 'http://localhost:11434',
-      maxTokens: settings.maxTokens || 2000
+      provider: 'unknown'
     }
   }
   
   return {
-    provider: 'unknown'
+    provider: provider.id,
+    label: provider.shortLabel,
+    badgeColor: provider.badgeColor,
+    capabilities: provider.capabilities,
+    ...provider.getInfo(settings)
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Check whether the configured AI provider has everything it needs
+ * @returns {boolean} True if queries can be sent
+ */
+export const isAIConfigured = () => {
+  const settings = getSettings() || {}
+  const provider = getProvider(settings.aiProvider || 'openai')
+  return Boolean(provider && provider.isConfigured(settings))
+}
+
+/**
+ * List the registered AI providers for selection in settings
+ * @returns {Array} Providers
+ */
+export const getAvailableProviders = () => listProviders()
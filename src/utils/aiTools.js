@@ -0,0 +1,368 @@
+/**
+ * Read-only tools the AI can call to fetch more DHIS2 data during a conversation, for
+ * follow-ups the selected data cannot answer (other periods, org units or data items).
+ *
+ * Each tool has a function definition in the OpenAI format, which Ollama also accepts,
+ * and runs through the lookups of dhis2Data.js, which only read from DHIS2. Arguments are
+ * checked before any request is made, results are condensed to a token budget before
+ * they go back to the model, and a turn may run at most MAX_TOOL_CALLS_PER_TURN calls.
+ */
+
+import {
+  fetchAnalyticsTable,
+  fetchChildOrgUnits,
+  fetchDataItemMetadata,
+  fetchReportingRates
+} from './dhis2Data'
+import { buildDataContext } from './contextBuilder'
+import { findInvalidPeriods, splitPeriodSelection, getPeriodSelectionName } from './periods'
+import { estimateTokens, getContextWindow } from './tokens'
+
+export const MAX_TOOL_CALLS_PER_TURN = 5
+
+// Requests to the model per turn: a round for each call at most, and a last one without tools
+const MAX_TOOL_ROUNDS = MAX_TOOL_CALLS_PER_TURN + 1
+
+// Tokens of each tool result sent back to the model, and the share of the context window
+// kept free for the results of a whole turn
+const MAX_TOOL_RESULT_TOKENS = 1500
+const TOOL_RESULTS_SHARE = 0.2
+
+// Items accepted per call
+const MAX_DATA_ITEMS = 20
+const MAX_ORG_UNITS = 50
+
+// Dimension items are IDs, keywords (USER_ORGUNIT, LEVEL-3, OU_GROUP-x) or 'id.id' combinations
+const DIMENSION_ITEM_PATTERN = /^[A-Za-z0-9_.-]+$/
+
+const PERIODS_PARAMETER = {
+  type: 'string',
+  description: 'DHIS2 period IDs or relative periods separated by ";", e.g. "202401;202402", "2023Q4", "2022" or "LAST_12_MONTHS"'
+}
+
+const ORG_UNITS_PARAMETER = {
+  type: 'array',
+  items: { type: 'string' },
+  description: 'Org unit IDs. Add "LEVEL-<n>" or "OU_GROUP-<group id>" next to a parent ID for every unit at that level or in that group below it'
+}
+
+/**
+ * Check a list of dimension items from the model
+ * @param {Array|string} value - Items as an array or separated by ";"
+ * @param {string} label - What the items are, for error messages
+ * @param {number} max - Most items allowed
+ * @returns {Array} Items
+ */
+const checkItems = (value, label, max) => {
+  const items = (Array.isArray(value) ? value : String(value || '').split(';'))
+    .map(item => String(item).trim())
+    .filter(Boolean)
+  if (items.length === 0) {
+    throw new Error(`${label} are required`)
+  }
+  if (items.length > max) {
+    throw new Error(`At most ${max} ${label} per call`)
+  }
+  const invalid = items.filter(item => !DIMENSION_ITEM_PATTERN.test(item))
+  if (invalid.length > 0) {
+    throw new Error(`Invalid ${label}: ${invalid.join(', ')}`)
+  }
+  return items
+}
+
+/**
+ * Check a period selection from the model
+ * @param {string} value - Periods separated by ";"
+ * @returns {Array} Period IDs and relative periods
+ */
+const checkPeriods = (value) => {
+  const selection = Array.isArray(value) ? value.join(';') : String(value || '')
+  const invalid = findInvalidPeriods(selection)
+  if (invalid.length > 0) {
+    throw new Error(`Unknown periods: ${invalid.join(', ')}`)
+  }
+  return checkItems(splitPeriodSelection(selection), 'periods', MAX_DATA_ITEMS)
+}
+
+/**
+ * Name the items of an analytics result, for the transcript
+ * @param {Object} result - { metaData }
+ * @param {Array} ids - Item IDs
+ * @returns {string} Names separated by commas
+ */
+const nameItems = (result, ids) => {
+  const items = (result.metaData && result.metaData.items) || {}
+  const names = ids.map(id => (items[id] && items[id].name) || id)
+  return names.length > 3 ? `${names.slice(0, 3).join(', ')} and ${names.length - 3} more` : names.join(', ')
+}
+
+/**
+ * Cut a text result to the token budget of a tool result
+ * @param {string} text - Result text
+ * @param {Object} options - { model, resultTokens }
+ * @returns {string} Text within the budget
+ */
+const limitText = (text, options) => {
+  const tokens = estimateTokens(text, options.model)
+  if (tokens <= options.resultTokens) return text
+  return `${text.slice(0, Math.floor(text.length * (options.resultTokens / tokens) * 0.95))}\n... (cut to fit the context)`
+}
+
+// The tools: definition for the model, and run(engine, args, options) returning { content, summary }
+const TOOLS = [
+  {
+    name: 'query_analytics',
+    description: 'Fetch aggregated values of data elements, indicators or program indicators for periods and org units from DHIS2 analytics. ' +
+      'Use it for periods, org units or data items that are not in the data provided.',
+    parameters: {
+      type: 'object',
+      properties: {
+        dataItems: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'IDs of data elements, indicators or program indicators ("<data element id>.<category option combo id>" for one disaggregation)'
+        },
+        periods: PERIODS_PARAMETER,
+        orgUnits: ORG_UNITS_PARAMETER
+      },
+      required: ['dataItems', 'periods', 'orgUnits']
+    },
+    run: async (engine, args, options) => {
+      const request = {
+        dataItems: checkItems(args.dataItems, 'data items', MAX_DATA_ITEMS),
+        periods: checkPeriods(args.periods),
+        orgUnits: checkItems(args.orgUnits, 'org units', MAX_ORG_UNITS)
+      }
+      const result = await fetchAnalyticsTable(engine, request)
+      return {
+        content: result.rows.length > 0
+          ? buildDataContext(result, { model: options.model, tokenBudget: options.resultTokens }).text
+          : 'No values for this selection.',
+        summary: `Fetched ${nameItems(result, request.dataItems)} for ${getPeriodSelectionName(request.periods.join(';'))} ` +
+          `in ${nameItems(result, request.orgUnits)}: ${result.rows.length} values${result.truncated ? ' (cut at the row limit)' : ''}`
+      }
+    }
+  },
+  {
+    name: 'list_child_org_units',
+    description: 'List the child org units of an org unit with their IDs, levels and number of children.',
+    parameters: {
+      type: 'object',
+      properties: {
+        orgUnit: { type: 'string', description: 'ID of the parent org unit' }
+      },
+      required: ['orgUnit']
+    },
+    run: async (engine, args, options) => {
+      const [orgUnitId] = checkItems(args.orgUnit, 'org unit', 1)
+      const { orgUnit, children } = await fetchChildOrgUnits(engine, orgUnitId)
+      const lines = children.map(child => `${child.id},"${child.displayName}",${child.level},${child.childCount || 0}`)
+      return {
+        content: limitText(`Children of ${orgUnit.displayName} (level ${orgUnit.level}):\nid,name,level,children\n${lines.join('\n')}`, options),
+        summary: `Listed the ${children.length} child org units of ${orgUnit.displayName}`
+      }
+    }
+  },
+  {
+    name: 'get_data_item_metadata',
+    description: 'Look up data elements, indicators and program indicators by ID or by name: description, value type, ' +
+      'aggregation type, category combination, datasets (with their IDs and period types) and indicator formulas in words.',
+    parameters: {
+      type: 'object',
+      properties: {
+        ids: { type: 'array', items: { type: 'string' }, description: 'IDs of the items to describe' },
+        search: { type: 'string', description: 'Part of the name to search for, when the IDs are not known' }
+      }
+    },
+    run: async (engine, args, options) => {
+      const lookup = args.ids && args.ids.length > 0
+        ? { ids: checkItems(args.ids, 'data items', MAX_DATA_ITEMS) }
+        : { search: String(args.search || '').trim() }
+      if (!lookup.ids && !lookup.search) {
+        throw new Error('Give the IDs or a name to search for')
+      }
+      const { dataElements, indicators, programIndicators } = await fetchDataItemMetadata(engine, lookup)
+      const describe = (item, details) => `- ${item.displayName} (${item.id}): ${details.filter(Boolean).join('; ')}`
+      const lines = [
+        ...dataElements.map(de => describe(de, [
+          'data element',
+          de.description,
+          `value type ${de.valueType}`,
+          `aggregation ${de.aggregationType}`,
+          de.categoryCombo && de.categoryCombo.displayName !== 'default' && `disaggregated by ${de.categoryCombo.displayName}`,
+          (de.dataSetElements || []).length > 0 &&
+            `datasets: ${de.dataSetElements.map(({ dataSet }) => `${dataSet.displayName} (${dataSet.id}, ${dataSet.periodType})`).join(', ')}`
+        ])),
+        ...indicators.map(indicator => describe(indicator, [
+          `indicator${indicator.indicatorType ? ` (${indicator.indicatorType.displayName})` : ''}`,
+          indicator.description,
+          indicator.numeratorDescription && `numerator: ${indicator.numeratorDescription}`,
+          indicator.denominatorDescription && `denominator: ${indicator.denominatorDescription}`
+        ])),
+        ...programIndicators.map(programIndicator => describe(programIndicator, [
+          'program indicator',
+          programIndicator.program && `program ${programIndicator.program.displayName}`,
+          programIndicator.description
+        ]))
+      ]
+      return {
+        content: lines.length > 0 ? limitText(lines.join('\n'), options) : 'No matching data items.',
+        summary: `Looked up ${lines.length} data items${lookup.search ? ` matching "${lookup.search}"` : ''}`
+      }
+    }
+  },
+  {
+    name: 'get_reporting_rates',
+    description: 'Fetch the reporting rate, actual, expected and on-time reports of datasets for periods and org units.',
+    parameters: {
+      type: 'object',
+      properties: {
+        dataSets: { type: 'array', items: { type: 'string' }, description: 'Dataset IDs (from get_data_item_metadata)' },
+        periods: PERIODS_PARAMETER,
+        orgUnits: ORG_UNITS_PARAMETER
+      },
+      required: ['dataSets', 'periods', 'orgUnits']
+    },
+    run: async (engine, args, options) => {
+      const request = {
+        dataSets: checkItems(args.dataSets, 'datasets', MAX_DATA_ITEMS),
+        periods: checkPeriods(args.periods),
+        orgUnits: checkItems(args.orgUnits, 'org units', MAX_ORG_UNITS)
+      }
+      const result = await fetchReportingRates(engine, request)
+      return {
+        content: result.rows.length > 0
+          ? buildDataContext(result, { model: options.model, tokenBudget: options.resultTokens, aggregation: 'average' }).text
+          : 'No reporting data for this selection.',
+        summary: `Fetched reporting rates of ${nameItems(result, request.dataSets)} for ${getPeriodSelectionName(request.periods.join(';'))}: ` +
+          `${result.rows.length} values`
+      }
+    }
+  }
+]
+
+/**
+ * Get the tool definitions in the OpenAI chat-completions format (also used by Ollama)
+ * @returns {Array} [{ type: 'function', function: { name, description, parameters } }]
+ */
+export const getToolDefinitions = () => TOOLS.map(({ name, description, parameters }) => ({
+  type: 'function',
+  function: { name, description, parameters }
+}))
+
+/**
+ * Create the runner that executes the tool calls of a conversation turn
+ * @param {Object} engine - DHIS2 data engine
+ * @param {Object} options
+ * @param {string} options.model - Model name, for sizing results
+ * @param {number} options.contextWindow - Context window of the model, for sizing results
+ * @param {Function} options.onToolCall - Called with each completed call, for the transcript
+ * @returns {Object} { definitions, reservedTokens, run(call) } where reservedTokens is what the definitions and
+ *   results of a turn may take from the context window, call is { id, name, arguments } (arguments as JSON
+ *   text or object) and run resolves to { name, arguments, summary, error, content }
+ */
+export const createToolRunner = (engine, options = {}) => {
+  const definitions = getToolDefinitions()
+  const contextWindow = options.contextWindow || getContextWindow(options.model)
+  const resultTokens = Math.min(MAX_TOOL_RESULT_TOKENS, Math.floor(contextWindow * TOOL_RESULTS_SHARE / MAX_TOOL_CALLS_PER_TURN))
+  const toolOptions = { model: options.model, resultTokens }
+
+  return {
+    definitions,
+    reservedTokens: estimateTokens(JSON.stringify(definitions), options.model) + resultTokens * MAX_TOOL_CALLS_PER_TURN,
+    run: async (call) => {
+      const tool = TOOLS.find(candidate => candidate.name === call.name)
+      let args = {}
+      let record
+      try {
+        args = typeof call.arguments === 'string' ? JSON.parse(call.arguments || '{}') : (call.arguments || {})
+        if (!tool) {
+          throw new Error(`Unknown tool: ${call.name}`)
+        }
+        const { content, summary } = await tool.run(engine, args, toolOptions)
+        record = { name: call.name, arguments: args, summary, error: null, content }
+      } catch (err) {
+        // Errors go back to the model, which can correct the call or answer without it
+        console.warn(`AI tool ${call.name} failed:`, err)
+        record = {
+          name: call.name,
+          arguments: args,
+          summary: `${call.name} failed`,
+          error: err.message,
+          content: `Error: ${err.message}`
+        }
+      }
+      if (typeof options.onToolCall === 'function') {
+        options.onToolCall(record)
+      }
+      return record
+    }
+  }
+}
+
+/**
+ * Add up the token usage of the rounds of a turn
+ * @param {Object|null} total - Usage so far
+ * @param {Object|null} usage - Usage of a round
+ * @returns {Object|null} Summed usage
+ */
+const addUsage = (total, usage) => {
+  if (!usage) return total
+  if (!total) return { ...usage }
+  return {
+    prompt_tokens: (total.prompt_tokens || 0) + (usage.prompt_tokens || 0),
+    completion_tokens: (total.completion_tokens || 0) + (usage.completion_tokens || 0),
+    total_tokens: (total.total_tokens || 0) + (usage.total_tokens || 0)
+  }
+}
+
+/**
+ * Run a conversation turn with tool calls: ask the model, run the tools it calls, send the
+ * results back and ask again, until it answers. Once MAX_TOOL_CALLS_PER_TURN calls have run,
+ * further calls are refused and the model is asked to answer with what it has; the last of
+ * the MAX_TOOL_ROUNDS rounds offers no tools, so a turn always ends.
+ * @param {Object|null} toolRunner - From createToolRunner, or null to ask once without tools
+ * @param {Array} messages - Chat messages of the turn
+ * @param {Object} provider - Provider specific request and message formats
+ * @param {Function} provider.sendRound - async (messages, toolsAllowed) => { result, toolRequests, assistantMessage },
+ *   where toolRequests are the calls asked for ([{ id, name, arguments }]) and assistantMessage is the
+ *   model's message to add before the results
+ * @param {Function} provider.toolMessage - (request, content) => the message carrying a tool result
+ * @returns {Object} The final result, with the usage of all rounds and toolCalls ([{ name, arguments, summary, error }])
+ */
+export const runToolLoop = async (toolRunner, messages, provider) => {
+  const turnMessages = [...messages]
+  const toolCalls = []
+  let usage = null
+
+  for (let roundNumber = 1; roundNumber <= MAX_TOOL_ROUNDS; roundNumber++) {
+    const toolsAllowed = Boolean(toolRunner) && toolCalls.length < MAX_TOOL_CALLS_PER_TURN && roundNumber < MAX_TOOL_ROUNDS
+    const round = await provider.sendRound(turnMessages, toolsAllowed)
+    usage = addUsage(usage, round.result.usage)
+    const requests = round.toolRequests || []
+    if (!toolsAllowed || requests.length === 0 || round.result.truncated) {
+      // Calls asked for in a round without tools are not run
+      if (!toolsAllowed && requests.length > 0 && !round.result.message) {
+        throw new Error('The AI kept calling tools instead of answering. Try asking the question again.')
+      }
+      return {
+        ...round.result,
+        usage,
+        ...(toolCalls.length > 0 ? { toolCalls } : {})
+      }
+    }
+
+    turnMessages.push(round.assistantMessage)
+    for (const request of requests) {
+      if (toolCalls.length >= MAX_TOOL_CALLS_PER_TURN) {
+        // Every requested call needs an answer, so the ones over the limit are refused
+        turnMessages.push(provider.toolMessage(request,
+          `Not run: the limit of ${MAX_TOOL_CALLS_PER_TURN} tool calls per question was reached. Answer with the data you have.`))
+        continue
+      }
+      const { content, ...call } = await toolRunner.run(request)
+      toolCalls.push(call)
+      turnMessages.push(provider.toolMessage(request, content))
+    }
+  }
+}
@@ -0,0 +1,51 @@
+import { runToolLoop, MAX_TOOL_CALLS_PER_TURN } from './aiTools'
+
+const toolRunner = {
+  run: async (request) => ({ name: request.name, arguments: request.arguments, summary: 'ok', content: 'result' })
+}
+
+/**
+ * Provider whose model asks for a tool in every round that offers tools
+ * @param {string} answer - Message of rounds without tools
+ * @returns {Object} { sendRound, toolMessage, rounds } where rounds records whether tools were offered
+ */
+const createProvider = (answer) => {
+  const rounds = []
+  return {
+    rounds,
+    sendRound: async (messages, toolsAllowed) => {
+      rounds.push(toolsAllowed)
+      return {
+        result: { message: toolsAllowed ? '' : answer, usage: { prompt_tokens: 10, completion_tokens: 1, total_tokens: 11 } },
+        toolRequests: [{ id: `call_${rounds.length}`, name: 'get_data', arguments: '{}' }],
+        assistantMessage: { role: 'assistant', content: '' }
+      }
+    },
+    toolMessage: (request, content) => ({ role: 'tool', tool_call_id: request.id, content })
+  }
+}
+
+describe('runToolLoop', () => {
+  it('ends the turn with a round without tools once the calls are used up', async () => {
+    const provider = createProvider('The answer')
+    const result = await runToolLoop(toolRunner, [{ role: 'user', content: 'Question' }], provider)
+    expect(provider.rounds).toEqual([...Array(MAX_TOOL_CALLS_PER_TURN).fill(true), false])
+    expect(result.message).toBe('The answer')
+    expect(result.toolCalls).toHaveLength(MAX_TOOL_CALLS_PER_TURN)
+    expect(result.usage).toEqual({ prompt_tokens: 60, completion_tokens: 6, total_tokens: 66 })
+  })
+
+  it('fails when the model still only calls tools in the last round', async () => {
+    const provider = createProvider('')
+    await expect(runToolLoop(toolRunner, [], provider)).rejects.toThrow('kept calling tools')
+    expect(provider.rounds).toHaveLength(MAX_TOOL_CALLS_PER_TURN + 1)
+  })
+
+  it('asks once without a tool runner', async () => {
+    const provider = createProvider('Direct answer')
+    const result = await runToolLoop(null, [], provider)
+    expect(provider.rounds).toEqual([false])
+    expect(result.message).toBe('Direct answer')
+    expect(result.toolCalls).toBeUndefined()
+  })
+})
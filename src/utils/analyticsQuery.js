@@ -0,0 +1,209 @@
+/**
+ * Analytics query builder: the data selection of an analysis as one plain,
+ * serialisable object, and its translation into analytics request parameters.
+ *
+ * A query is
+ * { dataType, dataElements, period, orgUnit, disaggregation, dimensions, filters,
+ *   aggregationType, approvalLevel, measureCriteria, outbreakDetection, dataQualityChecks } where
+ * - disaggregation ([{ id, name }]) lists the categories picked for the data elements,
+ * - dimensions ([{ id, name, items: [{ id, name }] }]) adds further dimensions such as
+ *   category option group sets or data element group sets (no items means all items),
+ * - filters lists the dimensions applied as filters instead: 'pe', 'ou' or the id of an
+ *   added dimension, which then needs items,
+ * - aggregationType overrides the aggregation type of the data items ('SUM', 'AVERAGE', ...),
+ * - approvalLevel ({ id, name }) only counts data approved at that level,
+ * - measureCriteria ([{ operator, value }]) only keeps values meeting every condition,
+ * - outbreakDetection also fetches the same periods in earlier years and compares each
+ *   value with epidemic thresholds (see utils/outbreak); it needs periods as a dimension,
+ * - dataQualityChecks adds the reporting rates of the datasets behind the data elements
+ *   and scores the data quality of each org unit (see utils/dataQuality).
+ *
+ * The options apply to the analytics endpoint (aggregate data, indicators and program
+ * indicators); event and tracker analyses ignore them.
+ */
+
+import { BASELINE_YEARS } from './outbreak'
+
+export const AGGREGATION_TYPES = [
+  { id: 'DEFAULT', name: 'Default (as configured for each item)' },
+  { id: 'SUM', name: 'Sum' },
+  { id: 'AVERAGE', name: 'Average' },
+  { id: 'AVERAGE_SUM_ORG_UNIT', name: 'Average (sum in org unit hierarchy)' },
+  { id: 'LAST', name: 'Last value (sum in org unit hierarchy)' },
+  { id: 'LAST_AVERAGE_ORG_UNIT', name: 'Last value (average in org unit hierarchy)' },
+  { id: 'FIRST', name: 'First value (sum in org unit hierarchy)' },
+  { id: 'COUNT', name: 'Count' },
+  { id: 'STDDEV', name: 'Standard deviation' },
+  { id: 'VARIANCE', name: 'Variance' },
+  { id: 'MIN', name: 'Min' },
+  { id: 'MAX', name: 'Max' }
+]
+
+export const MEASURE_CRITERIA_OPERATORS = [
+  { id: 'GT', name: 'greater than', symbol: '>' },
+  { id: 'GE', name: 'greater than or equal to', symbol: '>=' },
+  { id: 'LT', name: 'less than', symbol: '<' },
+  { id: 'LE', name: 'less than or equal to', symbol: '<=' },
+  { id: 'EQ', name: 'equal to', symbol: '=' }
+]
+
+// The fixed dimensions that can be applied as filters; dx always stays a dimension
+export const FILTERABLE_DIMENSIONS = [
+  { id: 'pe', name: 'Period' },
+  { id: 'ou', name: 'Organisation unit' }
+]
+
+/**
+ * Create a query from a data selection, dropping empty or incomplete options
+ * @param {Object} selection - Selection and query options (see the module description)
+ * @returns {Object} The query
+ */
+export const createAnalyticsQuery = (selection = {}) => {
+  const dataType = selection.dataType || 'aggregate'
+  const query = {
+    dataType,
+    dataElements: selection.dataElements || [],
+    period: selection.period || null,
+    orgUnit: selection.orgUnit || null,
+    disaggregation: dataType === 'aggregate' ? selection.disaggregation || [] : [],
+    dimensions: [],
+    filters: [],
+    aggregationType: null,
+    approvalLevel: null,
+    measureCriteria: [],
+    outbreakDetection: false,
+    dataQualityChecks: false
+  }
+  if (['event', 'tracker'].includes(dataType)) return query
+
+  query.dimensions = (selection.dimensions || [])
+    .filter(dimension => dimension && dimension.id)
+    .map(dimension => ({ id: dimension.id, name: dimension.name || dimension.id, items: dimension.items || [] }))
+  query.filters = (selection.filters || []).filter(id =>
+    FILTERABLE_DIMENSIONS.some(dimension => dimension.id === id) ||
+    query.dimensions.some(dimension => dimension.id === id && dimension.items.length > 0)
+  )
+  query.aggregationType = selection.aggregationType && selection.aggregationType !== 'DEFAULT'
+    ? selection.aggregationType
+    : null
+  query.approvalLevel = selection.approvalLevel && selection.approvalLevel.id ? selection.approvalLevel : null
+  query.measureCriteria = (selection.measureCriteria || []).filter(criterion =>
+    MEASURE_CRITERIA_OPERATORS.some(operator => operator.id === criterion.operator) &&
+    criterion.value !== '' && !isNaN(parseFloat(criterion.value))
+  )
+  query.outbreakDetection = Boolean(selection.outbreakDetection) && !query.filters.includes('pe')
+  query.dataQualityChecks = Boolean(selection.dataQualityChecks)
+  return query
+}
+
+/**
+ * Check whether a dimension is applied as a filter
+ * @param {Object} query - Query
+ * @param {string} dimensionId - 'pe', 'ou' or an added dimension
+ * @returns {boolean} True for filters
+ */
+export const isFilterDimension = (query, dimensionId) => Boolean(query && query.filters && query.filters.includes(dimensionId))
+
+/**
+ * Translate the options of a query into the parts of an analytics request. Added
+ * dimensions are returned separately from the filters, since each one is analysed
+ * as a breakdown of its own next to the dx/pe/ou request.
+ * @param {Object|null} query - Query from createAnalyticsQuery
+ * @returns {Object} { breakdowns: [{ id, name, dimension }], filters: ['id:items'],
+ *   periodAsFilter, orgUnitAsFilter, params: { aggregationType, approvalLevel, measureCriteria } }
+ */
+export const getAnalyticsRequestParts = (query) => {
+  if (!query) {
+    return { breakdowns: [], filters: [], periodAsFilter: false, orgUnitAsFilter: false, params: {} }
+  }
+
+  const toParam = (dimension) => dimension.items && dimension.items.length > 0
+    ? `${dimension.id}:${dimension.items.map(item => item.id).join(';')}`
+    : dimension.id
+
+  const breakdowns = [...(query.disaggregation || []), ...(query.dimensions || [])]
+    .filter(dimension => !isFilterDimension(query, dimension.id))
+    .map(dimension => ({ id: dimension.id, name: dimension.name, dimension: toParam(dimension) }))
+
+  return {
+    breakdowns,
+    filters: (query.dimensions || []).filter(dimension => isFilterDimension(query, dimension.id)).map(toParam),
+    periodAsFilter: isFilterDimension(query, 'pe'),
+    orgUnitAsFilter: isFilterDimension(query, 'ou'),
+    params: {
+      ...(query.aggregationType ? { aggregationType: query.aggregationType } : {}),
+      ...(query.approvalLevel ? { approvalLevel: query.approvalLevel.id } : {}),
+      ...(query.measureCriteria && query.measureCriteria.length > 0
+        ? { measureCriteria: query.measureCriteria.map(criterion => `${criterion.operator}:${criterion.value}`).join(';') }
+        : {})
+    }
+  }
+}
+
+/**
+ * Describe the options of a query for display and the AI prompt
+ * @param {Object|null} query - Query from createAnalyticsQuery
+ * @returns {Array} One sentence per option; empty without options
+ */
+export const describeAnalyticsQuery = (query) => {
+  if (!query) return []
+  const descriptions = []
+  const itemNames = (dimension) => dimension.items.length > 0
+    ? ` (${dimension.items.map(item => item.name || item.id).join(', ')})`
+    : ''
+
+  if (isFilterDimension(query, 'pe')) {
+    descriptions.push('Periods are applied as a filter: values are aggregated over the whole period selection')
+  }
+  if (isFilterDimension(query, 'ou')) {
+    descriptions.push('Organisation units are applied as a filter: values are aggregated over all selected units')
+  }
+  const dimensions = query.dimensions || []
+  dimensions.forEach(dimension => {
+    descriptions.push(isFilterDimension(query, dimension.id)
+      ? `Filtered by ${dimension.name}${itemNames(dimension)}`
+      : `Broken down by ${dimension.name}${itemNames(dimension)}`)
+  })
+  if (query.aggregationType) {
+    const aggregationType = AGGREGATION_TYPES.find(type => type.id === query.aggregationType)
+    descriptions.push(`Aggregation type: ${aggregationType ? aggregationType.name : query.aggregationType}`)
+  }
+  if (query.approvalLevel) {
+    descriptions.push(`Only data approved at ${query.approvalLevel.name || query.approvalLevel.id} level`)
+  }
+  if (query.measureCriteria && query.measureCriteria.length > 0) {
+    descriptions.push(`Only values ${query.measureCriteria.map(criterion => {
+      const operator = MEASURE_CRITERIA_OPERATORS.find(op => op.id === criterion.operator)
+      return `${operator.name} ${criterion.value}`
+    }).join(' and ')}`)
+  }
+  if (query.outbreakDetection) {
+    descriptions.push(`Outbreak detection: values are compared with epidemic thresholds from the same periods in the previous ${BASELINE_YEARS} years`)
+  }
+  if (query.dataQualityChecks) {
+    descriptions.push('Data quality checks: reporting completeness and timeliness, missing and zero values, extreme outliers and consistency')
+  }
+  return descriptions
+}
+
+/**
+ * The options of a query that identify a selection, for selection keys
+ * @param {Object|null} query - Query from createAnalyticsQuery
+ * @returns {Object} Only the options that are set
+ */
+export const getQueryOptionsKey = (query) => {
+  if (!query) return {}
+  return {
+    ...(query.dimensions && query.dimensions.length > 0
+      ? { dimensions: query.dimensions.map(dimension => [dimension.id, dimension.items.map(item => item.id).sort()]) }
+      : {}),
+    ...(query.filters && query.filters.length > 0 ? { filters: [...query.filters].sort() } : {}),
+    ...(query.aggregationType ? { aggregationType: query.aggregationType } : {}),
+    ...(query.approvalLevel ? { approvalLevel: query.approvalLevel.id } : {}),
+    ...(query.measureCriteria && query.measureCriteria.length > 0
+      ? { measureCriteria: query.measureCriteria.map(criterion => `${criterion.operator}:${criterion.value}`) }
+      : {}),
+    ...(query.outbreakDetection ? { outbreakDetection: true } : {}),
+    ...(query.dataQualityChecks ? { dataQualityChecks: true } : {})
+  }
+}
@@ -0,0 +1,280 @@
+/**
+ * Context builder: renders the complete analytics result for the AI as compact pivot
+ * tables with readable names, within a token budget.
+ *
+ * Values are pivoted per data element, with org units as rows and periods as columns, in
+ * CSV; a single org unit gets one table with a row per data element. When the tables do
+ * not fit the budget, the detail is reduced step by step and the model is told what was
+ * left out:
+ * 1. periods are aggregated to coarser period types (weeks to months, months to quarters, ...),
+ * 2. only the highest and lowest org units by total are listed,
+ * 3. the tables are dropped, leaving the summaries that follow them in the prompt.
+ * Results without data, period and org unit columns (event and tracker data) are listed
+ * as CSV rows, as many as fit.
+ */
+
+import { parsePeriodId, getPeriodIdForDate, getPeriodName, comparePeriodIds, PERIOD_TYPES } from './periods'
+import { estimateTokens, getCharsPerToken } from './tokens'
+
+// Org units kept at each end of the ranking when the tables are cut down
+const UNIT_LIMITS = [10, 5, 3]
+
+// The next coarser period type that each period type nests (or mostly nests) into
+const COARSER_PERIOD_TYPES = {
+  DAILY: 'WEEKLY',
+  WEEKLY: 'MONTHLY',
+  WEEKLY_WEDNESDAY: 'MONTHLY',
+  WEEKLY_THURSDAY: 'MONTHLY',
+  WEEKLY_SATURDAY: 'MONTHLY',
+  WEEKLY_SUNDAY: 'MONTHLY',
+  BI_WEEKLY: 'MONTHLY',
+  MONTHLY: 'QUARTERLY',
+  BI_MONTHLY: 'SIX_MONTHLY',
+  QUARTERLY: 'YEARLY',
+  SIX_MONTHLY: 'YEARLY',
+  SIX_MONTHLY_APRIL: 'FINANCIAL_APRIL',
+  SIX_MONTHLY_NOV: 'FINANCIAL_NOV'
+}
+
+const periodTypeName = (periodType) => {
+  const type = PERIOD_TYPES.find(candidate => candidate.id === periodType)
+  return type ? type.name.toLowerCase() : periodType
+}
+
+/**
+ * Map a period onto the period type a number of steps coarser; weeks go to the period
+ * holding their midpoint
+ * @param {string} id - Period ID (IDs that are not fixed periods are kept)
+ * @param {number} steps - Coarsening steps
+ * @returns {string} Period ID
+ */
+const coarsenPeriod = (id, steps) => {
+  const period = parsePeriodId(id)
+  if (!period || steps === 0) return id
+  let periodType = period.periodType
+  for (let i = 0; i < steps && COARSER_PERIOD_TYPES[periodType]; i++) {
+    periodType = COARSER_PERIOD_TYPES[periodType]
+  }
+  if (periodType === period.periodType) return id
+  return getPeriodIdForDate(periodType, new Date((period.startDate.getTime() + period.endDate.getTime()) / 2))
+}
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const csvLine = (cells) => cells.map(csvCell).join(',') + '\n'
+
+const formatNumber = (value) => (Number.isInteger(value) ? String(value) : String(parseFloat(value.toFixed(2))))
+
+/**
+ * Render the pivot tables at one level of detail
+ * @param {Object} pivot - From buildPivot
+ * @param {Object} level - { periodSteps, unitLimit }
+ * @param {Object} helpers - { getName, getPeriodLabel, aggregation }
+ * @returns {Object} { text, periods, unitsOmitted }
+ */
+const renderPivot = (pivot, level, helpers) => {
+  const { getName, getPeriodLabel, aggregation } = helpers
+  const combine = (values) => {
+    const sum = values.reduce((acc, val) => acc + val, 0)
+    return aggregation === 'average' ? sum / values.length : sum
+  }
+
+  // Regroup the values by the (possibly coarser) periods
+  const periodMap = Object.fromEntries(pivot.periods.map(id => [id, coarsenPeriod(id, level.periodSteps)]))
+  const periods = Array.from(new Set(Object.values(periodMap))).sort(comparePeriodIds)
+  const periodsByGroup = {}
+  pivot.periods.forEach(id => {
+    periodsByGroup[periodMap[id]] = [...(periodsByGroup[periodMap[id]] || []), id]
+  })
+  const cellValue = (dx, ou, pe) => {
+    const values = periodsByGroup[pe].flatMap(id => (pivot.values[dx][ou] && pivot.values[dx][ou][id]) || [])
+    return values.length > 0 ? combine(values) : null
+  }
+  const rowTotal = (dx, ou) => {
+    const values = Object.values(pivot.values[dx][ou] || {}).flat()
+    return values.length > 0 ? combine(values) : null
+  }
+  const header = (label) => csvLine([label, ...periods.map(getPeriodLabel)])
+
+  let text = ''
+  let unitsOmitted = 0
+  if (pivot.orgUnits.length <= 1) {
+    // One org unit: a single table with a row per data element
+    text += `${pivot.orgUnits.length === 1 ? getName(pivot.orgUnits[0]) : 'All values'} (rows: data elements, columns: periods)\n`
+    text += header('Data element')
+    pivot.dataElements.forEach(dx => {
+      text += csvLine([getName(dx), ...periods.map(pe => {
+        const value = cellValue(dx, pivot.orgUnits[0], pe)
+        return value === null ? '' : formatNumber(value)
+      })])
+    })
+    return { text, periods, unitsOmitted }
+  }
+
+  pivot.dataElements.forEach(dx => {
+    let orgUnits = [...pivot.orgUnits].sort((a, b) => getName(a).localeCompare(getName(b), undefined, { numeric: true }))
+    let omittedLine = null
+    if (level.unitLimit && orgUnits.length > level.unitLimit * 2) {
+      // Keep the highest and lowest units by total, in ranking order
+      const ranked = orgUnits
+        .map(ou => ({ ou, total: rowTotal(dx, ou) }))
+        .filter(unit => unit.total !== null)
+        .sort((a, b) => b.total - a.total)
+        .map(unit => unit.ou)
+      if (ranked.length > level.unitLimit * 2) {
+        const omitted = ranked.length - level.unitLimit * 2
+        unitsOmitted = Math.max(unitsOmitted, omitted)
+        omittedLine = `... ${omitted} org units ranked in between omitted\n`
+        orgUnits = [...ranked.slice(0, level.unitLimit), null, ...ranked.slice(-level.unitLimit)]
+      }
+    }
+
+    text += `\n${getName(dx)} (rows: org units${omittedLine ? `, the ${level.unitLimit} highest and lowest by ${aggregation === 'average' ? 'average' : 'total'}` : ''}, columns: periods)\n`
+    text += header('Org unit')
+    orgUnits.forEach(ou => {
+      if (ou === null) {
+        text += omittedLine
+        return
+      }
+      const cells = periods.map(pe => {
+        const value = cellValue(dx, ou, pe)
+        return value === null ? '' : formatNumber(value)
+      })
+      if (cells.some(cell => cell !== '')) {
+        text += csvLine([getName(ou), ...cells])
+      }
+    })
+  })
+  return { text, periods, unitsOmitted }
+}
+
+/**
+ * Collect the values of the result by data element, org unit and period
+ * @param {Object} data - Result with headers, rows and metaData
+ * @returns {Object|null} { dataElements, orgUnits, periods, values, count }, or null without dx, pe, ou and value columns
+ */
+const buildPivot = (data) => {
+  const index = (name) => data.headers.findIndex(h => h.name === name)
+  const dx = index('dx')
+  const pe = index('pe')
+  const ou = index('ou')
+  const value = index('value')
+  if ([dx, pe, ou, value].includes(-1)) return null
+
+  const dataElements = []
+  const orgUnits = new Set()
+  const periods = new Set()
+  const values = {}
+  let count = 0
+  data.rows.forEach(row => {
+    const amount = parseFloat(row[value])
+    if (isNaN(amount)) return
+    const [dxId, peId, ouId] = [row[dx], row[pe], row[ou]]
+    if (!values[dxId]) {
+      values[dxId] = {}
+      dataElements.push(dxId)
+    }
+    orgUnits.add(ouId)
+    periods.add(peId)
+    values[dxId][ouId] = values[dxId][ouId] || {}
+    values[dxId][ouId][peId] = values[dxId][ouId][peId] || []
+    values[dxId][ouId][peId].push(amount)
+    count++
+  })
+  return { dataElements, orgUnits: Array.from(orgUnits), periods: Array.from(periods).sort(comparePeriodIds), values, count }
+}
+
+/**
+ * Build the data part of the system prompt: the whole result as compact tables, reduced
+ * until it fits the token budget
+ * @param {Object} data - Result from fetchDataForElements
+ * @param {Object} options
+ * @param {string} options.model - Model name, for token estimates
+ * @param {number} options.tokenBudget - Tokens the tables may use
+ * @param {string} options.aggregation - 'sum' or 'average', how values combine into coarser periods and totals
+ * @returns {Object} { text, tokens, notes } where notes say what was left out
+ */
+export const buildDataContext = (data, options = {}) => {
+  const { model, tokenBudget = Infinity, aggregation = 'sum' } = options
+  const items = (data.metaData && data.metaData.items) || {}
+  const getName = (id) => (items[id] && items[id].name) || id
+  const getPeriodLabel = (id) => (parsePeriodId(id) ? getPeriodName(id) : getName(id))
+  const withNotes = (text, notes) => (notes.length > 0
+    ? `${text}\nNOTE - REDUCED TO FIT THE CONTEXT: ${notes.join('; ')}. Do not present the left-out detail as missing data.\n`
+    : text)
+  const fits = (text, notes = []) => estimateTokens(withNotes(text, notes), model) <= tokenBudget
+  // Same test for a text of the given length, so that a text built line by line is not re-estimated
+  const charsPerToken = getCharsPerToken(model)
+  const fitsLength = (length, notes = []) => Math.ceil((length + withNotes('', notes).length) / charsPerToken) <= tokenBudget
+  const finish = (text, notes) => {
+    const full = withNotes(text, notes)
+    return { text: full, tokens: estimateTokens(full, model), notes }
+  }
+
+  const pivot = buildPivot(data)
+  if (!pivot) return buildRowList(data, { getName, fitsLength, finish })
+
+  const title = `Data (${pivot.count} values; ${pivot.dataElements.length} data elements x ${pivot.orgUnits.length} org units x ${pivot.periods.length} periods):\n`
+  const maxSteps = Object.keys(COARSER_PERIOD_TYPES).length
+  const helpers = { getName, getPeriodLabel, aggregation }
+
+  for (const unitLimit of [null, ...UNIT_LIMITS]) {
+    let previousPeriods = null
+    for (let periodSteps = 0; periodSteps <= maxSteps; periodSteps++) {
+      const rendered = renderPivot(pivot, { periodSteps, unitLimit }, helpers)
+      // Stop coarsening once the periods no longer change
+      if (previousPeriods && rendered.periods.join() === previousPeriods) break
+      previousPeriods = rendered.periods.join()
+
+      const text = title + rendered.text
+      const notes = []
+      if (periodSteps > 0) {
+        const from = Array.from(new Set(pivot.periods.map(id => parsePeriodId(id)).filter(Boolean).map(period => periodTypeName(period.periodType))))
+        const to = Array.from(new Set(rendered.periods.map(id => parsePeriodId(id)).filter(Boolean).map(period => periodTypeName(period.periodType))))
+        notes.push(`values ${aggregation === 'average' ? 'averaged' : 'summed'} from ${from.join('/')} into ${to.join('/')} periods`)
+      }
+      if (rendered.unitsOmitted > 0) {
+        notes.push(`only the ${unitLimit} highest and ${unitLimit} lowest of ${pivot.orgUnits.length} org units are listed per data element`)
+      }
+      if (fits(text, notes)) {
+        return finish(text, notes)
+      }
+    }
+  }
+
+  return finish(title, [`the ${pivot.count} values were left out; use the summaries and breakdowns below`])
+}
+
+/**
+ * List the rows of a result that is not a dx/pe/ou table, as many as fit
+ * @param {Object} data - Result with headers and rows
+ * @param {Object} helpers - { getName, fitsLength, finish }
+ * @returns {Object} { text, tokens, notes }
+ */
+const buildRowList = (data, { getName, fitsLength, finish }) => {
+  const namedColumns = ['dx', 'ou', 'pe']
+  const title = `Data (${data.rows.length} rows):\n`
+  const lines = data.rows.map(row =>
+    csvLine(row.map((cell, i) => (namedColumns.includes(data.headers[i].name) ? getName(cell) : cell))))
+  const listedNote = (listed) => (listed < data.rows.length ? [`only the first ${listed} of ${data.rows.length} rows are listed`] : [])
+
+  const text = title + csvLine(data.headers.map(h => h.column || h.name))
+  const allLength = lines.reduce((total, line) => total + line.length, text.length)
+  if (fitsLength(allLength)) {
+    return finish(text + lines.join(''), [])
+  }
+  // Running length of the text so far, instead of estimating it again for every row
+  let length = text.length
+  let listed = 0
+  while (listed < lines.length && fitsLength(length + lines[listed].length, listedNote(listed + 1))) {
+    length += lines[listed].length
+    listed++
+  }
+  if (listed === 0) {
+    return finish(title, [`the ${data.rows.length} rows were left out; use the summaries below`])
+  }
+  return finish(text + lines.slice(0, listed).join(''), listedNote(listed))
+}
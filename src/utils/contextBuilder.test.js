@@ -0,0 +1,88 @@
+import { buildDataContext } from './contextBuilder'
+
+const months = Array.from({ length: 12 }, (_, i) => `2024${String(i + 1).padStart(2, '0')}`)
+const orgUnits = Array.from({ length: 30 }, (_, i) => `ou${i + 1}`)
+
+// 30 clinics with a value for each month of 2024, rising by clinic and by month
+const items = { de1: { name: 'Malaria cases' } }
+orgUnits.forEach((ou, i) => { items[ou] = { name: `Clinic ${i + 1}` } })
+const data = {
+  headers: ['dx', 'pe', 'ou', 'value'].map(name => ({ name })),
+  rows: orgUnits.flatMap((ou, o) => months.map((pe, m) => ['de1', pe, ou, String(100 + o * 10 + m)])),
+  metaData: { items }
+}
+const build = (tokenBudget, options = {}) => buildDataContext(data, { model: 'gpt-4o', tokenBudget, ...options })
+
+describe('buildDataContext', () => {
+  it('lists every value when the tables fit', () => {
+    const result = build(Infinity)
+    expect(result.notes).toEqual([])
+    expect(result.text).toContain('Data (360 values; 1 data elements x 30 org units x 12 periods):')
+    expect(result.text).toContain('Org unit,January 2024,February 2024,March 2024')
+    expect(result.text).toContain('\nClinic 30,390,391,392,393,394,395,396,397,398,399,400,401\n')
+    expect(result.text).not.toContain('NOTE')
+  })
+
+  it('first aggregates the periods into coarser period types', () => {
+    const result = build(300)
+    expect(result.notes).toEqual(['values summed from monthly into quarterly periods'])
+    expect(result.text).toContain('Org unit,Q1 2024,Q2 2024,Q3 2024,Q4 2024\nClinic 1,303,312,321,330\n')
+    expect(result.text).toContain('NOTE - REDUCED TO FIT THE CONTEXT: values summed from monthly into quarterly periods.')
+    expect(result.tokens).toBeLessThanOrEqual(300)
+
+    expect(build(200).notes).toEqual(['values summed from monthly into yearly periods'])
+    expect(build(300, { aggregation: 'average' }).notes).toEqual(['values averaged from monthly into quarterly periods'])
+  })
+
+  it('then lists only the highest and lowest org units', () => {
+    const result = build(150)
+    expect(result.notes).toEqual([
+      'values summed from monthly into yearly periods',
+      'only the 5 highest and 5 lowest of 30 org units are listed per data element'
+    ])
+    expect(result.text).toContain('Org unit,2024\nClinic 30,4746\n')
+    expect(result.text).toContain('Clinic 26,4266\n... 20 org units ranked in between omitted\nClinic 5,1746\n')
+    expect(result.text).not.toContain('Clinic 15,')
+  })
+
+  it('finally leaves the tables out', () => {
+    const result = build(50)
+    expect(result.notes).toEqual(['the 360 values were left out; use the summaries and breakdowns below'])
+    expect(result.text).not.toContain('Clinic')
+  })
+
+  it('puts a single org unit in one table with a row per data element', () => {
+    const result = buildDataContext({
+      headers: data.headers,
+      rows: [['de1', '202401', 'ou1', '5'], ['de1', '202402', 'ou1', '7.256']],
+      metaData: { items }
+    }, { model: 'gpt-4o' })
+    expect(result.text).toContain('Clinic 1 (rows: data elements, columns: periods)\nData element,January 2024,February 2024\nMalaria cases,5,7.26\n')
+  })
+
+  it('lists the rows of other results as many as fit', () => {
+    const events = {
+      headers: [{ name: 'eventdate', column: 'Event date' }, { name: 'ou' }, { name: 'age' }],
+      rows: Array.from({ length: 20 }, (_, i) => [`2024-01-0${(i % 9) + 1}`, 'ou1', String(i)]),
+      metaData: { items }
+    }
+    const all = buildDataContext(events, { model: 'gpt-4o' })
+    expect(all.notes).toEqual([])
+    expect(all.text).toContain('Event date,ou,age\n2024-01-01,Clinic 1,0\n')
+
+    expect(buildDataContext(events, { model: 'gpt-4o', tokenBudget: 60 }).notes).toEqual(['only the first 3 of 20 rows are listed'])
+    expect(buildDataContext(events, { model: 'gpt-4o', tokenBudget: 10 }).notes).toEqual(['the 20 rows were left out; use the summaries below'])
+  })
+
+  it('cuts a long row list at the budget', () => {
+    const events = {
+      headers: [{ name: 'eventdate', column: 'Event date' }, { name: 'ou' }, { name: 'age' }],
+      rows: Array.from({ length: 50000 }, (_, i) => ['2024-01-01', 'ou1', String(i % 100)]),
+      metaData: { items }
+    }
+    const result = buildDataContext(events, { model: 'gpt-4o', tokenBudget: 100000 })
+    expect(result.notes[0]).toMatch(/^only the first \d+ of 50000 rows are listed$/)
+    expect(result.tokens).toBeLessThanOrEqual(100000)
+    expect(result.tokens).toBeGreaterThan(99990)
+  })
+})
@@ -0,0 +1,289 @@
+/**
+ * Data quality checks: reporting completeness and timeliness of the datasets behind the
+ * selected data elements, missing and zero values, extreme outliers and internal
+ * consistency, combined into a scorecard per org unit.
+ *
+ * Each org unit is scored 0-100 on every dimension that applies to it:
+ * - completeness: actual reports / expected reports (dataset reporting rates),
+ * - timeliness: reports on time / expected reports,
+ * - values present: share of data element and period cells holding a value,
+ * - outlier free: share of values that are not extreme outliers (modified z-score),
+ * - consistency: share of percentage indicator values whose numerator does not exceed the denominator.
+ * The overall score is the mean of the dimension scores.
+ */
+
+import { getPeriodName, comparePeriodIds } from './periods'
+import { round, quantile } from './statistics'
+
+// Reporting rate metrics requested for each dataset (as '<dataSetId>.<metric>' items)
+export const REPORTING_METRICS = ['REPORTING_RATE', 'ACTUAL_REPORTS', 'EXPECTED_REPORTS', 'REPORTS_ON_TIME']
+
+// Extreme outliers: modified z-score (median and median absolute deviation) of at least 3.5
+const MODIFIED_Z_SCORE_THRESHOLD = 3.5
+const MIN_OUTLIER_VALUES = 5
+
+// Indicators with this factor are percentages, whose numerator cannot exceed the denominator
+const PERCENTAGE_FACTOR = 100
+
+// Score bands for the grades of the scorecard
+const GOOD_SCORE = 90
+const FAIR_SCORE = 75
+
+export const DATA_QUALITY_DIMENSIONS = [
+  { id: 'completeness', name: 'Completeness' },
+  { id: 'timeliness', name: 'Timeliness' },
+  { id: 'valuesPresent', name: 'Values present' },
+  { id: 'outlierFree', name: 'Outlier free' },
+  { id: 'consistency', name: 'Consistency' }
+]
+
+/**
+ * Get the datasets behind the selected data elements
+ * @param {Array} dataElements - Selected data elements ({ id, dataSetId, parentName })
+ * @returns {Array} [{ id, name }] of distinct datasets
+ */
+export const getSelectedDataSets = (dataElements = []) => {
+  const dataSets = []
+  dataElements.forEach(de => {
+    if (de && de.dataSetId && !dataSets.some(dataSet => dataSet.id === de.dataSetId)) {
+      dataSets.push({ id: de.dataSetId, name: de.parentName || de.dataSetId })
+    }
+  })
+  return dataSets
+}
+
+/**
+ * Get the reporting rate items to request for datasets
+ * @param {Array} dataSets - [{ id }]
+ * @returns {Array} Analytics dx items such as 'abc123.REPORTING_RATE'
+ */
+export const getReportingRateItems = (dataSets) =>
+  dataSets.flatMap(dataSet => REPORTING_METRICS.map(metric => `${dataSet.id}.${metric}`))
+
+/**
+ * Grade a score
+ * @param {number|null} score - Score from 0 to 100
+ * @returns {string|null} 'good', 'fair' or 'poor'
+ */
+export const getDataQualityGrade = (score) => {
+  if (score === null) return null
+  if (score >= GOOD_SCORE) return 'good'
+  if (score >= FAIR_SCORE) return 'fair'
+  return 'poor'
+}
+
+const percent = (part, whole) => (whole > 0 ? round((part / whole) * 100, 1) : null)
+
+// Values with a modified z-score of at least MODIFIED_Z_SCORE_THRESHOLD
+const findExtremeOutliers = (points) => {
+  if (points.length < MIN_OUTLIER_VALUES) return []
+  const sorted = points.map(point => point.value).sort((a, b) => a - b)
+  const median = quantile(sorted, 0.5)
+  const mad = quantile(sorted.map(value => Math.abs(value - median)).sort((a, b) => a - b), 0.5)
+  if (mad === 0) return []
+  return points
+    .map(point => ({ ...point, modifiedZScore: round((0.6745 * (point.value - median)) / mad) }))
+    .filter(point => Math.abs(point.modifiedZScore) >= MODIFIED_Z_SCORE_THRESHOLD)
+}
+
+/**
+ * Check the fetched data and the reporting rates, and score each org unit
+ * @param {Object} data - { headers, rows, metaData } of the analysis
+ * @param {Object|null} reporting - { dataSets, headers, rows, metaData } of the reporting rates, if fetched
+ * @param {Object} options
+ * @param {Array} options.dataElementIds - Selected data element IDs
+ * @param {Array} options.periods - Period IDs of the analysis
+ * @param {Array} options.orgUnits - Org unit IDs of the analysis
+ * @param {boolean} options.checkMissing - Count missing values (false when the rows were cut off at the row limit)
+ * @returns {Object} { dataSets, overall, orgUnits: [scorecard], issues: [message] } with scorecards
+ *   { orgUnit, scores: { [dimension]: score }, score, grade, reporting, missingValues, zeroValues, outliers, inconsistencies }
+ */
+export const assessDataQuality = (data, reporting, options = {}) => {
+  const { dataElementIds = [], periods = [], orgUnits = [], checkMissing = true } = options
+  const items = {
+    ...Object.fromEntries(((reporting && reporting.dataSets) || []).map(dataSet => [dataSet.id, { name: dataSet.name }])),
+    ...((data.metaData && data.metaData.items) || {})
+  }
+  const getName = (id) => (items[id] && items[id].name) || id
+  const column = (headers, name) => headers.findIndex(h => h.name === name)
+
+  const cards = {}
+  const getCard = (ouId) => {
+    cards[ouId] = cards[ouId] || {
+      orgUnit: getName(ouId),
+      reporting: { actual: 0, expected: 0, onTime: 0, rates: [], byDataSet: {} },
+      cells: {},
+      values: {},
+      zeroValues: [],
+      outliers: [],
+      inconsistencies: [],
+      checkedRatios: 0
+    }
+    return cards[ouId]
+  }
+  orgUnits.forEach(getCard)
+
+  // Reporting completeness and timeliness per org unit and dataset
+  if (reporting && reporting.rows) {
+    const dx = column(reporting.headers, 'dx')
+    const ou = column(reporting.headers, 'ou')
+    const value = column(reporting.headers, 'value')
+    reporting.rows.forEach(row => {
+      const [dataSetId, metric] = row[dx].split('.')
+      const amount = parseFloat(row[value]) || 0
+      const card = getCard(row[ou])
+      const byDataSet = card.reporting.byDataSet[dataSetId] = card.reporting.byDataSet[dataSetId] || { actual: 0, expected: 0, onTime: 0 }
+      const key = { ACTUAL_REPORTS: 'actual', EXPECTED_REPORTS: 'expected', REPORTS_ON_TIME: 'onTime' }[metric]
+      if (metric === 'REPORTING_RATE') {
+        card.reporting.rates.push(amount)
+      } else if (key) {
+        byDataSet[key] += amount
+        card.reporting[key] += amount
+      }
+    })
+  }
+
+  // Values, zeros and numerator/denominator consistency from the data rows
+  const dx = column(data.headers, 'dx')
+  const pe = column(data.headers, 'pe')
+  const ou = column(data.headers, 'ou')
+  const value = column(data.headers, 'value')
+  const numerator = column(data.headers, 'numerator')
+  const denominator = column(data.headers, 'denominator')
+  const factor = column(data.headers, 'factor')
+  if (dx !== -1 && pe !== -1 && ou !== -1 && value !== -1) {
+    data.rows.forEach(row => {
+      const amount = parseFloat(row[value])
+      if (isNaN(amount)) return
+      const card = getCard(row[ou])
+      card.cells[`${row[dx]}|${row[pe]}`] = true
+      card.values[row[dx]] = card.values[row[dx]] || []
+      card.values[row[dx]].push({ period: row[pe], value: amount })
+      if (amount === 0) {
+        card.zeroValues.push({ dataElement: getName(row[dx]), period: row[pe] })
+      }
+      if (numerator !== -1 && denominator !== -1 && factor !== -1 && parseFloat(row[factor]) === PERCENTAGE_FACTOR) {
+        const num = parseFloat(row[numerator])
+        const den = parseFloat(row[denominator])
+        if (isNaN(num) || isNaN(den)) return
+        card.checkedRatios++
+        if (num > den) {
+          card.inconsistencies.push({
+            dataElement: getName(row[dx]),
+            period: row[pe],
+            numerator: num,
+            denominator: den,
+            problem: den === 0 ? 'numerator without a denominator' : 'numerator above the denominator'
+          })
+        }
+      }
+    })
+  }
+
+  const expectedCells = dataElementIds.length * periods.length
+  const orgUnitCards = Object.entries(cards).map(([ouId, card]) => {
+    Object.entries(card.values).forEach(([deId, points]) => {
+      findExtremeOutliers(points).forEach(outlier => {
+        card.outliers.push({ dataElement: getName(deId), ...outlier })
+      })
+    })
+    const valueCount = Object.values(card.values).reduce((acc, points) => acc + points.length, 0)
+    const presentCells = Object.keys(card.cells).length
+
+    // The reported rates stand in for completeness where expected reports are not available
+    const { rates, ...reportingCounts } = card.reporting
+    const scores = {
+      completeness: card.reporting.expected > 0
+        ? percent(card.reporting.actual, card.reporting.expected)
+        : (rates.length > 0 ? round(rates.reduce((acc, val) => acc + val, 0) / rates.length, 1) : null),
+      timeliness: percent(card.reporting.onTime, card.reporting.expected),
+      valuesPresent: checkMissing && orgUnits.includes(ouId) ? percent(presentCells, expectedCells) : null,
+      outlierFree: valueCount > 0 ? percent(valueCount - card.outliers.length, valueCount) : null,
+      consistency: card.checkedRatios > 0 ? percent(card.checkedRatios - card.inconsistencies.length, card.checkedRatios) : null
+    }
+    const available = Object.values(scores).filter(score => score !== null)
+    const score = available.length > 0 ? round(available.reduce((acc, val) => acc + val, 0) / available.length, 1) : null
+
+    return {
+      orgUnit: card.orgUnit,
+      scores,
+      score,
+      grade: getDataQualityGrade(score),
+      reporting: {
+        ...reportingCounts,
+        byDataSet: Object.fromEntries(Object.entries(card.reporting.byDataSet).map(([dataSetId, counts]) => [getName(dataSetId), {
+          ...counts,
+          completeness: percent(counts.actual, counts.expected),
+          timeliness: percent(counts.onTime, counts.expected)
+        }]))
+      },
+      missingValues: checkMissing && orgUnits.includes(ouId) ? Math.max(0, expectedCells - presentCells) : null,
+      expectedValues: expectedCells,
+      zeroValues: card.zeroValues,
+      outliers: card.outliers.sort((a, b) => comparePeriodIds(a.period, b.period)),
+      inconsistencies: card.inconsistencies
+    }
+  })
+
+  // Lowest scores first, so the units needing attention lead the scorecard
+  orgUnitCards.sort((a, b) => (a.score === null ? 1 : b.score === null ? -1 : a.score - b.score))
+
+  const sum = (key) => orgUnitCards.reduce((acc, card) => acc + card.reporting[key], 0)
+  const average = (dimension) => {
+    const scores = orgUnitCards.map(card => card.scores[dimension]).filter(score => score !== null)
+    return scores.length > 0 ? round(scores.reduce((acc, val) => acc + val, 0) / scores.length, 1) : null
+  }
+  const overallScores = Object.fromEntries(DATA_QUALITY_DIMENSIONS.map(dimension => [dimension.id, average(dimension.id)]))
+  const overallAvailable = Object.values(overallScores).filter(score => score !== null)
+  const overallScore = overallAvailable.length > 0
+    ? round(overallAvailable.reduce((acc, val) => acc + val, 0) / overallAvailable.length, 1)
+    : null
+
+  return {
+    dataSets: reporting ? reporting.dataSets : [],
+    overall: {
+      scores: overallScores,
+      score: overallScore,
+      grade: getDataQualityGrade(overallScore),
+      completeness: percent(sum('actual'), sum('expected')),
+      timeliness: percent(sum('onTime'), sum('expected')),
+      missingValues: checkMissing ? orgUnitCards.reduce((acc, card) => acc + (card.missingValues || 0), 0) : null,
+      zeroValues: orgUnitCards.reduce((acc, card) => acc + card.zeroValues.length, 0),
+      outliers: orgUnitCards.reduce((acc, card) => acc + card.outliers.length, 0),
+      inconsistencies: orgUnitCards.reduce((acc, card) => acc + card.inconsistencies.length, 0)
+    },
+    orgUnits: orgUnitCards,
+    issues: describeDataQualityIssues(orgUnitCards)
+  }
+}
+
+/**
+ * List the data quality problems of each org unit, worst units first
+ * @param {Array} orgUnitCards - Scorecards from assessDataQuality
+ * @returns {Array} Messages
+ */
+export const describeDataQualityIssues = (orgUnitCards) => orgUnitCards.flatMap(card => {
+  const issues = []
+  const { scores } = card
+  if (scores.completeness !== null && scores.completeness < GOOD_SCORE) {
+    issues.push(`${card.orgUnit}: reporting completeness ${scores.completeness}%` +
+      `${card.reporting.expected > 0 ? ` (${card.reporting.actual} of ${card.reporting.expected} expected reports)` : ''}`)
+  }
+  if (scores.timeliness !== null && scores.timeliness < GOOD_SCORE) {
+    issues.push(`${card.orgUnit}: only ${scores.timeliness}% of expected reports on time`)
+  }
+  if (card.missingValues) {
+    issues.push(`${card.orgUnit}: ${card.missingValues} of ${card.expectedValues} data element values missing`)
+  }
+  if (card.zeroValues.length > 0) {
+    issues.push(`${card.orgUnit}: ${card.zeroValues.length} zero value(s), which may be unreported rather than true zeros`)
+  }
+  card.outliers.forEach(outlier => {
+    issues.push(`${card.orgUnit}: extreme outlier for ${outlier.dataElement} in ${getPeriodName(outlier.period)} (value ${outlier.value}, modified z-score ${outlier.modifiedZScore})`)
+  })
+  card.inconsistencies.forEach(inconsistency => {
+    issues.push(`${card.orgUnit}: ${inconsistency.problem} for ${inconsistency.dataElement} in ${getPeriodName(inconsistency.period)} ` +
+      `(numerator ${inconsistency.numerator}, denominator ${inconsistency.denominator})`)
+  })
+  return issues
+})
@@ -0,0 +1,106 @@
+import {
+  assessDataQuality,
+  getSelectedDataSets,
+  getReportingRateItems,
+  getDataQualityGrade
+} from './dataQuality'
+
+const periods = ['202401', '202402', '202403', '202404', '202405', '202406']
+const headers = ['dx', 'pe', 'ou', 'value', 'numerator', 'denominator', 'factor'].map(name => ({ name }))
+// Percentage indicator rows: the numerator equals the value, over a denominator of 100
+const indicatorRow = (pe, ou, value) => ['ind1', pe, ou, String(value), String(value), '100', '100']
+
+const data = {
+  headers,
+  rows: [
+    ...[80, 82, 81, 79, 80, 400].map((value, i) => indicatorRow(periods[i], 'ou1', value)),
+    ...[50, 0, 120, 60].map((value, i) => indicatorRow(periods[i], 'ou2', value))
+  ],
+  metaData: { items: { ind1: { name: 'ANC coverage' }, ou1: { name: 'North' }, ou2: { name: 'South' } } }
+}
+
+const reporting = {
+  dataSets: [{ id: 'ds1', name: 'Monthly report' }],
+  headers: [{ name: 'dx' }, { name: 'ou' }, { name: 'value' }],
+  rows: [
+    ['ds1.ACTUAL_REPORTS', 'ou1', '6'], ['ds1.EXPECTED_REPORTS', 'ou1', '6'], ['ds1.REPORTS_ON_TIME', 'ou1', '6'],
+    ['ds1.ACTUAL_REPORTS', 'ou2', '4'], ['ds1.EXPECTED_REPORTS', 'ou2', '6'], ['ds1.REPORTS_ON_TIME', 'ou2', '3']
+  ]
+}
+
+const options = { dataElementIds: ['ind1'], periods, orgUnits: ['ou1', 'ou2'] }
+
+describe('assessDataQuality', () => {
+  const result = assessDataQuality(data, reporting, options)
+  const south = result.orgUnits.find(card => card.orgUnit === 'South')
+  const north = result.orgUnits.find(card => card.orgUnit === 'North')
+
+  it('scores completeness and timeliness from the reports', () => {
+    expect(south.scores).toMatchObject({ completeness: 66.7, timeliness: 50 })
+    expect(north.scores).toMatchObject({ completeness: 100, timeliness: 100 })
+    expect(south.reporting.byDataSet['Monthly report']).toEqual({
+      actual: 4, expected: 6, onTime: 3, completeness: 66.7, timeliness: 50
+    })
+  })
+
+  it('scores consistency as the share of numerators within their denominator', () => {
+    expect(south.scores.consistency).toBe(75)
+    expect(north.scores.consistency).toBe(83.3)
+    expect(south.inconsistencies).toEqual([{
+      dataElement: 'ANC coverage',
+      period: '202403',
+      numerator: 120,
+      denominator: 100,
+      problem: 'numerator above the denominator'
+    }])
+  })
+
+  it('counts missing values, zeros and extreme outliers', () => {
+    expect(south).toMatchObject({ missingValues: 2, expectedValues: 6 })
+    expect(south.scores.valuesPresent).toBe(66.7)
+    expect(south.zeroValues).toEqual([{ dataElement: 'ANC coverage', period: '202402' }])
+    expect(north.outliers).toEqual([{ dataElement: 'ANC coverage', period: '202406', value: 400, modifiedZScore: 215.5 }])
+    expect(north.scores.outlierFree).toBe(83.3)
+  })
+
+  it('averages the dimensions into graded scores, lowest first', () => {
+    expect(result.orgUnits.map(card => card.orgUnit)).toEqual(['South', 'North'])
+    expect(south).toMatchObject({ score: 71.7, grade: 'poor' })
+    expect(north).toMatchObject({ score: 93.3, grade: 'good' })
+    expect(result.overall).toMatchObject({
+      scores: { completeness: 83.3, timeliness: 75, valuesPresent: 83.3, outlierFree: 91.7, consistency: 79.2 },
+      score: 82.5,
+      grade: 'fair',
+      completeness: 83.3,
+      missingValues: 2,
+      inconsistencies: 2
+    })
+    expect(result.issues[0]).toBe('South: reporting completeness 66.7% (4 of 6 expected reports)')
+  })
+
+  it('uses the reporting rate without expected reports and skips missing values when told to', () => {
+    const rates = { ...reporting, rows: [['ds1.REPORTING_RATE', 'ou2', '40'], ['ds1.REPORTING_RATE', 'ou2', '60']] }
+    const card = assessDataQuality(data, rates, { ...options, checkMissing: false }).orgUnits
+      .find(orgUnit => orgUnit.orgUnit === 'South')
+    expect(card.scores).toMatchObject({ completeness: 50, timeliness: null, valuesPresent: null })
+    expect(card.missingValues).toBeNull()
+  })
+})
+
+describe('dataset helpers', () => {
+  it('lists the distinct datasets and their reporting rate items', () => {
+    const dataSets = getSelectedDataSets([
+      { id: 'de1', dataSetId: 'ds1', parentName: 'Monthly report' },
+      { id: 'de2', dataSetId: 'ds1', parentName: 'Monthly report' },
+      { id: 'de3' }
+    ])
+    expect(dataSets).toEqual([{ id: 'ds1', name: 'Monthly report' }])
+    expect(getReportingRateItems(dataSets)).toEqual([
+      'ds1.REPORTING_RATE', 'ds1.ACTUAL_REPORTS', 'ds1.EXPECTED_REPORTS', 'ds1.REPORTS_ON_TIME'
+    ])
+  })
+
+  it('grades scores', () => {
+    expect([95, 80, 60, null].map(getDataQualityGrade)).toEqual(['good', 'fair', 'poor', null])
+  })
+})
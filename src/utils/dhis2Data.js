@@ -2,16 +2,39 @@
  * Utility functions for handling DHIS2 data
  */
 
+import {
+  splitPeriodSelection,
+  findInvalidPeriods,
+  getSelectionDateRange,
+  getComparisonPeriods,
+  getPeriodRangeName,
+  getPeriodName,
+  getPeriodSelectionName,
+  getPeriodIdForDate,
+  comparePeriodIds
+} from './periods';
+import { getOrgUnitBreakdown } from './orgUnits';
+import { getAnalyticsRequestParts, describeAnalyticsQuery } from './analyticsQuery';
+import { analyzeTimeSeries } from './statistics';
+import { getBaselinePeriods, detectOutbreaks } from './outbreak';
+import { getSelectedDataSets, getReportingRateItems, assessDataQuality } from './dataQuality';
+
 /**
  * Fetch data for selected data elements, indicators, or program indicators
  * @param {Object} engine - DHIS2 data engine
  * @param {Array} dataElements - Selected data elements, indicators, or program indicators
- * @param {string} period - Selected period
+ * @param {string} period - Selected period selection (relative keywords and/or fixed period IDs separated by ";")
  * @param {Object} orgUnit - Selected organization unit
  * @param {string} dataType - Type of data (aggregate, indicator, programIndicator, event, tracker)
+ * @param {Object} options - Fetch options
+ * @param {boolean} options.includeComparisons - Also fetch the previous period and the same period last year
+ * @param {number} options.maxRows - Most rows (or events / tracked entities) to fetch (defaults to DEFAULT_MAX_ROWS)
+ * @param {Function} options.onProgress - Called with { message, loaded, total } while fetching
+ * @param {Object} options.query - Analytics query from createAnalyticsQuery, for its breakdown dimensions, filters,
+ *   aggregation type, approval level, measure criteria, outbreak detection and data quality checks (analytics data types only)
  * @returns {Object} Fetched data with headers and rows
  */
-export const fetchDataForElements = async (engine, dataElements, period, orgUnit, dataType = 'aggregate') => {
+export const fetchDataForElements = async (engine, dataElements, period, orgUnit, dataType = 'aggregate', options = {}) => {
     console.log("fetchDataForElements received:", {
       dataElements: JSON.stringify(dataElements),
       period,
@@ -103,74 +126,54 @@ export const fetchDataForElements = async (engine, dataElements, period, orgUnit
         throw new Error('Data elements must be a non-empty array');
       }
       
-      // The analytics endpoint works for all types: data elements, indicators, and program indicators
       // Handle special organization units and multi-org unit breakdown
-      let ouDimension;
-      let multiOrgUnitMode = false;
-      let childOrgUnits = [];
+      const orgUnitDimension = await resolveOrgUnitDimension(engine, orgUnit);
+      const { ouDimension, multiOrgUnitMode, childOrgUnits, levelNames } = orgUnitDimension;
       
-      if (orgUnit.includeChildOrgUnits && !orgUnit.isSpecial) {
-        try {
-          // Fetch child org units for breakdown analysis
-          const childOrgUnitsQuery = {
-            results: {
-              resource: `organisationUnits/${orgUnit.id}`,
-              params: {
-                fields: 'children[id,displayName,path,level,parent[id,displayName],organisationUnitGroups[id,displayName]]'
-              }
-            }
-          };
-          
-          const childResponse = await engine.query(childOrgUnitsQuery);
-          childOrgUnits = childResponse.results.children || [];
-          
-          if (childOrgUnits.length > 0) {
-            // Use child org units for multi-unit breakdown
-            ouDimension = childOrgUnits.map(child => child.id).join(';');
-            multiOrgUnitMode = true;
-            console.log(`Multi-org unit mode: Including ${childOrgUnits.length} child org units`);
-          } else {
-            // No child org units, fall back to single org unit
-            ouDimension = orgUnit.id;
-            console.log('No child org units found, using single org unit mode');
-          }
-        } catch (err) {
-          console.warn('Failed to fetch child org units, falling back to single org unit:', err);
-          ouDimension = orgUnit.id;
-        }
-      } else if (orgUnit.isSpecial) {
-        ouDimension = orgUnit.id; // USER_ORGUNIT, USER_ORGUNIT_CHILDREN, or USER_ORGUNIT_GRANDCHILDREN
-        // For special org units, we can enable multi-org mode if it's children or grandchildren
-        if (orgUnit.id === 'USER_ORGUNIT_CHILDREN' || orgUnit.id === 'USER_ORGUNIT_GRANDCHILDREN') {
-          multiOrgUnitMode = true;
-        }
-      } else {
-        ouDimension = orgUnit.id;
+      // Event programs are analysed through event analytics rather than the aggregate dimension query
+      if (dataType === 'event') {
+        return await fetchEventData(engine, getProgramId(dataElements), period, orgUnit, {
+          ...options,
+          dataElements,
+          orgUnitDimension
+        });
       }
       
-      const query = {
-        results: {
-          resource: 'analytics',
-          params: {
-            dimension: [
-              `dx:${deIds}`,
-              `pe:${periodValue}`,
-              `ou:${ouDimension}`
-            ],
-            skipMeta: false,
-            includeNumDen: true  // Include numerator and denominator for indicators
-          }
-        }
+      // Tracker programs are analysed from enrollments in the tracker API
+      if (dataType === 'tracker') {
+        return await fetchTrackerData(engine, getProgramId(dataElements), period, orgUnit, {
+          ...options,
+          dataElements,
+          orgUnitDimension
+        });
       }
       
-      // Log the query details for debugging
-      console.log("Executing DHIS2 Analytics query:", JSON.stringify(query, null, 2));
-
-      // Execute the query
-      const response = await engine.query(query)
-
-      // Process the response
-      const { headers, metaData, rows } = response.results
+      // Filters, aggregation type, approval level and measure criteria from the query builder
+      const queryParts = getAnalyticsRequestParts(options.query);
+      const orgUnitsCompared = multiOrgUnitMode && !queryParts.orgUnitAsFilter;
+      
+      // The analytics endpoint works for data elements, indicators, and program indicators
+      // Wide requests are split into chunks and stop at the row limit
+      const analytics = await fetchAnalyticsInChunks(engine, {
+        dxItems: deIds.split(';'),
+        periodValue,
+        ouDimension,
+        filters: queryParts.filters,
+        periodAsFilter: queryParts.periodAsFilter,
+        orgUnitAsFilter: queryParts.orgUnitAsFilter,
+        params: {
+          skipMeta: false,
+          includeNumDen: true,  // Include numerator and denominator for indicators
+          // Ancestor paths and names of each org unit, for rolling level and group breakdowns up the hierarchy
+          ...(levelNames && orgUnitsCompared ? { hierarchyMeta: true } : {}),
+          ...queryParts.params
+        }
+      }, options);
+      const { metaData, truncated, truncationNote } = analytics;
+      const { headers, rows } = addFilterColumns(analytics.headers, analytics.rows, metaData, [
+        ...(queryParts.periodAsFilter ? [{ name: 'pe', column: 'Period', id: periodValue, label: getPeriodSelectionName(period) }] : []),
+        ...(queryParts.orgUnitAsFilter ? [{ name: 'ou', column: 'Organisation unit', id: ouDimension, label: orgUnit.displayName || orgUnit.name || orgUnit.id }] : [])
+      ]);
 
       // More detailed logging of the response
       console.log("DHIS2 Analytics response:", {
@@ -178,7 +181,8 @@ export const fetchDataForElements = async (engine, dataElements, period, orgUnit
         headerCount: headers ? headers.length : 0,
         hasMetaData: !!metaData,
         hasRows: !!rows,
-        rowCount: rows ? rows.length : 0
+        rowCount: rows ? rows.length : 0,
+        truncated
       });
 
       if (headers) {
@@ -189,81 +193,1213 @@ export const fetchDataForElements = async (engine, dataElements, period, orgUnit
         console.log("First row sample:", rows[0]);
       }
 
+      // Fetch the comparison periods with the same data and org unit dimensions
+      const comparison = options.includeComparisons
+        ? await fetchComparisonData(engine, deIds, period, ouDimension, dataType, { ...options, queryParts })
+        : null;
+
+      // Fetch the same periods in earlier years for the epidemic thresholds
+      const outbreakBaseline = options.query && options.query.outbreakDetection && !queryParts.periodAsFilter
+        ? await fetchOutbreakBaseline(engine, deIds, rows || [], headers, ouDimension, { ...options, queryParts })
+        : null;
+
+      // Score completeness, timeliness, missing values, outliers and consistency per org unit
+      const dataQuality = options.query && options.query.dataQualityChecks
+        ? await checkDataQuality(engine, dataElements, { headers, rows: rows || [], metaData }, periodValue, ouDimension, {
+          ...options,
+          queryParts,
+          truncated
+        })
+        : null;
+
+      // Break the data down by the selected categories (age, sex, ...) and other added dimensions
+      const disaggregation = await fetchDisaggregationData(engine, deIds, periodValue, ouDimension, queryParts.breakdowns, { ...options, queryParts });
+
+      // Disaggregate by the selected org unit group sets (facility type, ownership, ...)
+      const groupSetBreakdown = await fetchGroupSetBreakdown(engine, orgUnit.groupSets, {
+        dimension: [`dx:${deIds}`],
+        filter: [`pe:${periodValue}`, `ou:${ouDimension}`, ...queryParts.filters],
+        params: queryParts.params
+      }, options);
+
       // Check if there's actual data
       const hasData = rows && rows.length > 0
 
       // Log data information
       console.log(`Data received from DHIS2: ${hasData ? rows.length + ' rows' : 'No data'}`)
       
-      // Transform data for easier consumption
-      const processedData = {
-        headers: headers.map(h => ({
-          name: h.name,
-          column: h.column,
-          valueType: h.valueType
-        })),
-        metaData,
-        rows: rows || [],
-        hasData: hasData,
-        dataElements: dataElements,
-        dataType: dataType,
-        multiOrgUnitMode: multiOrgUnitMode,
-        childOrgUnits: childOrgUnits,
-        originalOrgUnit: orgUnit,
-        summary: calculateSummary(headers, rows || [], metaData, multiOrgUnitMode)
+      // Transform data for easier consumption
+      const processedData = {
+        headers: headers.map(h => ({
+          name: h.name,
+          column: h.column,
+          valueType: h.valueType
+        })),
+        metaData,
+        rows: rows || [],
+        hasData: hasData,
+        dataElements: dataElements,
+        dataType: dataType,
+        multiOrgUnitMode: orgUnitsCompared,
+        childOrgUnits: orgUnitsCompared ? listBreakdownOrgUnits(childOrgUnits, metaData, orgUnit) : [],
+        originalOrgUnit: orgUnit,
+        comparisonPeriods: comparison ? comparison.periods : null,
+        truncated,
+        truncationNote,
+        queryOptions: describeAnalyticsQuery(options.query),
+        ...(dataQuality ? { dataQuality } : {}),
+        summary: {
+          ...calculateSummary(headers, rows || [], metaData, orgUnitsCompared, {
+            comparison,
+            levelNames: orgUnitsCompared ? levelNames : null,
+            disaggregation,
+            dataType,
+            outbreakBaseline
+          }),
+          ...(groupSetBreakdown ? { groupSetBreakdown } : {})
+        }
+      }
+      
+      return processedData
+    } catch (error) {
+      console.error('Error fetching data from DHIS2:', error)
+      throw new Error(`Failed to fetch data: ${error.message || 'Unknown error'}`)
+    }
+  }
+  
+  // Default ceiling on the rows (or events / tracked entities) kept in memory for one analysis
+  export const DEFAULT_MAX_ROWS = 50000;
+  
+  // Items per analytics request when a dimension has to be split
+  const DX_CHUNK_SIZE = 50;
+  const OU_CHUNK_SIZE = 100;
+  
+  // Org unit dimensions made only of UIDs can be split; keywords such as USER_ORGUNIT cannot
+  const UID_PATTERN = /^[A-Za-z][A-Za-z0-9]{10}$/;
+  
+  // Characters that separate the parts of metadata filters (field:operator:value, [a,b] lists)
+  const FILTER_SYNTAX_PATTERN = /[:,[\]]/g;
+  
+  /**
+   * Make a search term safe to use as the value of a metadata filter
+   * @param {string} term - Search term
+   * @returns {string} The term without filter syntax
+   */
+  const toFilterValue = (term) => String(term || '').replace(FILTER_SYNTAX_PATTERN, ' ').replace(/\s+/g, ' ').trim();
+  
+  /**
+   * Split a list into chunks
+   * @param {Array} items - Items
+   * @param {number} size - Chunk size
+   * @returns {Array} Chunks
+   */
+  const chunk = (items, size) => {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+      chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+  }
+  
+  /**
+   * Report progress to the caller, if it asked for it
+   * @param {Object} options - Fetch options with an optional onProgress callback
+   * @param {Object} progress - { message, loaded, total }
+   */
+  const reportProgress = (options, progress) => {
+    if (typeof options.onProgress === 'function') {
+      options.onProgress(progress);
+    }
+  }
+  
+  /**
+   * Add the filters, aggregation type, approval level and measure criteria of the query
+   * builder to an analytics request, so follow-up requests match the main one
+   * @param {Object} request - Request for fetchAnalyticsInChunks
+   * @param {Object} queryParts - Parts from getAnalyticsRequestParts, if any
+   * @returns {Object} The request with the query parts added
+   */
+  const withQueryParts = (request, queryParts) => {
+    if (!queryParts) {
+      return request;
+    }
+    return {
+      ...request,
+      filters: [...(request.filters || []), ...queryParts.filters],
+      params: { ...request.params, ...queryParts.params }
+    };
+  }
+  
+  /**
+   * Add period and org unit filters back as columns holding the whole filter, so filtered
+   * results keep the dx/pe/ou layout the summary and dashboard read
+   * @param {Array} headers - Response headers
+   * @param {Array} rows - Response rows
+   * @param {Object} metaData - Response metadata; the filter items are named in it
+   * @param {Array} columns - [{ name, column, id, label }] for each filtered dimension
+   * @returns {Object} { headers, rows }
+   */
+  const addFilterColumns = (headers, rows, metaData, columns) => {
+    if (columns.length === 0) {
+      return { headers, rows };
+    }
+    columns.forEach(({ id, label }) => {
+      metaData.items[id] = { ...metaData.items[id], name: label };
+    });
+    return {
+      headers: [...columns.map(({ name, column }) => ({ name, column, valueType: 'TEXT' })), ...headers],
+      rows: rows.map(row => [...columns.map(({ id }) => id), ...row])
+    };
+  }
+  
+  /**
+   * Run an analytics request, splitting wide dx and ou dimensions into several requests
+   * and stopping once the row limit is reached
+   * @param {Object} engine - DHIS2 data engine
+   * @param {Object} request - { dxItems, periodValue, ouDimension, params }, plus optional extra
+   *   dimensions (e.g. categories), extra filters ('id:items'), and periodAsFilter / orgUnitAsFilter
+   *   to aggregate over the periods or org units; org unit filters are never split, since each
+   *   request must aggregate over all of them
+   * @param {Object} options - Fetch options
+   * @param {number} options.maxRows - Row ceiling (defaults to DEFAULT_MAX_ROWS)
+   * @param {Function} options.onProgress - Called with { message, loaded, total }
+   * @param {string} options.progressLabel - What is being fetched, for progress messages
+   * @returns {Object} { headers, metaData, rows, truncated, truncationNote }
+   */
+  const fetchAnalyticsInChunks = async (engine, request, options = {}) => {
+    const maxRows = options.maxRows || DEFAULT_MAX_ROWS;
+    const ouItems = request.ouDimension.split(';');
+    const ouChunks = !request.orgUnitAsFilter && ouItems.every(id => UID_PATTERN.test(id))
+      ? chunk(ouItems, OU_CHUNK_SIZE)
+      : [ouItems];
+    const requests = chunk(request.dxItems, DX_CHUNK_SIZE)
+      .flatMap(dxChunk => ouChunks.map(ouChunk => ({ dxChunk, ouChunk })));
+    
+    let headers = null;
+    let rows = [];
+    const metaData = { items: {}, dimensions: {} };
+    let truncated = false;
+    
+    for (let i = 0; i < requests.length; i++) {
+      const { dxChunk, ouChunk } = requests[i];
+      reportProgress(options, {
+        message: requests.length > 1
+          ? `Fetching ${options.progressLabel || 'analytics data'} (request ${i + 1} of ${requests.length})`
+          : `Fetching ${options.progressLabel || 'analytics data'}`,
+        loaded: i,
+        total: requests.length
+      });
+      
+      const filter = [
+        ...(request.periodAsFilter ? [`pe:${request.periodValue}`] : []),
+        ...(request.orgUnitAsFilter ? [`ou:${ouChunk.join(';')}`] : []),
+        ...(request.filters || [])
+      ];
+      const query = {
+        results: {
+          resource: 'analytics',
+          params: {
+            dimension: [
+              `dx:${dxChunk.join(';')}`,
+              ...(request.periodAsFilter ? [] : [`pe:${request.periodValue}`]),
+              ...(request.orgUnitAsFilter ? [] : [`ou:${ouChunk.join(';')}`]),
+              ...(request.dimensions || [])
+            ],
+            ...(filter.length > 0 ? { filter } : {}),
+            ...request.params
+          }
+        }
+      };
+      console.log("Executing DHIS2 Analytics query:", JSON.stringify(query, null, 2));
+      const response = await engine.query(query);
+      const result = response.results;
+      
+      headers = headers || result.headers;
+      if (result.metaData) {
+        const { items, dimensions, ouHierarchy, ...otherMetaData } = result.metaData;
+        Object.assign(metaData, otherMetaData);
+        Object.assign(metaData.items, items);
+        if (ouHierarchy) {
+          metaData.ouHierarchy = { ...metaData.ouHierarchy, ...ouHierarchy };
+        }
+        Object.entries(dimensions || {}).forEach(([dimension, ids]) => {
+          metaData.dimensions[dimension] = Array.from(new Set([...(metaData.dimensions[dimension] || []), ...ids]));
+        });
+      }
+      
+      const chunkRows = result.rows || [];
+      if (rows.length + chunkRows.length > maxRows) {
+        rows = rows.concat(chunkRows.slice(0, maxRows - rows.length));
+        truncated = true;
+        break;
+      }
+      rows = rows.concat(chunkRows);
+    }
+    
+    return {
+      headers: headers || [],
+      metaData,
+      rows,
+      truncated,
+      truncationNote: truncated
+        ? `Only the first ${maxRows.toLocaleString()} rows were loaded; the selection returned more. Narrow the data, period or organisation units for a complete analysis.`
+        : null
+    };
+  }
+  
+  // Fields fetched for the org units an analysis is broken down by
+  const BREAKDOWN_ORG_UNIT_FIELDS = 'id,displayName,path,level,parent[id,displayName],organisationUnitGroups[id,displayName]';
+  
+  /**
+   * Fetch the names of the org unit hierarchy levels
+   * @param {Object} engine - DHIS2 data engine
+   * @returns {Object} Level names keyed by level number (empty if they could not be fetched)
+   */
+  const fetchOrgUnitLevelNames = async (engine) => {
+    try {
+      const response = await engine.query({
+        levels: {
+          resource: 'organisationUnitLevels',
+          params: { fields: 'level,displayName', paging: false }
+        }
+      });
+      return (response.levels.organisationUnitLevels || []).reduce(
+        (acc, level) => ({ ...acc, [level.level]: level.displayName }), {}
+      );
+    } catch (err) {
+      console.warn('Failed to fetch org unit level names:', err);
+      return {};
+    }
+  }
+  
+  /**
+   * Resolve the org unit dimension for an analytics request.
+   * Without a breakdown the selected unit is analysed on its own. A breakdown of
+   * type 'children' lists the immediate children; 'level' and 'group' use the
+   * LEVEL-n and OU_GROUP-x dimension items, so every unit at that level (or in that
+   * group) below the selection is analysed and can be rolled up through the hierarchy.
+   * @param {Object} engine - DHIS2 data engine
+   * @param {Object} orgUnit - Selected organization unit, with an optional breakdown ({ type, level, id, name })
+   * @returns {Object} { ouDimension, multiOrgUnitMode, childOrgUnits, levelNames }; levelNames is set
+   *   only for level and group breakdowns, which request the hierarchy metadata
+   */
+  const resolveOrgUnitDimension = async (engine, orgUnit) => {
+    const breakdown = getOrgUnitBreakdown(orgUnit);
+    let ouDimension;
+    let multiOrgUnitMode = false;
+    let childOrgUnits = [];
+    let levelNames = null;
+    
+    if (breakdown && (breakdown.type === 'level' || breakdown.type === 'group')) {
+      const item = breakdown.type === 'level' ? `LEVEL-${breakdown.level}` : `OU_GROUP-${breakdown.id}`;
+      ouDimension = `${orgUnit.id};${item}`;
+      multiOrgUnitMode = true;
+      levelNames = await fetchOrgUnitLevelNames(engine);
+      
+      // The units themselves are listed for the context and the tracker mapping; special
+      // org units have no path to filter on, so their units come from the analytics metadata only
+      if (!orgUnit.isSpecial) {
+        try {
+          const unitsResponse = await engine.query({
+            results: {
+              resource: 'organisationUnits',
+              params: {
+                filter: [
+                  `path:like:${orgUnit.id}`,
+                  breakdown.type === 'level'
+                    ? `level:eq:${breakdown.level}`
+                    : `organisationUnitGroups.id:eq:${breakdown.id}`
+                ],
+                fields: BREAKDOWN_ORG_UNIT_FIELDS,
+                paging: false
+              }
+            }
+          });
+          childOrgUnits = (unitsResponse.results.organisationUnits || []).filter(unit => unit.id !== orgUnit.id);
+        } catch (err) {
+          console.warn(`Failed to list the org units for ${item}:`, err);
+        }
+      }
+      console.log(`Multi-org unit mode: ${item} under ${orgUnit.id} (${childOrgUnits.length} org units listed)`);
+    } else if (breakdown && !orgUnit.isSpecial) {
+      try {
+        // Fetch child org units for breakdown analysis
+        const childOrgUnitsQuery = {
+          results: {
+            resource: `organisationUnits/${orgUnit.id}`,
+            params: {
+              fields: `children[${BREAKDOWN_ORG_UNIT_FIELDS}]`
+            }
+          }
+        };
+        
+        const childResponse = await engine.query(childOrgUnitsQuery);
+        childOrgUnits = childResponse.results.children || [];
+        
+        if (childOrgUnits.length > 0) {
+          // Use child org units for multi-unit breakdown
+          ouDimension = childOrgUnits.map(child => child.id).join(';');
+          multiOrgUnitMode = true;
+          console.log(`Multi-org unit mode: Including ${childOrgUnits.length} child org units`);
+        } else {
+          // No child org units, fall back to single org unit
+          ouDimension = orgUnit.id;
+          console.log('No child org units found, using single org unit mode');
+        }
+      } catch (err) {
+        console.warn('Failed to fetch child org units, falling back to single org unit:', err);
+        ouDimension = orgUnit.id;
+      }
+    } else if (orgUnit.isSpecial) {
+      ouDimension = orgUnit.id; // USER_ORGUNIT, USER_ORGUNIT_CHILDREN, or USER_ORGUNIT_GRANDCHILDREN
+      // For special org units, we can enable multi-org mode if it's children or grandchildren
+      if (orgUnit.id === 'USER_ORGUNIT_CHILDREN' || orgUnit.id === 'USER_ORGUNIT_GRANDCHILDREN') {
+        multiOrgUnitMode = true;
+      }
+    } else {
+      ouDimension = orgUnit.id;
+    }
+    
+    return { ouDimension, multiOrgUnitMode, childOrgUnits, levelNames };
+  }
+  
+  /**
+   * List the org units an analysis was broken down by. Level and group breakdowns of
+   * special org units cannot be listed up front, so their units are taken from the
+   * analytics metadata instead.
+   * @param {Array} childOrgUnits - Units listed by resolveOrgUnitDimension
+   * @param {Object} metaData - Analytics metadata
+   * @param {Object} orgUnit - Selected organization unit
+   * @returns {Array} Org units ({ id, displayName, level })
+   */
+  const listBreakdownOrgUnits = (childOrgUnits, metaData, orgUnit) => {
+    const breakdown = getOrgUnitBreakdown(orgUnit);
+    if (childOrgUnits.length > 0 || !breakdown || breakdown.type === 'children') {
+      return childOrgUnits;
+    }
+    const ouIds = (metaData && metaData.dimensions && metaData.dimensions.ou) || [];
+    return ouIds
+      .filter(id => id !== orgUnit.id)
+      .map(id => ({
+        id,
+        displayName: (metaData.items[id] && metaData.items[id].name) || id,
+        ...(breakdown.type === 'level' ? { level: breakdown.level } : {})
+      }));
+  }
+  
+  /**
+   * Fetch the selected data elements broken down by each requested category or other added
+   * dimension, with the org units as a filter so every row is a data element, option and period
+   * @param {Object} engine - DHIS2 data engine
+   * @param {string} deIds - Data element IDs separated by ';'
+   * @param {string} periodValue - Period dimension value
+   * @param {string} ouDimension - Org unit dimension items separated by ';'
+   * @param {Array} categories - Dimensions to break down by ({ id, name, dimension }, dimension being the
+   *   'id:items' parameter if only some items are wanted); id 'co' means every category option combo
+   * @param {Object} options - Fetch options (maxRows, onProgress, queryParts from getAnalyticsRequestParts)
+   * @returns {Array|null} [{ category, headers, rows, metaData }], or null without categories
+   */
+  const fetchDisaggregationData = async (engine, deIds, periodValue, ouDimension, categories, options = {}) => {
+    if (!categories || categories.length === 0) {
+      return null;
+    }
+    
+    const results = [];
+    for (const category of categories) {
+      try {
+        const response = await fetchAnalyticsInChunks(engine, withQueryParts({
+          dxItems: deIds.split(';'),
+          periodValue,
+          ouDimension,
+          periodAsFilter: Boolean(options.queryParts && options.queryParts.periodAsFilter),
+          orgUnitAsFilter: true,
+          dimensions: [category.dimension || category.id],
+          params: { skipMeta: false }
+        }, options.queryParts), { ...options, progressLabel: `${category.name || category.id} breakdown` });
+        results.push({ category, headers: response.headers, rows: response.rows, metaData: response.metaData });
+      } catch (err) {
+        // A category that does not apply to the selected data elements should not fail the analysis
+        console.warn(`Failed to fetch the breakdown by ${category.name || category.id}:`, err);
+      }
+    }
+    return results;
+  }
+  
+  /**
+   * Break the selection down by org unit group sets. Each group set is requested as an
+   * extra dimension with period and org units as filters, so DHIS2 aggregates every
+   * group correctly (including indicators) over the whole selection.
+   * @param {Object} engine - DHIS2 data engine
+   * @param {Array} groupSets - Selected group sets ({ id, name })
+   * @param {Object} request - { resource, dimension, filter, params } shared by every group set;
+   *   resource defaults to 'analytics'
+   * @param {Object} options - Fetch options (onProgress, valueLabel for responses without a dx column)
+   * @returns {Object|null} { [groupSetName]: { [groupName]: { [dataName]: value } } }, or null
+   *   without group sets or if the breakdown could not be fetched
+   */
+  const fetchGroupSetBreakdown = async (engine, groupSets, request, options = {}) => {
+    if (!groupSets || groupSets.length === 0) {
+      return null;
+    }
+    
+    reportProgress(options, { message: 'Fetching org unit group breakdown', loaded: 0, total: groupSets.length });
+    const queries = {};
+    groupSets.forEach((groupSet, index) => {
+      queries[`groupSet${index}`] = {
+        resource: request.resource || 'analytics',
+        params: {
+          ...request.params,
+          dimension: [...request.dimension, groupSet.id],
+          filter: request.filter
+        }
+      };
+    });
+    
+    try {
+      const response = await engine.query(queries);
+      const breakdown = {};
+      
+      groupSets.forEach((groupSet, index) => {
+        const result = response[`groupSet${index}`];
+        const items = (result.metaData && result.metaData.items) || {};
+        const getName = (id) => (items[id] && items[id].name) || id;
+        const resultHeaders = result.headers || [];
+        const groupIndex = resultHeaders.findIndex(h => h.name === groupSet.id);
+        const dxIndex = resultHeaders.findIndex(h => h.name === 'dx');
+        const valueIndex = resultHeaders.findIndex(h => h.name === 'value');
+        if (groupIndex === -1 || valueIndex === -1) return;
+        
+        const groups = {};
+        (result.rows || []).forEach(row => {
+          const groupName = getName(row[groupIndex]);
+          const dataName = dxIndex === -1 ? options.valueLabel || 'Value' : getName(row[dxIndex]);
+          groups[groupName] = groups[groupName] || {};
+          groups[groupName][dataName] = (groups[groupName][dataName] || 0) + (parseFloat(row[valueIndex]) || 0);
+        });
+        breakdown[groupSet.name || getName(groupSet.id)] = groups;
+      });
+      
+      return Object.keys(breakdown).length > 0 ? breakdown : null;
+    } catch (err) {
+      // The group breakdown is supplementary; the analysis continues without it
+      console.warn('Failed to fetch the org unit group set breakdown:', err);
+      return null;
+    }
+  }
+  
+  /**
+   * Fetch analytics for the periods the selection is compared with
+   * @param {Object} engine - DHIS2 data engine
+   * @param {string} deIds - Data dimension items separated by ';'
+   * @param {string} period - Selected period selection
+   * @param {string} ouDimension - Org unit dimension items separated by ';'
+   * @param {string} dataType - Type of data; indicators and program indicators are averaged rather than summed
+   * @param {Object} options - Fetch options (maxRows, onProgress, queryParts from getAnalyticsRequestParts)
+   * @returns {Object|null} { periods, headers, rows, metaData, aggregation }, or null if the comparison could not be fetched
+   */
+  const fetchComparisonData = async (engine, deIds, period, ouDimension, dataType, options = {}) => {
+    const periods = getComparisonPeriods(period);
+    if (!periods) {
+      return null;
+    }
+
+    const comparisonPeriodIds = Array.from(new Set([...periods.previous, ...periods.lastYear]));
+
+    try {
+      const response = await fetchAnalyticsInChunks(engine, withQueryParts({
+        dxItems: deIds.split(';'),
+        periodValue: comparisonPeriodIds.join(';'),
+        ouDimension,
+        orgUnitAsFilter: Boolean(options.queryParts && options.queryParts.orgUnitAsFilter),
+        params: { skipMeta: false }
+      }, options.queryParts), { ...options, progressLabel: 'comparison periods' });
+
+      return {
+        periods,
+        headers: response.headers,
+        rows: response.rows,
+        metaData: response.metaData,
+        // Rates and ratios cannot be added up across periods
+        aggregation: ['indicator', 'programIndicator'].includes(dataType) ? 'average' : 'sum'
+      };
+    } catch (err) {
+      // The main analysis is still useful without the comparison
+      console.warn('Failed to fetch comparison periods, continuing without them:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch the history behind the epidemic thresholds: the same periods as the fetched rows
+   * in each of the previous years, for the same data and org units
+   * @param {Object} engine - DHIS2 data engine
+   * @param {string} deIds - Data dimension items separated by ';'
+   * @param {Array} rows - Rows of the selected periods
+   * @param {Array} headers - Headers of the rows
+   * @param {string} ouDimension - Org unit dimension items separated by ';'
+   * @param {Object} options - Fetch options (maxRows, onProgress, queryParts from getAnalyticsRequestParts)
+   * @returns {Object|null} { baselinePeriods, headers, rows }, or null if there is no history to fetch
+   */
+  const fetchOutbreakBaseline = async (engine, deIds, rows, headers, ouDimension, options = {}) => {
+    const peIndex = headers.findIndex(h => h.name === 'pe');
+    if (peIndex === -1 || rows.length === 0) {
+      return null;
+    }
+    const baselinePeriods = getBaselinePeriods(Array.from(new Set(rows.map(row => row[peIndex]))));
+    const periodIds = Array.from(new Set(Object.values(baselinePeriods).flat())).sort(comparePeriodIds);
+    if (periodIds.length === 0) {
+      return null;
+    }
+
+    const orgUnitAsFilter = Boolean(options.queryParts && options.queryParts.orgUnitAsFilter);
+    try {
+      const response = await fetchAnalyticsInChunks(engine, withQueryParts({
+        dxItems: deIds.split(';'),
+        periodValue: periodIds.join(';'),
+        ouDimension,
+        orgUnitAsFilter,
+        params: { skipMeta: true }
+      }, options.queryParts), { ...options, progressLabel: 'outbreak baseline' });
+
+      // Units applied as a filter get the same synthetic ou column as the main rows
+      const { headers: baselineHeaders, rows: baselineRows } = orgUnitAsFilter
+        ? addFilterColumns(response.headers, response.rows, response.metaData, [{ name: 'ou', column: 'Organisation unit', id: ouDimension, label: ouDimension }])
+        : response;
+      return { baselinePeriods, headers: baselineHeaders, rows: baselineRows };
+    } catch (err) {
+      // The main analysis is still useful without the thresholds
+      console.warn('Failed to fetch the outbreak baseline, continuing without thresholds:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Check the data quality of an analysis: fetch the reporting rates of the datasets behind
+   * the data elements for the same periods and org units, and score each org unit
+   * @param {Object} engine - DHIS2 data engine
+   * @param {Array} dataElements - Selected data elements; those picked from a dataset carry its dataSetId
+   * @param {Object} data - { headers, rows, metaData } of the main request
+   * @param {string} periodValue - Period dimension items separated by ';'
+   * @param {string} ouDimension - Org unit dimension items separated by ';'
+   * @param {Object} options - Fetch options (maxRows, onProgress, queryParts, truncated)
+   * @returns {Object} Data quality from assessDataQuality
+   */
+  const checkDataQuality = async (engine, dataElements, data, periodValue, ouDimension, options = {}) => {
+    const queryParts = options.queryParts || {};
+    const dataSets = getSelectedDataSets(dataElements);
+    let reporting = null;
+    if (dataSets.length > 0) {
+      try {
+        const response = await fetchAnalyticsInChunks(engine, {
+          dxItems: getReportingRateItems(dataSets),
+          periodValue,
+          ouDimension,
+          periodAsFilter: queryParts.periodAsFilter,
+          orgUnitAsFilter: queryParts.orgUnitAsFilter,
+          params: { skipMeta: true }
+        }, { ...options, progressLabel: 'reporting rates' });
+        // Filtered periods and org units get the same synthetic columns as the main rows
+        const { headers, rows } = addFilterColumns(response.headers, response.rows, response.metaData, [
+          ...(queryParts.periodAsFilter ? [{ name: 'pe', column: 'Period', id: periodValue, label: periodValue }] : []),
+          ...(queryParts.orgUnitAsFilter ? [{ name: 'ou', column: 'Organisation unit', id: ouDimension, label: ouDimension }] : [])
+        ]);
+        reporting = { dataSets, headers, rows };
+      } catch (err) {
+        // The other checks still work without the reporting rates
+        console.warn('Failed to fetch reporting rates, continuing without completeness and timeliness:', err);
+      }
+    }
+
+    const dimensionItems = (name, filterValue) => {
+      if (filterValue) return [filterValue];
+      const fromMetaData = data.metaData && data.metaData.dimensions && data.metaData.dimensions[name];
+      if (fromMetaData && fromMetaData.length > 0) return fromMetaData;
+      const index = data.headers.findIndex(h => h.name === name);
+      return index === -1 ? [] : Array.from(new Set(data.rows.map(row => row[index])));
+    };
+
+    return assessDataQuality(data, reporting, {
+      dataElementIds: dataElements.map(de => (typeof de === 'string' ? de : de.id || de.value)).filter(Boolean),
+      periods: dimensionItems('pe', queryParts.periodAsFilter ? periodValue : null),
+      orgUnits: dimensionItems('ou', queryParts.orgUnitAsFilter ? ouDimension : null),
+      checkMissing: !options.truncated
+    });
+  }
+
+  // Rows fetched per analytics request of the AI tools; the results are condensed before they reach the model
+  const TOOL_MAX_ROWS = 5000;
+  
+  // Data items listed per type by a metadata lookup of the AI tools
+  const TOOL_METADATA_PAGE_SIZE = 20;
+  
+  /**
+   * Fetch an analytics table for the AI tools, without the summaries of a full analysis
+   * @param {Object} engine - DHIS2 data engine
+   * @param {Object} request - { dataItems, periods, orgUnits } as lists of dimension items
+   * @param {Object} options - Fetch options (maxRows defaults to TOOL_MAX_ROWS)
+   * @returns {Object} { headers, metaData, rows, truncated, truncationNote }
+   */
+  export const fetchAnalyticsTable = async (engine, request, options = {}) =>
+    fetchAnalyticsInChunks(engine, {
+      dxItems: request.dataItems,
+      periodValue: request.periods.join(';'),
+      ouDimension: request.orgUnits.join(';'),
+      params: { skipMeta: false }
+    }, { maxRows: TOOL_MAX_ROWS, ...options });
+  
+  /**
+   * List the children of an org unit
+   * @param {Object} engine - DHIS2 data engine
+   * @param {string} orgUnitId - Org unit ID
+   * @returns {Object} { orgUnit: { id, displayName, level }, children: [{ id, displayName, level, childCount }] } sorted by name
+   */
+  export const fetchChildOrgUnits = async (engine, orgUnitId) => {
+    if (!UID_PATTERN.test(orgUnitId)) {
+      throw new Error(`Not an org unit ID: ${orgUnitId}`);
+    }
+    const response = await engine.query({
+      orgUnit: {
+        resource: `organisationUnits/${orgUnitId}`,
+        params: { fields: 'id,displayName,level,children[id,displayName,level,children~size~rename(childCount)]' }
+      }
+    });
+    const { children = [], ...orgUnit } = response.orgUnit;
+    return {
+      orgUnit,
+      children: [...children].sort((a, b) => a.displayName.localeCompare(b.displayName))
+    };
+  }
+  
+  /**
+   * Look up data elements, indicators and program indicators by ID or by name
+   * @param {Object} engine - DHIS2 data engine
+   * @param {Object} lookup - { ids } to fetch given items ('deId.cocId' items by their data element),
+   *   or { search } to match names
+   * @returns {Object} { dataElements, indicators, programIndicators }, at most TOOL_METADATA_PAGE_SIZE of each
+   */
+  export const fetchDataItemMetadata = async (engine, lookup) => {
+    const ids = Array.from(new Set((lookup.ids || []).map(id => id.split('.')[0])));
+    const invalidIds = ids.filter(id => !UID_PATTERN.test(id));
+    if (invalidIds.length > 0) {
+      throw new Error(`Not data item IDs: ${invalidIds.join(', ')}`);
+    }
+    const search = toFilterValue(lookup.search);
+    if (ids.length === 0 && !search) {
+      throw new Error(`Not a name to search for: ${lookup.search}`);
+    }
+    const filter = ids.length > 0 ? `id:in:[${ids.join(',')}]` : `displayName:ilike:${search}`;
+    const params = (fields) => ({ filter, fields, pageSize: TOOL_METADATA_PAGE_SIZE });
+    const response = await engine.query({
+      dataElements: {
+        resource: 'dataElements',
+        params: params('id,displayName,description,valueType,aggregationType,domainType,categoryCombo[displayName],dataSetElements[dataSet[id,displayName,periodType]]')
+      },
+      indicators: {
+        resource: 'indicators',
+        params: params('id,displayName,description,indicatorType[displayName],numeratorDescription,denominatorDescription')
+      },
+      programIndicators: {
+        resource: 'programIndicators',
+        params: params('id,displayName,description,program[displayName],aggregationType')
+      }
+    });
+    return {
+      dataElements: response.dataElements.dataElements || [],
+      indicators: response.indicators.indicators || [],
+      programIndicators: response.programIndicators.programIndicators || []
+    };
+  }
+  
+  /**
+   * Fetch the reporting rates of datasets (rate, actual, expected and on-time reports)
+   * @param {Object} engine - DHIS2 data engine
+   * @param {Object} request - { dataSets, periods, orgUnits } as lists of IDs and dimension items
+   * @param {Object} options - Fetch options (maxRows defaults to TOOL_MAX_ROWS)
+   * @returns {Object} { headers, metaData, rows, truncated, truncationNote }
+   */
+  export const fetchReportingRates = async (engine, request, options = {}) =>
+    fetchAnalyticsTable(engine, {
+      dataItems: getReportingRateItems(request.dataSets.map(id => ({ id }))),
+      periods: request.periods,
+      orgUnits: request.orgUnits
+    }, { progressLabel: 'reporting rates', ...options });
+  
+  // Candidates listed per type and search term when a selection is resolved from a description
+  const SELECTION_SEARCH_PAGE_SIZE = 10;
+  
+  /**
+   * Search data items and org units by the words of their names, for resolving a data selection
+   * described in plain language. Org units are only searched within the user's hierarchy
+   * @param {Object} engine - DHIS2 data engine
+   * @param {Object} terms - { dataItems, orgUnits } as lists of search terms
+   * @returns {Object} { dataItems: [{ id, displayName, type, parentName, valueType, dataSetId, programId }],
+   *   orgUnits: [{ id, displayName, path, level, parentName }], levels: [{ level, displayName }] }
+   */
+  export const searchSelectionMetadata = async (engine, terms) => {
+    const search = (term, fields, filters = []) => ({
+      filter: [`identifiable:token:${term}`, ...filters],
+      fields,
+      pageSize: SELECTION_SEARCH_PAGE_SIZE
+    });
+    const toTerms = (list) => (list || []).map(toFilterValue).filter(Boolean);
+    const query = {
+      levels: {
+        resource: 'organisationUnitLevels',
+        params: { fields: 'level,displayName', paging: 'false' }
+      }
+    };
+    toTerms(terms.dataItems).forEach((term, index) => {
+      query[`dataElements${index}`] = {
+        resource: 'dataElements',
+        params: search(term, 'id,displayName,valueType,dataSetElements[dataSet[id,displayName]]', ['domainType:eq:AGGREGATE'])
+      };
+      query[`indicators${index}`] = {
+        resource: 'indicators',
+        params: search(term, 'id,displayName,indicatorGroups[displayName]')
+      };
+      query[`programIndicators${index}`] = {
+        resource: 'programIndicators',
+        params: search(term, 'id,displayName,program[id,displayName]')
+      };
+    });
+    toTerms(terms.orgUnits).forEach((term, index) => {
+      query[`orgUnits${index}`] = {
+        resource: 'organisationUnits',
+        params: { ...search(term, 'id,displayName,path,level,parent[displayName]'), withinUserHierarchy: true }
+      };
+    });
+    
+    const response = await engine.query(query);
+    const collect = (prefix, listName, map) => {
+      const byId = new Map();
+      Object.keys(response)
+        .filter(key => key.startsWith(prefix))
+        .forEach(key => (response[key][listName] || []).forEach(item => byId.set(item.id, map(item))));
+      return Array.from(byId.values());
+    };
+    
+    return {
+      dataItems: [
+        ...collect('dataElements', 'dataElements', de => {
+          const dataSet = de.dataSetElements && de.dataSetElements.length > 0 ? de.dataSetElements[0].dataSet : null;
+          return {
+            id: de.id,
+            displayName: de.displayName,
+            type: 'aggregate',
+            parentName: dataSet ? dataSet.displayName : '',
+            valueType: de.valueType,
+            dataSetId: dataSet ? dataSet.id : undefined
+          };
+        }),
+        ...collect('indicators', 'indicators', indicator => ({
+          id: indicator.id,
+          displayName: indicator.displayName,
+          type: 'indicator',
+          parentName: indicator.indicatorGroups && indicator.indicatorGroups.length > 0 ? indicator.indicatorGroups[0].displayName : '',
+          valueType: 'NUMBER'
+        })),
+        ...collect('programIndicators', 'programIndicators', programIndicator => ({
+          id: programIndicator.id,
+          displayName: programIndicator.displayName,
+          type: 'programIndicator',
+          parentName: programIndicator.program ? programIndicator.program.displayName : '',
+          valueType: 'NUMBER',
+          programId: programIndicator.program ? programIndicator.program.id : undefined
+        }))
+      ],
+      orgUnits: collect('orgUnits', 'organisationUnits', orgUnit => ({
+        id: orgUnit.id,
+        displayName: orgUnit.displayName,
+        path: orgUnit.path,
+        level: orgUnit.level,
+        parentName: orgUnit.parent ? orgUnit.parent.displayName : ''
+      })),
+      levels: [...(response.levels.organisationUnitLevels || [])].sort((a, b) => a.level - b.level)
+    };
+  }
+  
+  // Tracked entities requested per page from the tracker API
+  const TRACKER_PAGE_SIZE = 200;
+  
+  // Breakdown cells below this count are shown as "<5" so individuals cannot be singled out
+  const MIN_CELL_SIZE = 5;
+  
+  // Value types that can identify a person; they are never summarised or sent to the AI
+  const IDENTIFYING_VALUE_TYPES = ['TEXT', 'LONG_TEXT', 'LETTER', 'PHONE_NUMBER', 'EMAIL', 'USERNAME', 'URL',
+    'COORDINATE', 'GEOJSON', 'FILE_RESOURCE', 'IMAGE', 'ORGANISATION_UNIT', 'TRACKER_ASSOCIATE', 'DATETIME', 'TIME'];
+  
+  // First DHIS2 minor version with /api/tracker/trackedEntities
+  const TRACKER_API_MIN_VERSION = 36;
+  
+  /**
+   * Suppress a small count
+   * @param {number} count - Count of people, enrollments or events
+   * @returns {number|string} The count, or "<5" when it is between 1 and MIN_CELL_SIZE - 1
+   */
+  const suppressCount = (count) => (count > 0 && count < MIN_CELL_SIZE ? `<${MIN_CELL_SIZE}` : count);
+  
+  /**
+   * Suppress small counts in a breakdown
+   * @param {Object} counts - Counts keyed by value
+   * @returns {Object} Counts with values between 1 and MIN_CELL_SIZE - 1 replaced by "<5"
+   */
+  const suppressSmallCells = (counts) => Object.fromEntries(
+    Object.entries(counts).map(([key, count]) => [key, suppressCount(count)])
+  );
+  
+  /**
+   * Summarise the values of one tracker field without exposing individual values
+   * @param {Object} field - { valueType, optionNames }
+   * @param {Array} rawValues - Recorded values
+   * @returns {Object|null} Breakdown, or null if the field cannot be summarised safely
+   */
+  const summariseTrackerField = (field, rawValues) => {
+    if (field.valueType === 'AGE') {
+      return { type: 'ageBands', values: suppressSmallCells(countAgeBands(rawValues)), recorded: rawValues.length };
+    }
+    if (field.optionNames || ['BOOLEAN', 'TRUE_ONLY'].includes(field.valueType)) {
+      const counts = {};
+      rawValues.forEach(value => {
+        const label = (field.optionNames && field.optionNames[value]) || value;
+        counts[label] = (counts[label] || 0) + 1;
+      });
+      return { type: 'options', values: suppressSmallCells(counts) };
+    }
+    if (NUMERIC_VALUE_TYPES.includes(field.valueType)) {
+      const numbers = rawValues.map(parseFloat).filter(value => !isNaN(value));
+      // Min and max of a handful of values point at individuals
+      return numbers.length >= MIN_CELL_SIZE ? { type: 'numeric', ...describeValues(numbers) } : null;
+    }
+    if (field.valueType === 'DATE') {
+      // Dates are generalised to the month
+      const counts = {};
+      rawValues.forEach(value => {
+        const month = getPeriodName(String(value).substring(0, 7).replace('-', ''));
+        counts[month] = (counts[month] || 0) + 1;
+      });
+      return { type: 'months', values: suppressSmallCells(counts) };
+    }
+    return null;
+  }
+  
+  /**
+   * Look up the paths of org units
+   * @param {Object} engine - DHIS2 data engine
+   * @param {Array} ids - Org unit IDs (duplicates are ignored)
+   * @returns {Object} Paths keyed by org unit ID
+   */
+  const fetchOrgUnitPaths = async (engine, ids) => {
+    const uniqueIds = Array.from(new Set(ids.filter(Boolean)));
+    const paths = {};
+    
+    // Keep the id:in filter short enough for the URL
+    for (let i = 0; i < uniqueIds.length; i += 100) {
+      const response = await engine.query({
+        results: {
+          resource: 'organisationUnits',
+          params: {
+            filter: `id:in:[${uniqueIds.slice(i, i + 100).join(',')}]`,
+            fields: 'id,path',
+            paging: 'false'
+          }
+        }
+      });
+      (response.results.organisationUnits || []).forEach(ou => { paths[ou.id] = ou.path; });
+    }
+    return paths;
+  }
+  
+  /**
+   * Fetch the pages of tracked entities for a program from the tracker API, up to the row limit
+   * @param {Object} engine - DHIS2 data engine
+   * @param {Object} params - Query parameters
+   * @param {boolean} newParameterNames - Use the 2.41+ parameter names
+   * @param {Object} options - Fetch options (maxRows, onProgress)
+   * @returns {Object} { trackedEntities, total, truncated }
+   */
+  const fetchTrackedEntityPages = async (engine, params, newParameterNames, options = {}) => {
+    const maxRows = options.maxRows || DEFAULT_MAX_ROWS;
+    const trackedEntities = [];
+    let total = null;
+    
+    for (let page = 1; trackedEntities.length < maxRows; page++) {
+      reportProgress(options, {
+        message: total
+          ? `Fetched ${trackedEntities.length.toLocaleString()} of ${total.toLocaleString()} tracked entities`
+          : 'Fetching tracked entities',
+        loaded: trackedEntities.length,
+        total
+      });
+      
+      const response = await engine.query({
+        results: {
+          resource: 'tracker/trackedEntities',
+          params: { ...params, page, pageSize: TRACKER_PAGE_SIZE, totalPages: true }
+        }
+      });
+      const results = response.results;
+      
+      // 2.41+ returns trackedEntities and a pager; earlier versions return instances with paging at the top level
+      const pageEntities = (newParameterNames ? results.trackedEntities : results.instances) ||
+        results.trackedEntities || results.instances || [];
+      trackedEntities.push(...pageEntities.slice(0, maxRows - trackedEntities.length));
+      total = (results.pager && results.pager.total) ?? results.total ?? total;
+      
+      const pageCount = (results.pager && results.pager.pageCount) ?? results.pageCount;
+      if (pageEntities.length < TRACKER_PAGE_SIZE || (pageCount && page >= pageCount)) {
+        return { trackedEntities, total: total ?? trackedEntities.length, truncated: false };
       }
-      
-      return processedData
-    } catch (error) {
-      console.error('Error fetching data from DHIS2:', error)
-      throw new Error(`Failed to fetch data: ${error.message || 'Unknown error'}`)
     }
+    
+    console.warn(`Stopped at the limit of ${maxRows} tracked entities`);
+    return { trackedEntities, total: total ?? trackedEntities.length, truncated: true };
   }
   
   /**
-   * Fetch tracker data for a program
+   * Fetch and analyse tracker (enrollment) data for a program through the tracker API.
+   * Only the selected attributes and data elements are kept, identifying fields are dropped
+   * and small counts suppressed, so only de-identified aggregates leave this function: counts
+   * below MIN_CELL_SIZE are shown as "<5", and cohort month and org unit cells below it are
+   * left out of the rows (and so of the summary and the AI prompt built from them).
    * @param {Object} engine - DHIS2 data engine
    * @param {string} programId - Program ID
-   * @param {string} period - Period
+   * @param {string} period - Period selection; enrollments dated within it are analysed
    * @param {Object} orgUnit - Organization unit
-   * @returns {Object} Tracker data
+   * @param {Object} options - Options
+   * @param {Array} options.dataElements - Selected attributes and data elements ({ id, displayName })
+   * @param {Object} options.orgUnitDimension - Resolved org unit dimension, if already known
+   * @param {number} options.maxRows - Most tracked entities to fetch (defaults to DEFAULT_MAX_ROWS)
+   * @param {Function} options.onProgress - Called with { message, loaded, total }
+   * @returns {Object} Processed data in the same shape as fetchDataForElements, with trackerSummary added
    */
-  export const fetchTrackerData = async (engine, programId, period, orgUnit) => {
+  export const fetchTrackerData = async (engine, programId, period, orgUnit, options = {}) => {
     if (!programId || !period || !orgUnit) {
       throw new Error('Missing required parameters')
     }
     
     try {
-      // Get date range for period
       const { startDate, endDate } = getPeriodDateRange(period)
+      const { ouDimension, multiOrgUnitMode, childOrgUnits = [] } =
+        options.orgUnitDimension || await resolveOrgUnitDimension(engine, orgUnit);
       
-      // Handle special organization units for tracker data
-      let ouParam;
-      if (orgUnit.isSpecial) {
-        ouParam = `${orgUnit.id}`; // USER_ORGUNIT, USER_ORGUNIT_CHILDREN, or USER_ORGUNIT_GRANDCHILDREN
-      } else {
-        ouParam = orgUnit.id;
-      }
-      
-      // Create query for tracker data
-      const query = {
-        trackedEntityInstances: {
-          resource: 'trackedEntityInstances',
+      // Program metadata gives stage names, option names and which fields are confidential
+      const metadataResponse = await engine.query({
+        program: {
+          resource: `programs/${programId}`,
           params: {
-            program: programId,
-            ou: ouParam,
-            programStartDate: startDate,
-            programEndDate: endDate,
-            fields: '*',
-            pageSize: 1000
+            fields: 'id,displayName,' +
+              'programTrackedEntityAttributes[trackedEntityAttribute[id,displayName,valueType,unique,confidential,optionSet[options[code,displayName]]]],' +
+              'programStages[id,displayName,programStageDataElements[dataElement[id,displayName,valueType,optionSet[options[code,displayName]]]]]'
           }
+        },
+        system: {
+          resource: 'system/info',
+          params: { fields: 'version' }
         }
+      });
+      const program = metadataResponse.program;
+      const version = String(metadataResponse.system.version || '');
+      const minorVersion = parseInt(version.split('.')[1], 10) || 0;
+      // Older servers only have the deprecated trackedEntityInstances API
+      if (minorVersion && minorVersion < TRACKER_API_MIN_VERSION) {
+        throw new Error(`Tracker programs need DHIS2 2.${TRACKER_API_MIN_VERSION} or later, and this server runs ${version}. ` +
+          'Aggregate data elements, indicators and event programs can still be analysed.');
       }
+      const newParameterNames = minorVersion >= 41;
+      
+      const toField = (item, isAttribute) => {
+        const optionNames = item.optionSet && item.optionSet.options
+          ? Object.fromEntries(item.optionSet.options.map(option => [option.code, option.displayName]))
+          : null;
+        return {
+          id: item.id,
+          name: item.displayName,
+          valueType: item.valueType,
+          isAttribute,
+          optionNames,
+          // Text with an option set only holds the option codes, so it is safe to count
+          identifying: Boolean(item.unique || item.confidential) ||
+            (IDENTIFYING_VALUE_TYPES.includes(item.valueType) && !optionNames)
+        };
+      };
+      const programFields = {};
+      (program.programTrackedEntityAttributes || []).forEach(ptea => {
+        programFields[ptea.trackedEntityAttribute.id] = toField(ptea.trackedEntityAttribute, true);
+      });
+      const stageNames = {};
+      (program.programStages || []).forEach(stage => {
+        stageNames[stage.id] = stage.displayName;
+        (stage.programStageDataElements || []).forEach(psde => {
+          programFields[psde.dataElement.id] = toField(psde.dataElement, false);
+        });
+      });
+      
+      // Whitelist: only the selected fields, and of those only the ones that cannot identify a person
+      const selectedIds = (options.dataElements || []).map(de => (typeof de === 'string' ? de : de.id));
+      const selectedFields = selectedIds.map(id => programFields[id]).filter(Boolean);
+      const allowedFields = selectedFields.filter(field => !field.identifying);
+      const excludedFields = selectedFields.filter(field => field.identifying).map(field => field.name);
+      
+      // Special org units are approximated by the user's capture org units
+      const ouParams = orgUnit.isSpecial
+        ? { [newParameterNames ? 'orgUnitMode' : 'ouMode']: 'CAPTURE' }
+        : {
+            [newParameterNames ? 'orgUnits' : 'orgUnit']: orgUnit.id,
+            [newParameterNames ? 'orgUnitMode' : 'ouMode']: 'DESCENDANTS'
+          };
+      
+      const { trackedEntities, total, truncated } = await fetchTrackedEntityPages(engine, {
+        program: programId,
+        ...ouParams,
+        enrollmentEnrolledAfter: startDate,
+        enrollmentEnrolledBefore: endDate,
+        fields: 'orgUnit,attributes[attribute,value],' +
+          'enrollments[program,status,orgUnit,enrolledAt,events[programStage,status,dataValues[dataElement,value]]]'
+      }, newParameterNames, options);
       
-      // Execute the query
-      const response = await engine.query(query)
+      // Map each enrollment org unit to the analysed org unit (a child unit in multi-org unit mode)
+      const childIds = multiOrgUnitMode ? childOrgUnits.map(child => child.id) : [];
+      const orgUnitPaths = childIds.length > 0
+        ? await fetchOrgUnitPaths(engine, trackedEntities.flatMap(trackedEntity =>
+            [trackedEntity.orgUnit, ...(trackedEntity.enrollments || []).map(enrollment => enrollment.orgUnit)]
+          ))
+        : {};
+      const resolveReportingUnit = (ouId) => {
+        const path = orgUnitPaths[ouId] || '';
+        return childIds.find(id => ouId === id || path.includes(`/${id}`)) || orgUnit.id;
+      };
       
-      return response.trackedEntityInstances
+      const enrollmentStatus = { ACTIVE: 0, COMPLETED: 0, CANCELLED: 0 };
+      const cohorts = {};
+      const stageCompletion = {};
+      const countsByPeriodAndOrgUnit = {};
+      const fieldValues = {};
+      allowedFields.forEach(field => { fieldValues[field.id] = []; });
+      let enrollmentCount = 0;
+      
+      trackedEntities.forEach(trackedEntity => {
+        const attributes = trackedEntity.attributes || [];
+        attributes.forEach(attribute => {
+          if (fieldValues[attribute.attribute] && attribute.value !== '' && attribute.value !== undefined) {
+            fieldValues[attribute.attribute].push(attribute.value);
+          }
+        });
+        
+        (trackedEntity.enrollments || [])
+          .filter(enrollment => enrollment.program === programId)
+          .forEach(enrollment => {
+            enrollmentCount++;
+            enrollmentStatus[enrollment.status] = (enrollmentStatus[enrollment.status] || 0) + 1;
+            
+            // Cohorts are enrollments grouped by the month they started
+            const cohortId = enrollment.enrolledAt
+              ? getPeriodIdForDate('MONTHLY', new Date(enrollment.enrolledAt.substring(0, 10)))
+              : 'unknown';
+            if (!cohorts[cohortId]) {
+              cohorts[cohortId] = { enrolled: 0, ACTIVE: 0, COMPLETED: 0, CANCELLED: 0 };
+            }
+            cohorts[cohortId].enrolled++;
+            cohorts[cohortId][enrollment.status] = (cohorts[cohortId][enrollment.status] || 0) + 1;
+            
+            const ouKey = `${cohortId}|${resolveReportingUnit(enrollment.orgUnit || trackedEntity.orgUnit)}`;
+            countsByPeriodAndOrgUnit[ouKey] = (countsByPeriodAndOrgUnit[ouKey] || 0) + 1;
+            
+            const completedStages = new Set();
+            (enrollment.events || []).forEach(event => {
+              if (!stageCompletion[event.programStage]) {
+                stageCompletion[event.programStage] = { events: 0, completedEvents: 0, enrollmentsCompleted: 0 };
+              }
+              stageCompletion[event.programStage].events++;
+              if (event.status === 'COMPLETED') {
+                stageCompletion[event.programStage].completedEvents++;
+                completedStages.add(event.programStage);
+              }
+              (event.dataValues || []).forEach(dataValue => {
+                if (fieldValues[dataValue.dataElement] && dataValue.value !== '' && dataValue.value !== undefined) {
+                  fieldValues[dataValue.dataElement].push(dataValue.value);
+                }
+              });
+            });
+            completedStages.forEach(stageId => { stageCompletion[stageId].enrollmentsCompleted++; });
+          });
+      });
+      
+      // Enrollment counts per cohort month and org unit, in the layout used by the charts, table and summary.
+      // Rows need numbers, so small cells are left out instead of shown as "<5"
+      const cells = Object.entries(countsByPeriodAndOrgUnit).filter(([key]) => !key.startsWith('unknown|'));
+      const rows = cells
+        .filter(([, count]) => count >= MIN_CELL_SIZE)
+        .map(([key, count]) => {
+          const [peId, ouId] = key.split('|');
+          return [programId, peId, ouId, String(count)];
+        });
+      const headers = [
+        { name: 'dx', column: 'Data', valueType: 'TEXT' },
+        { name: 'pe', column: 'Period', valueType: 'TEXT' },
+        { name: 'ou', column: 'Organisation unit', valueType: 'TEXT' },
+        { name: 'value', column: 'Enrollments', valueType: 'NUMBER' }
+      ];
+      const items = {
+        [programId]: { name: `${program.displayName} enrollments` },
+        [orgUnit.id]: { name: orgUnit.displayName || orgUnit.name || orgUnit.id }
+      };
+      childOrgUnits.forEach(child => { items[child.id] = { name: child.displayName }; });
+      const metaData = { items };
+      
+      const dataElementBreakdowns = {};
+      allowedFields.forEach(field => {
+        const breakdown = summariseTrackerField(field, fieldValues[field.id]);
+        if (breakdown) {
+          dataElementBreakdowns[field.name] = breakdown;
+        }
+      });
+      
+      const stageSummary = {};
+      Object.entries(stageCompletion).forEach(([stageId, stats]) => {
+        // A rate would give away a suppressed count, so it is only shown with the count
+        const rateShown = enrollmentCount > 0 && (stats.enrollmentsCompleted === 0 || stats.enrollmentsCompleted >= MIN_CELL_SIZE);
+        stageSummary[stageNames[stageId] || stageId] = {
+          ...suppressSmallCells(stats),
+          completionRate: rateShown ? parseFloat((stats.enrollmentsCompleted / enrollmentCount * 100).toFixed(1)) : null
+        };
+      });
+      
+      const cohortSummary = {};
+      Object.keys(cohorts).sort(comparePeriodIds).forEach(cohortId => {
+        cohortSummary[cohortId === 'unknown' ? 'Unknown enrollment date' : getPeriodName(cohortId)] = suppressSmallCells(cohorts[cohortId]);
+      });
+      
+      console.log(`Tracker data received from DHIS2: ${trackedEntities.length} tracked entities, ${enrollmentCount} enrollments`);
+      
+      return {
+        headers,
+        metaData,
+        rows,
+        hasData: enrollmentCount > 0,
+        dataElements: options.dataElements || [],
+        dataType: 'tracker',
+        multiOrgUnitMode,
+        childOrgUnits,
+        originalOrgUnit: orgUnit,
+        truncated,
+        truncationNote: truncated
+          ? `Only ${trackedEntities.length.toLocaleString()} of ${total.toLocaleString()} tracked entities were analysed (row limit reached). Narrow the period or organisation unit for a complete analysis.`
+          : null,
+        summary: calculateSummary(headers, rows, metaData, multiOrgUnitMode),
+        trackerSummary: {
+          program: program.displayName,
+          enrollments: suppressCount(enrollmentCount),
+          trackedEntitiesAnalysed: suppressCount(trackedEntities.length),
+          trackedEntitiesTotal: suppressCount(total),
+          truncated,
+          enrollmentStatus: suppressSmallCells(enrollmentStatus),
+          suppressedCells: cells.length - rows.length,
+          stageCompletion: stageSummary,
+          cohorts: cohortSummary,
+          dataElementBreakdowns,
+          excludedFields
+        }
+      };
     } catch (error) {
       console.error('Error fetching tracker data:', error)
       throw new Error(`Failed to fetch tracker data: ${error.message || 'Unknown error'}`)
@@ -271,49 +1407,337 @@ export const fetchDataForElements = async (engine, dataElements, period, orgUnit
   }
   
   /**
-   * Fetch event data for a program
+   * Get the program of the selected event or tracker data elements
+   * @param {Array} dataElements - Selected elements with program metadata
+   * @returns {string} Program ID
+   */
+  const getProgramId = (dataElements) => {
+    const element = dataElements.find(de => de && typeof de === 'object' && de.programId);
+    if (!element) {
+      throw new Error('Program analysis needs the program of the selected data elements. Please select them again.');
+    }
+    return element.programId;
+  }
+  
+  // Value types summarised with numeric statistics
+  const NUMERIC_VALUE_TYPES = ['NUMBER', 'INTEGER', 'INTEGER_POSITIVE', 'INTEGER_NEGATIVE',
+    'INTEGER_ZERO_OR_POSITIVE', 'PERCENTAGE', 'UNIT_INTERVAL'];
+  
+  // Age bands (in years) used for AGE data elements
+  const AGE_BANDS = [
+    { name: '<1', max: 1 },
+    { name: '1-4', max: 5 },
+    { name: '5-14', max: 15 },
+    { name: '15-24', max: 25 },
+    { name: '25-49', max: 50 },
+    { name: '50+', max: Infinity }
+  ];
+  
+  // Events requested per page from the event query endpoint for value statistics
+  const EVENT_QUERY_PAGE_SIZE = 1000;
+  
+  /**
+   * Find the column of an event data element (headers are either "de" or "stage.de")
+   * @param {Array} headers - Response headers
+   * @param {string} deId - Data element ID
+   * @returns {number} Column index or -1
+   */
+  const findEventColumn = (headers, deId) =>
+    headers.findIndex(h => h.name === deId || h.name.endsWith(`.${deId}`));
+  
+  /**
+   * Count AGE values (dates of birth) per age band
+   * @param {Array} rawValues - Dates of birth
+   * @returns {Object} Counts keyed by band name
+   */
+  const countAgeBands = (rawValues) => {
+    const now = Date.now();
+    const bands = AGE_BANDS.reduce((acc, band) => ({ ...acc, [band.name]: 0 }), {});
+    rawValues.forEach(value => {
+      const ageYears = (now - new Date(value).getTime()) / (365.25 * 24 * 60 * 60 * 1000);
+      if (isNaN(ageYears) || ageYears < 0) return;
+      bands[AGE_BANDS.find(band => ageYears < band.max).name]++;
+    });
+    return bands;
+  }
+  
+  /**
+   * Describe a list of numbers
+   * @param {Array} values - Numbers
+   * @returns {Object} { count, min, max, mean, median }
+   */
+  const describeValues = (values) => {
+    const sortedValues = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sortedValues.length / 2);
+    const median = sortedValues.length % 2 === 0
+      ? (sortedValues[middle - 1] + sortedValues[middle]) / 2
+      : sortedValues[middle];
+    const sum = values.reduce((acc, val) => acc + val, 0);
+    
+    return {
+      count: values.length,
+      min: sortedValues[0],
+      max: sortedValues[sortedValues.length - 1],
+      mean: (sum / values.length).toFixed(2),
+      median: median.toFixed(2)
+    };
+  }
+  
+  /**
+   * Fetch the pages of individual events from /analytics/events/query, up to the row limit
+   * @param {Object} engine - DHIS2 data engine
+   * @param {string} programId - Program ID
+   * @param {Object} params - Query parameters (stage, dimension)
+   * @param {Object} options - Fetch options (maxRows, onProgress)
+   * @returns {Object} { headers, rows, metaData, total, truncated }
+   */
+  const fetchEventQueryPages = async (engine, programId, params, options = {}) => {
+    const maxRows = options.maxRows || DEFAULT_MAX_ROWS;
+    let headers = [];
+    let metaData = {};
+    const rows = [];
+    let total = null;
+    
+    for (let page = 1; rows.length < maxRows; page++) {
+      reportProgress(options, {
+        message: total
+          ? `Fetched ${rows.length.toLocaleString()} of ${total.toLocaleString()} events`
+          : 'Fetching events',
+        loaded: rows.length,
+        total
+      });
+      
+      const response = await engine.query({
+        events: {
+          resource: `analytics/events/query/${programId}`,
+          params: { ...params, page, pageSize: EVENT_QUERY_PAGE_SIZE }
+        }
+      });
+      const events = response.events;
+      const pageRows = events.rows || [];
+      
+      if (page === 1) {
+        headers = events.headers || [];
+        metaData = events.metaData || {};
+      }
+      rows.push(...pageRows.slice(0, maxRows - rows.length));
+      
+      const pager = events.metaData && events.metaData.pager;
+      total = (pager && pager.total) ?? total;
+      if (pageRows.length < EVENT_QUERY_PAGE_SIZE || (pager && pager.pageCount && page >= pager.pageCount)) {
+        return { headers, rows, metaData, total: total ?? rows.length, truncated: false };
+      }
+    }
+    
+    console.warn(`Stopped at the limit of ${maxRows} events`);
+    return { headers, rows, metaData, total: total ?? rows.length, truncated: true };
+  }
+  
+  /**
+   * Fetch and analyse event data for a program through event analytics:
+   * event counts per org unit and period from /analytics/events/aggregate, option
+   * breakdowns per categorical data element, and value statistics and age bands
+   * from the events in /analytics/events/query
    * @param {Object} engine - DHIS2 data engine
    * @param {string} programId - Program ID
-   * @param {string} period - Period
+   * @param {string} period - Period selection
    * @param {Object} orgUnit - Organization unit
-   * @returns {Object} Event data
+   * @param {Object} options - Options
+   * @param {Array} options.dataElements - Selected data elements ({ id, displayName, valueType, optionSetId, stageId })
+   * @param {string} options.stageId - Program stage (defaults to the stage of the selected data elements)
+   * @param {Object} options.orgUnitDimension - Resolved org unit dimension, if already known
+   * @param {number} options.maxRows - Most events to fetch for value statistics (defaults to DEFAULT_MAX_ROWS)
+   * @param {Function} options.onProgress - Called with { message, loaded, total }
+   * @returns {Object} Processed data in the same shape as fetchDataForElements, with eventSummary added
    */
-  export const fetchEventData = async (engine, programId, period, orgUnit) => {
+  export const fetchEventData = async (engine, programId, period, orgUnit, options = {}) => {
     if (!programId || !period || !orgUnit) {
       throw new Error('Missing required parameters')
     }
     
     try {
-      // Get date range for period
-      const { startDate, endDate } = getPeriodDateRange(period)
+      const dataElements = (options.dataElements || []).filter(de => de && typeof de === 'object' && de.id);
+      const stageId = options.stageId || (dataElements.find(de => de.stageId) || {}).stageId;
+      if (!stageId) {
+        throw new Error('No program stage selected');
+      }
       
-      // Handle special organization units for event data
-      let ouParam;
-      if (orgUnit.isSpecial) {
-        ouParam = `${orgUnit.id}`; // USER_ORGUNIT, USER_ORGUNIT_CHILDREN, or USER_ORGUNIT_GRANDCHILDREN
-      } else {
-        ouParam = orgUnit.id;
+      // Event programs have a single stage; data elements from other stages cannot share the query
+      const stageElements = dataElements.filter(de => !de.stageId || de.stageId === stageId);
+      if (stageElements.length < dataElements.length) {
+        console.warn(`Ignoring ${dataElements.length - stageElements.length} data element(s) from other program stages`);
       }
       
-      // Create query for events
-      const query = {
-        events: {
-          resource: 'events',
+      const { ouDimension, multiOrgUnitMode, childOrgUnits, levelNames } =
+        options.orgUnitDimension || await resolveOrgUnitDimension(engine, orgUnit);
+      const periodValue = getActualPeriod(period);
+      
+      const isCategorical = (de) => Boolean(de.optionSetId) || ['BOOLEAN', 'TRUE_ONLY'].includes(de.valueType);
+      const categoricalElements = stageElements.filter(isCategorical);
+      
+      const queries = {
+        counts: {
+          resource: `analytics/events/aggregate/${programId}`,
           params: {
-            program: programId,
-            orgUnit: ouParam,
-            startDate,
-            endDate,
-            fields: '*',
-            pageSize: 1000
+            stage: stageId,
+            dimension: [`pe:${periodValue}`, `ou:${ouDimension}`],
+            outputType: 'EVENT',
+            ...(levelNames ? { hierarchyMeta: true } : {})
           }
         }
-      }
+      };
+      
+      // Event counts per org unit group, for the selected group sets
+      const groupSetBreakdown = await fetchGroupSetBreakdown(engine, orgUnit.groupSets, {
+        resource: `analytics/events/aggregate/${programId}`,
+        dimension: [],
+        filter: [`pe:${periodValue}`, `ou:${ouDimension}`],
+        params: { stage: stageId, outputType: 'EVENT' }
+      }, { ...options, valueLabel: 'Events' });
+      
+      // One aggregate query per categorical data element gives exact counts per option
+      categoricalElements.forEach((de, index) => {
+        queries[`options${index}`] = {
+          resource: `analytics/events/aggregate/${programId}`,
+          params: {
+            stage: stageId,
+            dimension: [`${stageId}.${de.id}`],
+            filter: [`pe:${periodValue}`, `ou:${ouDimension}`],
+            outputType: 'EVENT'
+          }
+        };
+      });
+      
+      console.log("Executing DHIS2 event analytics queries:", JSON.stringify(queries, null, 2));
+      const response = await engine.query(queries);
+      
+      // Individual events are paged separately so large programs stay within the row limit
+      const events = await fetchEventQueryPages(engine, programId, {
+        stage: stageId,
+        dimension: [
+          `pe:${periodValue}`,
+          `ou:${ouDimension}`,
+          ...stageElements.map(de => `${stageId}.${de.id}`)
+        ]
+      }, options);
+      
+      const counts = response.counts;
+      const metaData = {
+        ...counts.metaData,
+        items: { ...events.metaData.items, ...(counts.metaData && counts.metaData.items) }
+      };
+      const getName = (id) => (metaData.items[id] && metaData.items[id].name) || id;
+      // Selected elements are labelled "Name [Program > Stage]" in the selector
+      const getElementName = (de) => metaData.items[de.id]
+        ? getName(de.id)
+        : (de.displayName || de.id).replace(/ \[.*\]$/, '');
+      
+      const parentName = (stageElements[0] && stageElements[0].parentName) || '';
+      const programName = metaData.items[programId] ? getName(programId) : parentName.split(' > ')[0] || programId;
+      const stageName = metaData.items[stageId] ? getName(stageId) : parentName.split(' > ')[1] || stageId;
+      
+      // Event counts in the dx/pe/ou/value layout used by the charts, table and summary
+      const countHeaders = counts.headers || [];
+      const peIndex = countHeaders.findIndex(h => h.name === 'pe');
+      const ouIndex = countHeaders.findIndex(h => h.name === 'ou');
+      const valueIndex = countHeaders.findIndex(h => h.name === 'value');
+      const rows = (counts.rows || []).map(row => [stageId, row[peIndex], row[ouIndex], row[valueIndex]]);
+      const headers = [
+        { name: 'dx', column: 'Data', valueType: 'TEXT' },
+        { name: 'pe', column: 'Period', valueType: 'TEXT' },
+        { name: 'ou', column: 'Organisation unit', valueType: 'TEXT' },
+        { name: 'value', column: 'Events', valueType: 'NUMBER' }
+      ];
+      metaData.items[stageId] = { name: `${stageName} events` };
+      
+      const eventsByOrgUnit = {};
+      const eventsByPeriod = {};
+      rows.forEach(([, peId, ouId, value]) => {
+        const count = parseInt(value, 10) || 0;
+        eventsByOrgUnit[getName(ouId)] = (eventsByOrgUnit[getName(ouId)] || 0) + count;
+        const peName = metaData.items[peId] ? getName(peId) : getPeriodName(peId);
+        eventsByPeriod[peName] = (eventsByPeriod[peName] || 0) + count;
+      });
+      const totalEvents = Object.values(eventsByOrgUnit).reduce((acc, val) => acc + val, 0);
+      
+      // Exact option counts from the aggregate queries
+      const dataElementBreakdowns = {};
+      categoricalElements.forEach((de, index) => {
+        const result = response[`options${index}`];
+        const resultHeaders = result.headers || [];
+        const optionIndex = findEventColumn(resultHeaders, de.id);
+        const countIndex = resultHeaders.findIndex(h => h.name === 'value');
+        
+        // Rows hold option codes; the metadata items carry their names
+        const optionNames = {};
+        Object.values(result.metaData && result.metaData.items || {}).forEach(item => {
+          if (item.code) optionNames[item.code] = item.name;
+        });
+        
+        const values = {};
+        (result.rows || []).forEach(row => {
+          const code = row[optionIndex];
+          const label = code === '' || code === undefined ? '(not recorded)' : optionNames[code] || code;
+          values[label] = (values[label] || 0) + (parseInt(row[countIndex], 10) || 0);
+        });
+        dataElementBreakdowns[getElementName(de)] = { type: 'options', values };
+      });
+      
+      // Value statistics and age bands from the individual events
+      const eventHeaders = events.headers;
+      const eventRows = events.rows;
+      
+      stageElements.filter(de => !isCategorical(de)).forEach(de => {
+        const column = findEventColumn(eventHeaders, de.id);
+        if (column === -1) return;
+        const rawValues = eventRows.map(row => row[column]).filter(value => value !== '' && value !== null && value !== undefined);
+        const name = getElementName(de);
+        
+        if (de.valueType === 'AGE') {
+          dataElementBreakdowns[name] = { type: 'ageBands', values: countAgeBands(rawValues), recorded: rawValues.length };
+        } else if (NUMERIC_VALUE_TYPES.includes(de.valueType)) {
+          const numbers = rawValues.map(parseFloat).filter(value => !isNaN(value));
+          if (numbers.length > 0) {
+            dataElementBreakdowns[name] = { type: 'numeric', ...describeValues(numbers) };
+          }
+        } else {
+          dataElementBreakdowns[name] = { type: 'recorded', recorded: rawValues.length };
+        }
+      });
       
-      // Execute the query
-      const response = await engine.query(query)
+      const hasData = rows.length > 0;
+      console.log(`Event data received from DHIS2: ${totalEvents} events in ${rows.length} rows`);
       
-      return response.events
+      return {
+        headers,
+        metaData,
+        rows,
+        hasData,
+        dataElements: options.dataElements || [],
+        dataType: 'event',
+        multiOrgUnitMode,
+        childOrgUnits: listBreakdownOrgUnits(childOrgUnits, metaData, orgUnit),
+        originalOrgUnit: orgUnit,
+        truncated: events.truncated,
+        truncationNote: events.truncated
+          ? `Value statistics use ${eventRows.length.toLocaleString()} of ${events.total.toLocaleString()} events (row limit reached); event counts and option breakdowns cover all events.`
+          : null,
+        summary: {
+          ...calculateSummary(headers, rows, metaData, multiOrgUnitMode, { levelNames }),
+          ...(groupSetBreakdown ? { groupSetBreakdown } : {})
+        },
+        eventSummary: {
+          program: programName,
+          stage: stageName,
+          totalEvents,
+          eventsAnalysed: eventRows.length,
+          // Value statistics cover only the events fetched before the row limit
+          sampled: events.truncated,
+          eventsByOrgUnit,
+          eventsByPeriod,
+          dataElementBreakdowns
+        }
+      };
     } catch (error) {
       console.error('Error fetching event data:', error)
       throw new Error(`Failed to fetch event data: ${error.message || 'Unknown error'}`)
@@ -321,137 +1745,33 @@ export const fetchDataForElements = async (engine, dataElements, period, orgUnit
   }
   
   /**
-   * Get actual period value from relative period
-   * @param {string} relativePeriod - Relative period (e.g., 'THIS_MONTH')
-   * @returns {string} Actual period value (e.g., '202405')
+   * Get the period dimension value for an analytics request
+   * @param {string} periodSelection - Period selection: relative keywords and/or fixed period IDs separated by ';'
+   * @returns {string} Period dimension value (e.g., 'LAST_12_MONTHS;2024W5')
    */
-  const getActualPeriod = (relativePeriod) => {
-    const now = new Date();
-    const currentYear = now.getFullYear();
-    const currentMonth = now.getMonth() + 1; // JavaScript months are 0-based
-    const lastYear = currentYear - 1;
-
-    console.log("Converting relative period", relativePeriod);
-
-    // Function to format period properly
-    const formatYearMonth = (year, month) => {
-      return `${year}${String(month).padStart(2, '0')}`;
-    };
-
-    // Convert relative periods to actual DHIS2 period values
-    switch(relativePeriod) {
-      case 'THIS_MONTH':
-        return formatYearMonth(currentYear, currentMonth);
-
-      case 'LAST_MONTH':
-        // Handle December of last year
-        if (currentMonth === 1) {
-          return formatYearMonth(lastYear, 12);
-        }
-        return formatYearMonth(currentYear, currentMonth - 1);
-
-      case 'THIS_YEAR':
-        return `${currentYear}`;
-
-      case 'LAST_YEAR':
-        return `${lastYear}`;
-
-      case 'LAST_12_MONTHS':
-        // For LAST_12_MONTHS, we need to return multiple periods
-        const periods = [];
-        let year = currentYear;
-        let month = currentMonth;
-
-        // Generate 12 months of periods
-        for (let i = 0; i < 12; i++) {
-          periods.push(formatYearMonth(year, month));
-
-          // Move back one month
-          month--;
-          if (month === 0) {
-            month = 12;
-            year--;
-          }
-        }
-
-        return periods.join(';');
-
-      case 'THIS_QUARTER':
-        const thisQuarter = Math.floor((currentMonth - 1) / 3) + 1;
-        return `${currentYear}Q${thisQuarter}`;
-
-      case 'LAST_QUARTER':
-        let lastQuarterYear = currentYear;
-        let lastQuarter = Math.floor((currentMonth - 1) / 3);
-
-        if (lastQuarter === 0) {
-          lastQuarter = 4;
-          lastQuarterYear = lastYear;
-        }
-
-        return `${lastQuarterYear}Q${lastQuarter}`;
-
-      default:
-        console.warn(`Unknown relative period: ${relativePeriod}, using as-is`);
-        return relativePeriod;
+  const getActualPeriod = (periodSelection) => {
+    // Analytics resolves relative keywords and fixed IDs itself, so both pass through unchanged
+    const invalidPeriods = findInvalidPeriods(periodSelection);
+    if (invalidPeriods.length > 0) {
+      console.warn(`Unknown period(s): ${invalidPeriods.join(', ')}, using as-is`);
     }
+
+    return splitPeriodSelection(periodSelection).join(';');
   }
   
   /**
    * Get date range for a period
-   * @param {string} period - Period identifier
+   * @param {string} period - Period selection
    * @returns {Object} Object with startDate and endDate
    */
   const getPeriodDateRange = (period) => {
-    const now = new Date()
-    let startDate, endDate
-    
-    switch (period) {
-      case 'THIS_MONTH':
-        startDate = new Date(now.getFullYear(), now.getMonth(), 1)
-        endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0)
-        break
-      case 'LAST_MONTH':
-        startDate = new Date(now.getFullYear(), now.getMonth() - 1, 1)
-        endDate = new Date(now.getFullYear(), now.getMonth(), 0)
-        break
-      case 'THIS_QUARTER':
-        const quarterMonth = Math.floor(now.getMonth() / 3) * 3
-        startDate = new Date(now.getFullYear(), quarterMonth, 1)
-        endDate = new Date(now.getFullYear(), quarterMonth + 3, 0)
-        break
-      case 'LAST_QUARTER':
-        const lastQuarterMonth = Math.floor((now.getMonth() - 3) / 3) * 3
-        startDate = new Date(now.getFullYear(), lastQuarterMonth, 1)
-        endDate = new Date(now.getFullYear(), lastQuarterMonth + 3, 0)
-        break
-      case 'THIS_YEAR':
-        startDate = new Date(now.getFullYear(), 0, 1)
-        endDate = new Date(now.getFullYear(), 11, 31)
-        break
-      case 'LAST_YEAR':
-        startDate = new Date(now.getFullYear() - 1, 0, 1)
-        endDate = new Date(now.getFullYear() - 1, 11, 31)
-        break
-      case 'LAST_12_MONTHS':
-        startDate = new Date(now.getFullYear(), now.getMonth() - 11, 1)
-        endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0)
-        break
-      default:
-        // Default to current month
-        startDate = new Date(now.getFullYear(), now.getMonth(), 1)
-        endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0)
-    }
-    
-    // Format dates as YYYY-MM-DD
-    const formatDate = (date) => {
-      return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
-    }
-    
-    return {
-      startDate: formatDate(startDate),
-      endDate: formatDate(endDate)
+    const range = getSelectionDateRange(period)
+    if (range) {
+      return range
     }
+
+    // Default to current month
+    return getSelectionDateRange('THIS_MONTH')
   }
   
   /**
@@ -460,9 +1780,16 @@ export const fetchDataForElements = async (engine, dataElements, period, orgUnit
    * @param {Array} rows - Data rows
    * @param {Object} metaData - Metadata from response
    * @param {boolean} multiOrgUnitMode - Whether this is multi-org unit data
+   * @param {Object} extras - Additional data to summarise
+   * @param {Object} extras.comparison - Comparison period data from fetchComparisonData
+   * @param {Object} extras.levelNames - Org unit level names, set for level and group breakdowns to roll them up the hierarchy
+   * @param {Array} extras.disaggregation - Category data from fetchDisaggregationData
+   * @param {string} extras.dataType - Type of data; indicators are averaged rather than summed over org units
+   * @param {Object} extras.outbreakBaseline - Earlier years of the same periods from fetchOutbreakBaseline
    * @returns {Object} Summary statistics
    */
-  const calculateSummary = (headers, rows, metaData, multiOrgUnitMode = false) => {
+  const calculateSummary = (headers, rows, metaData, multiOrgUnitMode = false, extras = {}) => {
+    const { comparison = null, levelNames = null, disaggregation = null, dataType = 'aggregate', outbreakBaseline = null } = extras
     if (!rows || rows.length === 0) {
       return {}
     }
@@ -477,34 +1804,6 @@ export const fetchDataForElements = async (engine, dataElements, period, orgUnit
       return {}
     }
     
-    // Helper function to format period IDs into readable format
-    const formatPeriodId = (periodId) => {
-      if (!periodId || typeof periodId !== 'string') return periodId;
-      
-      // Handle YYYYMM format (e.g., 202406 -> June 2024)
-      if (periodId.match(/^\d{6}$/)) {
-        const year = periodId.substring(0, 4);
-        const month = parseInt(periodId.substring(4, 6));
-        const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
-                          'July', 'August', 'September', 'October', 'November', 'December'];
-        return `${monthNames[month - 1]} ${year}`;
-      }
-      
-      // Handle YYYYQN format (e.g., 2024Q1 -> Q1 2024)
-      if (periodId.match(/^\d{4}Q\d$/)) {
-        const year = periodId.substring(0, 4);
-        const quarter = periodId.substring(5, 6);
-        return `Q${quarter} ${year}`;
-      }
-      
-      // Handle YYYY format (e.g., 2024 -> Year 2024)
-      if (periodId.match(/^\d{4}$/)) {
-        return `Year ${periodId}`;
-      }
-      
-      return periodId;
-    };
-    
     // Group by data element, period, and optionally by org unit
     const dataByElement = {}
     const dataByOrgUnit = {}
@@ -649,9 +1948,9 @@ export const fetchDataForElements = async (engine, dataElements, period, orgUnit
         // Get readable period name
         let peName = peId;
         if (metaData && metaData.items && metaData.items[peId]) {
-          peName = metaData.items[peId].name || formatPeriodId(peId);
+          peName = metaData.items[peId].name || getPeriodName(peId);
         } else {
-          peName = formatPeriodId(peId);
+          peName = getPeriodName(peId);
         }
         
         summary.periodBreakdown[peName] = {}
@@ -717,12 +2016,332 @@ export const fetchDataForElements = async (engine, dataElements, period, orgUnit
         
         summary.timeSeriesData[deName] = sortedPeriods.map(item => ({
           period: metaData && metaData.items && metaData.items[item.period] 
-            ? metaData.items[item.period].name || formatPeriodId(item.period)
-            : formatPeriodId(item.period),
+            ? metaData.items[item.period].name || getPeriodName(item.period)
+            : getPeriodName(item.period),
           value: parseFloat(item.value.toFixed(2))
         }))
       })
     }
     
+    // Roll level and group breakdowns up through the intermediate levels of the hierarchy
+    if (multiOrgUnitMode && levelNames && metaData && metaData.ouHierarchy) {
+      const hierarchyRollup = calculateHierarchyRollup(headers, rows, metaData, levelNames)
+      if (hierarchyRollup) {
+        summary.hierarchyRollup = hierarchyRollup
+      }
+    }
+    
+    // Add changes against the previous period and the same period last year
+    if (comparison) {
+      summary.comparisons = calculateComparisons(headers, rows, metaData, multiOrgUnitMode, comparison)
+    }
+    
+    // Add the breakdown by category option (age group, sex, ...)
+    if (disaggregation && disaggregation.length > 0) {
+      summary.categoryBreakdown = calculateCategoryBreakdown(disaggregation)
+    }
+    
+    // Add trends, seasonality, outliers and alerts per data element and org unit
+    const statistics = analyzeTimeSeries(headers, rows, metaData, {
+      multiOrgUnitMode,
+      aggregation: ['indicator', 'programIndicator'].includes(dataType) ? 'average' : 'sum'
+    })
+    if (statistics) {
+      summary.statistics = statistics
+    }
+    
+    // Compare each value with the epidemic thresholds from the same periods in earlier years
+    if (outbreakBaseline) {
+      const outbreaks = detectOutbreaks({ headers, rows, metaData }, outbreakBaseline, { multiOrgUnitMode })
+      if (outbreaks) {
+        summary.outbreaks = outbreaks
+      }
+    }
+    
     return summary
+  }
+  
+  /**
+   * Break each data element down by the options of each requested category, with each
+   * option's share of the total and of the change from the first to the last period
+   * (the share of the change shows which option is driving an increase or decrease)
+   * @param {Array} disaggregation - Category data from fetchDisaggregationData
+   * @returns {Object} { [categoryName]: { [dataElementName]: { total, change, periods, options: { [optionName]:
+   *   { total, percentOfTotal, change, percentOfChange, byPeriod } } } } }
+   */
+  const calculateCategoryBreakdown = (disaggregation) => {
+    const breakdown = {}
+    
+    disaggregation.forEach(({ category, headers, rows, metaData }) => {
+      const items = (metaData && metaData.items) || {}
+      const getName = (id) => (items[id] && items[id].name) || id
+      const categoryIndex = headers.findIndex(h => h.name === category.id)
+      const deIndex = headers.findIndex(h => h.name === 'dx')
+      const peIndex = headers.findIndex(h => h.name === 'pe')
+      const valueIndex = headers.findIndex(h => h.name === 'value')
+      if (categoryIndex === -1 || deIndex === -1 || valueIndex === -1) return
+      
+      // Values per data element, option and period
+      const values = {}
+      const periodIds = new Set()
+      rows.forEach(row => {
+        const value = parseFloat(row[valueIndex])
+        if (isNaN(value)) return
+        const peId = peIndex >= 0 ? row[peIndex] : 'all'
+        periodIds.add(peId)
+        const deValues = values[row[deIndex]] = values[row[deIndex]] || {}
+        const optionValues = deValues[row[categoryIndex]] = deValues[row[categoryIndex]] || {}
+        optionValues[peId] = (optionValues[peId] || 0) + value
+      })
+      
+      const orderedPeriods = Array.from(periodIds).sort(comparePeriodIds)
+      const firstPeriod = orderedPeriods[0]
+      const lastPeriod = orderedPeriods[orderedPeriods.length - 1]
+      const getPeName = (peId) => (items[peId] && items[peId].name) || getPeriodName(peId)
+      const round = (value) => parseFloat(value.toFixed(2))
+      
+      const categoryName = category.name || getName(category.id)
+      breakdown[categoryName] = {}
+      Object.entries(values).forEach(([deId, optionValues]) => {
+        const optionTotals = {}
+        Object.entries(optionValues).forEach(([optionId, byPeriod]) => {
+          optionTotals[optionId] = Object.values(byPeriod).reduce((acc, val) => acc + val, 0)
+        })
+        const total = Object.values(optionTotals).reduce((acc, val) => acc + val, 0)
+        
+        // Change from the first to the last period, only when there is more than one period
+        const changeOf = (byPeriod) => orderedPeriods.length > 1
+          ? (byPeriod[lastPeriod] || 0) - (byPeriod[firstPeriod] || 0)
+          : null
+        const totalChange = orderedPeriods.length > 1
+          ? Object.values(optionValues).reduce((acc, byPeriod) => acc + changeOf(byPeriod), 0)
+          : null
+        
+        const options = {}
+        Object.entries(optionValues)
+          .sort(([a], [b]) => optionTotals[b] - optionTotals[a])
+          .forEach(([optionId, byPeriod]) => {
+            const change = changeOf(byPeriod)
+            options[getName(optionId)] = {
+              total: round(optionTotals[optionId]),
+              percentOfTotal: total !== 0 ? round(optionTotals[optionId] / total * 100) : null,
+              change: change === null ? null : round(change),
+              percentOfChange: change !== null && totalChange ? round(change / totalChange * 100) : null,
+              byPeriod: Object.fromEntries(orderedPeriods.map(peId => [getPeName(peId), round(byPeriod[peId] || 0)]))
+            }
+          })
+        
+        breakdown[categoryName][getName(deId)] = {
+          total: round(total),
+          change: totalChange === null ? null : round(totalChange),
+          periods: orderedPeriods.length > 1 ? [getPeName(firstPeriod), getPeName(lastPeriod)] : orderedPeriods.map(getPeName),
+          options
+        }
+      })
+    })
+    
+    return breakdown
+  }
+  
+  /**
+   * Aggregate the values of each org unit to its ancestors, level by level, from the
+   * lowest ancestor the units share (e.g. the selected region) down to their parents
+   * (e.g. districts). Uses the ouHierarchy paths returned with hierarchyMeta.
+   * @param {Array} headers - Data headers
+   * @param {Array} rows - Data rows
+   * @param {Object} metaData - Metadata with items and ouHierarchy
+   * @param {Object} levelNames - Org unit level names keyed by level number
+   * @returns {Array|null} [{ level, levelName, orgUnits: { [name]: { orgUnitCount, dataElements: { [name]: { total, mean, count } } } } }],
+   *   highest level first, or null if the units share all their ancestors
+   */
+  const calculateHierarchyRollup = (headers, rows, metaData, levelNames) => {
+    const valueIndex = headers.findIndex(h => h.name === 'value')
+    const deIndex = headers.findIndex(h => h.name === 'dx')
+    const ouIndex = headers.findIndex(h => h.name === 'ou')
+    if (valueIndex === -1 || deIndex === -1 || ouIndex === -1) {
+      return null
+    }
+    
+    // Ancestors of each unit, from the hierarchy root down to its parent
+    const ancestorsByOrgUnit = {}
+    Object.entries(metaData.ouHierarchy).forEach(([ouId, path]) => {
+      const ancestors = (path || '').split('/').filter(Boolean)
+      if (ancestors[ancestors.length - 1] === ouId) {
+        ancestors.pop()
+      }
+      ancestorsByOrgUnit[ouId] = ancestors
+    })
+    
+    const reportingUnits = Array.from(new Set(rows.map(row => row[ouIndex]))).filter(id => ancestorsByOrgUnit[id])
+    if (reportingUnits.length === 0) {
+      return null
+    }
+    
+    // Levels above the shared ancestor are the same for every unit and add nothing
+    const paths = reportingUnits.map(id => ancestorsByOrgUnit[id])
+    let sharedDepth = 0
+    while (sharedDepth < paths[0].length && paths.every(path => path[sharedDepth] === paths[0][sharedDepth])) {
+      sharedDepth++
+    }
+    const firstDepth = Math.max(sharedDepth - 1, 0)
+    const deepestDepth = Math.max(...paths.map(path => path.length)) - 1
+    // Units directly below their shared ancestor have no intermediate level to roll up to
+    if (sharedDepth > 0 && deepestDepth <= firstDepth) {
+      return null
+    }
+    
+    const getName = (id) => (metaData.items[id] && metaData.items[id].name) || id
+    const levels = []
+    for (let depth = firstDepth; depth <= deepestDepth; depth++) {
+      const groups = {}
+      rows.forEach(row => {
+        const ancestors = ancestorsByOrgUnit[row[ouIndex]]
+        const value = parseFloat(row[valueIndex])
+        if (!ancestors || depth >= ancestors.length || isNaN(value)) return
+        
+        const group = groups[ancestors[depth]] = groups[ancestors[depth]] || { orgUnits: new Set(), dataElements: {} }
+        group.orgUnits.add(row[ouIndex])
+        const stats = group.dataElements[row[deIndex]] = group.dataElements[row[deIndex]] || { total: 0, count: 0 }
+        stats.total += value
+        stats.count++
+      })
+      
+      const level = depth + 1
+      const orgUnits = {}
+      Object.entries(groups).forEach(([ancestorId, group]) => {
+        const dataElements = {}
+        Object.entries(group.dataElements).forEach(([deId, stats]) => {
+          dataElements[getName(deId)] = {
+            total: parseFloat(stats.total.toFixed(2)),
+            mean: (stats.total / stats.count).toFixed(2),
+            count: stats.count
+          }
+        })
+        orgUnits[getName(ancestorId)] = { orgUnitCount: group.orgUnits.size, dataElements }
+      })
+      levels.push({ level, levelName: levelNames[level] || `Level ${level}`, orgUnits })
+    }
+    
+    return levels
+  }
+  
+  /**
+   * Compare the selected period with the previous period and the same period last year
+   * @param {Array} headers - Data headers of the main request
+   * @param {Array} rows - Data rows of the main request
+   * @param {Object} metaData - Metadata of the main request
+   * @param {boolean} multiOrgUnitMode - Whether to compare each org unit as well
+   * @param {Object} comparison - Comparison period data from fetchComparisonData
+   * @returns {Object} { periods, aggregation, dataElements, orgUnits } with values and changes keyed by readable names
+   */
+  const calculateComparisons = (headers, rows, metaData, multiOrgUnitMode, comparison) => {
+    const { periods, aggregation } = comparison
+    const items = {
+      ...(comparison.metaData && comparison.metaData.items),
+      ...(metaData && metaData.items)
+    }
+    const getName = (id) => (items[id] && items[id].name) || id
+    
+    // Collect values per window, data element and (optionally) org unit
+    const totals = { current: {}, previous: {}, lastYear: {} }
+    const windowsByPeriod = {}
+    periods.previous.forEach(id => { windowsByPeriod[id] = ['previous'] })
+    periods.lastYear.forEach(id => { windowsByPeriod[id] = [...(windowsByPeriod[id] || []), 'lastYear'] })
+    
+    const addValues = (dataHeaders, dataRows, getWindows) => {
+      const valueIndex = dataHeaders.findIndex(h => h.name === 'value')
+      const deIndex = dataHeaders.findIndex(h => h.name === 'dx')
+      const ouIndex = dataHeaders.findIndex(h => h.name === 'ou')
+      const peIndex = dataHeaders.findIndex(h => h.name === 'pe')
+      if (valueIndex === -1 || deIndex === -1) return
+      
+      dataRows.forEach(row => {
+        const value = parseFloat(row[valueIndex])
+        if (isNaN(value)) return
+        
+        const keys = ['all']
+        if (multiOrgUnitMode && ouIndex >= 0) {
+          keys.push(row[ouIndex])
+        }
+        getWindows(peIndex >= 0 ? row[peIndex] : null).forEach(window => {
+          keys.forEach(key => {
+            if (!totals[window][key]) {
+              totals[window][key] = {}
+            }
+            if (!totals[window][key][row[deIndex]]) {
+              totals[window][key][row[deIndex]] = { sum: 0, count: 0 }
+            }
+            totals[window][key][row[deIndex]].sum += value
+            totals[window][key][row[deIndex]].count++
+          })
+        })
+      })
+    }
+    
+    addValues(headers, rows, () => ['current'])
+    addValues(comparison.headers, comparison.rows, peId => windowsByPeriod[peId] || [])
+    
+    const getValue = (window, key, deId) => {
+      const entry = totals[window][key] && totals[window][key][deId]
+      if (!entry) return null
+      const value = aggregation === 'average' ? entry.sum / entry.count : entry.sum
+      return parseFloat(value.toFixed(2))
+    }
+    
+    const getChange = (current, base) => {
+      if (current === null || base === null) {
+        return { change: null, percentChange: null }
+      }
+      return {
+        change: parseFloat((current - base).toFixed(2)),
+        // A change from zero has no meaningful percentage
+        percentChange: base === 0 ? null : parseFloat(((current - base) / Math.abs(base) * 100).toFixed(1))
+      }
+    }
+    
+    const compareGroup = (key) => {
+      const deIds = new Set(['current', 'previous', 'lastYear'].flatMap(window => Object.keys(totals[window][key] || {})))
+      const result = {}
+      deIds.forEach(deId => {
+        const current = getValue('current', key, deId)
+        const previous = getValue('previous', key, deId)
+        const lastYear = getValue('lastYear', key, deId)
+        const fromPrevious = getChange(current, previous)
+        const fromLastYear = getChange(current, lastYear)
+        result[getName(deId)] = {
+          current,
+          previous,
+          lastYear,
+          changeFromPrevious: fromPrevious.change,
+          percentChangeFromPrevious: fromPrevious.percentChange,
+          changeFromLastYear: fromLastYear.change,
+          percentChangeFromLastYear: fromLastYear.percentChange
+        }
+      })
+      return result
+    }
+    
+    const comparisons = {
+      periods: {
+        current: getPeriodRangeName(periods.current),
+        previous: getPeriodRangeName(periods.previous),
+        lastYear: getPeriodRangeName(periods.lastYear)
+      },
+      aggregation,
+      dataElements: compareGroup('all')
+    }
+    
+    if (multiOrgUnitMode) {
+      const ouIds = new Set(['current', 'previous', 'lastYear'].flatMap(window =>
+        Object.keys(totals[window]).filter(key => key !== 'all')
+      ))
+      if (ouIds.size > 0) {
+        comparisons.orgUnits = {}
+        ouIds.forEach(ouId => {
+          comparisons.orgUnits[getName(ouId)] = compareGroup(ouId)
+        })
+      }
+    }
+    
+    return comparisons
   }
\ No newline at end of file
@@ -0,0 +1,86 @@
+import { fetchDataItemMetadata, fetchTrackerData, searchSelectionMetadata } from './dhis2Data'
+
+/**
+ * Data engine that records its queries and answers every resource with an empty list
+ * @returns {Object} { query, queries }
+ */
+const createEngine = () => {
+  const queries = []
+  return {
+    queries,
+    query: async (query) => {
+      queries.push(query)
+      return Object.fromEntries(Object.entries(query).map(([key, { resource }]) => [key, { [resource]: [] }]))
+    }
+  }
+}
+
+describe('fetchDataItemMetadata', () => {
+  it('looks items up by ID', async () => {
+    const engine = createEngine()
+    await fetchDataItemMetadata(engine, { ids: ['fbfJHSPpUQD.pq2XI5kz2BY', 'cYeuwXTCPkU'] })
+    expect(engine.queries[0].dataElements.params.filter).toBe('id:in:[fbfJHSPpUQD,cYeuwXTCPkU]')
+  })
+
+  it('strips filter syntax from the search term', async () => {
+    const engine = createEngine()
+    const result = await fetchDataItemMetadata(engine, { search: 'malaria:eq:x,[id]  cases' })
+    expect(engine.queries[0].indicators.params.filter).toBe('displayName:ilike:malaria eq x id cases')
+    expect(result).toEqual({ dataElements: [], indicators: [], programIndicators: [] })
+  })
+
+  it('rejects IDs that are not UIDs and search terms of filter syntax only', async () => {
+    const engine = createEngine()
+    await expect(fetchDataItemMetadata(engine, { ids: ['abc],id:ne:[x'] })).rejects.toThrow('Not data item IDs')
+    await expect(fetchDataItemMetadata(engine, { search: ':,' })).rejects.toThrow('Not a name to search for')
+    expect(engine.queries).toEqual([])
+  })
+})
+
+describe('searchSelectionMetadata', () => {
+  it('searches org units only within the user hierarchy', async () => {
+    const engine = createEngine()
+    await searchSelectionMetadata(engine, { dataItems: ['malaria'], orgUnits: ['Bo', 'Kenema'] })
+    const [query] = engine.queries
+    expect(query.orgUnits0.params).toMatchObject({ filter: ['identifiable:token:Bo'], withinUserHierarchy: true })
+    expect(query.orgUnits1.params).toMatchObject({ filter: ['identifiable:token:Kenema'], withinUserHierarchy: true })
+    expect(query.dataElements0.params.withinUserHierarchy).toBeUndefined()
+  })
+
+  it('strips filter syntax from the search terms and skips empty ones', async () => {
+    const engine = createEngine()
+    await searchSelectionMetadata(engine, { dataItems: ['anc:visits', ','], orgUnits: [] })
+    const [query] = engine.queries
+    expect(query.indicators0.params.filter).toEqual(['identifiable:token:anc visits'])
+    expect(query.indicators1).toBeUndefined()
+  })
+})
+
+describe('fetchTrackerData', () => {
+  it('accepts an org unit dimension without child org units', async () => {
+    const engine = {
+      query: async (query) => query.program
+        ? { program: { id: 'IpHINAT79UW', displayName: 'Child Programme' }, system: { version: '2.41.0' } }
+        : { results: { trackedEntities: [], pager: { total: 0 } } }
+    }
+    const result = await fetchTrackerData(engine, 'IpHINAT79UW', '202401', { id: 'ImspTQPwCqd', displayName: 'Sierra Leone' }, {
+      orgUnitDimension: { ouDimension: 'ImspTQPwCqd', multiOrgUnitMode: false }
+    })
+    expect(result.childOrgUnits).toEqual([])
+    expect(result.hasData).toBe(false)
+  })
+
+  it('explains that tracker programs need 2.36 on older servers, without querying tracked entities', async () => {
+    const queries = []
+    const engine = {
+      query: async (query) => {
+        queries.push(query)
+        return { program: { id: 'IpHINAT79UW', displayName: 'Child Programme' }, system: { version: '2.35.14' } }
+      }
+    }
+    await expect(fetchTrackerData(engine, 'IpHINAT79UW', '202401', { id: 'ImspTQPwCqd', displayName: 'Sierra Leone' }, {
+      orgUnitDimension: { ouDimension: 'ImspTQPwCqd', multiOrgUnitMode: false }
+    })).rejects.toThrow('Tracker programs need DHIS2 2.36 or later, and this server runs 2.35.14')
+    expect(queries).toHaveLength(1)
+  })
+})
@@ -1,3 +1,5 @@
+import { getPeriodSelectionName } from './periods'
+
 /**
  * Format a value based on its type
  * @param {any} value - The value to format
@@ -118,22 +120,13 @@ export const formatValue = (value, valueType) => {
   }
   
   /**
-   * Format a relative time period for display
-   * @param {string} period - Period identifier (e.g., 'THIS_MONTH')
+   * Format a period selection for display
+   * @param {string} period - Relative keyword, fixed period ID or a ';'-separated selection (e.g. 'THIS_MONTH', '202401')
    * @returns {string} Human-readable period
    */
   export const formatPeriod = (period) => {
-    const periodMap = {
-      'THIS_MONTH': 'This Month',
-      'LAST_MONTH': 'Last Month',
-      'THIS_QUARTER': 'This Quarter',
-      'LAST_QUARTER': 'Last Quarter',
-      'THIS_YEAR': 'This Year',
-      'LAST_YEAR': 'Last Year',
-      'LAST_12_MONTHS': 'Last 12 Months'
-    }
-    
-    return periodMap[period] || period
+    if (!period) return period
+    return getPeriodSelectionName(period)
   }
   
   /**
@@ -0,0 +1,210 @@
+/**
+ * Structured insights: answers as typed JSON (findings, anomalies, recommendations and a
+ * confidence rating) instead of free markdown.
+ *
+ * Providers that support it constrain the answer to INSIGHTS_SCHEMA (OpenAI) or to JSON
+ * (Ollama). Whatever arrives is validated here before it is used: entries with missing or
+ * mistyped fields are dropped, unknown enum values fall back to a default, and an answer
+ * that cannot be read as insights is kept as markdown. The insights are also rendered as
+ * markdown, which is what the conversation history, caches and reports carry.
+ */
+
+const LEVELS = ['high', 'medium', 'low']
+
+// Most entries kept per list, against runaway answers
+const MAX_ENTRIES = 20
+
+const LEVEL_PROPERTY = { type: 'string', enum: LEVELS }
+
+/**
+ * JSON schema of a structured answer. All fields are required and nullable instead of
+ * optional, as the strict mode of OpenAI structured outputs requires
+ */
+export const INSIGHTS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['summary', 'findings', 'anomalies', 'recommendations', 'confidence'],
+  properties: {
+    summary: {
+      type: 'string',
+      description: 'Direct answer to the question in 1-3 sentences, markdown allowed'
+    },
+    findings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['title', 'detail'],
+        properties: {
+          title: { type: 'string' },
+          detail: { type: 'string' }
+        }
+      }
+    },
+    anomalies: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['description', 'orgUnit', 'period', 'severity'],
+        properties: {
+          description: { type: 'string' },
+          orgUnit: { type: ['string', 'null'], description: 'Name of the organization unit concerned' },
+          period: { type: ['string', 'null'], description: 'Name of the period concerned' },
+          severity: LEVEL_PROPERTY
+        }
+      }
+    },
+    recommendations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['action', 'priority', 'owner'],
+        properties: {
+          action: { type: 'string' },
+          priority: LEVEL_PROPERTY,
+          owner: { type: ['string', 'null'], description: 'Role that should act, e.g. District Health Management Team' }
+        }
+      }
+    },
+    confidence: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['level', 'reason'],
+      properties: {
+        level: LEVEL_PROPERTY,
+        reason: { type: 'string', description: 'What the confidence rests on: completeness, data quality, amount of data' }
+      }
+    }
+  }
+}
+
+/**
+ * Instructions added to the system prompt for a structured answer
+ * @returns {string} Prompt section
+ */
+export const getInsightsInstructions = () => `
+## Response format:
+Do not answer in markdown. Answer with a single JSON object only, without code fences, matching this structure:
+{
+  "summary": "direct answer to the question in 1-3 sentences",
+  "findings": [{ "title": "short title", "detail": "the finding with the numbers it rests on" }],
+  "anomalies": [{ "description": "what is unusual", "orgUnit": "organization unit name or null", "period": "period name or null", "severity": "high|medium|low" }],
+  "recommendations": [{ "action": "specific action", "priority": "high|medium|low", "owner": "role that should act, or null" }],
+  "confidence": { "level": "high|medium|low", "reason": "what the confidence rests on" }
+}
+Use names, never IDs, for organization units and periods. Lists may be empty, e.g. when there is no data or the question needs no recommendations.
+`
+
+const isText = (value) => typeof value === 'string' && value.trim() !== ''
+const text = (value) => (isText(value) ? value.trim() : null)
+const level = (value, fallback) => (LEVELS.includes(String(value).toLowerCase()) ? String(value).toLowerCase() : fallback)
+const entries = (value, read) => (Array.isArray(value) ? value : [])
+  .filter(entry => entry && typeof entry === 'object')
+  .map(read)
+  .filter(Boolean)
+  .slice(0, MAX_ENTRIES)
+
+/**
+ * Validate a structured answer
+ * @param {string} message - The AI answer
+ * @returns {Object|null} { summary, findings, anomalies, recommendations, confidence }, or null when the
+ *   answer is not a JSON object with a summary or at least one finding
+ */
+export const parseInsights = (message) => {
+  const raw = String(message || '').trim()
+  // Models without constrained output sometimes wrap the object in a code fence
+  const start = raw.indexOf('{')
+  const end = raw.lastIndexOf('}')
+  if (start === -1 || end <= start) return null
+
+  let parsed
+  try {
+    parsed = JSON.parse(raw.slice(start, end + 1))
+  } catch (err) {
+    return null
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return null
+
+  const insights = {
+    summary: text(parsed.summary) || '',
+    findings: entries(parsed.findings, finding => (isText(finding.detail) || isText(finding.title)
+      ? { title: text(finding.title) || '', detail: text(finding.detail) || '' }
+      : null)),
+    anomalies: entries(parsed.anomalies, anomaly => (isText(anomaly.description)
+      ? {
+          description: text(anomaly.description),
+          orgUnit: text(anomaly.orgUnit),
+          period: text(anomaly.period),
+          severity: level(anomaly.severity, 'medium')
+        }
+      : null)),
+    recommendations: entries(parsed.recommendations, recommendation => (isText(recommendation.action)
+      ? {
+          action: text(recommendation.action),
+          priority: level(recommendation.priority, 'medium'),
+          owner: text(recommendation.owner)
+        }
+      : null)),
+    confidence: parsed.confidence && typeof parsed.confidence === 'object'
+      ? { level: level(parsed.confidence.level, null), reason: text(parsed.confidence.reason) || '' }
+      : { level: null, reason: '' }
+  }
+
+  return insights.summary || insights.findings.length > 0 ? insights : null
+}
+
+/**
+ * Render insights as markdown, for the conversation history, caches and reports
+ * @param {Object} insights - From parseInsights
+ * @returns {string} Markdown
+ */
+export const formatInsightsAsMarkdown = (insights) => {
+  const sections = [insights.summary]
+  if (insights.findings.length > 0) {
+    sections.push(`## Key Findings\n${insights.findings
+      .map(finding => `- ${finding.title ? `**${finding.title}**: ` : ''}${finding.detail}`)
+      .join('\n')}`)
+  }
+  if (insights.anomalies.length > 0) {
+    sections.push(`## Anomalies\n${insights.anomalies
+      .map(anomaly => {
+        const where = [anomaly.orgUnit, anomaly.period].filter(Boolean).join(', ')
+        return `- ${anomaly.description}${where ? ` (${where})` : ''} - ${anomaly.severity} severity`
+      })
+      .join('\n')}`)
+  }
+  if (insights.recommendations.length > 0) {
+    sections.push(`## Recommendations\n${insights.recommendations
+      .map(recommendation => `- ${recommendation.action} (${recommendation.priority} priority${recommendation.owner ? `, ${recommendation.owner}` : ''})`)
+      .join('\n')}`)
+  }
+  if (insights.confidence.level) {
+    sections.push(`**Confidence:** ${insights.confidence.level}${insights.confidence.reason ? ` - ${insights.confidence.reason}` : ''}`)
+  }
+  return sections.filter(Boolean).join('\n\n')
+}
+
+/**
+ * Turn a provider result for a structured request into the result the app uses
+ * @param {Object} result - Provider result, whose message should hold the JSON answer
+ * @returns {Object} The result with insights and their markdown as message, or, when the answer
+ *   cannot be read as insights, the answer as markdown with structuredFallback: true
+ */
+export const createStructuredResult = (result) => {
+  const insights = parseInsights(result.message)
+  if (!insights) {
+    console.warn('Structured answer could not be read as insights, showing it as text')
+    return { ...result, insights: null, structuredFallback: true }
+  }
+  const message = formatInsightsAsMarkdown(insights)
+  return {
+    ...result,
+    message,
+    insights,
+    recommendations: insights.recommendations.length > 0
+      ? insights.recommendations.map(recommendation => recommendation.action)
+      : null
+  }
+}
@@ -0,0 +1,94 @@
+import { parseInsights, formatInsightsAsMarkdown, createStructuredResult } from './insights'
+
+const answer = {
+  summary: 'Malaria cases rose in the north.',
+  findings: [{ title: 'Rise', detail: 'Cases doubled in March.' }],
+  anomalies: [{ description: 'Spike in cases', orgUnit: 'North', period: 'March 2024', severity: 'high' }],
+  recommendations: [{ action: 'Check stock of tests', priority: 'high', owner: 'District team' }],
+  confidence: { level: 'medium', reason: 'Two months missing' }
+}
+
+describe('parseInsights', () => {
+  it('reads a valid answer', () => {
+    expect(parseInsights(JSON.stringify(answer))).toEqual(answer)
+  })
+
+  it('reads an answer wrapped in a code fence', () => {
+    expect(parseInsights(`\`\`\`json\n${JSON.stringify(answer)}\n\`\`\``)).toEqual(answer)
+  })
+
+  it('rejects answers that are not a JSON object', () => {
+    expect(parseInsights('Malaria cases rose in the north.')).toBeNull()
+    expect(parseInsights('{ "summary": "unterminated }')).toBeNull()
+    expect(parseInsights('{ summary: \'not JSON\' }')).toBeNull()
+    expect(parseInsights('["a list"]')).toBeNull()
+    expect(parseInsights('')).toBeNull()
+    expect(parseInsights(null)).toBeNull()
+  })
+
+  it('rejects objects without a summary or findings', () => {
+    expect(parseInsights('{}')).toBeNull()
+    expect(parseInsights(JSON.stringify({ summary: '  ', findings: [{ title: 1 }], recommendations: answer.recommendations }))).toBeNull()
+  })
+
+  it('drops invalid entries and defaults unknown levels', () => {
+    const insights = parseInsights(JSON.stringify({
+      summary: ' Summary ',
+      findings: 'not a list',
+      anomalies: [null, { description: '' }, { description: 'Drop', orgUnit: 5, severity: 'urgent' }],
+      recommendations: [{ action: 'Act', priority: 'HIGH' }, { priority: 'low' }],
+      confidence: { level: 'certain' }
+    }))
+    expect(insights).toEqual({
+      summary: 'Summary',
+      findings: [],
+      anomalies: [{ description: 'Drop', orgUnit: null, period: null, severity: 'medium' }],
+      recommendations: [{ action: 'Act', priority: 'high', owner: null }],
+      confidence: { level: null, reason: '' }
+    })
+  })
+
+  it('keeps at most 20 entries per list', () => {
+    const findings = Array.from({ length: 25 }, (_, i) => ({ title: `F${i}`, detail: 'd' }))
+    expect(parseInsights(JSON.stringify({ summary: 's', findings })).findings).toHaveLength(20)
+  })
+})
+
+describe('formatInsightsAsMarkdown', () => {
+  it('renders each section', () => {
+    expect(formatInsightsAsMarkdown(answer)).toBe([
+      'Malaria cases rose in the north.',
+      '## Key Findings\n- **Rise**: Cases doubled in March.',
+      '## Anomalies\n- Spike in cases (North, March 2024) - high severity',
+      '## Recommendations\n- Check stock of tests (high priority, District team)',
+      '**Confidence:** medium - Two months missing'
+    ].join('\n\n'))
+  })
+
+  it('leaves out empty sections', () => {
+    expect(formatInsightsAsMarkdown({
+      summary: 'Nothing unusual.',
+      findings: [],
+      anomalies: [],
+      recommendations: [],
+      confidence: { level: null, reason: '' }
+    })).toBe('Nothing unusual.')
+  })
+})
+
+describe('createStructuredResult', () => {
+  it('replaces the message with the markdown of the insights', () => {
+    const result = createStructuredResult({ message: JSON.stringify(answer), usage: { total_tokens: 10 } })
+    expect(result.insights).toEqual(answer)
+    expect(result.message).toBe(formatInsightsAsMarkdown(answer))
+    expect(result.recommendations).toEqual(['Check stock of tests'])
+    expect(result.usage).toEqual({ total_tokens: 10 })
+  })
+
+  it('keeps an unreadable answer as text', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    const result = createStructuredResult({ message: 'Plain **markdown** answer' })
+    expect(result).toEqual({ message: 'Plain **markdown** answer', insights: null, structuredFallback: true })
+    warn.mockRestore()
+  })
+})
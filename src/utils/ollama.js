@@ -1,6 +1,20 @@
 import axios from 'axios'
 import { getSettings } from './storage'
-import { ollamaGetRequest, ollamaPostRequest } from './ollamaProxy'
+import { ollamaGetRequest, ollamaPostRequest, ollamaStreamRequest } from './ollamaProxy'
+import { createSystemPrompt, buildChatMessages, createAIResult } from './prompt'
+import { getTokenBudget } from './tokens'
+import { runToolLoop } from './aiTools'
+
+// Context requested from Ollama when none is configured; it is allocated in full on the
+// server, so a large window multiplies the memory the model needs
+const DEFAULT_OLLAMA_CONTEXT_WINDOW = 8192
+
+/**
+ * Get the context window requested from Ollama
+ * @param {Object} settings - App settings
+ * @returns {number} Context window in tokens
+ */
+const getOllamaContextWindow = (settings) => Number(settings.ollamaContextWindow) || DEFAULT_OLLAMA_CONTEXT_WINDOW
 
 /**
  * Send a query to Ollama API
@@ -9,14 +23,22 @@ import { ollamaGetRequest, ollamaPostRequest } from './ollamaProxy'
  * @param {Object} context - Additional context information
  * @param {Array} conversation - The conversation history
  * @param {Function} onStreamChunk - Optional callback for streaming response chunks
- * @returns {Object} The AI response
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @param {Object} options.tools - Tool runner from createToolRunner, to let the model fetch more data
+ * @param {boolean} options.structured - Ask for a JSON answer of typed insights (see insights.js)
+ * @returns {Object} The AI response (toolCalls when tools ran)
  */
-export const sendToOllama = async (query, data, context, conversation = [], onStreamChunk = null) => {
+export const sendToOllama = async (query, data, context, conversation = [], onStreamChunk = null, options = {}) => {
   // Get Ollama settings
   const settings = getSettings() || {}
   const ollamaServerUrl = settings.ollamaServerUrl || 'http://localhost:11434'
   const ollamaModel = settings.ollamaModel || 'llama3'
   const maxTokens = settings.maxTokens || 2000
+  // Ollama truncates prompts longer than the context it was asked for, so request the window the prompt is sized for
+  const contextWindow = getOllamaContextWindow(settings)
+  const tools = options.tools || null
+  const budget = getTokenBudget(ollamaModel, maxTokens + (tools ? tools.reservedTokens : 0), { contextWindow })
 
   // Log data information for debugging
   console.log("Ollama received data:",
@@ -28,33 +50,110 @@ export const sendToOllama = async (query, data, context, conversation = [], onSt
   )
 
   // Prepare prompt with context and data
-  const systemPrompt = createSystemPrompt(data, context)
+  const systemPrompt = createSystemPrompt(data, context, {
+    model: ollamaModel,
+    tokenBudget: budget.data,
+    tools: Boolean(tools),
+    structured: Boolean(options.structured)
+  })
+
+  // History beyond its share of the context window is summarised
+  const { messages, summarizedCount } = buildChatMessages(systemPrompt, conversation, query, {
+    model: ollamaModel,
+    historyBudget: budget.history
+  })
+
+  // One request of the turn; there are several when the model calls tools. Without tools
+  // offered, the model has to answer. JSON mode would keep it from calling tools, so a
+  // structured answer is only enforced in rounds without them
+  const sendRound = async (roundMessages, toolsAllowed) => {
+    const roundTools = toolsAllowed ? tools.definitions : null
+    const limits = {
+      maxTokens,
+      contextWindow,
+      tools: roundTools,
+      format: options.structured && !roundTools ? 'json' : null
+    }
+
+    // Stream tokens as Ollama produces them
+    const round = onStreamChunk
+      ? await streamFromOllama(ollamaServerUrl, ollamaModel, roundMessages, limits, onStreamChunk, options.signal)
+      : await requestFromOllama(ollamaServerUrl, ollamaModel, roundMessages, limits, options.signal)
+    const { toolRequests = [], ...result } = round
+    return { result, toolRequests, assistantMessage: createToolCallMessage(result.message, toolRequests) }
+  }
+
+  const result = await runToolLoop(tools, messages, { sendRound, toolMessage: createToolResultMessage })
+  return { ...result, summarizedCount }
+}
 
-  // Prepare conversation history
-  const messages = [
-    { role: 'system', content: systemPrompt }
-  ]
+/**
+ * Collect the tool calls of an Ollama message
+ * @param {Object} message - Message of a response or stream chunk
+ * @returns {Array} [{ id, name, arguments }]
+ */
+const getToolRequests = (message) => ((message && message.tool_calls) || []).map((call, index) => ({
+  id: call.id || `call_${index}`,
+  name: call.function.name,
+  arguments: call.function.arguments
+}))
 
-  // Add conversation history (limited to last 10 messages to save tokens)
-  const recentConversation = conversation.slice(-10)
-  messages.push(...recentConversation)
+/**
+ * Build the assistant message that asked for tool calls, for the history of the turn
+ * @param {string} content - Text of the message, if any
+ * @param {Array} toolRequests - The calls [{ id, name, arguments }]
+ * @returns {Object} Assistant message with tool_calls
+ */
+const createToolCallMessage = (content, toolRequests) => ({
+  role: 'assistant',
+  content: content || '',
+  tool_calls: toolRequests.map(request => ({ function: { name: request.name, arguments: request.arguments } }))
+})
 
-  // Add the current query
-  messages.push({ role: 'user', content: query })
+/**
+ * Build the message carrying the result of a tool call
+ * @param {Object} request - The call { id, name, arguments }
+ * @param {string} content - The result
+ * @returns {Object} Tool message
+ */
+const createToolResultMessage = (request, content) => ({
+  role: 'tool',
+  tool_name: request.name,
+  content
+})
 
+/**
+ * Build the chat request body for Ollama
+ * @param {string} model - The Ollama model
+ * @param {Array} messages - Chat messages
+ * @param {Object} limits - { maxTokens, contextWindow, tools, format }: tokens to generate, context window to
+ *   request, tool definitions to offer (null for none) and the answer format ('json', or null for text)
+ * @returns {Object} Request body
+ */
+const createChatBody = (model, messages, { maxTokens, contextWindow, tools, format }) => ({
+  model,
+  messages,
+  ...(tools ? { tools } : {}),
+  ...(format ? { format } : {}),
+  options: {
+    num_predict: maxTokens,
+    num_ctx: contextWindow
+  }
+})
+
+/**
+ * Request a complete (non-streamed) chat completion from Ollama
+ * @param {string} serverUrl - The Ollama server URL
+ * @param {string} model - The Ollama model
+ * @param {Array} messages - Chat messages
+ * @param {Object} limits - { maxTokens, contextWindow, tools, format }, see createChatBody
+ * @param {AbortSignal} signal - Optional signal to cancel the request
+ * @returns {Object} The response, with toolRequests when the model called tools
+ */
+const requestFromOllama = async (serverUrl, model, messages, limits, signal) => {
   try {
-    // Use the proxy-aware request function
-    const response = await ollamaPostRequest(
-      ollamaServerUrl,
-      'api/chat',
-      {
-        model: ollamaModel,
-        messages,
-        options: {
-          num_predict: maxTokens,
-        }
-      }
-    )
+    // Use the proxy-aware request function. Ollama streams unless told not to
+    const response = await ollamaPostRequest(serverUrl, 'api/chat', { ...createChatBody(model, messages, limits), stream: false }, signal)
 
     // Debug the response structure
     console.log("Ollama raw response:", response.substring ? response.substring(0, 500) + "..." : response);
@@ -63,6 +162,9 @@ export const sendToOllama = async (query, data, context, conversation = [], onSt
     // For Ollama API in different versions, the response structure can vary
     // Extract the AI's message with better fallbacks
     let aiMessage = '';
+    let toolRequests = [];
+    // The object carrying the token counts: the response, or the last line of a stream
+    let counts = response;
 
     // Special handling for streaming responses
     if (typeof response === 'string') {
@@ -85,6 +187,10 @@ export const sendToOllama = async (query, data, context, conversation = [], onSt
               if (jsonObj.message && jsonObj.message.content) {
                 messageParts.push(jsonObj.message.content);
               }
+              toolRequests = toolRequests.concat(getToolRequests(jsonObj.message));
+              if (jsonObj.done) {
+                counts = jsonObj;
+              }
             } catch (e) {
               // Skip invalid JSON - expected for incomplete lines
               console.log("Skipping invalid JSON in stream:", line.substring(0, 30) + "...");
@@ -104,6 +210,12 @@ export const sendToOllama = async (query, data, context, conversation = [], onSt
         aiMessage = response;
       }
     }
+    // A message that only calls tools has no content
+    else if (response.message && response.message.tool_calls) {
+      console.log("Found message.tool_calls format");
+      aiMessage = response.message.content || '';
+      toolRequests = getToolRequests(response.message);
+    }
     // Handle standard response object formats
     else if (response.message && response.message.content) {
       console.log("Found message.content format");
@@ -128,26 +240,139 @@ export const sendToOllama = async (query, data, context, conversation = [], onSt
       aiMessage = "Unable to extract response from Ollama. Please check the console logs for details.";
     }
 
-    // Process for recommendations (optional)
-    const recommendations = extractRecommendations(aiMessage)
-
-    // Create final response object
-    const result = {
-      message: aiMessage,
-      recommendations: recommendations.length > 0 ? recommendations : null,
-      model: ollamaModel
-    }
+    // Token counts arrive with the complete answer, or in the last line of a streamed one
+    const usage = counts && counts.eval_count !== undefined
+      ? {
+          prompt_tokens: counts.prompt_eval_count || 0,
+          completion_tokens: counts.eval_count,
+          total_tokens: (counts.prompt_eval_count || 0) + counts.eval_count
+        }
+      : null
 
-    return result
+    return createAIResult(aiMessage, {
+      model,
+      usage,
+      ...(toolRequests.length > 0 ? { toolRequests } : {})
+    })
   } catch (error) {
+    if (axios.isCancel(error)) {
+      throw error
+    }
     console.error('Ollama API Error:', error.response?.data || error.message)
     const errorMessage = error.response?.data?.error || error.message
     throw new Error(
-      `Failed to communicate with Ollama API at ${ollamaServerUrl}: ${errorMessage}`
+      `Failed to communicate with Ollama API at ${serverUrl}: ${errorMessage}`
     )
   }
 }
 
+/**
+ * Stream a chat completion from Ollama, passing each token to the callback
+ * @param {string} serverUrl - The Ollama server URL
+ * @param {string} model - The Ollama model
+ * @param {Array} messages - Chat messages
+ * @param {Object} limits - { maxTokens, contextWindow, tools, format }, see createChatBody
+ * @param {Function} onStreamChunk - Callback for streaming chunks
+ * @param {AbortSignal} signal - Optional signal to cancel the request
+ * @returns {Object} The complete response, or the partial one with truncated: true if stopped,
+ *   with toolRequests when the model called tools
+ */
+const streamFromOllama = async (serverUrl, model, messages, limits, onStreamChunk, signal) => {
+  let fullMessage = ''
+  let toolRequests = []
+
+  try {
+    const finalMessage = await ollamaStreamRequest(
+      serverUrl,
+      'api/chat',
+      createChatBody(model, messages, limits),
+      (chunk) => {
+        const content = chunk.message && chunk.message.content
+        if (content) {
+          fullMessage += content
+          onStreamChunk(content)
+        }
+        // Tool calls arrive whole, in their own chunk
+        toolRequests = toolRequests.concat(getToolRequests(chunk.message))
+      },
+      signal
+    )
+
+    // The final object carries token counts; report them like OpenAI usage
+    const usage = finalMessage && finalMessage.eval_count !== undefined
+      ? {
+          prompt_tokens: finalMessage.prompt_eval_count || 0,
+          completion_tokens: finalMessage.eval_count,
+          total_tokens: (finalMessage.prompt_eval_count || 0) + finalMessage.eval_count
+        }
+      : null
+
+    return createAIResult(fullMessage, {
+      model,
+      usage,
+      ...(toolRequests.length > 0 ? { toolRequests } : {})
+    })
+  } catch (error) {
+    // Stopped by the user: keep what has arrived so far
+    if (signal && signal.aborted) {
+      return createAIResult(fullMessage, { model, truncated: true })
+    }
+    console.error('Ollama Streaming Error:', error.message)
+    throw new Error(
+      `Failed to communicate with Ollama API at ${serverUrl}: ${error.message}`
+    )
+  }
+}
+
+/**
+ * Send chat messages to Ollama as they are, without the data and instructions of an analysis
+ * @param {Array} messages - Chat messages
+ * @param {Object} options - Request options
+ * @param {boolean} options.json - Ask for an answer that is a JSON object
+ * @param {number} options.temperature - Temperature, instead of the model default
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Object} { message, usage, model }
+ */
+export const completeWithOllama = async (messages, options = {}) => {
+  const settings = getSettings() || {}
+  const serverUrl = settings.ollamaServerUrl || 'http://localhost:11434'
+  const model = settings.ollamaModel || 'llama3'
+  const body = createChatBody(model, messages, {
+    maxTokens: settings.maxTokens || 2000,
+    contextWindow: getOllamaContextWindow(settings)
+  })
+
+  try {
+    const response = await ollamaPostRequest(serverUrl, 'api/chat', {
+      ...body,
+      stream: false,
+      ...(options.json ? { format: 'json' } : {}),
+      options: {
+        ...body.options,
+        ...(options.temperature !== undefined ? { temperature: options.temperature } : {})
+      }
+    }, options.signal)
+    const result = typeof response === 'string' ? JSON.parse(response) : response
+    return {
+      message: (result.message && result.message.content) || '',
+      usage: result.eval_count !== undefined
+        ? {
+            prompt_tokens: result.prompt_eval_count || 0,
+            completion_tokens: result.eval_count,
+            total_tokens: (result.prompt_eval_count || 0) + result.eval_count
+          }
+        : null,
+      model
+    }
+  } catch (error) {
+    if (axios.isCancel(error)) {
+      throw error
+    }
+    console.error('Ollama API Error:', error.response?.data || error.message)
+    throw new Error(`Failed to communicate with Ollama API at ${serverUrl}: ${error.response?.data?.error || error.message}`)
+  }
+}
+
 /**
  * Test the Ollama API connection and get available models
  * @param {string} serverUrl - The Ollama server URL to test
@@ -177,242 +402,45 @@ export const testOllamaConnection = async (serverUrl) => {
 }
 
 /**
- * Create system prompt with context and data
- * @param {Object} data - The DHIS2 data
- * @param {Object} context - Additional context
- * @returns {string} The system prompt
+ * Ollama provider for the AI provider registry
  */
-const createSystemPrompt = (data, context) => {
-  // Format data for the prompt
-  let dataString = ''
-
-  console.log("Creating system prompt with data:",
-    data ? {
-      hasHeaders: !!data.headers,
-      hasRows: !!(data.rows && data.rows.length),
-      hasDataFlag: !!data.hasData,
-      rowCount: data.rows ? data.rows.length : 0,
-      headerCount: data.headers ? data.headers.length : 0,
-      hasMetaData: !!(data.metaData && data.metaData.items),
-      hasDataElements: !!(data.dataElements && data.dataElements.length)
-    } : "No data"
-  )
-  console.log("Context received:", {
-    period: context.period,
-    orgUnit: context.orgUnit ? {
-      id: context.orgUnit.id,
-      displayName: context.orgUnit.displayName,
-      name: context.orgUnit.name
-    } : "No org unit",
-    dataElements: context.dataElements ? (Array.isArray(context.dataElements) ? context.dataElements.length : "Not an array") : "No data elements",
-    user: context.user ? context.user.name : "No user"
-  })
-
-  if (data && data.headers) {
-    const headers = data.headers
-    const rows = data.rows || []
-    const hasData = data.hasData || rows.length > 0
-
-    if (hasData) {
-      // Create a sample of the data (first 10 rows)
-      const sample = rows.slice(0, 10)
-
-      // Format as a table
-      dataString = 'Data Sample:\n'
-
-      // Map IDs to names if available
-      const mapIdToName = (id) => {
-        if (data.metaData && data.metaData.items && data.metaData.items[id]) {
-          return data.metaData.items[id].name || id;
-        }
-        return id;
-      };
-
-      // Get the indices from the headers
-      const dxIndex = headers.findIndex(h => h.name === 'dx');
-      const ouIndex = headers.findIndex(h => h.name === 'ou');
-      const peIndex = headers.findIndex(h => h.name === 'pe');
-
-      // Create a header row with readable names
-      const headerRow = headers.map((h, i) => {
-        if (i === dxIndex && dxIndex !== -1) {
-          return 'Data Element';
-        } else if (i === ouIndex && ouIndex !== -1) {
-          return 'Organization Unit';
-        } else if (i === peIndex && peIndex !== -1) {
-          return 'Period';
-        }
-        return h.column;
-      }).join(',');
-
-      dataString += headerRow + '\n';
-
-      // Format each row with readable names
-      sample.forEach(row => {
-        const formattedRow = row.map((cell, i) => {
-          if ((i === dxIndex && dxIndex !== -1) || 
-              (i === ouIndex && ouIndex !== -1) || 
-              (i === peIndex && peIndex !== -1)) {
-            return mapIdToName(cell);
-          }
-          return cell;
-        }).join(',');
-        dataString += formattedRow + '\n';
-      })
-
-      if (rows.length > 10) {
-        dataString += `... (and ${rows.length - 10} more rows)\n`
-      }
-
-      // Add summary statistics if available
-      if (data.summary) {
-        dataString += '\nSummary Statistics:\n'
-        Object.entries(data.summary).forEach(([key, value]) => {
-          dataString += `${key}: ${value}\n`
-        })
-      }
-    } else {
-      // When no data is available, provide more detailed explanation
-      dataString = 'No data available for the selected data elements in the specified period and location.\n\n'
-
-      // Try to get the selected data elements names from either data or context
-      let dataElementNames = 'Unknown';
-
-      if (data.dataElements && Array.isArray(data.dataElements)) {
-        if (data.metaData && data.metaData.items) {
-          // Try to map IDs to names using metaData
-          dataElementNames = data.dataElements
-            .map(id => {
-              if (typeof id === 'string') {
-                return data.metaData.items[id]?.name || id;
-              } else if (id && id.id) {
-                return data.metaData.items[id.id]?.name || id.id;
-              } else {
-                return 'Unknown Element';
-              }
-            })
-            .join(', ');
-        } else {
-          // If metaData is not available, just use the IDs
-          dataElementNames = data.dataElements
-            .map(id => typeof id === 'string' ? id : (id && id.id ? id.id : 'Unknown'))
-            .join(', ');
-        }
-      } else if (context.dataElements && Array.isArray(context.dataElements)) {
-        // Alternatively, use context.dataElements if available
-        dataElementNames = context.dataElements.join(', ');
-      }
-
-      dataString += 'Selected data elements: ' + dataElementNames + '\n' +
-                   'Period: ' + context.period + '\n' +
-                   'Organization Unit: ' + (context.orgUnit.displayName || context.orgUnit.name || context.orgUnit.id) + '\n\n' +
-                   'Note: This is likely because:\n' +
-                   '- This is a development/test system without complete data\n' +
-                   '- The specific combination of elements, period, and location has no records\n' +
-                   '- The data elements may be new or not yet populated\n'
-    }
-  } else {
-    // No headers available at all - provide a minimal response
-    dataString = 'No data structure is available to analyze. The system might be experiencing issues retrieving data.\n' +
-                 'You can try selecting different data elements, a different time period, or a different organization unit.\n'
-  }
-  
-  return `
-You are an AI assistant specialized in analyzing DHIS2 health data for healthcare professionals and decision-makers in resource-constrained settings. Your goal is to provide clear, actionable insights that can help save lives and improve health outcomes.
-
-IMPORTANT: Never display technical identifiers (UIDs like "UsSUX0cpKsH") in your response. Always refer to data elements and organization units by their proper names.
-
-## Context:
-- User: ${context.user.name} (${context.user.username})
-- Organization Units: ${context.user.orgUnits}
-- Data Elements: ${Array.isArray(context.dataElements) ? context.dataElements.join(', ') : 'None selected'}
-- Period: ${context.period}
-- Organization Unit: ${context.orgUnit.displayName || context.orgUnit.name || "Selected organization unit"}
-
-## Your Task:
-- Analyze the provided health data carefully and objectively
-- Present clear, factual insights about trends, patterns, and anomalies
-- Provide specific, actionable recommendations when appropriate
-- Consider the context of low-resource settings, emergency situations, and limited time
-- Format your response in a clear, readable way using markdown
-- Be concise but comprehensive
-
-## Data:
-${dataString}
-
-When formulating your response:
-1. First analyze the data briefly to understand what it represents
-2. If there is data available:
-   - Provide key observations and trends in the data
-   - Highlight any notable patterns, anomalies, or concerning indicators
-   - Conclude with 2-5 specific, actionable recommendations
-3. If there is NO data available:
-   - Acknowledge the lack of data without being repetitive
-   - Provide 2-3 BRIEF suggestions specific to the selected data elements about possible next steps
-   - Avoid lengthy explanations about data collection in general
-   - Do NOT assume problems with data collection - this is a development system and may simply not have data
-4. Always use a professional, direct tone appropriate for healthcare contexts
-
-Focus on delivering practical insights that can inform immediate decision-making in healthcare contexts, particularly in low-resource or emergency settings.
-
-Remember:
-1. Avoid showing technical details like UIDs (e.g., "UsSUX0cpKsH") in your analysis
-2. If data element names aren't clear, refer to them by their position or general type (e.g., "the first disease," "disease type A")
-3. Focus on the patterns and insights rather than the raw data representation
-4. ALWAYS use the organization unit's display name (${context.orgUnit.displayName || context.orgUnit.name || "organization unit"}) in your responses, not the ID
-`
+export const ollamaProvider = {
+  id: 'ollama',
+  label: 'Ollama (Local or Remote)',
+  shortLabel: 'Ollama',
+  badgeColor: '#ff6700',
+  capabilities: {
+    streaming: true,
+    modelListing: true,
+    requiresApiKey: false,
+    tools: true,
+    structuredOutput: true
+  },
+  // Configured through the dedicated Ollama section of the settings panel
+  settingsFields: [],
+
+  getInfo: (settings) => ({
+    model: settings.ollamaModel || 'llama3',
+    serverUrl: settings.ollamaServerUrl || 'http://localhost:11434',
+    maxTokens: settings.maxTokens || 2000,
+    contextWindow: getOllamaContextWindow(settings)
+  }),
+
+  isConfigured: (settings) => Boolean(settings.ollamaServerUrl && settings.ollamaModel),
+
+  send: ({ query, data, context, conversation, signal, tools, structured }) =>
+    sendToOllama(query, data, context, conversation, null, { signal, tools, structured }),
+
+  stream: ({ query, data, context, conversation, signal, tools, structured }, onStreamChunk) =>
+    sendToOllama(query, data, context, conversation, onStreamChunk, { signal, tools, structured }),
+
+  complete: ({ messages, json, temperature, signal }) =>
+    completeWithOllama(messages, { json, temperature, signal }),
+
+  listModels: async (options = {}) => {
+    const result = await testOllamaConnection(options.serverUrl)
+    return result.models
+  },
+
+  test: (options = {}) => testOllamaConnection(options.serverUrl)
 }
-
-/**
- * Extract recommendations from AI message
- * @param {string} message - The AI response message
- * @returns {Array} List of recommendations
- */
-const extractRecommendations = (message) => {
-  const recommendations = []
-  
-  // Look for sections that might contain recommendations
-  const recommendationSections = [
-    /## Recommendations\s+([\s\S]+?)(?=##|$)/i,
-    /Recommendations:\s+([\s\S]+?)(?=##|$)/i,
-    /I recommend\s+([\s\S]+?)(?=##|$)/i,
-    /Actions to consider:\s+([\s\S]+?)(?=##|$)/i,
-  ]
-  
-  for (const pattern of recommendationSections) {
-    const match = message.match(pattern)
-    if (match && match[1]) {
-      // Extract recommendations as bullet points or numbered list
-      const section = match[1].trim()
-      
-      // Try to match bullet points
-      const bulletPoints = section.match(/[•\-\*]\s+([^\n]+)/g)
-      if (bulletPoints) {
-        bulletPoints.forEach(point => {
-          recommendations.push(point.replace(/[•\-\*]\s+/, '').trim())
-        })
-        continue
-      }
-      
-      // Try to match numbered list
-      const numberedPoints = section.match(/\d+\.\s+([^\n]+)/g)
-      if (numberedPoints) {
-        numberedPoints.forEach(point => {
-          recommendations.push(point.replace(/\d+\.\s+/, '').trim())
-        })
-        continue
-      }
-      
-      // If no bullet points found, just use entire section
-      if (recommendations.length === 0) {
-        // Split by lines and filter empty lines
-        const lines = section.split('\n').filter(line => line.trim())
-        lines.forEach(line => {
-          recommendations.push(line.trim())
-        })
-      }
-    }
-  }
-  
-  return recommendations
-}
\ No newline at end of file
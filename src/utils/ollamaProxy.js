@@ -7,6 +7,38 @@ import axios from 'axios'
 // Configure the default timeout for all axios requests
 axios.defaults.timeout = 120000 // 120 seconds
 
+/**
+ * Check whether the app is running inside a hosted DHIS2 instance, where
+ * browsers block requests to localhost and the proxy is needed
+ * @returns {boolean} True when running inside DHIS2
+ */
+const isRunningInDHIS2 = () =>
+  window.location.hostname.includes('dhis2.org') ||
+  window.location.hostname.includes('play.im') ||
+  window.location.pathname.includes('/api/apps/')
+
+/**
+ * Create the error shown when the Ollama server cannot be reached
+ * @param {string} serverUrl - The base Ollama server URL
+ * @returns {Error} Error with setup guidance
+ */
+const createConnectionError = (serverUrl) => {
+  if (isRunningInDHIS2()) {
+    return new Error(
+      `Cannot connect to Ollama at ${serverUrl} from DHIS2. Please use the proxy server:\n\n` +
+      `1. Make sure Ollama is running on your computer\n` +
+      `2. Navigate to the 'ollama-proxy' folder in the app directory\n` +
+      `3. Run 'npm install' (first time only)\n` +
+      `4. Run 'npm start' to start the proxy\n` +
+      `5. Use http://localhost:3000 as your Ollama server URL`
+    )
+  }
+  return new Error(
+    `Cannot connect to Ollama at ${serverUrl}. Is Ollama running?\n` +
+    `Check that Ollama is running on your computer and try again.`
+  )
+}
+
 /**
  * Send a request to Ollama
  * @param {string} serverUrl - The base Ollama server URL
@@ -45,33 +77,20 @@ const ollamaRequest = async (serverUrl, endpoint, options = {}) => {
         // Add more headers as needed
       },
       // Explicitly allow CORS credentials
-      withCredentials: false
+      withCredentials: false,
+      signal: requestOptions.signal
     })
 
     return response.data
   } catch (error) {
+    if (axios.isCancel(error)) {
+      throw error
+    }
     console.error('Ollama API Request Error:', error)
 
     // Different error messages for different error types
     if (error.code === 'ERR_NETWORK' || (error.message && error.message.includes('Network Error'))) {
-      // Check if we're in a DHIS2 environment
-      if (window.location.hostname.includes('dhis2.org') ||
-          window.location.hostname.includes('play.im') ||
-          window.location.pathname.includes('/api/apps/')) {
-        throw new Error(
-          `Cannot connect to Ollama at ${serverUrl} from DHIS2. Please use the proxy server:\n\n` +
-          `1. Make sure Ollama is running on your computer\n` +
-          `2. Navigate to the 'ollama-proxy' folder in the app directory\n` +
-          `3. Run 'npm install' (first time only)\n` +
-          `4. Run 'npm start' to start the proxy\n` +
-          `5. Use http://localhost:3000 as your Ollama server URL`
-        )
-      } else {
-        throw new Error(
-          `Cannot connect to Ollama at ${serverUrl}. Is Ollama running?\n` +
-          `Check that Ollama is running on your computer and try again.`
-        )
-      }
+      throw createConnectionError(serverUrl)
     }
 
     // Handle specific HTTP errors
@@ -103,11 +122,118 @@ export const ollamaGetRequest = async (serverUrl, endpoint) => {
  * @param {string} serverUrl - The Ollama server URL
  * @param {string} endpoint - The API endpoint
  * @param {Object} data - The request payload
+ * @param {AbortSignal} signal - Optional signal to cancel the request
  * @returns {Promise} The API response
  */
-export const ollamaPostRequest = async (serverUrl, endpoint, data) => {
+export const ollamaPostRequest = async (serverUrl, endpoint, data, signal = null) => {
   return ollamaRequest(serverUrl, endpoint, { 
     method: 'POST',
-    data
+    data,
+    signal
   })
-}
\ No newline at end of file
+}
+
+/**
+ * Make a streaming POST request to the Ollama API and consume the
+ * newline-delimited JSON response as it arrives
+ * @param {string} serverUrl - The Ollama server URL (or the ollama-proxy URL)
+ * @param {string} endpoint - The API endpoint
+ * @param {Object} data - The request payload (stream is forced on)
+ * @param {Function} onMessage - Called with each parsed JSON object
+ * @param {AbortSignal} signal - Optional signal to cancel the request
+ * @returns {Promise<Object|null>} The final object (done: true), or null if the stream ended without one
+ */
+export const ollamaStreamRequest = async (serverUrl, endpoint, data, onMessage, signal = null) => {
+  const baseUrl = serverUrl.endsWith('/') ? serverUrl.slice(0, -1) : serverUrl
+  const fullUrl = `${baseUrl}/${endpoint}`
+
+  // Abort if the server does not start answering in time (large models can take a while to load)
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), axios.defaults.timeout)
+  const abortFromCaller = () => controller.abort()
+  if (signal) {
+    if (signal.aborted) controller.abort()
+    signal.addEventListener('abort', abortFromCaller)
+  }
+
+  console.log(`Making streaming request to: ${fullUrl}`)
+
+  let response
+  try {
+    response = await fetch(fullUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/x-ndjson',
+        'X-Requested-With': 'XMLHttpRequest'
+      },
+      body: JSON.stringify({ ...data, stream: true }),
+      signal: controller.signal
+    })
+  } catch (error) {
+    clearTimeout(timer)
+    if (signal) signal.removeEventListener('abort', abortFromCaller)
+    if (error.name === 'AbortError') {
+      throw signal && signal.aborted
+        ? error
+        : new Error(`Ollama server at ${serverUrl} did not respond within ${axios.defaults.timeout / 1000} seconds`)
+    }
+    console.error('Ollama Streaming Request Error:', error)
+    throw createConnectionError(serverUrl)
+  }
+  clearTimeout(timer)
+
+  try {
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '')
+      let errorMessage = errorText
+      try {
+        errorMessage = JSON.parse(errorText).error || errorText
+      } catch (e) {
+        // Plain text error body
+      }
+      throw new Error(
+        `Ollama server at ${serverUrl} returned error ${response.status}: ${errorMessage || response.statusText}`
+      )
+    }
+
+    const reader = response.body.getReader()
+    const decoder = new TextDecoder()
+    let buffer = ''
+    let finalMessage = null
+
+    const handleLine = (line) => {
+      if (!line.trim()) return
+      let parsed
+      try {
+        parsed = JSON.parse(line)
+      } catch (e) {
+        console.log('Skipping invalid JSON in stream:', line.substring(0, 30) + '...')
+        return
+      }
+      if (parsed.error) {
+        throw new Error(`Ollama error: ${parsed.error}`)
+      }
+      onMessage(parsed)
+      if (parsed.done) {
+        finalMessage = parsed
+      }
+    }
+
+    while (true) {
+      const { done, value } = await reader.read()
+      if (done) break
+
+      // Objects can be split across reads; keep the trailing partial line for the next chunk
+      buffer += decoder.decode(value, { stream: true })
+      const lines = buffer.split('\n')
+      buffer = lines.pop()
+      lines.forEach(handleLine)
+    }
+    handleLine(buffer + decoder.decode())
+
+    return finalMessage
+  } finally {
+    if (signal) signal.removeEventListener('abort', abortFromCaller)
+  }
+}
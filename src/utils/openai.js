@@ -1,5 +1,108 @@
 import axios from 'axios'
-import { getApiKeyFromStorage, getSettings } from './storage'
+import { getApiKeyFromStorage, getGatewayToken, getSettings, isApiKeySet } from './storage'
+import { createSystemPrompt, buildChatMessages, createAIResult } from './prompt'
+import {
+  getTokenBudget,
+  getContextWindow,
+  isContextOverflowError,
+  getContextOverflowMessage,
+  OVERFLOW_RETRY_SCALE
+} from './tokens'
+import { runToolLoop } from './aiTools'
+import { INSIGHTS_SCHEMA } from './insights'
+
+const OPENAI_API_URL = 'https://api.openai.com/v1'
+
+// Models that take a JSON schema as response format, and older ones that only take JSON mode
+const JSON_SCHEMA_MODELS = /^(gpt-4o|gpt-4\.1|gpt-5|o\d)/
+const JSON_OBJECT_MODELS = /^(gpt-4-turbo|gpt-4-1106|gpt-4-0125|gpt-3\.5-turbo)/
+// Reasoning models: they reject max_tokens and any temperature but the default
+const REASONING_MODELS = /^(gpt-5|o\d)/
+
+/**
+ * Token limit and temperature of a request, in the parameters the model accepts
+ * @param {string} model - Model name
+ * @param {number} maxTokens - Maximum tokens of the answer
+ * @param {number} temperature - Sampling temperature, left out for reasoning models
+ * @returns {Object} Fields to spread into the request body
+ */
+const getGenerationParams = (model, maxTokens, temperature) =>
+  REASONING_MODELS.test(model)
+    ? { max_completion_tokens: maxTokens }
+    : { max_tokens: maxTokens, temperature }
+
+/**
+ * Response format that constrains a structured answer to the insights schema, as far as the model allows
+ * @param {string} model - Model name
+ * @returns {Object|null} The response_format of the request, or null when the model takes none
+ *   (the prompt still asks for JSON and the answer is validated either way)
+ */
+const getInsightsResponseFormat = (model) => {
+  if (JSON_SCHEMA_MODELS.test(model)) {
+    return {
+      type: 'json_schema',
+      json_schema: { name: 'dhis2_insights', strict: true, schema: INSIGHTS_SCHEMA }
+    }
+  }
+  if (JSON_OBJECT_MODELS.test(model)) {
+    return { type: 'json_object' }
+  }
+  return null
+}
+
+/**
+ * Resolve where OpenAI requests go and which headers they carry.
+ * In gateway mode the provider key lives on the ollama-proxy gateway, so the
+ * browser only sends the gateway's client token, if it requires one, and
+ * identifies the DHIS2 user for the logs.
+ * @param {Object} settings - App settings
+ * @param {string} apiKey - The user's OpenAI API key (direct mode only)
+ * @param {Object} user - The current DHIS2 user, if known
+ * @param {string} gatewayToken - Client token of the gateway (gateway mode only)
+ * @returns {Object} { baseUrl, headers }
+ */
+const getOpenAIConnection = (settings, apiKey, user = null, gatewayToken = null) => {
+  if (settings.openaiConnection === 'gateway') {
+    const headers = { 'Content-Type': 'application/json' }
+    if (gatewayToken) {
+      headers['Authorization'] = `Bearer ${gatewayToken}`
+    }
+    if (user && user.username) {
+      headers['X-DHIS2-User'] = user.username
+    }
+    return {
+      baseUrl: `${(settings.gatewayUrl || '').replace(/\/$/, '')}/v1`,
+      headers
+    }
+  }
+
+  return {
+    baseUrl: OPENAI_API_URL,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`
+    }
+  }
+}
+
+/**
+ * Resolve the connection of the saved settings, checking that it is configured
+ * @param {Object} settings - App settings
+ * @param {Object} user - The current DHIS2 user, if known
+ * @returns {Object} { baseUrl, headers }
+ */
+const getConfiguredConnection = (settings, user = null) => {
+  const useGateway = settings.openaiConnection === 'gateway'
+  
+  const apiKey = getApiKeyFromStorage()
+  if (useGateway && !settings.gatewayUrl) {
+    throw new Error('AI gateway URL not configured')
+  }
+  if (!useGateway && !apiKey) {
+    throw new Error('OpenAI API key not configured')
+  }
+  return getOpenAIConnection(settings, apiKey, user, getGatewayToken())
+}
 
 /**
  * Send a query to OpenAI API
@@ -8,94 +111,116 @@ import { getApiKeyFromStorage, getSettings } from './storage'
  * @param {Object} context - Additional context information
  * @param {Array} conversation - The conversation history
  * @param {Function} onStreamChunk - Optional callback for streaming response chunks
- * @returns {Object} The AI response
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @param {Object} options.tools - Tool runner from createToolRunner, to let the model fetch more data
+ * @param {boolean} options.structured - Ask for a JSON answer of typed insights (see insights.js)
+ * @returns {Object} The AI response (truncated: true when a stream was stopped early, toolCalls when tools ran)
  */
-export const sendToOpenAI = async (query, data, context, conversation = [], onStreamChunk = null) => {
-  const apiKey = getApiKeyFromStorage()
-  if (!apiKey) {
-    throw new Error('OpenAI API key not configured')
-  }
-  
+export const sendToOpenAI = async (query, data, context, conversation = [], onStreamChunk = null, options = {}) => {
   // Get settings
   const settings = getSettings() || {}
+  const { baseUrl, headers } = getConfiguredConnection(settings, context && context.user)
   const model = settings.model || 'gpt-4'
   const maxTokens = settings.maxTokens || 2000
   const temperature = settings.temperature || 0.7
+  const url = `${baseUrl}/chat/completions`
   
-  // Prepare prompt with context and data
-  const systemPrompt = createSystemPrompt(data, context)
-  
-  // Prepare conversation history
-  const messages = [
-    { role: 'system', content: systemPrompt }
-  ]
-  
-  // Add conversation history (limited to last 3 messages to manage tokens)
-  const recentConversation = conversation.slice(-3)
-  messages.push(...recentConversation)
+  const tools = options.tools || null
+  const responseFormat = options.structured ? getInsightsResponseFormat(model) : null
   
-  // Add the current query
-  messages.push({ role: 'user', content: query })
-  
-  try {
-    // If streaming is requested, use fetch API for SSE
-    if (onStreamChunk) {
-      return await handleStreamingResponse(
-        'https://api.openai.com/v1/chat/completions',
-        {
-          model,
-          messages,
-          max_tokens: maxTokens,
-          temperature,
-          n: 1,
-          stream: true,
-        },
-        apiKey,
-        onStreamChunk
-      )
-    } else {
-      // Use regular axios for non-streaming requests
-      const response = await axios.post(
-        'https://api.openai.com/v1/chat/completions',
-        {
-          model,
-          messages,
-          max_tokens: maxTokens,
-          temperature,
-          n: 1,
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${apiKey}`
-          }
+  // Size the data and history to the model's context window; scale below 1 shrinks them for a retry
+  const sendRequest = async (scale) => {
+    const budget = getTokenBudget(model, maxTokens + (tools ? tools.reservedTokens : 0), { scale })
+    const systemPrompt = createSystemPrompt(data, context, {
+      model,
+      tokenBudget: budget.data,
+      tools: Boolean(tools),
+      structured: Boolean(options.structured)
+    })
+    const { messages, summarizedCount } = buildChatMessages(systemPrompt, conversation, query, {
+      model,
+      historyBudget: budget.history
+    })
+    
+    // One request of the turn; there are several when the model calls tools
+    const sendRound = async (roundMessages, toolsAllowed) => {
+      const body = {
+        model,
+        messages: roundMessages,
+        ...getGenerationParams(model, maxTokens, temperature),
+        n: 1,
+      }
+      if (responseFormat) {
+        body.response_format = responseFormat
+      }
+      if (tools) {
+        // The tools stay declared for the tool messages in the history; 'none' asks for the answer
+        body.tools = tools.definitions
+        if (!toolsAllowed) {
+          body.tool_choice = 'none'
         }
-      )
+      }
       
-      // Extract the AI's message
-      const aiMessage = response.data.choices[0].message.content
+      // If streaming is requested, use fetch API for SSE
+      if (onStreamChunk) {
+        const { toolRequests = [], ...result } = await handleStreamingResponse(
+          url,
+          {
+            ...body,
+            stream: true,
+            // Ask for token counts in the last chunk, for the token meter
+            stream_options: { include_usage: true }
+          },
+          headers,
+          onStreamChunk,
+          options.signal
+        )
+        return { result, toolRequests, assistantMessage: createToolCallMessage(result.message, toolRequests) }
+      }
+      
+      // Use regular axios for non-streaming requests
+      const response = await axios.post(url, body, { headers, signal: options.signal })
       
-      // Process for recommendations (optional)
-      const recommendations = extractRecommendations(aiMessage)
+      // Extract the AI's message
+      const aiMessage = response.data.choices[0].message
+      const toolRequests = (aiMessage.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: call.function.arguments
+      }))
       
-      // Create final response object
-      const result = {
-        message: aiMessage,
-        recommendations: recommendations.length > 0 ? recommendations : null,
-        usage: response.data.usage
+      return {
+        result: createAIResult(aiMessage.content || '', { usage: response.data.usage }),
+        toolRequests,
+        assistantMessage: aiMessage
       }
-      
-      return result
+    }
+    
+    const result = await runToolLoop(tools, messages, { sendRound, toolMessage: createToolResultMessage })
+    return { ...result, model, summarizedCount }
+  }
+  
+  try {
+    try {
+      return await sendRequest(1)
+    } catch (error) {
+      if (!isContextOverflowError(error.response?.data?.error?.message || error.message)) {
+        throw error
+      }
+      // The token estimates were too low for this request: retry once with less data and history
+      console.warn('OpenAI context window exceeded, retrying with a reduced context')
+      return await sendRequest(OVERFLOW_RETRY_SCALE)
     }
   } catch (error) {
+    if (axios.isCancel(error)) {
+      throw error
+    }
     console.error('OpenAI API Error:', error.response?.data || error.message)
     
-    // Check if it's a token limit error
     const errorMessage = error.response?.data?.error?.message || error.message
-    if (errorMessage && errorMessage.includes('maximum context length')) {
-      throw new Error(
-        'Too much conversation history. Please click "Clear Chat" to start fresh and try your question again.'
-      )
+    if (isContextOverflowError(errorMessage)) {
+      throw new Error(getContextOverflowMessage(model, getContextWindow(model)))
     }
     
     throw new Error(
@@ -106,41 +231,118 @@ export const sendToOpenAI = async (query, data, context, conversation = [], onSt
 }
 
 /**
- * Handle streaming response from OpenAI API
+ * Send chat messages to OpenAI as they are, without the data and instructions of an analysis
+ * @param {Array} messages - Chat messages
+ * @param {Object} options - Request options
+ * @param {boolean} options.json - Ask for an answer that is a JSON object, in JSON mode where the model
+ *   supports it (other models only get the request in the prompt)
+ * @param {number} options.temperature - Temperature, instead of the one in settings
+ * @param {Object} options.user - The current DHIS2 user, for the gateway
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Object} { message, usage, model }
+ */
+export const completeWithOpenAI = async (messages, options = {}) => {
+  const settings = getSettings() || {}
+  const { baseUrl, headers } = getConfiguredConnection(settings, options.user)
+  const model = settings.model || 'gpt-4'
+  // Models without JSON mode reject the response format, e.g. gpt-4
+  const jsonMode = options.json && (JSON_SCHEMA_MODELS.test(model) || JSON_OBJECT_MODELS.test(model))
+  
+  try {
+    const response = await axios.post(
+      `${baseUrl}/chat/completions`,
+      {
+        model,
+        messages,
+        ...getGenerationParams(
+          model,
+          settings.maxTokens || 2000,
+          options.temperature !== undefined ? options.temperature : settings.temperature || 0.7
+        ),
+        n: 1,
+        ...(jsonMode ? { response_format: { type: 'json_object' } } : {})
+      },
+      { headers, signal: options.signal }
+    )
+    return { message: response.data.choices[0].message.content || '', usage: response.data.usage, model }
+  } catch (error) {
+    if (axios.isCancel(error)) {
+      throw error
+    }
+    console.error('OpenAI API Error:', error.response?.data || error.message)
+    throw new Error(error.response?.data?.error?.message || error.message)
+  }
+}
+
+/**
+ * Build the assistant message that asked for tool calls, as the chat-completions API expects it in the history
+ * @param {string} content - Text of the message, if any
+ * @param {Array} toolRequests - The calls [{ id, name, arguments }]
+ * @returns {Object} Assistant message with tool_calls
+ */
+export const createToolCallMessage = (content, toolRequests) => ({
+  role: 'assistant',
+  content: content || null,
+  tool_calls: toolRequests.map(request => ({
+    id: request.id,
+    type: 'function',
+    function: { name: request.name, arguments: request.arguments }
+  }))
+})
+
+/**
+ * Build the message carrying the result of a tool call
+ * @param {Object} request - The call { id, name, arguments }
+ * @param {string} content - The result
+ * @returns {Object} Tool message
+ */
+export const createToolResultMessage = (request, content) => ({
+  role: 'tool',
+  tool_call_id: request.id,
+  content
+})
+
+/**
+ * Handle streaming response from OpenAI API (or any OpenAI-compatible server)
  * @param {string} url - The API endpoint URL
  * @param {Object} requestBody - The request body
- * @param {string} apiKey - The API key
+ * @param {Object} headers - Request headers (authorization or gateway user)
  * @param {Function} onStreamChunk - Callback for streaming chunks
- * @returns {Object} The complete response
+ * @param {AbortSignal} signal - Optional signal to stop the stream
+ * @returns {Object} The complete response, or the partial one with truncated: true if stopped,
+ *   with toolRequests ([{ id, name, arguments }]) when the model called tools
  */
-const handleStreamingResponse = async (url, requestBody, apiKey, onStreamChunk) => {
+export const handleStreamingResponse = async (url, requestBody, headers, onStreamChunk, signal = null) => {
   let fullMessage = ''
   let usage = null
+  // Tool calls arrive in pieces, keyed by their index
+  const toolRequests = []
 
   try {
     const response = await fetch(url, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify(requestBody)
+      headers,
+      body: JSON.stringify(requestBody),
+      signal
     })
 
     if (!response.ok) {
-      const errorData = await response.json()
-      throw new Error(errorData.error?.message || 'Failed to communicate with OpenAI API')
+      const errorData = await response.json().catch(() => ({}))
+      throw new Error(errorData.error?.message || `Failed to communicate with OpenAI API (HTTP ${response.status})`)
     }
 
     const reader = response.body.getReader()
     const decoder = new TextDecoder()
+    let buffer = ''
 
     while (true) {
       const { done, value } = await reader.read()
       if (done) break
 
-      const chunk = decoder.decode(value)
-      const lines = chunk.split('\n')
+      // Events can be split across reads; keep the trailing partial line for the next chunk
+      buffer += decoder.decode(value, { stream: true })
+      const lines = buffer.split('\n')
+      buffer = lines.pop()
 
       for (const line of lines) {
         if (line.startsWith('data: ')) {
@@ -158,6 +360,13 @@ const handleStreamingResponse = async (url, requestBody, apiKey, onStreamChunk)
               onStreamChunk(delta.content)
             }
             
+            for (const piece of delta?.tool_calls || []) {
+              const request = toolRequests[piece.index] || (toolRequests[piece.index] = { id: '', name: '', arguments: '' })
+              request.id = piece.id || request.id
+              request.name += piece.function?.name || ''
+              request.arguments += piece.function?.arguments || ''
+            }
+            
             // Capture usage info from the last chunk
             if (parsed.usage) {
               usage = parsed.usage
@@ -170,51 +379,46 @@ const handleStreamingResponse = async (url, requestBody, apiKey, onStreamChunk)
       }
     }
 
-    // Process for recommendations
-    const recommendations = extractRecommendations(fullMessage)
-    
-    // Create final response object
-    const result = {
-      message: fullMessage,
-      recommendations: recommendations.length > 0 ? recommendations : null,
-      usage: usage
+    return createAIResult(fullMessage, {
+      usage,
+      ...(toolRequests.length > 0 ? { toolRequests: toolRequests.filter(Boolean) } : {})
+    })
+  } catch (error) {
+    // Stopped by the user: keep what has arrived so far
+    if (signal && signal.aborted) {
+      return createAIResult(fullMessage, { usage, truncated: true })
     }
     
-    return result
-  } catch (error) {
     console.error('OpenAI Streaming Error:', error)
     
-    // Check if it's a token limit error
-    const errorMessage = error.message || ''
-    if (errorMessage.includes('maximum context length')) {
-      throw new Error(
-        'Too much conversation history. Please click "Clear Chat" to start fresh and try your question again.'
-      )
-    }
-    
+    // Context overflows are handled by the caller, which retries with a reduced context
     throw error
   }
 }
 
 /**
  * Test the OpenAI API connection
- * @param {string} apiKey - The API key to test
+ * @param {string} apiKey - The API key to test (ignored in gateway mode)
+ * @param {Object} options - Connection options
+ * @param {string} options.connection - 'direct' or 'gateway'
+ * @param {string} options.gatewayUrl - The ollama-proxy gateway URL (gateway mode)
+ * @param {string} options.gatewayToken - The gateway client token (gateway mode)
  * @returns {Object} Test result with available models
  */
-export const testOpenAIConnection = async (apiKey) => {
+export const testOpenAIConnection = async (apiKey, options = {}) => {
+  const { baseUrl, headers } = getOpenAIConnection(
+    { openaiConnection: options.connection, gatewayUrl: options.gatewayUrl },
+    apiKey,
+    null,
+    options.gatewayToken
+  )
+  
   try {
-    const response = await axios.get(
-      'https://api.openai.com/v1/models',
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`
-        }
-      }
-    )
+    const response = await axios.get(`${baseUrl}/models`, { headers })
     
-    // Extract available models
+    // Extract available models (a gateway may front a non-OpenAI backend, so keep all of its models)
     const models = response.data.data
-      .filter(model => model.id.includes('gpt'))
+      .filter(model => options.connection === 'gateway' || model.id.includes('gpt'))
       .map(model => model.id)
     
     return {
@@ -225,279 +429,56 @@ export const testOpenAIConnection = async (apiKey) => {
     console.error('OpenAI API Connection Test Error:', error.response?.data || error.message)
     throw new Error(
       error.response?.data?.error?.message || 
-      'Failed to connect to OpenAI API. Please check your API key and try again.'
+      (options.connection === 'gateway'
+        ? `Failed to connect to the AI gateway at ${options.gatewayUrl}. Please check that the proxy is running.`
+        : 'Failed to connect to OpenAI API. Please check your API key and try again.')
     )
   }
 }
 
 /**
- * Create system prompt with context and data
- * @param {Object} data - The DHIS2 data
- * @param {Object} context - Additional context
- * @returns {string} The system prompt
+ * OpenAI provider for the AI provider registry
  */
-const createSystemPrompt = (data, context) => {
-  // Format data for the prompt
-  let dataString = ''
-  
-  if (data && data.headers) {
-    const headers = data.headers
-    const rows = data.rows || []
-    const hasData = data.hasData || rows.length > 0
-    
-    if (hasData) {
-      // Create a sample of the data (first 5 rows to save tokens)
-      const sample = rows.slice(0, 5)
-      
-      // Format as a table
-      dataString = 'Data Sample:\n'
-      
-      // Map the data element IDs to names if available
-      const mapDataElementName = (id) => {
-        if (data.metaData && data.metaData.items && data.metaData.items[id]) {
-          return data.metaData.items[id].name || id;
-        }
-        return id;
-      };
+export const openaiProvider = {
+  id: 'openai',
+  label: 'OpenAI API (GPT-4, etc.)',
+  shortLabel: 'OpenAI',
+  badgeColor: '#10a37f',
+  capabilities: {
+    streaming: true,
+    modelListing: true,
+    requiresApiKey: true,
+    tools: true,
+    structuredOutput: true
+  },
+  // Configured through the dedicated OpenAI section of the settings panel
+  settingsFields: [],
 
-      // Map period IDs to human-readable names
-      const mapPeriodName = (id) => {
-        if (data.metaData && data.metaData.items && data.metaData.items[id]) {
-          return data.metaData.items[id].name || formatPeriodId(id);
-        }
-        return formatPeriodId(id);
-      };
+  getInfo: (settings) => ({
+    model: settings.model || 'gpt-4',
+    // Reasoning models always run at their default temperature
+    temperature: REASONING_MODELS.test(settings.model || 'gpt-4') ? null : settings.temperature || 0.7,
+    maxTokens: settings.maxTokens || 2000,
+    contextWindow: getContextWindow(settings.model || 'gpt-4'),
+    connection: settings.openaiConnection || 'direct'
+  }),
 
-      // Helper function to format period IDs into readable format
-      const formatPeriodId = (periodId) => {
-        if (!periodId || typeof periodId !== 'string') return periodId;
-        
-        // Handle YYYYMM format (e.g., 202406 -> June 2024)
-        if (periodId.match(/^\d{6}$/)) {
-          const year = periodId.substring(0, 4);
-          const month = parseInt(periodId.substring(4, 6));
-          const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
-                            'July', 'August', 'September', 'October', 'November', 'December'];
-          return `${monthNames[month - 1]} ${year}`;
-        }
-        
-        // Handle YYYYQN format (e.g., 2024Q1 -> Q1 2024)
-        if (periodId.match(/^\d{4}Q\d$/)) {
-          const year = periodId.substring(0, 4);
-          const quarter = periodId.substring(5, 6);
-          return `Q${quarter} ${year}`;
-        }
-        
-        // Handle YYYY format (e.g., 2024 -> Year 2024)
-        if (periodId.match(/^\d{4}$/)) {
-          return `Year ${periodId}`;
-        }
-        
-        return periodId;
-      };
-      
-      // Get the dx and pe indices from the headers
-      const dxIndex = headers.findIndex(h => h.name === 'dx');
-      const peIndex = headers.findIndex(h => h.name === 'pe');
-      
-      // Create a header row with readable names
-      const headerRow = headers.map((h, i) => {
-        if (i === dxIndex && dxIndex !== -1) {
-          return 'Data Element';
-        } else if (i === peIndex && peIndex !== -1) {
-          return 'Period';
-        }
-        return h.column;
-      }).join(',');
-      
-      dataString += headerRow + '\n';
-      
-      // Format each row with readable data element and period names
-      sample.forEach(row => {
-        const formattedRow = row.map((cell, i) => {
-          if (i === dxIndex && dxIndex !== -1) {
-            return mapDataElementName(cell);
-          } else if (i === peIndex && peIndex !== -1) {
-            return mapPeriodName(cell);
-          }
-          return cell;
-        }).join(',');
-        dataString += formattedRow + '\n';
-      })
-      
-      if (rows.length > 5) {
-        dataString += `... (and ${rows.length - 5} more rows)\n`
-      }
-      
-      // Add summary statistics if available
-      if (data.summary) {
-        dataString += '\nSummary Statistics:\n'
-        Object.entries(data.summary).forEach(([key, value]) => {
-          if (key === 'orgUnitBreakdown') {
-            // Skip org unit breakdown in general summary, handle separately
-            return
-          }
-          dataString += `${key}: ${JSON.stringify(value)}\n`
-        })
-        
-        // Add organization unit breakdown if available
-        if (data.summary.orgUnitBreakdown) {
-          dataString += '\nOrganization Unit Breakdown:\n'
-          Object.entries(data.summary.orgUnitBreakdown).forEach(([orgUnit, ouData]) => {
-            dataString += `\n${orgUnit}:\n`
-            Object.entries(ouData).forEach(([dataElement, stats]) => {
-              dataString += `  ${dataElement}: Mean=${stats.mean}, Min=${stats.min}, Max=${stats.max}, Count=${stats.count}\n`
-            })
-          })
-        }
-
-        // Add period breakdown for time series analysis
-        if (data.summary.periodBreakdown) {
-          dataString += '\nPeriod-by-Period Breakdown:\n'
-          Object.entries(data.summary.periodBreakdown).forEach(([period, periodData]) => {
-            dataString += `\n${period}:\n`
-            Object.entries(periodData).forEach(([dataElement, stats]) => {
-              dataString += `  ${dataElement}: Mean=${stats.mean}, Min=${stats.min}, Max=${stats.max}, Count=${stats.count}\n`
-            })
-          })
-        }
-
-        // Add time series data for trend analysis
-        if (data.summary.timeSeriesData) {
-          dataString += '\nTime Series Data (Chronological Order):\n'
-          Object.entries(data.summary.timeSeriesData).forEach(([dataElement, timeSeries]) => {
-            dataString += `\n${dataElement} over time:\n`
-            timeSeries.forEach(point => {
-              dataString += `  ${point.period}: ${point.value}\n`
-            })
-          })
-        }
-      }
-    } else {
-      dataString = 'No data available for the selected data elements in the specified period and location.\n\n' +
-                   'Selected data elements: ' + 
-                   (data.dataElements && data.metaData && data.metaData.items 
-                     ? data.dataElements.map(id => data.metaData.items[id]?.name || 'Unknown Element').join(', ')
-                     : 'Unknown') + '\n' +
-                   'Period: ' + context.period + '\n' + 
-                   'Organization Unit: ' + (context.orgUnit.displayName || context.orgUnit.name || context.orgUnit.id) + '\n\n' +
-                   'Note: This is likely because:\n' +
-                   '- This is a development/test system without complete data\n' +
-                   '- The specific combination of elements, period, and location has no records\n' +
-                   '- The data elements may be new or not yet populated\n'
-    }
-  }
-  
-  return `
-You are an AI assistant specialized in analyzing DHIS2 health data for healthcare professionals and decision-makers in resource-constrained settings. Your goal is to provide clear, actionable insights that can help save lives and improve health outcomes.
-
-IMPORTANT: Never display technical identifiers (UIDs like "UsSUX0cpKsH") in your response. Always refer to data elements and organization units by their proper names.
-
-## Context:
-- User: ${context.user.name} (${context.user.username})
-- Organization Units: ${context.user.orgUnits}
-- Data Elements: ${Array.isArray(context.dataElements) ? context.dataElements.join(', ') : 'None selected'}
-- Period: ${context.period}
-- Organization Unit: ${context.orgUnit.displayName || context.orgUnit.name || "Selected organization unit"}
-${context.orgUnit.level ? `- Organization Unit Level: ${context.orgUnit.level}` : ''}
-${context.orgUnit.path ? `- Organization Unit Hierarchy: ${context.orgUnit.path.split('/').slice(1).join(' > ')}` : ''}
-${context.multiOrgUnitMode ? `
-- **MULTI-ORGANIZATION UNIT ANALYSIS ENABLED**
-- Analysis Type: Comparative analysis across ${context.childOrgUnits.length} child organization units
-- Child Organization Units: ${context.childOrgUnits.map(ou => ou.displayName || ou.name).join(', ')}
-${context.childOrgUnits.length > 0 && context.childOrgUnits[0].level ? `- Child Org Unit Level: ${context.childOrgUnits[0].level}` : ''}
-- Focus: Individual organization unit performance comparison and ranking` : ''}
+  isConfigured: (settings) =>
+    (settings.openaiConnection === 'gateway' && Boolean(settings.gatewayUrl)) || isApiKeySet(),
 
-## Your Task:
-- Analyze the provided health data carefully and objectively
-- Present clear, factual insights about trends, patterns, and anomalies
-- Provide specific, actionable recommendations when appropriate
-- Consider the context of low-resource settings, emergency situations, and limited time
-- Format your response in a clear, readable way using markdown
-- Be concise but comprehensive
+  send: ({ query, data, context, conversation, signal, tools, structured }) =>
+    sendToOpenAI(query, data, context, conversation, null, { signal, tools, structured }),
 
-## Data:
-${dataString}
+  stream: ({ query, data, context, conversation, signal, tools, structured }, onStreamChunk) =>
+    sendToOpenAI(query, data, context, conversation, onStreamChunk, { signal, tools, structured }),
 
-When formulating your response:
-1. First analyze the data briefly to understand what it represents
-2. If there is data available:
-   - Provide key observations and trends in the data
-   - **TIME SERIES ANALYSIS**: Look at the "Time Series Data" and "Period-by-Period Breakdown" sections to identify trends over time, seasonal patterns, peaks, and declines
-   - **PERIOD COMPARISON**: When asked about which month/period has highest/lowest values, refer to the period breakdowns and time series data
-   - Highlight any notable patterns, anomalies, or concerning indicators
-   ${context.multiOrgUnitMode ? `   - **FOR MULTI-ORG UNIT ANALYSIS**: Compare performance across organization units, identify best and worst performers, highlight disparities and outliers
-   - **RANKING AND COMPARISON**: When asked, provide clear rankings and identify specific organization units that need attention
-   - **GEOGRAPHIC INSIGHTS**: Consider geographic or administrative factors that might explain differences between organization units` : ''}
-   - Conclude with 2-5 specific, actionable recommendations
-3. If there is NO data available:
-   - Acknowledge the lack of data without being repetitive
-   - Provide 2-3 BRIEF suggestions specific to the selected data elements about possible next steps
-   - Avoid lengthy explanations about data collection in general
-   - Do NOT assume problems with data collection - this is a development system and may simply not have data
-4. Always use a professional, direct tone appropriate for healthcare contexts
+  complete: ({ messages, json, temperature, user, signal }) =>
+    completeWithOpenAI(messages, { json, temperature, user, signal }),
 
-Focus on delivering practical insights that can inform immediate decision-making in healthcare contexts, particularly in low-resource or emergency settings.
+  listModels: async (options = {}) => {
+    const result = await testOpenAIConnection(options.apiKey, options)
+    return result.models
+  },
 
-Remember:
-1. Avoid showing technical details like UIDs (e.g., "UsSUX0cpKsH") in your analysis
-2. If data element names aren't clear, refer to them by their position or general type (e.g., "the first disease," "disease type A")
-3. Focus on the patterns and insights rather than the raw data representation
-4. ALWAYS use the organization unit's display name (${context.orgUnit.displayName || context.orgUnit.name || "organization unit"}) in your responses, not the ID
-`
+  test: (options = {}) => testOpenAIConnection(options.apiKey, options)
 }
-
-
-/**
- * Extract recommendations from AI message
- * @param {string} message - The AI response message
- * @returns {Array} List of recommendations
- */
-const extractRecommendations = (message) => {
-  const recommendations = []
-  
-  // Look for sections that might contain recommendations
-  const recommendationSections = [
-    /## Recommendations\s+([\s\S]+?)(?=##|$)/i,
-    /Recommendations:\s+([\s\S]+?)(?=##|$)/i,
-    /I recommend\s+([\s\S]+?)(?=##|$)/i,
-    /Actions to consider:\s+([\s\S]+?)(?=##|$)/i,
-  ]
-  
-  for (const pattern of recommendationSections) {
-    const match = message.match(pattern)
-    if (match && match[1]) {
-      // Extract recommendations as bullet points or numbered list
-      const section = match[1].trim()
-      
-      // Try to match bullet points
-      const bulletPoints = section.match(/[•\-\*]\s+([^\n]+)/g)
-      if (bulletPoints) {
-        bulletPoints.forEach(point => {
-          recommendations.push(point.replace(/[•\-\*]\s+/, '').trim())
-        })
-        continue
-      }
-      
-      // Try to match numbered list
-      const numberedPoints = section.match(/\d+\.\s+([^\n]+)/g)
-      if (numberedPoints) {
-        numberedPoints.forEach(point => {
-          recommendations.push(point.replace(/\d+\.\s+/, '').trim())
-        })
-        continue
-      }
-      
-      // If no bullet points found, just use entire section
-      if (recommendations.length === 0) {
-        // Split by lines and filter empty lines
-        const lines = section.split('\n').filter(line => line.trim())
-        lines.forEach(line => {
-          recommendations.push(line.trim())
-        })
-      }
-    }
-  }
-  
-  return recommendations
-}
\ No newline at end of file
@@ -0,0 +1,61 @@
+import axios from 'axios'
+import { completeWithOpenAI, sendToOpenAI } from './openai'
+import { getSettings } from './storage'
+
+jest.mock('axios', () => ({ post: jest.fn(), isCancel: () => false }))
+jest.mock('./storage', () => ({
+  getApiKeyFromStorage: () => 'sk-test',
+  getGatewayToken: () => null,
+  getSettings: jest.fn(),
+  isApiKeySet: () => true
+}))
+
+const answer = { data: { choices: [{ message: { content: 'ok' } }], usage: {} } }
+
+const data = {
+  headers: ['dx', 'pe', 'ou', 'value'].map(name => ({ name })),
+  rows: [['de1', '202401', 'ImspTQPwCqd', '120']],
+  metaData: { items: { de1: { name: 'Malaria cases' } } },
+  dataType: 'aggregate'
+}
+const context = {
+  user: { name: 'Admin', username: 'admin', orgUnits: 'Sierra Leone' },
+  dataElements: ['Malaria cases'],
+  period: 'THIS_YEAR',
+  orgUnit: { id: 'ImspTQPwCqd', displayName: 'Sierra Leone', level: 1 }
+}
+
+const sentBody = () => axios.post.mock.calls[0][1]
+
+describe('OpenAI request parameters', () => {
+  beforeEach(() => {
+    axios.post.mockReset()
+    axios.post.mockResolvedValue(answer)
+  })
+
+  it('sends max_tokens and the temperature to chat models', async () => {
+    getSettings.mockReturnValue({ model: 'gpt-4o', maxTokens: 1500, temperature: 0.3 })
+    await completeWithOpenAI([{ role: 'user', content: 'Hi' }])
+
+    expect(sentBody()).toMatchObject({ max_tokens: 1500, temperature: 0.3 })
+    expect(sentBody()).not.toHaveProperty('max_completion_tokens')
+  })
+
+  it.each(['gpt-5', 'gpt-5-mini', 'o3', 'o4-mini'])('sends max_completion_tokens and no temperature to %s', async (model) => {
+    getSettings.mockReturnValue({ model, maxTokens: 1500, temperature: 0.3 })
+    await completeWithOpenAI([{ role: 'user', content: 'Hi' }], { temperature: 0 })
+
+    expect(sentBody()).toMatchObject({ max_completion_tokens: 1500 })
+    expect(sentBody()).not.toHaveProperty('max_tokens')
+    expect(sentBody()).not.toHaveProperty('temperature')
+  })
+
+  it('sends structured analyses to reasoning models with their parameters', async () => {
+    getSettings.mockReturnValue({ model: 'gpt-5', maxTokens: 1500 })
+    await sendToOpenAI('Summarise', data, context, [], null, { structured: true })
+
+    expect(sentBody().response_format.type).toBe('json_schema')
+    expect(sentBody()).toMatchObject({ max_completion_tokens: 1500 })
+    expect(sentBody()).not.toHaveProperty('temperature')
+  })
+})
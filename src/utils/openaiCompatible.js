@@ -0,0 +1,337 @@
+import axios from 'axios'
+import { getSettings, getSecret } from './storage'
+import { createSystemPrompt, buildChatMessages, createAIResult } from './prompt'
+import {
+  getTokenBudget,
+  getContextWindow,
+  isContextOverflowError,
+  getContextOverflowMessage,
+  OVERFLOW_RETRY_SCALE
+} from './tokens'
+import { handleStreamingResponse } from './openai'
+
+/**
+ * Provider for servers that speak the OpenAI chat-completions protocol:
+ * LM Studio, vLLM, llama.cpp server, LocalAI and Azure OpenAI.
+ * Azure mode is used when an API version is configured.
+ */
+
+/**
+ * Parse custom headers entered as one "Name: value" pair per line
+ * @param {string} text - Header lines
+ * @returns {Object} Headers keyed by name
+ */
+export const parseCustomHeaders = (text) => {
+  const headers = {}
+  if (!text) return headers
+
+  text.split('\n').forEach(line => {
+    const separator = line.indexOf(':')
+    if (separator <= 0) return
+    const name = line.slice(0, separator).trim()
+    const value = line.slice(separator + 1).trim()
+    if (name) {
+      headers[name] = value
+    }
+  })
+  return headers
+}
+
+/**
+ * Collect the endpoint configuration from settings (or from values being edited)
+ * @param {Object} values - Settings values, e.g. from getSettings()
+ * @returns {Object} { baseUrl, apiKey, model, contextWindow, apiVersion, customHeaders }
+ */
+const getEndpointConfig = (values) => ({
+  baseUrl: (values.compatibleBaseUrl || '').trim().replace(/\/+$/, ''),
+  apiKey: values.compatibleApiKey !== undefined ? values.compatibleApiKey : getSecret('compatibleApiKey'),
+  model: values.compatibleModel || '',
+  // Local servers are often started with a smaller context than the model supports
+  contextWindow: values.compatibleContextWindow || getContextWindow(values.compatibleModel),
+  apiVersion: (values.compatibleApiVersion || '').trim(),
+  customHeaders: parseCustomHeaders(
+    values.compatibleHeaders !== undefined ? values.compatibleHeaders : getSecret('compatibleHeaders')
+  )
+})
+
+/**
+ * Build the request headers for an endpoint
+ * @param {Object} config - Endpoint configuration
+ * @returns {Object} Headers
+ */
+const buildHeaders = (config) => {
+  const headers = { 'Content-Type': 'application/json' }
+  if (config.apiKey) {
+    if (config.apiVersion) {
+      // Azure OpenAI authenticates with an api-key header
+      headers['api-key'] = config.apiKey
+    } else {
+      headers.Authorization = `Bearer ${config.apiKey}`
+    }
+  }
+  return { ...headers, ...config.customHeaders }
+}
+
+/**
+ * Resolve the chat-completions and model-listing URLs for an endpoint
+ * @param {Object} config - Endpoint configuration
+ * @returns {Object} { chatUrl, modelsUrl }; modelsUrl is null for Azure, whose data-plane API lists no deployments
+ */
+const buildUrls = (config) => {
+  if (config.apiVersion) {
+    const version = encodeURIComponent(config.apiVersion)
+    return {
+      chatUrl: `${config.baseUrl}/openai/deployments/${encodeURIComponent(config.model)}/chat/completions?api-version=${version}`,
+      modelsUrl: null
+    }
+  }
+  return {
+    chatUrl: `${config.baseUrl}/chat/completions`,
+    modelsUrl: `${config.baseUrl}/models`
+  }
+}
+
+/**
+ * Send a query to an OpenAI-compatible endpoint
+ * @param {string} query - The user's query
+ * @param {Object} data - The DHIS2 data to analyze
+ * @param {Object} context - Additional context information
+ * @param {Array} conversation - The conversation history
+ * @param {Function} onStreamChunk - Optional callback for streaming response chunks
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Object} The AI response (truncated: true when a stream was stopped early)
+ */
+export const sendToOpenAICompatible = async (query, data, context, conversation = [], onStreamChunk = null, options = {}) => {
+  const settings = getSettings() || {}
+  const config = getEndpointConfig(settings)
+  if (!config.baseUrl) {
+    throw new Error('OpenAI-compatible endpoint URL not configured')
+  }
+  if (!config.model) {
+    throw new Error(config.apiVersion ? 'Azure deployment name not configured' : 'Model not configured')
+  }
+
+  const { chatUrl } = buildUrls(config)
+  const headers = buildHeaders(config)
+  const maxTokens = settings.maxTokens || 2000
+
+  // Size the data and history to the model's context window; scale below 1 shrinks them for a retry
+  const sendRequest = async (scale) => {
+    const budget = getTokenBudget(config.model, maxTokens, { contextWindow: config.contextWindow, scale })
+    const systemPrompt = createSystemPrompt(data, context, { model: config.model, tokenBudget: budget.data })
+    const { messages, summarizedCount } = buildChatMessages(systemPrompt, conversation, query, {
+      model: config.model,
+      historyBudget: budget.history
+    })
+
+    const body = {
+      messages,
+      max_tokens: maxTokens,
+      temperature: settings.temperature || 0.7
+    }
+    // Azure selects the model through the deployment in the URL
+    if (!config.apiVersion) {
+      body.model = config.model
+    }
+
+    if (onStreamChunk) {
+      const result = await handleStreamingResponse(chatUrl, { ...body, stream: true }, headers, onStreamChunk, options.signal)
+      return { ...result, model: config.model, summarizedCount }
+    }
+
+    const response = await axios.post(chatUrl, body, { headers, signal: options.signal })
+    const aiMessage = response.data.choices[0].message.content
+
+    return createAIResult(aiMessage, { usage: response.data.usage, model: config.model, summarizedCount })
+  }
+
+  try {
+    try {
+      return await sendRequest(1)
+    } catch (error) {
+      if (!isContextOverflowError(error.response?.data?.error?.message || error.message)) {
+        throw error
+      }
+      // The token estimates were too low for this server: retry once with less data and history
+      console.warn('OpenAI-compatible context window exceeded, retrying with a reduced context')
+      return await sendRequest(OVERFLOW_RETRY_SCALE)
+    }
+  } catch (error) {
+    if (axios.isCancel(error)) {
+      throw error
+    }
+    console.error('OpenAI-compatible API Error:', error.response?.data || error.message)
+    const errorMessage = error.response?.data?.error?.message || error.message
+    if (isContextOverflowError(errorMessage)) {
+      throw new Error(getContextOverflowMessage(config.model, config.contextWindow))
+    }
+    throw new Error(`Failed to communicate with ${config.baseUrl}: ${errorMessage}`)
+  }
+}
+
+/**
+ * Send chat messages to an OpenAI-compatible endpoint as they are, without the data and
+ * instructions of an analysis
+ * @param {Array} messages - Chat messages
+ * @param {Object} options - Request options
+ * @param {boolean} options.json - Ask for an answer that is a JSON object; servers differ in how
+ *   they accept response_format, so this is left to the instructions in the messages
+ * @param {number} options.temperature - Temperature, instead of the one in settings
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Object} { message, usage, model }
+ */
+export const completeWithOpenAICompatible = async (messages, options = {}) => {
+  const settings = getSettings() || {}
+  const config = getEndpointConfig(settings)
+  if (!config.baseUrl || !config.model) {
+    throw new Error('OpenAI-compatible endpoint not configured')
+  }
+
+  const body = {
+    messages,
+    max_tokens: settings.maxTokens || 2000,
+    temperature: options.temperature !== undefined ? options.temperature : settings.temperature || 0.7
+  }
+  if (!config.apiVersion) {
+    body.model = config.model
+  }
+
+  try {
+    const response = await axios.post(buildUrls(config).chatUrl, body, { headers: buildHeaders(config), signal: options.signal })
+    return { message: response.data.choices[0].message.content || '', usage: response.data.usage, model: config.model }
+  } catch (error) {
+    if (axios.isCancel(error)) {
+      throw error
+    }
+    console.error('OpenAI-compatible API Error:', error.response?.data || error.message)
+    throw new Error(`Failed to communicate with ${config.baseUrl}: ${error.response?.data?.error?.message || error.message}`)
+  }
+}
+
+/**
+ * Test an OpenAI-compatible endpoint and list its models. Azure is tested with a
+ * one-token chat completion against the configured deployment, and lists no models
+ * @param {Object} values - Endpoint settings being tested
+ * @returns {Object} Test result with available models
+ */
+export const testOpenAICompatibleConnection = async (values = {}) => {
+  const config = getEndpointConfig(values)
+  if (!config.baseUrl) {
+    throw new Error('Please enter the endpoint URL first')
+  }
+  if (config.apiVersion && !config.model) {
+    throw new Error('Please enter the Azure deployment name first')
+  }
+
+  try {
+    if (config.apiVersion) {
+      await axios.post(buildUrls(config).chatUrl, {
+        messages: [{ role: 'user', content: 'ping' }],
+        max_tokens: 1
+      }, { headers: buildHeaders(config) })
+      return {
+        success: true,
+        models: []
+      }
+    }
+
+    const response = await axios.get(buildUrls(config).modelsUrl, { headers: buildHeaders(config) })
+
+    // Unlike api.openai.com, local servers do not name their models "gpt-*", so keep every model
+    const models = (response.data.data || []).map(model => model.id)
+
+    return {
+      success: true,
+      models
+    }
+  } catch (error) {
+    console.error('OpenAI-compatible Connection Test Error:', error.response?.data || error.message)
+    throw new Error(
+      `Failed to connect to ${config.baseUrl}. ${error.response?.data?.error?.message || error.message}`
+    )
+  }
+}
+
+/**
+ * OpenAI-compatible endpoint provider for the AI provider registry
+ */
+export const openaiCompatibleProvider = {
+  id: 'openai-compatible',
+  label: 'OpenAI-compatible endpoint (LM Studio, vLLM, llama.cpp, Azure OpenAI)',
+  shortLabel: 'OpenAI-compatible',
+  badgeColor: '#5b5fc7',
+  capabilities: {
+    streaming: true,
+    modelListing: true,
+    requiresApiKey: false
+  },
+  settingsFields: [
+    {
+      key: 'compatibleBaseUrl',
+      label: 'Endpoint URL',
+      placeholder: 'http://localhost:8080/v1',
+      helpText: 'Base URL including the API prefix, e.g. http://localhost:8080/v1 for llama.cpp or http://localhost:1234/v1 for LM Studio. For Azure use https://<resource>.openai.azure.com.'
+    },
+    {
+      key: 'compatibleApiKey',
+      label: 'API Key (optional)',
+      type: 'password',
+      secret: true,
+      helpText: 'Stored in your DHIS2 user account. Leave empty for servers that do not require a key.'
+    },
+    {
+      key: 'compatibleModel',
+      label: 'Model or Azure deployment',
+      type: 'model',
+      helpText: 'Test the connection to pick from the models the server reports, or type a model id. For Azure, enter the deployment name.'
+    },
+    {
+      key: 'compatibleContextWindow',
+      label: 'Context window (tokens, optional)',
+      type: 'number',
+      placeholder: '8192',
+      helpText: 'The context size the server was started with (e.g. llama.cpp -c, vLLM --max-model-len). Leave empty to use the known window of the model, or 8192 for unknown models.'
+    },
+    {
+      key: 'compatibleApiVersion',
+      label: 'Azure API version (Azure only)',
+      placeholder: '2024-06-01',
+      helpText: 'Set this for Azure OpenAI. Requests then go to /openai/deployments/<deployment>/chat/completions.'
+    },
+    {
+      key: 'compatibleHeaders',
+      label: 'Custom headers',
+      type: 'textarea',
+      secret: true,
+      placeholder: 'X-Organisation: moh',
+      helpText: 'Extra request headers, one "Name: value" per line. Stored in your DHIS2 user account with the API key, as headers often carry credentials.'
+    }
+  ],
+
+  getInfo: (settings) => ({
+    model: settings.compatibleModel || '',
+    baseUrl: settings.compatibleBaseUrl || '',
+    temperature: settings.temperature || 0.7,
+    maxTokens: settings.maxTokens || 2000,
+    contextWindow: getEndpointConfig(settings).contextWindow
+  }),
+
+  isConfigured: (settings) => Boolean(settings.compatibleBaseUrl && settings.compatibleModel),
+
+  send: ({ query, data, context, conversation, signal }) =>
+    sendToOpenAICompatible(query, data, context, conversation, null, { signal }),
+
+  stream: ({ query, data, context, conversation, signal }, onStreamChunk) =>
+    sendToOpenAICompatible(query, data, context, conversation, onStreamChunk, { signal }),
+
+  complete: ({ messages, json, temperature, signal }) =>
+    completeWithOpenAICompatible(messages, { json, temperature, signal }),
+
+  listModels: async (values = {}) => {
+    const result = await testOpenAICompatibleConnection(values)
+    return result.models
+  },
+
+  test: (values = {}) => testOpenAICompatibleConnection(values)
+}
@@ -0,0 +1,71 @@
+/**
+ * Org unit breakdowns: how the selected organisation unit is split into the
+ * units an analysis compares.
+ *
+ * A breakdown is stored on the selected org unit as
+ * { type: 'children' } for the immediate children,
+ * { type: 'level', level, name } for every unit at a hierarchy level below the
+ * selection (the analytics LEVEL-n item), or
+ * { type: 'group', id, name } for every unit in an org unit group below the
+ * selection (the analytics OU_GROUP-x item).
+ *
+ * Independently of the breakdown, the selected org unit can carry groupSets
+ * ([{ id, name, groups: [{ id, name }] }]): org unit group sets such as facility
+ * type or ownership that the analysis is additionally disaggregated by.
+ */
+
+/**
+ * Get the breakdown requested for an org unit selection
+ * @param {Object} orgUnit - Selected organization unit
+ * @returns {Object|null} The breakdown, or null to analyse the unit on its own
+ */
+export const getOrgUnitBreakdown = (orgUnit) => {
+  if (!orgUnit) return null
+  if (orgUnit.breakdown && orgUnit.breakdown.type) return orgUnit.breakdown
+  // Selections made before level and group breakdowns only carry the children flag
+  return orgUnit.includeChildOrgUnits ? { type: 'children' } : null
+}
+
+/**
+ * Convert a breakdown to the value used by the breakdown picker
+ * @param {Object|null} breakdown - Breakdown
+ * @returns {string} '' (none), 'CHILDREN', 'LEVEL-n' or 'OU_GROUP-x'
+ */
+export const getBreakdownOptionValue = (breakdown) => {
+  if (!breakdown) return ''
+  if (breakdown.type === 'level') return `LEVEL-${breakdown.level}`
+  if (breakdown.type === 'group') return `OU_GROUP-${breakdown.id}`
+  return 'CHILDREN'
+}
+
+/**
+ * Convert a breakdown picker value back into a breakdown
+ * @param {string} value - '' (none), 'CHILDREN', 'LEVEL-n' or 'OU_GROUP-x'
+ * @param {Object} names - { levels: { [level]: name }, groups: { [id]: name } } for labelling
+ * @returns {Object|null} The breakdown
+ */
+export const parseBreakdownOptionValue = (value, names = {}) => {
+  if (!value) return null
+  if (value.startsWith('LEVEL-')) {
+    const level = parseInt(value.slice('LEVEL-'.length), 10)
+    return { type: 'level', level, name: (names.levels && names.levels[level]) || `Level ${level}` }
+  }
+  if (value.startsWith('OU_GROUP-')) {
+    const id = value.slice('OU_GROUP-'.length)
+    return { type: 'group', id, name: (names.groups && names.groups[id]) || id }
+  }
+  return { type: 'children' }
+}
+
+/**
+ * Describe the breakdown of an org unit selection for display
+ * @param {Object} orgUnit - Selected organization unit
+ * @returns {string} e.g. 'child units', 'all Facility units' or 'units in Hospitals'; '' without a breakdown
+ */
+export const getOrgUnitBreakdownName = (orgUnit) => {
+  const breakdown = getOrgUnitBreakdown(orgUnit)
+  if (!breakdown) return ''
+  if (breakdown.type === 'level') return `all ${breakdown.name} units`
+  if (breakdown.type === 'group') return `units in ${breakdown.name}`
+  return 'child units'
+}
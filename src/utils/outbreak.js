@@ -0,0 +1,187 @@
+/**
+ * Outbreak detection for surveillance data: epidemic thresholds computed from the
+ * same periods in earlier years, and the periods and org units exceeding them.
+ *
+ * The baseline of a period is the same period in each of the previous BASELINE_YEARS
+ * years (weeks by week number); for weekly data the neighbouring weeks join it, so each year
+ * contributes three values. Three standard thresholds are computed from the reported baseline values:
+ * - mean + 2 SD (Cullen method): the epidemic threshold,
+ * - third quartile (quartile method): the alert threshold,
+ * - 5-year median: the expected level. Values above the median alone are not alerts.
+ */
+
+import {
+  parsePeriodId,
+  getSamePeriodYearsAgo,
+  shiftPeriodId,
+  getPeriodName,
+  comparePeriodIds
+} from './periods'
+import { round, mean, standardDeviation, quantile } from './statistics'
+
+export const BASELINE_YEARS = 5
+
+// Weeks on each side of the same week in earlier years that join the baseline
+const WEEKLY_BASELINE_WINDOW = 1
+
+// Thresholds need at least this many reported baseline values
+const MIN_BASELINE_VALUES = 3
+
+// The thresholds, highest first, with the alert level of values above them
+export const THRESHOLD_METHODS = [
+  { id: 'mean2sd', name: 'Mean + 2 SD (Cullen)', level: 'epidemic' },
+  { id: 'quartile', name: 'Third quartile (quartile method)', level: 'alert' },
+  { id: 'median', name: '5-year median', level: null }
+]
+
+/**
+ * Get the baseline periods of each period: the same period in each earlier year, with
+ * its neighbours for weekly data
+ * @param {Array} periodIds - Fixed period IDs
+ * @param {number} years - Years of history (defaults to BASELINE_YEARS)
+ * @returns {Object} { [periodId]: [baseline period IDs] }; periods that are not fixed are left out
+ */
+export const getBaselinePeriods = (periodIds, years = BASELINE_YEARS) => {
+  const baselinePeriods = {}
+  periodIds.forEach(id => {
+    const period = parsePeriodId(id)
+    if (!period) return
+    const window = /WEEKLY/.test(period.periodType) ? WEEKLY_BASELINE_WINDOW : 0
+    const ids = []
+    for (let year = 1; year <= years; year++) {
+      const samePeriod = getSamePeriodYearsAgo(id, year)
+      for (let offset = -window; offset <= window; offset++) {
+        ids.push(offset === 0 ? samePeriod : shiftPeriodId(samePeriod, offset))
+      }
+    }
+    baselinePeriods[id] = Array.from(new Set(ids)).sort(comparePeriodIds)
+  })
+  return baselinePeriods
+}
+
+/**
+ * Compute the thresholds from baseline values
+ * @param {Array} values - Reported baseline values
+ * @returns {Object|null} { mean2sd, quartile, median, mean, sd, n }, or null with fewer than MIN_BASELINE_VALUES values
+ */
+export const calculateThresholds = (values) => {
+  if (values.length < MIN_BASELINE_VALUES) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  const avg = mean(values)
+  const sd = standardDeviation(values)
+  return {
+    mean2sd: round(avg + 2 * sd),
+    quartile: round(quantile(sorted, 0.75)),
+    median: round(quantile(sorted, 0.5)),
+    mean: round(avg),
+    sd: round(sd),
+    n: values.length
+  }
+}
+
+/**
+ * Describe an alert for the alert list and the AI prompt
+ * @param {Object} alert - Alert from detectOutbreaks
+ * @returns {string} e.g. 'Malaria cases in District A, Week 12 2024: 340, above the epidemic threshold ...'
+ */
+export const describeOutbreakAlert = (alert) => {
+  const subject = alert.orgUnit ? `${alert.dataElement} in ${alert.orgUnit}` : alert.dataElement
+  const { thresholds } = alert
+  return `${subject}, ${getPeriodName(alert.period)}: ${alert.value}, above the ` +
+    `${alert.level === 'epidemic' ? 'epidemic threshold' : 'alert threshold'} ` +
+    `(mean + 2 SD ${thresholds.mean2sd}, third quartile ${thresholds.quartile}, 5-year median ${thresholds.median}` +
+    `${alert.timesMedian !== null ? `; ${alert.timesMedian} times the median` : ''})`
+}
+
+const LEVEL_ORDER = { epidemic: 0, alert: 1 }
+
+/**
+ * Compare every value with the thresholds from its baseline and rank the values above them
+ * @param {Object} current - { headers, rows, metaData } of the selected periods
+ * @param {Object} baseline - { baselinePeriods, headers, rows } from the baseline request
+ * @param {Object} options
+ * @param {boolean} options.multiOrgUnitMode - Name the org unit of each alert
+ * @returns {Object|null} { baselineYears, latestPeriod, evaluated, insufficientHistory, aboveMedian,
+ *   alerts: [{ dataElement, orgUnit, period, value, thresholds, exceeded, level, timesMedian, latest }] },
+ *   or null without data, period and org unit columns
+ */
+export const detectOutbreaks = (current, baseline, options = {}) => {
+  const { multiOrgUnitMode = false } = options
+  const columns = (headers) => ({
+    value: headers.findIndex(h => h.name === 'value'),
+    dx: headers.findIndex(h => h.name === 'dx'),
+    pe: headers.findIndex(h => h.name === 'pe'),
+    ou: headers.findIndex(h => h.name === 'ou')
+  })
+  const currentColumns = columns(current.headers)
+  const baselineColumns = columns(baseline.headers)
+  if (Object.values(currentColumns).includes(-1) || Object.values(baselineColumns).includes(-1)) return null
+
+  // Reported baseline values by data element, org unit and period
+  const history = {}
+  baseline.rows.forEach(row => {
+    const value = parseFloat(row[baselineColumns.value])
+    if (!isNaN(value)) {
+      history[`${row[baselineColumns.dx]}|${row[baselineColumns.ou]}|${row[baselineColumns.pe]}`] = value
+    }
+  })
+
+  const items = (current.metaData && current.metaData.items) || {}
+  const getName = (id) => (items[id] && items[id].name) || id
+  const latestPeriod = Object.keys(baseline.baselinePeriods).sort(comparePeriodIds).pop() || null
+
+  let evaluated = 0
+  let insufficientHistory = 0
+  let aboveMedian = 0
+  const alerts = []
+  current.rows.forEach(row => {
+    const value = parseFloat(row[currentColumns.value])
+    const deId = row[currentColumns.dx]
+    const ouId = row[currentColumns.ou]
+    const period = row[currentColumns.pe]
+    const baselinePeriods = baseline.baselinePeriods[period]
+    if (isNaN(value) || !baselinePeriods) return
+
+    const thresholds = calculateThresholds(baselinePeriods
+      .map(id => history[`${deId}|${ouId}|${id}`])
+      .filter(baselineValue => baselineValue !== undefined))
+    if (!thresholds) {
+      insufficientHistory++
+      return
+    }
+    evaluated++
+
+    const exceeded = THRESHOLD_METHODS.filter(method => value > thresholds[method.id]).map(method => method.id)
+    if (exceeded.includes('median')) aboveMedian++
+    const level = THRESHOLD_METHODS.find(method => method.level && exceeded.includes(method.id))
+    if (!level) return
+    alerts.push({
+      dataElement: getName(deId),
+      orgUnit: multiOrgUnitMode ? getName(ouId) : null,
+      period,
+      value: round(value),
+      thresholds,
+      exceeded,
+      level: level.level,
+      timesMedian: thresholds.median > 0 ? round(value / thresholds.median, 1) : null,
+      latest: period === latestPeriod
+    })
+  })
+
+  // Epidemic before alert level, then the latest period first, then the largest excess over the usual level
+  alerts.sort((a, b) =>
+    LEVEL_ORDER[a.level] - LEVEL_ORDER[b.level] ||
+    Number(b.latest) - Number(a.latest) ||
+    (b.timesMedian || 0) - (a.timesMedian || 0) ||
+    comparePeriodIds(b.period, a.period)
+  )
+
+  return {
+    baselineYears: BASELINE_YEARS,
+    latestPeriod,
+    evaluated,
+    insufficientHistory,
+    aboveMedian,
+    alerts: alerts.map(alert => ({ ...alert, message: describeOutbreakAlert(alert) }))
+  }
+}
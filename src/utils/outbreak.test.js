@@ -0,0 +1,85 @@
+import { getBaselinePeriods, calculateThresholds, detectOutbreaks } from './outbreak'
+
+describe('getBaselinePeriods', () => {
+  it('takes the same week and its neighbours in earlier years for week 1', () => {
+    expect(getBaselinePeriods(['2021W1'], 2)).toEqual({
+      '2021W1': ['2018W52', '2019W1', '2019W2', '2019W52', '2020W1', '2020W2']
+    })
+  })
+
+  it('takes the same week and its neighbours in earlier years for week 52', () => {
+    expect(getBaselinePeriods(['2021W52'], 2)).toEqual({
+      '2021W52': ['2019W51', '2019W52', '2020W1', '2020W51', '2020W52', '2020W53']
+    })
+  })
+
+  it('takes the last week of years without a week 53', () => {
+    expect(getBaselinePeriods(['2020W53'], 5)['2020W53']).toEqual([
+      '2015W52', '2015W53', '2016W1',
+      '2016W51', '2016W52', '2017W1',
+      '2017W51', '2017W52', '2018W1',
+      '2018W51', '2018W52', '2019W1',
+      '2019W51', '2019W52', '2020W1'
+    ])
+  })
+
+  it('takes only the same period for other period types and skips relative periods', () => {
+    expect(getBaselinePeriods(['202403', 'LAST_12_MONTHS'])).toEqual({
+      '202403': ['201903', '202003', '202103', '202203', '202303']
+    })
+  })
+})
+
+describe('calculateThresholds', () => {
+  it('computes mean + 2 SD, the third quartile and the median', () => {
+    expect(calculateThresholds([10, 12, 14, 16, 18])).toEqual({
+      mean2sd: 20.32,
+      quartile: 16,
+      median: 14,
+      mean: 14,
+      sd: 3.16,
+      n: 5
+    })
+  })
+
+  it('needs at least three values', () => {
+    expect(calculateThresholds([1, 2])).toBeNull()
+  })
+})
+
+describe('detectOutbreaks', () => {
+  const headers = [{ name: 'dx' }, { name: 'pe' }, { name: 'ou' }, { name: 'value' }]
+  const baselinePeriods = getBaselinePeriods(['202403', '202404'])
+  const baselineRows = ['201903', '202003', '202103', '202203', '202303', '201904', '202004', '202104', '202204', '202304']
+    .map((pe, index) => ['de1', pe, 'ou1', String(10 + (index % 5))])
+
+  it('ranks values above the epidemic threshold first and names their period', () => {
+    const result = detectOutbreaks(
+      {
+        headers,
+        rows: [['de1', '202403', 'ou1', '13'], ['de1', '202404', 'ou1', '40']],
+        metaData: { items: { de1: { name: 'Malaria cases' } } }
+      },
+      { baselinePeriods, headers, rows: baselineRows }
+    )
+    expect(result.evaluated).toBe(2)
+    expect(result.latestPeriod).toBe('202404')
+    expect(result.alerts).toHaveLength(1)
+    expect(result.alerts[0]).toMatchObject({
+      dataElement: 'Malaria cases',
+      period: '202404',
+      level: 'epidemic',
+      latest: true,
+      timesMedian: 3.3
+    })
+  })
+
+  it('counts values without enough history', () => {
+    const result = detectOutbreaks(
+      { headers, rows: [['de1', '202403', 'ou2', '40']], metaData: { items: {} } },
+      { baselinePeriods, headers, rows: baselineRows }
+    )
+    expect(result.insufficientHistory).toBe(1)
+    expect(result.alerts).toEqual([])
+  })
+})
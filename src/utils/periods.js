@@ -0,0 +1,608 @@
+/**
+ * DHIS2 period model: relative period keywords, fixed period types, a fixed
+ * period generator and conversion of period selections into date ranges.
+ *
+ * A period selection is a string of one or more relative keywords and/or
+ * fixed period IDs separated by semicolons (e.g. 'LAST_12_MONTHS' or
+ * '202401;202402;2024Q2'), the same form the analytics pe dimension accepts.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December']
+
+// Start day (0 = Sunday) and ID infix for each weekly period type
+const WEEKLY_TYPES = {
+  WEEKLY: { infix: 'W', startDay: 1 },
+  WEEKLY_WEDNESDAY: { infix: 'WedW', startDay: 3 },
+  WEEKLY_THURSDAY: { infix: 'ThuW', startDay: 4 },
+  WEEKLY_SATURDAY: { infix: 'SatW', startDay: 6 },
+  WEEKLY_SUNDAY: { infix: 'SunW', startDay: 0 }
+}
+
+// First month (0-based) and ID suffix for each financial year period type
+const FINANCIAL_TYPES = {
+  FINANCIAL_APRIL: { suffix: 'April', startMonth: 3 },
+  FINANCIAL_JULY: { suffix: 'July', startMonth: 6 },
+  FINANCIAL_OCT: { suffix: 'Oct', startMonth: 9 },
+  FINANCIAL_NOV: { suffix: 'Nov', startMonth: 10 }
+}
+
+/**
+ * All DHIS2 fixed period types
+ */
+export const PERIOD_TYPES = [
+  { id: 'DAILY', name: 'Daily' },
+  { id: 'WEEKLY', name: 'Weekly' },
+  { id: 'WEEKLY_WEDNESDAY', name: 'Weekly (Wednesday)' },
+  { id: 'WEEKLY_THURSDAY', name: 'Weekly (Thursday)' },
+  { id: 'WEEKLY_SATURDAY', name: 'Weekly (Saturday)' },
+  { id: 'WEEKLY_SUNDAY', name: 'Weekly (Sunday)' },
+  { id: 'BI_WEEKLY', name: 'Bi-weekly' },
+  { id: 'MONTHLY', name: 'Monthly' },
+  { id: 'BI_MONTHLY', name: 'Bi-monthly' },
+  { id: 'QUARTERLY', name: 'Quarterly' },
+  { id: 'SIX_MONTHLY', name: 'Six-monthly' },
+  { id: 'SIX_MONTHLY_APRIL', name: 'Six-monthly April' },
+  { id: 'SIX_MONTHLY_NOV', name: 'Six-monthly November' },
+  { id: 'YEARLY', name: 'Yearly' },
+  { id: 'FINANCIAL_APRIL', name: 'Financial year (Start April)' },
+  { id: 'FINANCIAL_JULY', name: 'Financial year (Start July)' },
+  { id: 'FINANCIAL_OCT', name: 'Financial year (Start October)' },
+  { id: 'FINANCIAL_NOV', name: 'Financial year (Start November)' }
+]
+
+// Financial year type used to resolve *_FINANCIAL_YEAR keywords (the DHIS2 default system setting)
+export const DEFAULT_FINANCIAL_YEAR_TYPE = 'FINANCIAL_OCT'
+
+// ---- Date helpers (all dates are UTC midnight to avoid daylight saving shifts) ----
+
+const utcDate = (year, month, day) => new Date(Date.UTC(year, month, day))
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS)
+
+const pad = (value, length = 2) => String(value).padStart(length, '0')
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date - UTC date
+ * @returns {string} Formatted date
+ */
+export const formatDate = (date) =>
+  `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`
+
+/**
+ * Today's local calendar date as a UTC midnight date
+ * @param {Date} now - Reference time
+ * @returns {Date} Today
+ */
+const toDay = (now) => utcDate(now.getFullYear(), now.getMonth(), now.getDate())
+
+// ---- Weeks ----
+
+/**
+ * Start of week 1: the week starting on startDay that contains 4 January
+ * @param {number} year - Calendar year
+ * @param {number} startDay - First day of the week (0 = Sunday)
+ * @returns {Date} Start date of week 1
+ */
+const firstWeekStart = (year, startDay) => {
+  const jan4 = utcDate(year, 0, 4)
+  return addDays(jan4, -((jan4.getUTCDay() - startDay + 7) % 7))
+}
+
+const weeksInYear = (year, startDay) =>
+  Math.round((firstWeekStart(year + 1, startDay) - firstWeekStart(year, startDay)) / (7 * DAY_MS))
+
+/**
+ * Find the week-year and week number of a date
+ * @param {Date} date - UTC date
+ * @param {number} startDay - First day of the week (0 = Sunday)
+ * @returns {Object} { year, week }
+ */
+const weekOf = (date, startDay) => {
+  let year = date.getUTCFullYear()
+  if (date < firstWeekStart(year, startDay)) {
+    year--
+  } else if (date >= firstWeekStart(year + 1, startDay)) {
+    year++
+  }
+  const week = Math.floor((date - firstWeekStart(year, startDay)) / (7 * DAY_MS)) + 1
+  return { year, week }
+}
+
+// ---- Fixed periods ----
+
+/**
+ * Get the ID of the fixed period of a type that contains a date
+ * @param {string} periodType - Period type ID (e.g. 'MONTHLY')
+ * @param {Date} date - UTC date
+ * @returns {string} Fixed period ID
+ */
+export const getPeriodIdForDate = (periodType, date) => {
+  const year = date.getUTCFullYear()
+  const month = date.getUTCMonth()
+
+  if (WEEKLY_TYPES[periodType]) {
+    const { infix, startDay } = WEEKLY_TYPES[periodType]
+    const { year: weekYear, week } = weekOf(date, startDay)
+    return `${weekYear}${infix}${week}`
+  }
+  if (FINANCIAL_TYPES[periodType]) {
+    const { suffix, startMonth } = FINANCIAL_TYPES[periodType]
+    return `${month >= startMonth ? year : year - 1}${suffix}`
+  }
+
+  switch (periodType) {
+    case 'DAILY':
+      return `${year}${pad(month + 1)}${pad(date.getUTCDate())}`
+    case 'BI_WEEKLY': {
+      const { year: weekYear, week } = weekOf(date, 1)
+      return `${weekYear}BiW${Math.ceil(week / 2)}`
+    }
+    case 'MONTHLY':
+      return `${year}${pad(month + 1)}`
+    case 'BI_MONTHLY':
+      return `${year}${pad(Math.floor(month / 2) + 1)}B`
+    case 'QUARTERLY':
+      return `${year}Q${Math.floor(month / 3) + 1}`
+    case 'SIX_MONTHLY':
+      return `${year}S${month < 6 ? 1 : 2}`
+    case 'SIX_MONTHLY_APRIL':
+      if (month < 3) return `${year - 1}AprilS2`
+      return `${year}AprilS${month < 9 ? 1 : 2}`
+    case 'SIX_MONTHLY_NOV':
+      if (month >= 10) return `${year}NovS1`
+      return `${year - 1}NovS${month < 4 ? 1 : 2}`
+    case 'YEARLY':
+      return `${year}`
+    default:
+      throw new Error(`Unknown period type: ${periodType}`)
+  }
+}
+
+/**
+ * Describe a span of whole months, e.g. "January - March 2024"
+ * @param {Date} start - First day
+ * @param {Date} end - Last day
+ * @returns {string} Readable name
+ */
+const monthSpanName = (start, end) => {
+  const startName = MONTH_NAMES[start.getUTCMonth()]
+  const endName = MONTH_NAMES[end.getUTCMonth()]
+  if (start.getUTCFullYear() === end.getUTCFullYear()) {
+    return `${startName} - ${endName} ${end.getUTCFullYear()}`
+  }
+  return `${startName} ${start.getUTCFullYear()} - ${endName} ${end.getUTCFullYear()}`
+}
+
+/**
+ * Build a month-based period description
+ * @param {string} id - Period ID
+ * @param {string} periodType - Period type ID
+ * @param {number} year - Year of the first month
+ * @param {number} month - First month (0-based, may overflow)
+ * @param {number} length - Number of months
+ * @param {string} name - Optional name (defaults to the month span)
+ * @returns {Object} Period description
+ */
+const monthPeriod = (id, periodType, year, month, length, name = null) => {
+  const startDate = utcDate(year, month, 1)
+  const endDate = utcDate(year, month + length, 0)
+  return { id, periodType, startDate, endDate, name: name || monthSpanName(startDate, endDate) }
+}
+
+/**
+ * Parse a fixed period ID
+ * @param {string} id - Fixed period ID (e.g. '202401', '2024W5', '2024AprilS1')
+ * @returns {Object|null} { id, periodType, startDate, endDate, name } or null if it is not a fixed period
+ */
+export const parsePeriodId = (id) => {
+  if (!id || typeof id !== 'string') return null
+  let match
+
+  if ((match = id.match(/^(\d{4})(\d{2})(\d{2})$/))) {
+    const date = utcDate(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+    // Date.UTC rolls invalid days over into the next month
+    if (formatDate(date) !== `${match[1]}-${match[2]}-${match[3]}`) return null
+    return { id, periodType: 'DAILY', startDate: date, endDate: date, name: formatDate(date) }
+  }
+
+  if ((match = id.match(/^(\d{4})(W|WedW|ThuW|SatW|SunW|BiW)(\d{1,2})$/))) {
+    const year = Number(match[1])
+    const number = Number(match[3])
+    if (match[2] === 'BiW') {
+      const limit = firstWeekStart(year + 1, 1)
+      const startDate = addDays(firstWeekStart(year, 1), (number - 1) * 14)
+      if (number < 1 || startDate >= limit) return null
+      const endDate = new Date(Math.min(addDays(startDate, 13).getTime(), addDays(limit, -1).getTime()))
+      return {
+        id,
+        periodType: 'BI_WEEKLY',
+        startDate,
+        endDate,
+        name: `Bi-week ${number} ${year} (${formatDate(startDate)} - ${formatDate(endDate)})`
+      }
+    }
+    const periodType = Object.keys(WEEKLY_TYPES).find(type => WEEKLY_TYPES[type].infix === match[2])
+    const { startDay } = WEEKLY_TYPES[periodType]
+    if (number < 1 || number > weeksInYear(year, startDay)) return null
+    const startDate = addDays(firstWeekStart(year, startDay), (number - 1) * 7)
+    const endDate = addDays(startDate, 6)
+    return {
+      id,
+      periodType,
+      startDate,
+      endDate,
+      name: `Week ${number} ${year} (${formatDate(startDate)} - ${formatDate(endDate)})`
+    }
+  }
+
+  if ((match = id.match(/^(\d{4})(\d{2})$/))) {
+    const month = Number(match[2])
+    if (month < 1 || month > 12) return null
+    return monthPeriod(id, 'MONTHLY', Number(match[1]), month - 1, 1, `${MONTH_NAMES[month - 1]} ${match[1]}`)
+  }
+
+  if ((match = id.match(/^(\d{4})(\d{2})B$/))) {
+    const index = Number(match[2])
+    if (index < 1 || index > 6) return null
+    return monthPeriod(id, 'BI_MONTHLY', Number(match[1]), (index - 1) * 2, 2)
+  }
+
+  if ((match = id.match(/^(\d{4})Q([1-4])$/))) {
+    const quarter = Number(match[2])
+    return monthPeriod(id, 'QUARTERLY', Number(match[1]), (quarter - 1) * 3, 3, `Q${quarter} ${match[1]}`)
+  }
+
+  if ((match = id.match(/^(\d{4})(April|Nov)?S([12])$/))) {
+    const year = Number(match[1])
+    const half = Number(match[3])
+    const periodType = match[2] === 'April' ? 'SIX_MONTHLY_APRIL' : match[2] === 'Nov' ? 'SIX_MONTHLY_NOV' : 'SIX_MONTHLY'
+    const firstMonth = { SIX_MONTHLY: 0, SIX_MONTHLY_APRIL: 3, SIX_MONTHLY_NOV: 10 }[periodType]
+    return monthPeriod(id, periodType, year, firstMonth + (half - 1) * 6, 6)
+  }
+
+  if ((match = id.match(/^(\d{4})$/))) {
+    return monthPeriod(id, 'YEARLY', Number(match[1]), 0, 12, match[1])
+  }
+
+  if ((match = id.match(/^(\d{4})(April|July|Oct|Nov)$/))) {
+    const periodType = Object.keys(FINANCIAL_TYPES).find(type => FINANCIAL_TYPES[type].suffix === match[2])
+    const period = monthPeriod(id, periodType, Number(match[1]), FINANCIAL_TYPES[periodType].startMonth, 12)
+    return { ...period, name: `Financial year ${period.name}` }
+  }
+
+  return null
+}
+
+/**
+ * Get the period of the same type immediately before or after a fixed period
+ * @param {string} id - Fixed period ID
+ * @param {number} offset - Number of periods to move (negative moves back)
+ * @returns {string} Fixed period ID
+ */
+export const shiftPeriodId = (id, offset) => {
+  let period = parsePeriodId(id)
+  if (!period) {
+    throw new Error(`Not a fixed period: ${id}`)
+  }
+  let current = id
+  for (let i = 0; i < Math.abs(offset); i++) {
+    const date = offset < 0 ? addDays(period.startDate, -1) : addDays(period.endDate, 1)
+    current = getPeriodIdForDate(period.periodType, date)
+    period = parsePeriodId(current)
+  }
+  return current
+}
+
+/**
+ * Generate all fixed periods of a type that start in a year
+ * @param {string} periodType - Period type ID
+ * @param {number} year - Calendar year (or week-year for weekly types)
+ * @returns {Array} Periods [{ id, name, startDate, endDate }] with YYYY-MM-DD dates
+ */
+export const generateFixedPeriods = (periodType, year) => {
+  const periods = []
+  let id
+
+  if (WEEKLY_TYPES[periodType] || periodType === 'BI_WEEKLY') {
+    const startDay = periodType === 'BI_WEEKLY' ? 1 : WEEKLY_TYPES[periodType].startDay
+    id = getPeriodIdForDate(periodType, firstWeekStart(year, startDay))
+  } else if (FINANCIAL_TYPES[periodType]) {
+    id = `${year}${FINANCIAL_TYPES[periodType].suffix}`
+  } else if (periodType === 'SIX_MONTHLY_APRIL') {
+    id = `${year}AprilS1`
+  } else if (periodType === 'SIX_MONTHLY_NOV') {
+    id = `${year}NovS1`
+  } else {
+    id = getPeriodIdForDate(periodType, utcDate(year, 0, 1))
+  }
+
+  // Collect every period whose ID belongs to this year
+  while (id.startsWith(String(year))) {
+    const period = parsePeriodId(id)
+    periods.push({
+      id,
+      name: period.name,
+      startDate: formatDate(period.startDate),
+      endDate: formatDate(period.endDate)
+    })
+    id = shiftPeriodId(id, 1)
+  }
+
+  return periods
+}
+
+// ---- Relative periods ----
+
+/**
+ * The n periods of a type before the current one (optionally including it), oldest first
+ * @param {string} periodType - Period type ID
+ * @param {number} count - Number of periods
+ * @param {Date} today - Reference date
+ * @param {boolean} includeCurrent - Include the period containing today
+ * @returns {Array} Fixed period IDs
+ */
+const lastPeriods = (periodType, count, today, includeCurrent = false) => {
+  let id = getPeriodIdForDate(periodType, today)
+  if (!includeCurrent) {
+    id = shiftPeriodId(id, -1)
+  }
+  const ids = [id]
+  for (let i = 1; i < count; i++) {
+    id = shiftPeriodId(id, -1)
+    ids.unshift(id)
+  }
+  return ids
+}
+
+const periodsThisYear = (periodType, today) => {
+  const year = periodType === 'WEEKLY' ? weekOf(today, 1).year : today.getUTCFullYear()
+  return generateFixedPeriods(periodType, year).map(period => period.id)
+}
+
+/**
+ * DHIS2 relative periods, grouped as in the DHIS2 period selector.
+ * resolve(today, financialYearType) returns the fixed periods analytics uses for the keyword.
+ */
+export const RELATIVE_PERIODS = [
+  { id: 'TODAY', name: 'Today', group: 'Days', resolve: today => lastPeriods('DAILY', 1, today, true) },
+  { id: 'YESTERDAY', name: 'Yesterday', group: 'Days', resolve: today => lastPeriods('DAILY', 1, today) },
+  { id: 'LAST_3_DAYS', name: 'Last 3 days', group: 'Days', resolve: today => lastPeriods('DAILY', 3, today) },
+  { id: 'LAST_7_DAYS', name: 'Last 7 days', group: 'Days', resolve: today => lastPeriods('DAILY', 7, today) },
+  { id: 'LAST_14_DAYS', name: 'Last 14 days', group: 'Days', resolve: today => lastPeriods('DAILY', 14, today) },
+  { id: 'LAST_30_DAYS', name: 'Last 30 days', group: 'Days', resolve: today => lastPeriods('DAILY', 30, today) },
+  { id: 'LAST_60_DAYS', name: 'Last 60 days', group: 'Days', resolve: today => lastPeriods('DAILY', 60, today) },
+  { id: 'LAST_90_DAYS', name: 'Last 90 days', group: 'Days', resolve: today => lastPeriods('DAILY', 90, today) },
+  { id: 'LAST_180_DAYS', name: 'Last 180 days', group: 'Days', resolve: today => lastPeriods('DAILY', 180, today) },
+
+  { id: 'THIS_WEEK', name: 'This week', group: 'Weeks', resolve: today => lastPeriods('WEEKLY', 1, today, true) },
+  { id: 'LAST_WEEK', name: 'Last week', group: 'Weeks', resolve: today => lastPeriods('WEEKLY', 1, today) },
+  { id: 'LAST_4_WEEKS', name: 'Last 4 weeks', group: 'Weeks', resolve: today => lastPeriods('WEEKLY', 4, today) },
+  { id: 'LAST_12_WEEKS', name: 'Last 12 weeks', group: 'Weeks', resolve: today => lastPeriods('WEEKLY', 12, today) },
+  { id: 'LAST_52_WEEKS', name: 'Last 52 weeks', group: 'Weeks', resolve: today => lastPeriods('WEEKLY', 52, today) },
+  { id: 'WEEKS_THIS_YEAR', name: 'Weeks this year', group: 'Weeks', resolve: today => periodsThisYear('WEEKLY', today) },
+
+  { id: 'THIS_BIWEEK', name: 'This bi-week', group: 'Bi-weeks', resolve: today => lastPeriods('BI_WEEKLY', 1, today, true) },
+  { id: 'LAST_BIWEEK', name: 'Last bi-week', group: 'Bi-weeks', resolve: today => lastPeriods('BI_WEEKLY', 1, today) },
+  { id: 'LAST_4_BIWEEKS', name: 'Last 4 bi-weeks', group: 'Bi-weeks', resolve: today => lastPeriods('BI_WEEKLY', 4, today) },
+
+  { id: 'THIS_MONTH', name: 'This month', group: 'Months', resolve: today => lastPeriods('MONTHLY', 1, today, true) },
+  { id: 'LAST_MONTH', name: 'Last month', group: 'Months', resolve: today => lastPeriods('MONTHLY', 1, today) },
+  { id: 'LAST_3_MONTHS', name: 'Last 3 months', group: 'Months', resolve: today => lastPeriods('MONTHLY', 3, today) },
+  { id: 'LAST_6_MONTHS', name: 'Last 6 months', group: 'Months', resolve: today => lastPeriods('MONTHLY', 6, today) },
+  { id: 'LAST_12_MONTHS', name: 'Last 12 months', group: 'Months', resolve: today => lastPeriods('MONTHLY', 12, today) },
+  { id: 'MONTHS_THIS_YEAR', name: 'Months this year', group: 'Months', resolve: today => periodsThisYear('MONTHLY', today) },
+
+  { id: 'THIS_BIMONTH', name: 'This bi-month', group: 'Bi-months', resolve: today => lastPeriods('BI_MONTHLY', 1, today, true) },
+  { id: 'LAST_BIMONTH', name: 'Last bi-month', group: 'Bi-months', resolve: today => lastPeriods('BI_MONTHLY', 1, today) },
+  { id: 'LAST_6_BIMONTHS', name: 'Last 6 bi-months', group: 'Bi-months', resolve: today => lastPeriods('BI_MONTHLY', 6, today) },
+  { id: 'BIMONTHS_THIS_YEAR', name: 'Bi-months this year', group: 'Bi-months', resolve: today => periodsThisYear('BI_MONTHLY', today) },
+
+  { id: 'THIS_QUARTER', name: 'This quarter', group: 'Quarters', resolve: today => lastPeriods('QUARTERLY', 1, today, true) },
+  { id: 'LAST_QUARTER', name: 'Last quarter', group: 'Quarters', resolve: today => lastPeriods('QUARTERLY', 1, today) },
+  { id: 'LAST_4_QUARTERS', name: 'Last 4 quarters', group: 'Quarters', resolve: today => lastPeriods('QUARTERLY', 4, today) },
+  { id: 'QUARTERS_THIS_YEAR', name: 'Quarters this year', group: 'Quarters', resolve: today => periodsThisYear('QUARTERLY', today) },
+
+  { id: 'THIS_SIX_MONTH', name: 'This six-month', group: 'Six-months', resolve: today => lastPeriods('SIX_MONTHLY', 1, today, true) },
+  { id: 'LAST_SIX_MONTH', name: 'Last six-month', group: 'Six-months', resolve: today => lastPeriods('SIX_MONTHLY', 1, today) },
+  { id: 'LAST_2_SIXMONTHS', name: 'Last 2 six-months', group: 'Six-months', resolve: today => lastPeriods('SIX_MONTHLY', 2, today) },
+
+  { id: 'THIS_FINANCIAL_YEAR', name: 'This financial year', group: 'Financial years', resolve: (today, fyType) => lastPeriods(fyType, 1, today, true) },
+  { id: 'LAST_FINANCIAL_YEAR', name: 'Last financial year', group: 'Financial years', resolve: (today, fyType) => lastPeriods(fyType, 1, today) },
+  { id: 'LAST_5_FINANCIAL_YEARS', name: 'Last 5 financial years', group: 'Financial years', resolve: (today, fyType) => lastPeriods(fyType, 5, today) },
+
+  { id: 'THIS_YEAR', name: 'This year', group: 'Years', resolve: today => lastPeriods('YEARLY', 1, today, true) },
+  { id: 'LAST_YEAR', name: 'Last year', group: 'Years', resolve: today => lastPeriods('YEARLY', 1, today) },
+  { id: 'LAST_5_YEARS', name: 'Last 5 years', group: 'Years', resolve: today => lastPeriods('YEARLY', 5, today) },
+  { id: 'LAST_10_YEARS', name: 'Last 10 years', group: 'Years', resolve: today => lastPeriods('YEARLY', 10, today) }
+]
+
+const relativePeriodsById = RELATIVE_PERIODS.reduce((byId, period) => ({ ...byId, [period.id]: period }), {})
+
+/**
+ * Check whether a period ID is a DHIS2 relative period keyword
+ * @param {string} id - Period ID
+ * @returns {boolean} True for relative keywords such as LAST_12_MONTHS
+ */
+export const isRelativePeriod = (id) => Boolean(relativePeriodsById[id])
+
+/**
+ * Split a period selection into its period IDs
+ * @param {string|Array} selection - Period selection ('LAST_MONTH;202401') or array of IDs
+ * @returns {Array} Period IDs
+ */
+export const splitPeriodSelection = (selection) => {
+  if (!selection) return []
+  const ids = Array.isArray(selection) ? selection : String(selection).split(';')
+  return ids.map(id => String(id).trim()).filter(Boolean)
+}
+
+/**
+ * Join period IDs into a selection string
+ * @param {Array} ids - Period IDs
+ * @returns {string} Period selection
+ */
+export const joinPeriodSelection = (ids) => Array.from(new Set(ids)).join(';')
+
+/**
+ * Check that every ID in a selection is a relative keyword or a valid fixed period
+ * @param {string} selection - Period selection
+ * @returns {Array} The IDs that are not recognised
+ */
+export const findInvalidPeriods = (selection) =>
+  splitPeriodSelection(selection).filter(id => !isRelativePeriod(id) && !parsePeriodId(id))
+
+/**
+ * Compare two period IDs chronologically by start date; unknown IDs sort last
+ * @param {string} a - Period ID
+ * @param {string} b - Period ID
+ * @returns {number} Negative, zero or positive, for use with Array.sort
+ */
+export const comparePeriodIds = (a, b) => {
+  const periodA = parsePeriodId(a)
+  const periodB = parsePeriodId(b)
+  if (!periodA || !periodB) {
+    return (periodA ? -1 : 1) - (periodB ? -1 : 1) || String(a).localeCompare(String(b))
+  }
+  return periodA.startDate - periodB.startDate || periodA.endDate - periodB.endDate
+}
+
+/**
+ * Resolve a period selection into fixed period IDs, oldest first
+ * @param {string} selection - Period selection
+ * @param {Object} options - Options
+ * @param {Date} options.now - Reference time (defaults to now)
+ * @param {string} options.financialYearType - Financial year type for *_FINANCIAL_YEAR keywords
+ * @returns {Array} Fixed period IDs
+ */
+export const resolvePeriods = (selection, options = {}) => {
+  const today = toDay(options.now || new Date())
+  const financialYearType = options.financialYearType || DEFAULT_FINANCIAL_YEAR_TYPE
+
+  const ids = splitPeriodSelection(selection).flatMap(id => {
+    if (isRelativePeriod(id)) {
+      return relativePeriodsById[id].resolve(today, financialYearType)
+    }
+    return parsePeriodId(id) ? [id] : []
+  })
+
+  return Array.from(new Set(ids)).sort(comparePeriodIds)
+}
+
+/**
+ * Get the date range covered by a period selection
+ * @param {string} selection - Period selection
+ * @param {Object} options - Options passed to resolvePeriods
+ * @returns {Object|null} { startDate, endDate } as YYYY-MM-DD, or null if nothing could be resolved
+ */
+export const getSelectionDateRange = (selection, options = {}) => {
+  const periods = resolvePeriods(selection, options).map(parsePeriodId)
+  if (periods.length === 0) return null
+
+  const start = Math.min(...periods.map(period => period.startDate.getTime()))
+  const end = Math.max(...periods.map(period => period.endDate.getTime()))
+  return {
+    startDate: formatDate(new Date(start)),
+    endDate: formatDate(new Date(end))
+  }
+}
+
+/**
+ * Work out the comparison periods for a selection: the equivalent span immediately
+ * before it, and the same periods one year earlier
+ * @param {string} selection - Period selection
+ * @param {Object} options - Options passed to resolvePeriods
+ * @returns {Object|null} { current, previous, lastYear } arrays of fixed period IDs, or null if nothing could be resolved
+ */
+export const getComparisonPeriods = (selection, options = {}) => {
+  const current = resolvePeriods(selection, options)
+  if (current.length === 0) return null
+
+  // Periods of each type are compared with as many periods of that type just before the earliest one
+  const byType = {}
+  current.forEach(id => {
+    const { periodType } = parsePeriodId(id)
+    byType[periodType] = byType[periodType] || []
+    byType[periodType].push(id)
+  })
+  const previous = Object.values(byType).flatMap(ids =>
+    ids.map((_, i) => shiftPeriodId(ids[0], i - ids.length))
+  )
+
+  const lastYear = current.map(getSamePeriodLastYear)
+
+  return {
+    current,
+    previous: Array.from(new Set(previous)).sort(comparePeriodIds),
+    lastYear: Array.from(new Set(lastYear)).sort(comparePeriodIds)
+  }
+}
+
+/**
+ * Get the same period a number of years earlier. Weeks and bi-weeks keep their number,
+ * clamped to the last one of the earlier year; other periods are the period of the same
+ * type containing the midpoint moved back by the years
+ * @param {string} id - Fixed period ID
+ * @param {number} years - Years to go back
+ * @returns {string} Fixed period ID, e.g. '202103' for '202403' and 3 years, '2025W52' for '2026W53' and 1 year
+ */
+export const getSamePeriodYearsAgo = (id, years) => {
+  const period = parsePeriodId(id)
+  if (!period) {
+    throw new Error(`Not a fixed period: ${id}`)
+  }
+
+  // Dates drift by a day or two a year against week starts, so weeks are matched by number
+  const week = id.match(/^(\d{4})(W|WedW|ThuW|SatW|SunW|BiW)(\d{1,2})$/)
+  if (week) {
+    const year = Number(week[1]) - years
+    const lastNumber = week[2] === 'BiW'
+      ? Math.ceil(weeksInYear(year, 1) / 2)
+      : weeksInYear(year, WEEKLY_TYPES[period.periodType].startDay)
+    return `${year}${week[2]}${Math.min(Number(week[3]), lastNumber)}`
+  }
+
+  const date = new Date((period.startDate.getTime() + period.endDate.getTime()) / 2)
+  date.setUTCFullYear(date.getUTCFullYear() - years)
+  return getPeriodIdForDate(period.periodType, date)
+}
+
+/**
+ * Get the period of the same type containing a period's midpoint one year earlier
+ * @param {string} id - Fixed period ID
+ * @returns {string} Fixed period ID, e.g. '202303' for '202403'
+ */
+export const getSamePeriodLastYear = (id) => getSamePeriodYearsAgo(id, 1)
+
+/**
+ * Get a readable name for a list of fixed periods, shortened to a range when long
+ * @param {Array} ids - Fixed period IDs, oldest first
+ * @returns {string} e.g. 'January 2024' or 'January 2024 to December 2024'
+ */
+export const getPeriodRangeName = (ids) => {
+  if (!ids || ids.length === 0) return ''
+  if (ids.length <= 2) return ids.map(getPeriodName).join(', ')
+  return `${getPeriodName(ids[0])} to ${getPeriodName(ids[ids.length - 1])}`
+}
+
+/**
+ * Get a readable name for a single period ID
+ * @param {string} id - Relative keyword or fixed period ID
+ * @returns {string} Readable name (the ID itself if unknown)
+ */
+export const getPeriodName = (id) => {
+  if (isRelativePeriod(id)) return relativePeriodsById[id].name
+  const period = parsePeriodId(id)
+  return period ? period.name : id
+}
+
+/**
+ * Get a readable name for a period selection
+ * @param {string} selection - Period selection
+ * @returns {string} Readable names separated by commas
+ */
+export const getPeriodSelectionName = (selection) =>
+  splitPeriodSelection(selection).map(getPeriodName).join(', ')
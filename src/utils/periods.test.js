@@ -0,0 +1,158 @@
+import {
+  generateFixedPeriods,
+  getPeriodIdForDate,
+  parsePeriodId,
+  shiftPeriodId,
+  resolvePeriods,
+  findInvalidPeriods,
+  getSelectionDateRange,
+  getPeriodSelectionName,
+  getSamePeriodYearsAgo,
+  getSamePeriodLastYear,
+  getComparisonPeriods
+} from './periods'
+
+// A Wednesday, in week 20 of 2024
+const now = new Date(Date.UTC(2024, 4, 15))
+
+describe('generateFixedPeriods', () => {
+  it('generates the ISO weeks of a year, with week 53 in long years', () => {
+    expect(generateFixedPeriods('WEEKLY', 2020)).toHaveLength(53)
+    expect(generateFixedPeriods('WEEKLY', 2021)).toHaveLength(52)
+    expect(generateFixedPeriods('WEEKLY', 2021)[0]).toEqual({
+      id: '2021W1',
+      name: 'Week 1 2021 (2021-01-04 - 2021-01-10)',
+      startDate: '2021-01-04',
+      endDate: '2021-01-10'
+    })
+  })
+
+  it('starts other week types on their own day', () => {
+    expect(generateFixedPeriods('WEEKLY_SUNDAY', 2024)[0]).toMatchObject({ id: '2024SunW1', startDate: '2023-12-31', endDate: '2024-01-06' })
+    expect(generateFixedPeriods('BI_WEEKLY', 2024)).toHaveLength(26)
+  })
+
+  it('generates days and months of the calendar year', () => {
+    expect(generateFixedPeriods('DAILY', 2024)).toHaveLength(366)
+    expect(generateFixedPeriods('MONTHLY', 2024)[1]).toEqual({ id: '202402', name: 'February 2024', startDate: '2024-02-01', endDate: '2024-02-29' })
+  })
+
+  it('generates financial years and six-months that run into the next year', () => {
+    expect(generateFixedPeriods('FINANCIAL_OCT', 2024)).toEqual([
+      { id: '2024Oct', name: 'Financial year October 2024 - September 2025', startDate: '2024-10-01', endDate: '2025-09-30' }
+    ])
+    expect(generateFixedPeriods('SIX_MONTHLY_APRIL', 2024).map(period => [period.id, period.endDate])).toEqual([
+      ['2024AprilS1', '2024-09-30'],
+      ['2024AprilS2', '2025-03-31']
+    ])
+  })
+})
+
+describe('fixed period IDs', () => {
+  it('finds the period containing a date', () => {
+    expect(getPeriodIdForDate('WEEKLY', new Date(Date.UTC(2021, 0, 1)))).toBe('2020W53')
+    expect(getPeriodIdForDate('FINANCIAL_JULY', new Date(Date.UTC(2024, 5, 30)))).toBe('2023July')
+    expect(getPeriodIdForDate('BI_MONTHLY', new Date(Date.UTC(2024, 3, 1)))).toBe('202402B')
+  })
+
+  it('rejects IDs of periods that do not exist', () => {
+    expect(parsePeriodId('2021W53')).toBeNull()
+    expect(parsePeriodId('202413')).toBeNull()
+    expect(parsePeriodId('20240230')).toBeNull()
+    expect(parsePeriodId('20240229')).toMatchObject({ periodType: 'DAILY', name: '2024-02-29' })
+  })
+
+  it('moves across year boundaries', () => {
+    expect(shiftPeriodId('202401', -1)).toBe('202312')
+    expect(shiftPeriodId('2020W53', 1)).toBe('2021W1')
+    expect(shiftPeriodId('2024Q4', 1)).toBe('2025Q1')
+  })
+})
+
+describe('resolvePeriods', () => {
+  it('resolves relative keywords to the complete periods before today', () => {
+    expect(resolvePeriods('LAST_12_MONTHS', { now })).toEqual([
+      '202305', '202306', '202307', '202308', '202309', '202310',
+      '202311', '202312', '202401', '202402', '202403', '202404'
+    ])
+    expect(resolvePeriods('LAST_WEEK;THIS_QUARTER', { now })).toEqual(['2024Q2', '2024W19'])
+  })
+
+  it('resolves financial years of the configured type', () => {
+    expect(resolvePeriods('LAST_FINANCIAL_YEAR', { now })).toEqual(['2022Oct'])
+    expect(resolvePeriods('LAST_FINANCIAL_YEAR', { now, financialYearType: 'FINANCIAL_APRIL' })).toEqual(['2023April'])
+  })
+
+  it('reports the IDs that are neither keywords nor fixed periods', () => {
+    expect(findInvalidPeriods('202401;2024M13;LAST_MONTH;NOPE')).toEqual(['2024M13', 'NOPE'])
+  })
+})
+
+describe('getSelectionDateRange', () => {
+  it('spans the earliest start and latest end of the selection', () => {
+    expect(getSelectionDateRange('2024Q1;202405', { now })).toEqual({ startDate: '2024-01-01', endDate: '2024-05-31' })
+    expect(getSelectionDateRange('LAST_3_MONTHS', { now })).toEqual({ startDate: '2024-02-01', endDate: '2024-04-30' })
+  })
+
+  it('returns null when nothing can be resolved', () => {
+    expect(getSelectionDateRange('NOPE')).toBeNull()
+  })
+})
+
+describe('getPeriodSelectionName', () => {
+  it('names keywords and fixed periods', () => {
+    expect(getPeriodSelectionName('LAST_MONTH;202401;2024Q2')).toBe('Last month, January 2024, Q2 2024')
+  })
+})
+
+describe('getSamePeriodYearsAgo', () => {
+  it('keeps the week number of ISO weeks', () => {
+    expect(getSamePeriodLastYear('2021W10')).toBe('2020W10')
+    expect(getSamePeriodLastYear('2021W1')).toBe('2020W1')
+    expect(getSamePeriodLastYear('2016W1')).toBe('2015W1')
+    expect(getSamePeriodLastYear('2021W52')).toBe('2020W52')
+    expect(getSamePeriodYearsAgo('2021W52', 2)).toBe('2019W52')
+  })
+
+  it('clamps week 53 to the last week of a year with 52 weeks', () => {
+    expect(getSamePeriodLastYear('2020W53')).toBe('2019W52')
+    expect(getSamePeriodLastYear('2026W53')).toBe('2025W52')
+    expect(getSamePeriodYearsAgo('2020W53', 5)).toBe('2015W53')
+  })
+
+  it('keeps the number of other week types and bi-weeks', () => {
+    expect(getSamePeriodLastYear('2024SunW20')).toBe('2023SunW20')
+    expect(getSamePeriodLastYear('2020BiW27')).toBe('2019BiW26')
+  })
+
+  it('returns valid periods for every week of a range of years', () => {
+    for (let year = 2000; year < 2030; year++) {
+      for (let week = 1; week <= 53; week++) {
+        const id = `${year}W${week}`
+        if (parsePeriodId(id)) {
+          expect(parsePeriodId(getSamePeriodLastYear(id))).not.toBeNull()
+        }
+      }
+    }
+  })
+
+  it('moves other period types back by whole years', () => {
+    expect(getSamePeriodYearsAgo('202403', 3)).toBe('202103')
+    expect(getSamePeriodLastYear('2024Q1')).toBe('2023Q1')
+    expect(getSamePeriodLastYear('2024')).toBe('2023')
+  })
+
+  it('rejects relative periods', () => {
+    expect(() => getSamePeriodLastYear('LAST_12_MONTHS')).toThrow('Not a fixed period')
+  })
+})
+
+describe('getComparisonPeriods', () => {
+  it('compares weeks with the weeks before and the same weeks last year', () => {
+    expect(getComparisonPeriods('2021W10;2021W11')).toEqual({
+      current: ['2021W10', '2021W11'],
+      previous: ['2021W8', '2021W9'],
+      lastYear: ['2020W10', '2020W11']
+    })
+  })
+})
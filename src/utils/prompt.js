@@ -0,0 +1,888 @@
+/**
+ * Prompt building and response parsing shared by every AI provider
+ */
+
+import { getPeriodName, getPeriodSelectionName } from './periods'
+import { getOrgUnitBreakdownName } from './orgUnits'
+import { buildDataContext } from './contextBuilder'
+import { estimateTokens, estimateMessageTokens, getTokenBudget } from './tokens'
+import { MAX_TOOL_CALLS_PER_TURN } from './aiTools'
+import { getInsightsInstructions } from './insights'
+
+// Org units named individually in the context before the list is shortened
+const MAX_LISTED_ORG_UNITS = 50
+
+// Statistical findings listed in the prompt, most urgent first
+const MAX_LISTED_FINDINGS = 30
+
+// Outbreak alerts listed in the prompt, highest ranked first
+const MAX_LISTED_OUTBREAK_ALERTS = 30
+
+// Data quality scorecards and issues listed in the prompt, worst first
+const MAX_LISTED_SCORECARDS = 30
+const MAX_LISTED_DATA_QUALITY_ISSUES = 30
+
+// Share of the data budget the summaries and breakdowns may use; the data tables get the rest
+const SUMMARY_BUDGET_SHARE = 0.5
+
+// Reductions of the summaries, tried in order until they fit their share: first the period
+// sections, which the data tables repeat, then the org units listed in the breakdowns (the
+// highest and lowest), then the breakdowns themselves
+const SUMMARY_LEVELS = [
+  { periodSections: true, unitLimit: null, breakdowns: true },
+  { periodSections: false, unitLimit: null, breakdowns: true },
+  { periodSections: false, unitLimit: 10, breakdowns: true },
+  { periodSections: false, unitLimit: 5, breakdowns: true },
+  { periodSections: false, unitLimit: 3, breakdowns: true },
+  { periodSections: false, unitLimit: null, breakdowns: false }
+]
+
+// Share of the history budget for the latest exchanges kept word for word; older ones are summarised
+const RECENT_HISTORY_SHARE = 0.7
+
+// Characters of each earlier question and answer kept in the summary of the conversation
+const SUMMARY_QUESTION_LENGTH = 200
+const SUMMARY_ANSWER_LENGTH = 400
+
+/**
+ * Format a change for the prompt, e.g. "+12 (+8.5%)"
+ * @param {number|null} change - Absolute change
+ * @param {number|null} percentChange - Percentage change
+ * @returns {string} Formatted change
+ */
+const formatChange = (change, percentChange) => {
+  if (change === null) return 'n/a'
+  const sign = change > 0 ? '+' : ''
+  const percent = percentChange === null ? '' : ` (${percentChange > 0 ? '+' : ''}${percentChange}%)`
+  return `${sign}${change}${percent}`
+}
+
+/**
+ * Keep the highest and lowest org units of a breakdown
+ * @param {Object} byOrgUnit - Breakdown keyed by org unit name
+ * @param {number|null} unitLimit - Units kept at each end, or null to keep all
+ * @param {Function} rank - (entry) => number the units are ranked by
+ * @returns {Object} { entries: [[orgUnit, entry]], omitted } with the omitted units between the two ends
+ */
+const limitOrgUnits = (byOrgUnit, unitLimit, rank) => {
+  const entries = Object.entries(byOrgUnit)
+  if (!unitLimit || entries.length <= unitLimit * 2) {
+    return { entries, omitted: 0 }
+  }
+  const value = (entry) => {
+    const number = parseFloat(rank(entry))
+    return isNaN(number) ? -Infinity : number
+  }
+  const ranked = [...entries].sort(([, a], [, b]) => value(b) - value(a))
+  return {
+    entries: [...ranked.slice(0, unitLimit), null, ...ranked.slice(-unitLimit)],
+    omitted: entries.length - unitLimit * 2
+  }
+}
+
+/**
+ * Format the period comparison section of the prompt
+ * @param {Object} comparisons - summary.comparisons from calculateSummary
+ * @param {Object} options
+ * @param {number|null} options.unitLimit - Org units listed at each end of the ranking, or null for all
+ * @param {boolean} options.orgUnits - Whether to list the comparison by org unit
+ * @returns {string} Prompt text
+ */
+const formatComparisons = (comparisons, options = {}) => {
+  const { unitLimit = null, orgUnits = true } = options
+  const { periods } = comparisons
+  const formatStats = (stats) =>
+    `current=${stats.current ?? 'n/a'}, ` +
+    `previous period=${stats.previous ?? 'n/a'} (change ${formatChange(stats.changeFromPrevious, stats.percentChangeFromPrevious)}), ` +
+    `same period last year=${stats.lastYear ?? 'n/a'} (change ${formatChange(stats.changeFromLastYear, stats.percentChangeFromLastYear)})`
+
+  let text = '\nPeriod Comparison:\n'
+  text += `Selected period: ${periods.current}; previous period: ${periods.previous}; same period last year: ${periods.lastYear}\n`
+  text += `Values are ${comparisons.aggregation === 'average' ? 'averages' : 'totals'} over each period range. n/a means no data was reported.\n`
+  Object.entries(comparisons.dataElements).forEach(([dataElement, stats]) => {
+    text += `  ${dataElement}: ${formatStats(stats)}\n`
+  })
+
+  if (comparisons.orgUnits && orgUnits) {
+    // Ranked by the current value of the first data element
+    const [dataElement] = Object.keys(comparisons.dataElements)
+    const { entries, omitted } = limitOrgUnits(comparisons.orgUnits, unitLimit, ouData => ouData[dataElement] && ouData[dataElement].current)
+    text += `\nPeriod Comparison by Organization Unit${omitted > 0 ? ` (the ${unitLimit} highest and lowest by current ${dataElement})` : ''}:\n`
+    entries.forEach(entry => {
+      if (entry === null) {
+        text += `\n... ${omitted} organization units ranked in between omitted\n`
+        return
+      }
+      const [orgUnit, ouData] = entry
+      text += `\n${orgUnit}:\n`
+      Object.entries(ouData).forEach(([name, stats]) => {
+        text += `  ${name}: ${formatStats(stats)}\n`
+      })
+    })
+  }
+  return text
+}
+
+/**
+ * Format counts as "name=count" pairs
+ * @param {Object} counts - Counts keyed by name
+ * @returns {string} Formatted counts
+ */
+const formatCounts = (counts) => Object.entries(counts).map(([name, count]) => `${name}=${count}`).join(', ')
+
+/**
+ * List org unit names, shortening long lists from level and group breakdowns
+ * @param {Array} orgUnits - Org units ({ displayName, name })
+ * @returns {string} Comma-separated names
+ */
+const formatOrgUnitList = (orgUnits) => {
+  const names = orgUnits.slice(0, MAX_LISTED_ORG_UNITS).map(ou => ou.displayName || ou.name).join(', ')
+  return orgUnits.length > MAX_LISTED_ORG_UNITS
+    ? `${names} and ${orgUnits.length - MAX_LISTED_ORG_UNITS} more`
+    : names
+}
+
+/**
+ * Format the hierarchy roll-up of a level or group breakdown
+ * @param {Array} hierarchyRollup - summary.hierarchyRollup from calculateSummary
+ * @returns {string} Prompt text
+ */
+const formatHierarchyRollup = (hierarchyRollup) => {
+  let text = '\nHierarchy Roll-up (values of the analysed org units aggregated to each higher level):\n'
+  hierarchyRollup.forEach(level => {
+    text += `\n${level.levelName} level:\n`
+    Object.entries(level.orgUnits).forEach(([orgUnit, ouData]) => {
+      const values = Object.entries(ouData.dataElements)
+        .map(([dataElement, stats]) => `${dataElement}: Total=${stats.total}, Mean=${stats.mean}`)
+        .join('; ')
+      text += `  ${orgUnit} (${ouData.orgUnitCount} org units): ${values}\n`
+    })
+  })
+  return text
+}
+
+/**
+ * Describe which groups of the compared group sets an org unit belongs to
+ * @param {Object} orgUnit - Org unit with organisationUnitGroups ({ id })
+ * @param {Array} groupSets - Compared group sets ({ name, groups: [{ id, name }] })
+ * @returns {string} e.g. "Facility Type: Hospital; Ownership: Public", or '' if none apply
+ */
+const describeGroupMembership = (orgUnit, groupSets) => {
+  const memberOf = new Set((orgUnit.organisationUnitGroups || []).map(group => group.id))
+  return groupSets
+    .map(groupSet => {
+      const groups = (groupSet.groups || []).filter(group => memberOf.has(group.id))
+      return groups.length > 0 ? `${groupSet.name}: ${groups.map(group => group.name).join(', ')}` : null
+    })
+    .filter(Boolean)
+    .join('; ')
+}
+
+/**
+ * Format the org unit group set breakdown, one table-like block per group set
+ * @param {Object} groupSetBreakdown - summary.groupSetBreakdown from fetchDataForElements
+ * @returns {string} Prompt text
+ */
+const formatGroupSetBreakdown = (groupSetBreakdown) => {
+  let text = '\nOrganization Unit Group Breakdown (totals over the whole period and all selected org units):\n'
+  Object.entries(groupSetBreakdown).forEach(([groupSet, groups]) => {
+    text += `\nBy ${groupSet}:\n`
+    Object.entries(groups).forEach(([group, values]) => {
+      text += `  ${group}: ${Object.entries(values).map(([name, value]) => `${name}=${parseFloat(value.toFixed(2))}`).join(', ')}\n`
+    })
+  })
+  return text
+}
+
+/**
+ * Format the category (disaggregation) breakdown of each data element
+ * @param {Object} categoryBreakdown - summary.categoryBreakdown from calculateSummary
+ * @returns {string} Prompt text
+ */
+const formatCategoryBreakdown = (categoryBreakdown) => {
+  let text = '\nDisaggregation by Category:\n'
+  Object.entries(categoryBreakdown).forEach(([category, dataElements]) => {
+    Object.entries(dataElements).forEach(([dataElement, breakdown]) => {
+      text += `\n${dataElement} by ${category} (total ${breakdown.total}`
+      text += breakdown.change !== null
+        ? `, change from ${breakdown.periods[0]} to ${breakdown.periods[1]}: ${formatChange(breakdown.change, null)}):\n`
+        : '):\n'
+      Object.entries(breakdown.options).forEach(([option, stats]) => {
+        text += `  ${option}: Total=${stats.total}`
+        if (stats.percentOfTotal !== null) text += ` (${stats.percentOfTotal}% of total)`
+        if (stats.change !== null) {
+          text += `, Change=${formatChange(stats.change, null)}`
+          if (stats.percentOfChange !== null) text += ` (${stats.percentOfChange}% of the overall change)`
+        }
+        text += `, By period: ${formatCounts(stats.byPeriod)}\n`
+      })
+    })
+  })
+  return text
+}
+
+/**
+ * Format the statistical analysis of each data element and the findings across org units
+ * @param {Object} statistics - summary.statistics from calculateSummary
+ * @returns {string} Prompt text
+ */
+const formatStatistics = (statistics) => {
+  let text = '\nStatistical Analysis (computed from the data before this prompt):\n'
+  Object.entries(statistics.dataElements).forEach(([dataElement, { overall }]) => {
+    const parts = []
+    if (overall.trend) {
+      parts.push(`trend ${overall.trend.direction} (slope ${overall.trend.slope} per period, p = ${overall.trend.pValue}, R² = ${overall.trend.rSquared})`)
+    }
+    if (overall.movingAverage) {
+      parts.push(`${overall.movingAverage.window}-period moving average ${overall.movingAverage.latest} (previous ${overall.movingAverage.previous})`)
+    }
+    if (overall.yearOverYear) {
+      parts.push(`${getPeriodName(overall.yearOverYear.period)} vs ${getPeriodName(overall.yearOverYear.lastYearPeriod)}: ${formatChange(overall.yearOverYear.change, overall.yearOverYear.percentChange)}`)
+    }
+    if (overall.seasonality) {
+      parts.push(`${overall.seasonality.seasonal ? 'significant' : 'no significant'} seasonality (strength ${overall.seasonality.strength}, p = ${overall.seasonality.pValue}; highest in ${overall.seasonality.peakMonth}, lowest in ${overall.seasonality.troughMonth})`)
+    }
+    parts.push(`${overall.outliers.length} outlier(s)`)
+    if (overall.alerts) {
+      parts.push(overall.alerts.latestInAlert ? 'EWMA/CUSUM alert in the latest periods' : 'no EWMA/CUSUM alert in the latest periods')
+    }
+    text += `- ${dataElement} (${overall.points} periods): ${parts.join('; ')}\n`
+  })
+
+  if (statistics.findings.length === 0) {
+    return text + 'No alerts, outliers or significant trends were found.\n'
+  }
+  text += '\nKey Findings:\n'
+  statistics.findings.slice(0, MAX_LISTED_FINDINGS).forEach(finding => {
+    text += `- [${finding.severity.toUpperCase()}] ${finding.message}\n`
+  })
+  if (statistics.findings.length > MAX_LISTED_FINDINGS) {
+    text += `- ... and ${statistics.findings.length - MAX_LISTED_FINDINGS} more findings of lower priority\n`
+  }
+  return text
+}
+
+/**
+ * Format the outbreak detection section of the prompt: the ranked values above the epidemic thresholds
+ * @param {Object} outbreaks - summary.outbreaks from calculateSummary
+ * @returns {string} Prompt text
+ */
+const formatOutbreaks = (outbreaks) => {
+  let text = `\nOutbreak Detection (thresholds from the same periods in the previous ${outbreaks.baselineYears} years):\n`
+  text += '- Epidemic threshold: mean + 2 SD (Cullen method); alert threshold: third quartile (quartile method); expected level: 5-year median\n'
+  text += `- ${outbreaks.evaluated} value(s) compared with thresholds, ${outbreaks.aboveMedian} above the 5-year median`
+  text += outbreaks.insufficientHistory > 0
+    ? `; ${outbreaks.insufficientHistory} value(s) had too little history for thresholds\n`
+    : '\n'
+  if (outbreaks.latestPeriod) {
+    const latestAlerts = outbreaks.alerts.filter(alert => alert.latest)
+    text += `- Latest period (${getPeriodName(outbreaks.latestPeriod)}): ${latestAlerts.length === 0
+      ? 'no value above the alert or epidemic threshold'
+      : `${latestAlerts.filter(alert => alert.level === 'epidemic').length} above the epidemic threshold, ${latestAlerts.filter(alert => alert.level === 'alert').length} above the alert threshold only`}\n`
+  }
+
+  if (outbreaks.alerts.length === 0) {
+    return text + 'No period or org unit is above the alert or epidemic threshold.\n'
+  }
+  text += '\nRanked Outbreak Alerts:\n'
+  outbreaks.alerts.slice(0, MAX_LISTED_OUTBREAK_ALERTS).forEach((alert, index) => {
+    text += `${index + 1}. [${alert.level.toUpperCase()}${alert.latest ? ', LATEST PERIOD' : ''}] ${alert.message}\n`
+  })
+  if (outbreaks.alerts.length > MAX_LISTED_OUTBREAK_ALERTS) {
+    text += `... and ${outbreaks.alerts.length - MAX_LISTED_OUTBREAK_ALERTS} more alerts of lower rank\n`
+  }
+  return text
+}
+
+/**
+ * Format the data quality section of the prompt: the overall scores, the scorecard per org unit and the issues found
+ * @param {Object} dataQuality - dataQuality from fetchDataForElements
+ * @returns {string} Prompt text
+ */
+const formatDataQuality = (dataQuality) => {
+  const { overall } = dataQuality
+  const score = (value) => (value === null ? 'n/a' : `${value}%`)
+  let text = '\nData Quality Scorecard (computed from the data and the reporting rates before this prompt):\n'
+  if (dataQuality.dataSets.length > 0) {
+    text += `- Datasets checked for reporting: ${dataQuality.dataSets.map(dataSet => dataSet.name).join(', ')}\n`
+  }
+  text += `- Overall score: ${score(overall.score)}${overall.grade ? ` (${overall.grade})` : ''}; ` +
+    `completeness ${score(overall.completeness)}, timeliness ${score(overall.timeliness)}, ` +
+    `values present ${score(overall.scores.valuesPresent)}, outlier free ${score(overall.scores.outlierFree)}, consistency ${score(overall.scores.consistency)}\n`
+  text += `- ${overall.missingValues !== null ? `${overall.missingValues} missing value(s), ` : ''}${overall.zeroValues} zero value(s), ` +
+    `${overall.outliers} extreme outlier(s), ${overall.inconsistencies} inconsistent value(s)\n`
+
+  text += '\nScorecard by Organization Unit (lowest score first):\n'
+  dataQuality.orgUnits.slice(0, MAX_LISTED_SCORECARDS).forEach(card => {
+    text += `- ${card.orgUnit}: score ${score(card.score)}${card.grade ? ` (${card.grade})` : ''}; ` +
+      `completeness ${score(card.scores.completeness)}, timeliness ${score(card.scores.timeliness)}, ` +
+      `values present ${score(card.scores.valuesPresent)}, outlier free ${score(card.scores.outlierFree)}, consistency ${score(card.scores.consistency)}\n`
+  })
+  if (dataQuality.orgUnits.length > MAX_LISTED_SCORECARDS) {
+    text += `- ... and ${dataQuality.orgUnits.length - MAX_LISTED_SCORECARDS} more organization units with higher scores\n`
+  }
+
+  if (dataQuality.issues.length === 0) {
+    return text + 'No data quality issues were found.\n'
+  }
+  text += '\nData Quality Issues:\n'
+  dataQuality.issues.slice(0, MAX_LISTED_DATA_QUALITY_ISSUES).forEach(issue => {
+    text += `- ${issue}\n`
+  })
+  if (dataQuality.issues.length > MAX_LISTED_DATA_QUALITY_ISSUES) {
+    text += `- ... and ${dataQuality.issues.length - MAX_LISTED_DATA_QUALITY_ISSUES} more issues\n`
+  }
+  return text
+}
+
+/**
+ * Format the event analysis section of the prompt
+ * @param {Object} eventSummary - eventSummary from fetchEventData
+ * @returns {string} Prompt text
+ */
+const formatEventSummary = (eventSummary) => {
+  let text = '\nEvent Data Analysis:\n'
+  text += `Program: ${eventSummary.program}, stage: ${eventSummary.stage}\n`
+  text += `Total events: ${eventSummary.totalEvents}\n`
+  text += `Events by organization unit: ${formatCounts(eventSummary.eventsByOrgUnit)}\n`
+  text += `Events by period: ${formatCounts(eventSummary.eventsByPeriod)}\n`
+
+  if (Object.keys(eventSummary.dataElementBreakdowns).length > 0) {
+    text += formatBreakdowns(eventSummary.dataElementBreakdowns)
+  }
+  return text
+}
+
+/**
+ * Format the tracker (enrollment) analysis section of the prompt
+ * @param {Object} trackerSummary - trackerSummary from fetchTrackerData (already de-identified)
+ * @returns {string} Prompt text
+ */
+const formatTrackerSummary = (trackerSummary) => {
+  let text = '\nTracker Program Analysis (de-identified aggregates):\n'
+  text += `Program: ${trackerSummary.program}\n`
+  text += `Enrollments in the period: ${trackerSummary.enrollments}\n`
+  text += `Enrollment status: ${formatCounts(trackerSummary.enrollmentStatus)}\n`
+
+  const stages = Object.entries(trackerSummary.stageCompletion)
+  if (stages.length > 0) {
+    text += '\nProgram stage completion:\n'
+    stages.forEach(([stage, stats]) => {
+      text += `  ${stage}: ${stats.events} events (${stats.completedEvents} completed), completed in ${stats.completionRate ?? 'n/a'}% of enrollments\n`
+    })
+  }
+
+  const cohorts = Object.entries(trackerSummary.cohorts)
+  if (cohorts.length > 0) {
+    text += '\nEnrollment cohorts by month:\n'
+    cohorts.forEach(([cohort, counts]) => {
+      text += `  ${cohort}: ${formatCounts(counts)}\n`
+    })
+  }
+
+  if (Object.keys(trackerSummary.dataElementBreakdowns).length > 0) {
+    text += formatBreakdowns(trackerSummary.dataElementBreakdowns)
+  }
+  if (trackerSummary.suppressedCells > 0) {
+    text += `${trackerSummary.suppressedCells} month and organization unit cells with fewer than 5 enrollments are left out of the enrollment data, so its totals are lower than the enrollments above.\n`
+  }
+  text += 'Counts below 5 are suppressed as "<5". Identifying fields are never included.\n'
+  return text
+}
+
+/**
+ * Format the value breakdowns of event or tracker data elements
+ * @param {Object} breakdowns - Breakdowns keyed by data element name
+ * @returns {string} Prompt text
+ */
+const formatBreakdowns = (breakdowns) => {
+  const labels = { ageBands: ' (age bands in years)', months: ' (by month)' }
+
+  let text = '\nData element breakdowns:\n'
+  Object.entries(breakdowns).forEach(([dataElement, breakdown]) => {
+    if (breakdown.type === 'numeric') {
+      text += `  ${dataElement}: Mean=${breakdown.mean}, Median=${breakdown.median}, Min=${breakdown.min}, Max=${breakdown.max}, Count=${breakdown.count}\n`
+    } else if (breakdown.type === 'recorded') {
+      text += `  ${dataElement}: recorded in ${breakdown.recorded} events\n`
+    } else {
+      text += `  ${dataElement}${labels[breakdown.type] || ''}: ${formatCounts(breakdown.values)}\n`
+    }
+  })
+  return text
+}
+
+/**
+ * Resolve the names of the selected data elements for the no-data explanation
+ * @param {Object} data - The DHIS2 data
+ * @param {Object} context - Additional context
+ * @returns {string} Comma separated names
+ */
+const getSelectedElementNames = (data, context) => {
+  if (data.dataElements && Array.isArray(data.dataElements)) {
+    const items = (data.metaData && data.metaData.items) || {}
+    return data.dataElements
+      .map(id => {
+        const elementId = typeof id === 'string' ? id : (id && id.id)
+        if (!elementId) return 'Unknown Element'
+        return items[elementId]?.name || elementId
+      })
+      .join(', ')
+  }
+  if (Array.isArray(context.dataElements)) {
+    return context.dataElements.join(', ')
+  }
+  return 'Unknown'
+}
+
+/**
+ * Describe the tools the AI can call, with the IDs of the current selection to call them with
+ * @param {Object} data - The DHIS2 data
+ * @param {Object} context - Additional context
+ * @returns {string} Tools section of the system prompt
+ */
+const formatToolsSection = (data, context) => {
+  const items = (data && data.metaData && data.metaData.items) || {}
+  const describe = (id, name) => `${name || (items[id] && items[id].name) || id} = ${id}`
+  const dataItems = (Array.isArray(context.dataElements) ? context.dataElements : [])
+    .map(item => (typeof item === 'string' ? describe(item) : describe(item.id, item.displayName || item.name)))
+  const childOrgUnits = (context.childOrgUnits || []).slice(0, MAX_LISTED_ORG_UNITS)
+    .map(ou => describe(ou.id, ou.displayName || ou.name))
+
+  return `
+## Tools:
+You can call tools to fetch DHIS2 data that is not in the Data section below: other periods, organization units or data items, child organization units, definitions of data items and dataset reporting rates. Only call them when the question cannot be answered from that data, make at most ${MAX_TOOL_CALLS_PER_TURN} calls per question, and say in your answer which data you fetched.
+Tools take IDs. The IDs of the current selection (never show them in your answer):
+- Data items: ${dataItems.join('; ') || 'none'}
+- Organization unit: ${describe(context.orgUnit.id, context.orgUnit.displayName || context.orgUnit.name)}
+${childOrgUnits.length > 0 ? `- Child organization units: ${childOrgUnits.join('; ')}${context.childOrgUnits.length > MAX_LISTED_ORG_UNITS ? ' (more with list_child_org_units)' : ''}
+` : ''}Look up other IDs with get_data_item_metadata and list_child_org_units.
+`
+}
+
+/**
+ * Format the summaries and breakdowns of the whole result at one level of detail
+ * @param {Object} data - The DHIS2 data
+ * @param {Object} context - Additional context
+ * @param {Object} level - One of SUMMARY_LEVELS: { periodSections, unitLimit, breakdowns }
+ * @returns {string} Prompt text, with a note on what was left out
+ */
+const formatSummaries = (data, context, level) => {
+  const { periodSections, unitLimit, breakdowns } = level
+  const notes = []
+  let summaryString = ''
+  if (data.summary) {
+    summaryString += '\nSummary Statistics:\n'
+    Object.entries(data.summary).forEach(([key, value]) => {
+      if (['orgUnitBreakdown', 'periodBreakdown', 'timeSeriesData', 'comparisons', 'hierarchyRollup', 'groupSetBreakdown', 'categoryBreakdown', 'statistics', 'outbreaks'].includes(key)) {
+        // Breakdowns are formatted separately below
+        return
+      }
+      summaryString += `${key}: ${JSON.stringify(value)}\n`
+    })
+
+    // Add organization unit breakdown if available
+    if (data.summary.orgUnitBreakdown && breakdowns) {
+      // Ranked by the mean of the first data element
+      const [dataElement] = Object.keys(Object.values(data.summary.orgUnitBreakdown)[0] || {})
+      const { entries, omitted } = limitOrgUnits(data.summary.orgUnitBreakdown, unitLimit, ouData => ouData[dataElement] && ouData[dataElement].mean)
+      summaryString += `\nOrganization Unit Breakdown${omitted > 0 ? ` (the ${unitLimit} highest and lowest by mean ${dataElement})` : ''}:\n`
+      // Label each unit with its groups in the compared group sets
+      const groupSets = (context.orgUnit && context.orgUnit.groupSets) || []
+      const childOrgUnitsByName = Object.fromEntries(
+        (context.childOrgUnits || []).map(ou => [ou.displayName || ou.name, ou])
+      )
+      entries.forEach(entry => {
+        if (entry === null) {
+          summaryString += `\n... ${omitted} organization units ranked in between omitted\n`
+          return
+        }
+        const [orgUnit, ouData] = entry
+        const membership = groupSets.length > 0 && childOrgUnitsByName[orgUnit]
+          ? describeGroupMembership(childOrgUnitsByName[orgUnit], groupSets)
+          : ''
+        summaryString += `\n${orgUnit}${membership ? ` [${membership}]` : ''}:\n`
+        Object.entries(ouData).forEach(([name, stats]) => {
+          summaryString += `  ${name}: Mean=${stats.mean}, Min=${stats.min}, Max=${stats.max}, Count=${stats.count}\n`
+        })
+      })
+    }
+
+    const listedOrgUnits = Math.max(
+      Object.keys(data.summary.orgUnitBreakdown || {}).length,
+      Object.keys((data.summary.comparisons && data.summary.comparisons.orgUnits) || {}).length
+    )
+    if (breakdowns && unitLimit && listedOrgUnits > unitLimit * 2) {
+      notes.push(`only the ${unitLimit} highest and ${unitLimit} lowest of ${listedOrgUnits} organization units are listed in the breakdowns`)
+    }
+
+    if (breakdowns) {
+      // Add the roll-up from the analysed units to the levels above them
+      if (data.summary.hierarchyRollup) {
+        summaryString += formatHierarchyRollup(data.summary.hierarchyRollup)
+      }
+
+      // Add the breakdown by category option (age group, sex, ...)
+      if (data.summary.categoryBreakdown) {
+        summaryString += formatCategoryBreakdown(data.summary.categoryBreakdown)
+      }
+
+      // Add the breakdown by org unit group (facility type, ownership, ...)
+      if (data.summary.groupSetBreakdown) {
+        summaryString += formatGroupSetBreakdown(data.summary.groupSetBreakdown)
+      }
+    } else if (['orgUnitBreakdown', 'hierarchyRollup', 'categoryBreakdown', 'groupSetBreakdown'].some(key => data.summary[key]) ||
+      (data.summary.comparisons && data.summary.comparisons.orgUnits)) {
+      notes.push('the breakdowns by organization unit, hierarchy level, category and group are left out')
+    }
+
+    if (periodSections) {
+      // Add period breakdown for time series analysis
+      if (data.summary.periodBreakdown) {
+        summaryString += '\nPeriod-by-Period Breakdown:\n'
+        Object.entries(data.summary.periodBreakdown).forEach(([period, periodData]) => {
+          summaryString += `\n${period}:\n`
+          Object.entries(periodData).forEach(([dataElement, stats]) => {
+            summaryString += `  ${dataElement}: Mean=${stats.mean}, Min=${stats.min}, Max=${stats.max}, Count=${stats.count}\n`
+          })
+        })
+      }
+
+      // Add time series data for trend analysis
+      if (data.summary.timeSeriesData) {
+        summaryString += '\nTime Series Data (Chronological Order):\n'
+        Object.entries(data.summary.timeSeriesData).forEach(([dataElement, timeSeries]) => {
+          summaryString += `\n${dataElement} over time:\n`
+          timeSeries.forEach(point => {
+            summaryString += `  ${point.period}: ${point.value}\n`
+          })
+        })
+      }
+    } else if (data.summary.periodBreakdown || data.summary.timeSeriesData) {
+      notes.push('the period-by-period breakdown and time series are left out, as the data tables above hold the values per period')
+    }
+
+    // Add trends, seasonality, outliers and alerts computed locally
+    if (data.summary.statistics) {
+      summaryString += formatStatistics(data.summary.statistics)
+    }
+
+    // Add the values above the epidemic thresholds
+    if (data.summary.outbreaks) {
+      summaryString += formatOutbreaks(data.summary.outbreaks)
+    }
+
+    // Add the data quality scorecard
+    if (data.dataQuality) {
+      summaryString += formatDataQuality(data.dataQuality)
+    }
+
+    // Add changes against the comparison periods
+    if (data.summary.comparisons) {
+      summaryString += formatComparisons(data.summary.comparisons, { unitLimit, orgUnits: breakdowns })
+    }
+
+    // Add event program analysis
+    if (data.eventSummary) {
+      summaryString += formatEventSummary(data.eventSummary)
+    }
+
+    // Add tracker program analysis
+    if (data.trackerSummary) {
+      summaryString += formatTrackerSummary(data.trackerSummary)
+    }
+  }
+  return notes.length > 0
+    ? `\nNOTE - SUMMARIES REDUCED TO FIT THE CONTEXT: ${notes.join('; ')}. Do not present the left-out detail as missing data.\n${summaryString}`
+    : summaryString
+}
+
+/**
+ * Create system prompt with context and data
+ * @param {Object} data - The DHIS2 data
+ * @param {Object} context - Additional context
+ * @param {Object} options - Prompt options
+ * @param {string} options.model - Model name, for token estimates
+ * @param {number} options.tokenBudget - Tokens the data and summaries may use (defaults to the budget of the model)
+ * @param {boolean} options.tools - Whether the AI can call the tools of aiTools.js
+ * @param {boolean} options.structured - Ask for a JSON answer of typed insights (see insights.js) instead of markdown
+ * @returns {string} The system prompt
+ */
+export const createSystemPrompt = (data, context, options = {}) => {
+  const tokenBudget = options.tokenBudget === undefined ? getTokenBudget(options.model).data : options.tokenBudget
+  
+  // Format data for the prompt
+  let dataString = ''
+  
+  if (data && data.headers) {
+    const rows = data.rows || []
+    const hasData = data.hasData || rows.length > 0
+    
+    if (hasData) {
+      // Summaries and breakdowns of the whole result, reduced until they fit their share of the budget
+      const summaryBudget = tokenBudget * SUMMARY_BUDGET_SHARE
+      let summaryString = ''
+      for (const level of SUMMARY_LEVELS) {
+        summaryString = formatSummaries(data, context, level)
+        if (estimateTokens(summaryString, options.model) <= summaryBudget) break
+      }
+
+      // The complete result as pivot tables, reduced to the tokens the summaries leave
+      const dataContext = buildDataContext(data, {
+        model: options.model,
+        tokenBudget: Math.max(0, tokenBudget - estimateTokens(summaryString, options.model)),
+        aggregation: ['indicator', 'programIndicator'].includes(data.dataType) ? 'average' : 'sum'
+      })
+      dataString = dataContext.text
+
+      // The fetch stopped at the row limit; the analysis must not present the data as complete
+      if (data.truncated) {
+        dataString += `\nWARNING - INCOMPLETE DATA: ${data.truncationNote || 'The result was cut off at the row limit.'} Mention this limitation in your analysis.\n`
+      }
+
+      dataString += summaryString
+    } else {
+      dataString = 'No data available for the selected data elements in the specified period and location.\n\n' +
+                   'Selected data elements: ' + getSelectedElementNames(data, context) + '\n' +
+                   'Period: ' + getPeriodSelectionName(context.period) + '\n' + 
+                   'Organization Unit: ' + (context.orgUnit.displayName || context.orgUnit.name || context.orgUnit.id) + '\n'
+      // The reporting rates and missing values explain the gap better than guesses
+      dataString += data.dataQuality
+        ? formatDataQuality(data.dataQuality)
+        : '\nNote: This is likely because:\n' +
+          '- This is a development/test system without complete data\n' +
+          '- The specific combination of elements, period, and location has no records\n' +
+          '- The data elements may be new or not yet populated\n'
+    }
+  } else {
+    // No headers available at all - provide a minimal response
+    dataString = 'No data structure is available to analyze. The system might be experiencing issues retrieving data.\n' +
+                 'You can try selecting different data elements, a different time period, or a different organization unit.\n'
+  }
+  
+  return `
+You are an AI assistant specialized in analyzing DHIS2 health data for healthcare professionals and decision-makers in resource-constrained settings. Your goal is to provide clear, actionable insights that can help save lives and improve health outcomes.
+
+IMPORTANT: Never display technical identifiers (UIDs like "UsSUX0cpKsH") in your response. Always refer to data elements and organization units by their proper names.
+
+## Context:
+- User: ${context.user.name} (${context.user.username})
+- Organization Units: ${context.user.orgUnits}
+- Data Elements: ${Array.isArray(context.dataElements) ? context.dataElements.join(', ') : 'None selected'}
+- Period: ${getPeriodSelectionName(context.period)}
+- Organization Unit: ${context.orgUnit.displayName || context.orgUnit.name || "Selected organization unit"}
+${context.orgUnit.level ? `- Organization Unit Level: ${context.orgUnit.level}` : ''}
+${context.orgUnit.path ? `- Organization Unit Hierarchy: ${context.orgUnit.path.split('/').slice(1).join(' > ')}` : ''}
+${context.orgUnit.groupSets && context.orgUnit.groupSets.length > 0 ? `- Compared by Organization Unit Group Sets: ${context.orgUnit.groupSets.map(groupSet => groupSet.name).join(', ')}` : ''}
+${context.disaggregation && context.disaggregation.length > 0 ? `- Disaggregated by: ${context.disaggregation.map(category => category.name).join(', ')}` : ''}
+${data && data.queryOptions && data.queryOptions.length > 0 ? `- Query Options:\n${data.queryOptions.map(option => `  - ${option}`).join('\n')}` : ''}
+${context.multiOrgUnitMode ? `
+- **MULTI-ORGANIZATION UNIT ANALYSIS ENABLED**
+- Analysis Type: Comparative analysis across ${context.childOrgUnits.length} organization units (${getOrgUnitBreakdownName(context.orgUnit) || 'child units'} of ${context.orgUnit.displayName || context.orgUnit.name})
+- Organization Units Analyzed: ${formatOrgUnitList(context.childOrgUnits)}
+${context.childOrgUnits.length > 0 && context.childOrgUnits[0].level ? `- Analyzed Org Unit Level: ${context.childOrgUnits[0].level}` : ''}
+- Focus: Individual organization unit performance comparison and ranking` : ''}
+
+## Your Task:
+- Analyze the provided health data carefully and objectively
+- Present clear, factual insights about trends, patterns, and anomalies
+- Provide specific, actionable recommendations when appropriate
+- Consider the context of low-resource settings, emergency situations, and limited time
+${options.structured ? '- Answer with the JSON object described under "Response format"' : '- Format your response in a clear, readable way using markdown'}
+- Be concise but comprehensive
+${options.tools && context.orgUnit.id ? formatToolsSection(data, context) : ''}
+## Data:
+${dataString}
+
+When formulating your response:
+1. First analyze the data briefly to understand what it represents
+2. If there is data available:
+   - Provide key observations and trends in the data
+   - **TIME SERIES ANALYSIS**: Look at the "Time Series Data" and "Period-by-Period Breakdown" sections to identify trends over time, seasonal patterns, peaks, and declines
+   - **PERIOD COMPARISON**: When asked about which month/period has highest/lowest values, refer to the period breakdowns and time series data
+   - **STATISTICAL FINDINGS**: Base statements about trends, seasonality, outliers and alerts on the "Statistical Analysis" section. Only call a change a trend when it is marked significant, and lead with any ALERT findings
+${data && data.summary && data.summary.outbreaks ? `   - **OUTBREAK DETECTION**: Answer questions about outbreaks from the "Outbreak Detection" section. Narrate the ranked alerts in order, starting with the latest period, name the thresholds exceeded, and say plainly when nothing is above threshold; do not declare an outbreak from values that are only above the 5-year median
+` : ''}${data && data.dataQuality ? `   - **DATA QUALITY**: Summarise the "Data Quality Scorecard": the overall grade, the organization units with the lowest scores and their main problems (reporting completeness, timeliness, missing or zero values, extreme outliers, inconsistencies), and say how far they limit the conclusions drawn from the data
+` : ''}   - Highlight any notable patterns, anomalies, or concerning indicators
+   ${context.multiOrgUnitMode ? `   - **FOR MULTI-ORG UNIT ANALYSIS**: Compare performance across organization units, identify best and worst performers, highlight disparities and outliers
+   - **RANKING AND COMPARISON**: When asked, provide clear rankings and identify specific organization units that need attention
+   - **GEOGRAPHIC INSIGHTS**: Consider geographic or administrative factors that might explain differences between organization units` : ''}
+   - Conclude with 2-5 specific, actionable recommendations
+3. If there is NO data available:
+   - Acknowledge the lack of data without being repetitive
+${data && data.dataQuality ? `   - Explain the missing data from the "Data Quality Scorecard": whether reports were expected and submitted, and which organization units did not report
+` : `   - Do NOT assume problems with data collection - this is a development system and may simply not have data
+`}   - Provide 2-3 BRIEF suggestions specific to the selected data elements about possible next steps
+   - Avoid lengthy explanations about data collection in general
+4. Always use a professional, direct tone appropriate for healthcare contexts
+
+Focus on delivering practical insights that can inform immediate decision-making in healthcare contexts, particularly in low-resource or emergency settings.
+
+Remember:
+1. Avoid showing technical details like UIDs (e.g., "UsSUX0cpKsH") in your analysis
+2. If data element names aren't clear, refer to them by their position or general type (e.g., "the first disease," "disease type A")
+3. Focus on the patterns and insights rather than the raw data representation
+4. ALWAYS use the organization unit's display name (${context.orgUnit.displayName || context.orgUnit.name || "organization unit"}) in your responses, not the ID
+${options.structured ? getInsightsInstructions() : ''}`
+}
+
+/**
+ * Condense an answer for the summary of earlier turns: its text without markdown, cut at
+ * a sentence end
+ * @param {string} text - Message content
+ * @param {number} maxLength - Maximum length in characters
+ * @returns {string} Condensed text
+ */
+const condenseMessage = (text, maxLength) => {
+  const plain = String(text || '')
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/[#*_`>|]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+  if (plain.length <= maxLength) return plain
+  const cut = plain.slice(0, maxLength)
+  const sentenceEnd = cut.lastIndexOf('. ')
+  return `${sentenceEnd > maxLength / 2 ? cut.slice(0, sentenceEnd + 1) : cut} ...`
+}
+
+/**
+ * Fit the conversation history into its token budget. The latest exchanges are kept as
+ * they are; when they do not all fit, the older ones are condensed into a summary
+ * (question and the start of each answer), oldest dropped first
+ * @param {Array} conversation - The conversation history ({ role, content })
+ * @param {number} budget - Tokens the history may use
+ * @param {string} model - Model name, for token estimates
+ * @returns {Object} { messages, summary, summarizedCount } where summary is null when everything fits
+ */
+export const fitConversation = (conversation, budget, model) => {
+  if (estimateMessageTokens(conversation, model) <= budget) {
+    return { messages: conversation, summary: null, summarizedCount: 0 }
+  }
+
+  // Keep whole exchanges, newest first, within the share left for them
+  let start = conversation.length
+  let used = 0
+  for (let i = conversation.length - 1; i >= 0; i--) {
+    used += estimateMessageTokens([conversation[i]], model)
+    if (used > budget * RECENT_HISTORY_SHARE) break
+    if (conversation[i].role === 'user') start = i
+  }
+  const messages = conversation.slice(start)
+  const older = conversation.slice(0, start)
+
+  const lines = []
+  older.forEach((message, index) => {
+    if (message.role !== 'user') return
+    const answer = older[index + 1] && older[index + 1].role === 'assistant' ? older[index + 1].content : ''
+    lines.push(`- Q: ${condenseMessage(message.content, SUMMARY_QUESTION_LENGTH)}` +
+      (answer ? `\n  A: ${condenseMessage(answer, SUMMARY_ANSWER_LENGTH)}` : ''))
+  })
+
+  // Drop the oldest summary lines until the summary fits next to the kept messages
+  const summaryBudget = budget - estimateMessageTokens(messages, model)
+  let dropped = 0
+  while (lines.length > 0 && estimateTokens(lines.join('\n'), model) > summaryBudget) {
+    lines.shift()
+    dropped++
+  }
+  const summary = [
+    ...(dropped > 0 ? [`(${dropped} earlier questions left out)`] : []),
+    ...lines
+  ].join('\n')
+
+  return { messages, summary, summarizedCount: older.length }
+}
+
+/**
+ * Build the chat messages sent to a provider. History beyond its token budget is
+ * summarised into the system prompt
+ * @param {string} systemPrompt - The system prompt
+ * @param {Array} conversation - The conversation history ({ role, content })
+ * @param {string} query - The user's query
+ * @param {Object} options
+ * @param {string} options.model - Model name, for token estimates
+ * @param {number} options.historyBudget - Tokens the history may use
+ * @returns {Object} { messages, summarizedCount } where summarizedCount is the number of history messages summarised
+ */
+export const buildChatMessages = (systemPrompt, conversation, query, options = {}) => {
+  const { model, historyBudget = Infinity } = options
+  const history = fitConversation(conversation, historyBudget, model)
+  const system = history.summary
+    ? `${systemPrompt}\n## Earlier conversation (summarised to fit the context window):\n${history.summary}\n`
+    : systemPrompt
+  return {
+    messages: [
+      { role: 'system', content: system },
+      ...history.messages,
+      { role: 'user', content: query }
+    ],
+    summarizedCount: history.summarizedCount
+  }
+}
+
+/**
+ * Extract recommendations from AI message
+ * @param {string} message - The AI response message
+ * @returns {Array} List of recommendations
+ */
+export const extractRecommendations = (message) => {
+  const recommendations = []
+  
+  // Look for sections that might contain recommendations
+  const recommendationSections = [
+    /## Recommendations\s+([\s\S]+?)(?=##|$)/i,
+    /Recommendations:\s+([\s\S]+?)(?=##|$)/i,
+    /I recommend\s+([\s\S]+?)(?=##|$)/i,
+    /Actions to consider:\s+([\s\S]+?)(?=##|$)/i,
+  ]
+  
+  for (const pattern of recommendationSections) {
+    const match = message.match(pattern)
+    if (match && match[1]) {
+      // Extract recommendations as bullet points or numbered list
+      const section = match[1].trim()
+      
+      // Try to match bullet points
+      const bulletPoints = section.match(/[•\-\*]\s+([^\n]+)/g)
+      if (bulletPoints) {
+        bulletPoints.forEach(point => {
+          recommendations.push(point.replace(/[•\-\*]\s+/, '').trim())
+        })
+        continue
+      }
+      
+      // Try to match numbered list
+      const numberedPoints = section.match(/\d+\.\s+([^\n]+)/g)
+      if (numberedPoints) {
+        numberedPoints.forEach(point => {
+          recommendations.push(point.replace(/\d+\.\s+/, '').trim())
+        })
+        continue
+      }
+      
+      // If no bullet points found, just use entire section
+      if (recommendations.length === 0) {
+        // Split by lines and filter empty lines
+        const lines = section.split('\n').filter(line => line.trim())
+        lines.forEach(line => {
+          recommendations.push(line.trim())
+        })
+      }
+    }
+  }
+  
+  return recommendations
+}
+/**
+ * Create the response object returned by every provider
+ * @param {string} message - The complete AI message
+ * @param {Object} extra - Provider specific fields (usage, model)
+ * @returns {Object} { message, recommendations, ...extra }
+ */
+export const createAIResult = (message, extra = {}) => {
+  const recommendations = extractRecommendations(message)
+  return {
+    message,
+    recommendations: recommendations.length > 0 ? recommendations : null,
+    ...extra
+  }
+}
@@ -0,0 +1,66 @@
+import { createSystemPrompt } from './prompt'
+import { estimateTokens, getTokenBudget } from './tokens'
+
+const months = Array.from({ length: 12 }, (_, i) => `2024${String(i + 1).padStart(2, '0')}`)
+const orgUnits = Array.from({ length: 500 }, (_, i) => ({ id: `ou${i + 1}`, displayName: `Health Facility ${i + 1}` }))
+const stats = (value) => ({ count: 12, min: value - 5, max: value + 5, mean: value.toFixed(2), median: value.toFixed(2), sum: (value * 12).toFixed(2) })
+
+// A year of monthly values for 500 facilities, with the summaries calculateSummary adds in multi org unit mode
+const items = { de1: { name: 'Malaria cases' } }
+orgUnits.forEach(ou => { items[ou.id] = { name: ou.displayName } })
+const data = {
+  headers: ['dx', 'pe', 'ou', 'value'].map(name => ({ name })),
+  rows: orgUnits.flatMap((ou, o) => months.map((pe, m) => ['de1', pe, ou.id, String(100 + o + m)])),
+  metaData: { items },
+  dataType: 'aggregate',
+  summary: {
+    'Malaria cases': stats(300),
+    orgUnitBreakdown: Object.fromEntries(orgUnits.map((ou, o) => [ou.displayName, { 'Malaria cases': stats(100 + o) }])),
+    periodBreakdown: Object.fromEntries(months.map((pe, m) => [pe, { 'Malaria cases': stats(350 + m) }])),
+    timeSeriesData: { 'Malaria cases': months.map((period, m) => ({ period, value: 175000 + m * 500 })) },
+    comparisons: {
+      aggregation: 'sum',
+      periods: { current: '2024', previous: '2023', lastYear: '2023' },
+      dataElements: { 'Malaria cases': { current: 2100000, previous: 2000000, lastYear: 2000000, changeFromPrevious: 100000, percentChangeFromPrevious: 5, changeFromLastYear: 100000, percentChangeFromLastYear: 5 } },
+      orgUnits: Object.fromEntries(orgUnits.map((ou, o) => [ou.displayName, {
+        'Malaria cases': { current: 1200 + o, previous: 1100, lastYear: 1100, changeFromPrevious: 100 + o, percentChangeFromPrevious: 9.1, changeFromLastYear: 100 + o, percentChangeFromLastYear: 9.1 }
+      }]))
+    }
+  }
+}
+const context = {
+  user: { name: 'Admin', username: 'admin', orgUnits: 'Sierra Leone' },
+  dataElements: ['Malaria cases'],
+  period: 'THIS_YEAR',
+  orgUnit: { id: 'ImspTQPwCqd', displayName: 'Sierra Leone', level: 1 },
+  multiOrgUnitMode: true,
+  childOrgUnits: orgUnits
+}
+
+describe('createSystemPrompt', () => {
+  it('keeps the whole prompt within the data and instructions budget of the model', () => {
+    const budget = getTokenBudget('gpt-4', 2000)
+    const prompt = createSystemPrompt(data, context, { model: 'gpt-4', tokenBudget: budget.data })
+    expect(estimateTokens(prompt, 'gpt-4')).toBeLessThanOrEqual(budget.data + budget.instructions)
+  })
+
+  it('leaves out the period sections first and then lists the highest and lowest org units', () => {
+    const budget = getTokenBudget('gpt-4', 2000)
+    const prompt = createSystemPrompt(data, context, { model: 'gpt-4', tokenBudget: budget.data })
+    expect(prompt).toContain('NOTE - SUMMARIES REDUCED TO FIT THE CONTEXT')
+    expect(prompt).toContain('the period-by-period breakdown and time series are left out')
+    expect(prompt).not.toContain('Period-by-Period Breakdown:')
+    expect(prompt).toContain('Organization Unit Breakdown (the 10 highest and lowest by mean Malaria cases):')
+    expect(prompt).toContain('\nHealth Facility 500:\n')
+    expect(prompt).toContain('\nHealth Facility 1:\n')
+    expect(prompt).toContain('... 480 organization units ranked in between omitted')
+    expect(prompt).not.toContain('\nHealth Facility 250:\n')
+  })
+
+  it('keeps every summary when the budget allows', () => {
+    const prompt = createSystemPrompt(data, context, { model: 'gpt-4', tokenBudget: 200000 })
+    expect(prompt).not.toContain('SUMMARIES REDUCED')
+    expect(prompt).toContain('Period-by-Period Breakdown:')
+    expect(prompt).toContain('\nHealth Facility 250:\n')
+  })
+})
@@ -2,6 +2,7 @@
  * Utility functions for generating reports from AI responses
  */
 import { saveAs } from 'file-saver';
+import { formatPeriod } from './formatters';
 
 /**
  * Generate a report as HTML and download it
@@ -305,22 +306,3 @@ const formatDateForFilename = (date) => {
   
   return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}_${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
 };
-
-/**
- * Format a period identifier for display
- * @param {string} period - Period identifier (e.g., 'THIS_MONTH')
- * @returns {string} Human-readable period
- */
-const formatPeriod = (period) => {
-  const periodMap = {
-    'THIS_MONTH': 'This Month',
-    'LAST_MONTH': 'Last Month', 
-    'THIS_QUARTER': 'This Quarter',
-    'LAST_QUARTER': 'Last Quarter',
-    'THIS_YEAR': 'This Year',
-    'LAST_YEAR': 'Last Year',
-    'LAST_12_MONTHS': 'Last 12 Months'
-  };
-  
-  return periodMap[period] || period;
-};
\ No newline at end of file
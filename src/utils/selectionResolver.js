@@ -0,0 +1,227 @@
+/**
+ * Resolve a data selection described in plain language, e.g. "malaria confirmed cases by
+ * district in Northern Region for the last 12 months", into the selection the data selector makes.
+ *
+ * The AI first picks out search terms, the periods and the breakdown; the terms are searched in
+ * the DHIS2 metadata by name; the AI then chooses among the matches by ID. Every ID, period and
+ * level it returns is checked against what was found, so a proposal only holds items that exist.
+ * The user confirms the proposal before it replaces the selection.
+ */
+
+import { completeWithAI } from './aiService'
+import { searchSelectionMetadata } from './dhis2Data'
+import { RELATIVE_PERIODS, findInvalidPeriods } from './periods'
+import { parseBreakdownOptionValue } from './orgUnits'
+
+// Data types a description can resolve to; event and tracker data need the program and stage steps of the selector
+const DATA_TYPE_NAMES = {
+  aggregate: 'data element',
+  indicator: 'indicator',
+  programIndicator: 'program indicator'
+}
+
+const MAX_SEARCH_TERMS = 5
+const MAX_SELECTED_ITEMS = 10
+const DEFAULT_PERIOD = 'LAST_12_MONTHS'
+
+// Used when the description names no org unit that can be found, as the selector's "User org unit" button
+const USER_ORG_UNIT = {
+  id: 'USER_ORGUNIT',
+  displayName: 'User organisation unit',
+  path: '',
+  isSpecial: true
+}
+
+/**
+ * Read the JSON object of an AI answer, which may be wrapped in a code fence or text
+ * @param {string} text - AI answer
+ * @returns {Object} Parsed object
+ */
+const parseJsonAnswer = (text) => {
+  const start = text.indexOf('{')
+  const end = text.lastIndexOf('}')
+  if (start === -1 || end <= start) {
+    throw new Error('The AI did not answer with a selection. Try rephrasing the description.')
+  }
+  try {
+    return JSON.parse(text.slice(start, end + 1))
+  } catch (err) {
+    throw new Error(`The AI answered with an invalid selection (${err.message}). Try again or rephrase the description.`)
+  }
+}
+
+/**
+ * Ask the AI for a JSON object
+ * @param {string} instructions - System message
+ * @param {string} description - The user's description
+ * @param {Object} options - { user, signal }
+ * @returns {Object} Parsed answer
+ */
+const askForJson = async (instructions, description, options) => {
+  const { message } = await completeWithAI([
+    { role: 'system', content: instructions },
+    { role: 'user', content: description }
+  ], { json: true, temperature: 0, user: options.user, signal: options.signal })
+  return parseJsonAnswer(message)
+}
+
+/**
+ * Normalise a list of strings from the AI
+ * @param {*} value - Array or single string
+ * @returns {Array} Trimmed, non-empty strings
+ */
+const toList = (value) => (Array.isArray(value) ? value : [value])
+  .filter(item => typeof item === 'string' || typeof item === 'number')
+  .map(item => String(item).trim())
+  .filter(Boolean)
+
+/**
+ * Instructions for picking the search terms, periods and breakdown out of a description
+ * @returns {string} System message
+ */
+const createTermsPrompt = () => `You turn a description of the DHIS2 data a user wants to analyse into metadata search terms.
+Today is ${new Date().toISOString().slice(0, 10)}.
+
+Answer with a JSON object only:
+{
+  "dataItems": ["search words for each data element or indicator asked for"],
+  "dataType": "aggregate" (data elements), "indicator", "programIndicator" or "any" when the description does not say,
+  "orgUnit": "search words for the organisation unit, or \\"\\" when none is named",
+  "breakdown": "name of the level to break down by (e.g. \\"district\\"), \\"children\\" for the units directly below, or \\"\\" for none",
+  "periods": "DHIS2 periods separated by \\";\\""
+}
+
+Search words are the distinctive words of a name, e.g. "malaria confirmed" for "confirmed malaria cases"; leave out words like "number of", "cases" or "total" unless they are needed to tell items apart. Give at most ${MAX_SEARCH_TERMS} data items.
+Periods are relative periods (${RELATIVE_PERIODS.map(period => period.id).join(', ')}) or fixed periods (2024, 2024Q1, 202401, 2024W5). Use ${DEFAULT_PERIOD} when no period is given.`
+
+/**
+ * Instructions for choosing among the metadata that matched the search terms
+ * @param {Object} candidates - From searchSelectionMetadata
+ * @returns {string} System message
+ */
+const createChoicePrompt = (candidates) => `Choose the DHIS2 data items and organisation unit that match the user's description, from the candidates found in the metadata.
+
+Answer with a JSON object only:
+{
+  "dataItems": ["IDs of the matching data items, all of the same type, at most ${MAX_SELECTED_ITEMS}"],
+  "orgUnit": "ID of the organisation unit, or \\"\\" when none of the candidates matches",
+  "breakdownLevel": number of the level to break the organisation unit down by, or null,
+  "breakdownChildren": true to break it down by the units directly below instead,
+  "explanation": "one sentence on what you chose"
+}
+
+Candidate data items (ID | type | name | dataset, group or program):
+${candidates.dataItems.map(item => `${item.id} | ${item.type} | ${item.displayName} | ${item.parentName}`).join('\n') || 'none'}
+
+Candidate organisation units (ID | level | name | parent):
+${candidates.orgUnits.map(ou => `${ou.id} | ${ou.level} | ${ou.displayName} | ${ou.parentName}`).join('\n') || 'none'}
+
+Organisation unit levels: ${candidates.levels.map(level => `${level.level} = ${level.displayName}`).join(', ') || 'unknown'}`
+
+/**
+ * Resolve a description into a proposed data selection
+ * @param {Object} engine - DHIS2 data engine
+ * @param {string} description - What the user wants to analyse
+ * @param {Object} options
+ * @param {Object} options.user - The current DHIS2 user
+ * @param {AbortSignal} options.signal - Signal to cancel the AI requests
+ * @returns {Object} { dataType, dataElements, period, orgUnit, explanation, notes } where dataElements and
+ *   orgUnit have the shape the data selector passes to the app, and notes list what had to be adjusted
+ */
+export const resolveSelection = async (engine, description, options = {}) => {
+  const text = String(description || '').trim()
+  if (!text) {
+    throw new Error('Describe the data you want to analyse')
+  }
+  const notes = []
+
+  const terms = await askForJson(createTermsPrompt(), text, options)
+  const dataTerms = toList(terms.dataItems).slice(0, MAX_SEARCH_TERMS)
+  const orgUnitTerms = toList(terms.orgUnit)
+  if (dataTerms.length === 0) {
+    throw new Error('No data elements or indicators could be made out of the description. Name what should be counted or measured.')
+  }
+
+  const found = await searchSelectionMetadata(engine, { dataItems: dataTerms, orgUnits: orgUnitTerms })
+  const wantedType = DATA_TYPE_NAMES[terms.dataType] ? terms.dataType : null
+  const candidates = {
+    ...found,
+    dataItems: found.dataItems.filter(item => !wantedType || item.type === wantedType)
+  }
+  if (candidates.dataItems.length === 0) {
+    throw new Error(`No ${wantedType ? `${DATA_TYPE_NAMES[wantedType]}s` : 'data elements or indicators'} match "${dataTerms.join('", "')}". Try other words from their names.`)
+  }
+
+  const choice = await askForJson(createChoicePrompt(candidates), text, options)
+
+  // Keep the chosen items that were found, all of the type of the first
+  const chosen = toList(choice.dataItems)
+    .map(id => candidates.dataItems.find(item => item.id === id))
+    .filter(Boolean)
+  if (chosen.length === 0) {
+    throw new Error('None of the data items found matches the description. Try other words from their names.')
+  }
+  const dataType = chosen[0].type
+  const sameType = chosen.filter(item => item.type === dataType)
+  if (sameType.length < chosen.length) {
+    notes.push(`Only ${DATA_TYPE_NAMES[dataType]}s are kept, as one selection holds one type of data`)
+  }
+  if (sameType.length > MAX_SELECTED_ITEMS) {
+    notes.push(`Only the first ${MAX_SELECTED_ITEMS} data items are kept`)
+  }
+  const dataElements = sameType.slice(0, MAX_SELECTED_ITEMS).map(item => ({
+    ...item,
+    displayName: item.parentName ? `${item.displayName} [${item.parentName}]` : item.displayName
+  }))
+
+  let orgUnit = found.orgUnits.find(ou => ou.id === choice.orgUnit)
+  if (!orgUnit) {
+    if (orgUnitTerms.length > 0) {
+      notes.push(`No organisation unit matching "${orgUnitTerms.join(' ')}" was found, so your own organisation unit is used`)
+    }
+    orgUnit = USER_ORG_UNIT
+  }
+
+  // A breakdown level has to be below the org unit
+  const levelNames = Object.fromEntries(found.levels.map(level => [level.level, level.displayName]))
+  const breakdownLevel = parseInt(choice.breakdownLevel, 10)
+  let breakdownValue = ''
+  if (breakdownLevel && levelNames[breakdownLevel]) {
+    if (orgUnit.level && breakdownLevel <= orgUnit.level) {
+      notes.push(`${orgUnit.displayName} is not above the ${levelNames[breakdownLevel]} level, so it is not broken down`)
+    } else {
+      breakdownValue = `LEVEL-${breakdownLevel}`
+    }
+  } else if (choice.breakdownChildren === true) {
+    breakdownValue = 'CHILDREN'
+  }
+  const breakdown = parseBreakdownOptionValue(breakdownValue, { levels: levelNames })
+
+  const periods = toList(String(terms.periods || '').split(';'))
+  const invalidPeriods = findInvalidPeriods(periods.join(';'))
+  let period = periods.filter(id => !invalidPeriods.includes(id)).join(';')
+  if (invalidPeriods.length > 0) {
+    notes.push(`Unknown periods left out: ${invalidPeriods.join(', ')}`)
+  }
+  if (!period) {
+    period = DEFAULT_PERIOD
+  }
+
+  return {
+    dataType,
+    dataElements,
+    period,
+    orgUnit: {
+      id: orgUnit.id,
+      displayName: orgUnit.displayName,
+      path: orgUnit.path,
+      level: orgUnit.level,
+      ...(orgUnit.isSpecial ? { isSpecial: true } : {}),
+      includeChildOrgUnits: Boolean(breakdown),
+      breakdown,
+      groupSets: []
+    },
+    explanation: typeof choice.explanation === 'string' ? choice.explanation : '',
+    notes
+  }
+}
@@ -0,0 +1,120 @@
+import { resolveSelection } from './selectionResolver'
+import { completeWithAI } from './aiService'
+import { searchSelectionMetadata } from './dhis2Data'
+
+jest.mock('./aiService', () => ({ completeWithAI: jest.fn() }))
+jest.mock('./dhis2Data', () => ({ searchSelectionMetadata: jest.fn() }))
+
+const found = {
+  dataItems: [
+    { id: 'fbfJHSPpUQD', displayName: 'ANC 1st visit', type: 'aggregate', parentName: 'Child Health' },
+    { id: 'cYeuwXTCPkU', displayName: 'ANC 2nd visit', type: 'aggregate', parentName: '' },
+    { id: 'Uvn6LCg7dVU', displayName: 'ANC 1 Coverage', type: 'indicator', parentName: 'ANC' }
+  ],
+  orgUnits: [
+    { id: 'O6uvpzGd5pu', displayName: 'Bo', level: 2, path: '/ImspTQPwCqd/O6uvpzGd5pu', parentName: 'Sierra Leone' }
+  ],
+  levels: [
+    { level: 1, displayName: 'National' },
+    { level: 2, displayName: 'District' },
+    { level: 3, displayName: 'Chiefdom' }
+  ]
+}
+
+/**
+ * Let the AI answer the terms and then the choice request
+ * @param {Object} terms - Answer to the first request
+ * @param {Object} choice - Answer to the second request
+ */
+const answerWith = (terms, choice) => {
+  completeWithAI
+    .mockResolvedValueOnce({ message: JSON.stringify(terms) })
+    .mockResolvedValueOnce({ message: JSON.stringify(choice) })
+}
+
+const terms = { dataItems: ['anc visit'], dataType: 'any', orgUnit: 'Bo', breakdown: '', periods: 'LAST_12_MONTHS' }
+
+describe('resolveSelection', () => {
+  beforeEach(() => {
+    completeWithAI.mockReset()
+    searchSelectionMetadata.mockReset().mockResolvedValue(found)
+  })
+
+  it('keeps only the chosen IDs that were found', async () => {
+    answerWith(terms, { dataItems: ['fbfJHSPpUQD', 'madeUpId123'], orgUnit: 'O6uvpzGd5pu' })
+    const selection = await resolveSelection({}, 'ANC visits in Bo')
+    expect(selection.dataElements.map(item => item.id)).toEqual(['fbfJHSPpUQD'])
+    expect(selection.dataElements[0].displayName).toBe('ANC 1st visit [Child Health]')
+    expect(selection.orgUnit).toMatchObject({ id: 'O6uvpzGd5pu', breakdown: null, includeChildOrgUnits: false })
+  })
+
+  it('rejects a choice of IDs none of which were found', async () => {
+    answerWith(terms, { dataItems: ['madeUpId123'], orgUnit: 'O6uvpzGd5pu' })
+    await expect(resolveSelection({}, 'ANC visits in Bo')).rejects.toThrow('None of the data items found')
+  })
+
+  it('uses the user org unit when the chosen org unit was not found', async () => {
+    answerWith(terms, { dataItems: ['fbfJHSPpUQD'], orgUnit: 'madeUpOu123' })
+    const selection = await resolveSelection({}, 'ANC visits in Bo')
+    expect(selection.orgUnit).toMatchObject({ id: 'USER_ORGUNIT', isSpecial: true })
+    expect(selection.notes).toEqual(['No organisation unit matching "Bo" was found, so your own organisation unit is used'])
+  })
+
+  it('keeps only items of the type of the first one', async () => {
+    answerWith(terms, { dataItems: ['Uvn6LCg7dVU', 'fbfJHSPpUQD', 'cYeuwXTCPkU'], orgUnit: 'O6uvpzGd5pu' })
+    const selection = await resolveSelection({}, 'ANC visits and coverage in Bo')
+    expect(selection.dataType).toBe('indicator')
+    expect(selection.dataElements.map(item => item.id)).toEqual(['Uvn6LCg7dVU'])
+    expect(selection.notes).toEqual(['Only indicators are kept, as one selection holds one type of data'])
+  })
+
+  it('offers only candidates of the data type the description asks for', async () => {
+    answerWith({ ...terms, dataType: 'indicator' }, { dataItems: ['Uvn6LCg7dVU'], orgUnit: 'O6uvpzGd5pu' })
+    await resolveSelection({}, 'ANC coverage indicators in Bo')
+    const choicePrompt = completeWithAI.mock.calls[1][0][0].content
+    expect(choicePrompt).toContain('Uvn6LCg7dVU')
+    expect(choicePrompt).not.toContain('fbfJHSPpUQD')
+  })
+
+  it('breaks the org unit down by a level below it', async () => {
+    answerWith(terms, { dataItems: ['fbfJHSPpUQD'], orgUnit: 'O6uvpzGd5pu', breakdownLevel: 3 })
+    const selection = await resolveSelection({}, 'ANC visits in Bo by chiefdom')
+    expect(selection.orgUnit).toMatchObject({
+      includeChildOrgUnits: true,
+      breakdown: { type: 'level', level: 3, name: 'Chiefdom' }
+    })
+  })
+
+  it('does not break the org unit down by its own level or one above it', async () => {
+    for (const breakdownLevel of [1, 2]) {
+      answerWith(terms, { dataItems: ['fbfJHSPpUQD'], orgUnit: 'O6uvpzGd5pu', breakdownLevel })
+      const selection = await resolveSelection({}, 'ANC visits in Bo by district')
+      expect(selection.orgUnit).toMatchObject({ includeChildOrgUnits: false, breakdown: null })
+      expect(selection.notes).toEqual([`Bo is not above the ${breakdownLevel === 1 ? 'National' : 'District'} level, so it is not broken down`])
+    }
+  })
+
+  it('ignores a level that does not exist', async () => {
+    answerWith(terms, { dataItems: ['fbfJHSPpUQD'], orgUnit: 'O6uvpzGd5pu', breakdownLevel: 7 })
+    const selection = await resolveSelection({}, 'ANC visits in Bo')
+    expect(selection.orgUnit.breakdown).toBeNull()
+  })
+
+  it('leaves out invalid periods', async () => {
+    answerWith({ ...terms, periods: '202401;2024M13;NEXT_CENTURY' }, { dataItems: ['fbfJHSPpUQD'], orgUnit: 'O6uvpzGd5pu' })
+    const selection = await resolveSelection({}, 'ANC visits in Bo in January 2024')
+    expect(selection.period).toBe('202401')
+    expect(selection.notes).toEqual(['Unknown periods left out: 2024M13, NEXT_CENTURY'])
+  })
+
+  it('falls back to the last 12 months when no period is valid', async () => {
+    answerWith({ ...terms, periods: 'SOMETIME' }, { dataItems: ['fbfJHSPpUQD'], orgUnit: 'O6uvpzGd5pu' })
+    const selection = await resolveSelection({}, 'ANC visits in Bo')
+    expect(selection.period).toBe('LAST_12_MONTHS')
+  })
+
+  it('asks for a description before calling the AI', async () => {
+    await expect(resolveSelection({}, '  ')).rejects.toThrow('Describe the data')
+    expect(completeWithAI).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,86 @@
+/**
+ * Read and write app settings in the DHIS2 dataStore (organisation-wide defaults)
+ * and userDataStore (per-user overrides and secrets)
+ */
+
+export const DATASTORE_NAMESPACE = 'ai-insights'
+export const SETTINGS_KEY = 'settings'
+export const SECRETS_KEY = 'secrets'
+
+/**
+ * Check whether a data engine error is a 404 (key or namespace does not exist yet)
+ * @param {Error} error - Error thrown by the data engine
+ * @returns {boolean} True if the resource was not found
+ */
+const isNotFound = (error) => {
+  const details = (error && error.details) || {}
+  return details.httpStatusCode === 404 || details.status === 404
+}
+
+/**
+ * Read a key from the dataStore or userDataStore
+ * @param {Object} engine - DHIS2 data engine
+ * @param {string} store - 'dataStore' or 'userDataStore'
+ * @param {string} key - Key within the app namespace
+ * @returns {Promise<Object|null>} The stored value or null if it does not exist
+ */
+export const readDataStoreKey = async (engine, store, key) => {
+  try {
+    const response = await engine.query({
+      value: {
+        resource: `${store}/${DATASTORE_NAMESPACE}/${key}`
+      }
+    })
+    return response.value || null
+  } catch (error) {
+    if (isNotFound(error)) {
+      return null
+    }
+    throw error
+  }
+}
+
+/**
+ * Write a key to the dataStore or userDataStore, creating it if needed
+ * @param {Object} engine - DHIS2 data engine
+ * @param {string} store - 'dataStore' or 'userDataStore'
+ * @param {string} key - Key within the app namespace
+ * @param {Object} value - The value to store
+ * @param {Object} options - Write options
+ * @param {boolean} options.encrypt - Have DHIS2 encrypt the value at rest (for secrets)
+ */
+export const writeDataStoreKey = async (engine, store, key, value, { encrypt = false } = {}) => {
+  const resource = `${store}/${DATASTORE_NAMESPACE}/${key}`
+  const params = encrypt ? { encrypt: true } : undefined
+  try {
+    await engine.mutate({ resource, type: 'update', data: value, params })
+  } catch (error) {
+    if (!isNotFound(error)) {
+      throw error
+    }
+    await engine.mutate({ resource, type: 'create', data: value, params })
+  }
+}
+
+/**
+ * Fetch all settings layers for the current user
+ * @param {Object} engine - DHIS2 data engine
+ * @returns {Promise<Object>} { organisation, user, secrets } - each an object (empty if unset)
+ */
+export const fetchSettingsLayers = async (engine) => {
+  const [organisation, user, secrets] = await Promise.all([
+    readDataStoreKey(engine, 'dataStore', SETTINGS_KEY).catch(error => {
+      // Users without access to the namespace simply get no organisation defaults
+      console.warn('Could not read organisation settings from dataStore:', error)
+      return null
+    }),
+    readDataStoreKey(engine, 'userDataStore', SETTINGS_KEY),
+    readDataStoreKey(engine, 'userDataStore', SECRETS_KEY)
+  ])
+
+  return {
+    organisation: organisation || {},
+    user: user || {},
+    secrets: secrets || {}
+  }
+}
@@ -0,0 +1,482 @@
+/**
+ * Local statistical analysis of time series: linear trend with a significance test,
+ * year-over-year change, moving averages, seasonal decomposition of monthly series,
+ * outliers (z-score and IQR) and surveillance alerts (EWMA and CUSUM).
+ *
+ * The findings are computed before prompting, so the AI reports tested results
+ * instead of eyeballing trends and anomalies from the numbers.
+ *
+ * A series is an array of { period, value } with fixed period IDs, oldest first.
+ */
+
+import {
+  parsePeriodId,
+  shiftPeriodId,
+  getSamePeriodLastYear,
+  getPeriodName,
+  comparePeriodIds
+} from './periods'
+
+// Two-sided p-value below which a trend counts as significant
+const SIGNIFICANCE_LEVEL = 0.05
+const MIN_TREND_POINTS = 4
+const MOVING_AVERAGE_WINDOW = 3
+
+// Outliers: |z| of at least 3, or outside the Tukey fences (1.5 IQR beyond the quartiles)
+const Z_SCORE_THRESHOLD = 3
+const IQR_MULTIPLIER = 1.5
+const MIN_OUTLIER_POINTS = 8
+
+// Surveillance alerts: the latest periods are monitored against a baseline of the periods before them
+const ALERT_WINDOW = 3
+const MIN_BASELINE_POINTS = 6
+const EWMA_LAMBDA = 0.3
+const EWMA_LIMIT = 3
+const CUSUM_K = 0.5
+const CUSUM_H = 4
+
+// Seasonal decomposition needs three years of consecutive months: the centred moving average
+// loses half a year at each end, leaving two values per calendar month to estimate its effect
+const SEASON_LENGTH = 12
+const MIN_SEASONAL_YEARS = 3
+
+// Year-over-year changes at least this large (in %) are reported as findings
+const NOTABLE_YEAR_OVER_YEAR_CHANGE = 20
+
+// Basic helpers, shared with the outbreak thresholds
+export const round = (value, digits = 2) => (value === null || !isFinite(value) ? null : parseFloat(value.toFixed(digits)) || 0)
+
+export const mean = (values) => values.reduce((acc, val) => acc + val, 0) / values.length
+
+// Sample standard deviation
+export const standardDeviation = (values) => {
+  if (values.length < 2) return 0
+  const avg = mean(values)
+  return Math.sqrt(values.reduce((acc, val) => acc + (val - avg) ** 2, 0) / (values.length - 1))
+}
+
+const variance = (values) => standardDeviation(values) ** 2
+
+// Quantile of sorted values with linear interpolation
+export const quantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q
+  const lower = Math.floor(position)
+  const upper = Math.ceil(position)
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower)
+}
+
+// Natural log of the gamma function (Lanczos approximation)
+const logGamma = (x) => {
+  const coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5]
+  let y = x
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5)
+  let series = 1.000000000190015
+  coefficients.forEach(c => { series += c / ++y })
+  return -tmp + Math.log(2.5066282746310005 * series / x)
+}
+
+// Continued fraction for the regularized incomplete beta function
+const betaContinuedFraction = (x, a, b) => {
+  const tiny = 1e-30
+  let c = 1
+  let d = 1 - (a + b) * x / (a + 1)
+  d = 1 / (Math.abs(d) < tiny ? tiny : d)
+  let h = d
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2))
+    d = 1 / (Math.abs(1 + aa * d) < tiny ? tiny : 1 + aa * d)
+    c = Math.abs(1 + aa / c) < tiny ? tiny : 1 + aa / c
+    h *= d * c
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1))
+    d = 1 / (Math.abs(1 + aa * d) < tiny ? tiny : 1 + aa * d)
+    c = Math.abs(1 + aa / c) < tiny ? tiny : 1 + aa / c
+    const delta = d * c
+    h *= delta
+    if (Math.abs(delta - 1) < 1e-10) break
+  }
+  return h
+}
+
+// Regularized incomplete beta function I_x(a, b)
+const incompleteBeta = (x, a, b) => {
+  if (x <= 0) return 0
+  if (x >= 1) return 1
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x))
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(x, a, b) / a
+    : 1 - front * betaContinuedFraction(1 - x, b, a) / b
+}
+
+// Two-sided p-value of a t statistic
+const tTestPValue = (t, degreesOfFreedom) =>
+  incompleteBeta(degreesOfFreedom / (degreesOfFreedom + t * t), degreesOfFreedom / 2, 0.5)
+
+// p-value of an F statistic
+const fTestPValue = (f, numeratorDf, denominatorDf) =>
+  incompleteBeta(denominatorDf / (denominatorDf + numeratorDf * f), denominatorDf / 2, numeratorDf / 2)
+
+/**
+ * Fit a least-squares line through equally spaced values and test whether the slope differs from zero
+ * @param {Array} values - Values, oldest first
+ * @returns {Object|null} { slope, intercept, rSquared, pValue, significant, direction, percentPerPeriod },
+ *   or null with fewer than MIN_TREND_POINTS values
+ */
+export const linearTrend = (values) => {
+  const n = values.length
+  if (n < MIN_TREND_POINTS) return null
+
+  const xMean = (n - 1) / 2
+  const yMean = mean(values)
+  let sxx = 0
+  let sxy = 0
+  let syy = 0
+  values.forEach((y, x) => {
+    sxx += (x - xMean) ** 2
+    sxy += (x - xMean) * (y - yMean)
+    syy += (y - yMean) ** 2
+  })
+  const slope = sxy / sxx
+  const intercept = yMean - slope * xMean
+  const sse = Math.max(0, syy - slope * sxy)
+  const standardError = Math.sqrt(sse / (n - 2) / sxx)
+  const pValue = standardError === 0
+    ? (slope === 0 ? 1 : 0)
+    : tTestPValue(slope / standardError, n - 2)
+  const significant = pValue < SIGNIFICANCE_LEVEL && slope !== 0
+
+  return {
+    slope: round(slope, 4),
+    intercept: round(intercept),
+    rSquared: syy === 0 ? null : round(1 - sse / syy, 3),
+    pValue: round(pValue, 4),
+    significant,
+    direction: !significant ? 'stable' : slope > 0 ? 'increasing' : 'decreasing',
+    percentPerPeriod: yMean !== 0 ? round(slope / Math.abs(yMean) * 100, 1) : null
+  }
+}
+
+/**
+ * Trailing moving average
+ * @param {Array} values - Values, oldest first
+ * @param {number} window - Number of values averaged
+ * @returns {Array} Averages, null until the window is full
+ */
+export const movingAverage = (values, window = MOVING_AVERAGE_WINDOW) =>
+  values.map((_, i) => (i < window - 1 ? null : round(mean(values.slice(i - window + 1, i + 1)))))
+
+/**
+ * Compare the latest period with the same period one year earlier, when the series has both
+ * @param {Array} series - Series, oldest first
+ * @returns {Object|null} { period, value, lastYearPeriod, lastYearValue, change, percentChange }
+ */
+export const yearOverYear = (series) => {
+  if (series.length < 2) return null
+  const latest = series[series.length - 1]
+  const lastYearId = getSamePeriodLastYear(latest.period)
+  const lastYear = series.find(point => point.period === lastYearId)
+  if (!lastYear) return null
+  return {
+    period: latest.period,
+    value: round(latest.value),
+    lastYearPeriod: lastYear.period,
+    lastYearValue: round(lastYear.value),
+    change: round(latest.value - lastYear.value),
+    percentChange: lastYear.value !== 0 ? round((latest.value - lastYear.value) / Math.abs(lastYear.value) * 100, 1) : null
+  }
+}
+
+/**
+ * Classical additive decomposition of a monthly series into trend (centred 2x12 moving
+ * average), seasonal and residual parts. The seasonal effect is tested with a one-way
+ * ANOVA of the detrended values by calendar month.
+ * @param {Array} series - Series of consecutive months, oldest first
+ * @returns {Object|null} { indices: { [month]: effect }, strength, pValue, seasonal, peakMonth, troughMonth },
+ *   or null unless the series covers at least MIN_SEASONAL_YEARS years of consecutive months
+ */
+export const seasonalDecomposition = (series) => {
+  if (series.length < SEASON_LENGTH * MIN_SEASONAL_YEARS) return null
+  const consecutiveMonths = series.every((point, i) => {
+    const period = parsePeriodId(point.period)
+    return period && period.periodType === 'MONTHLY' && (i === 0 || shiftPeriodId(series[i - 1].period, 1) === point.period)
+  })
+  if (!consecutiveMonths) return null
+
+  const values = series.map(point => point.value)
+  const monthOf = (point) => parsePeriodId(point.period).startDate.getUTCMonth()
+  const half = SEASON_LENGTH / 2
+  const trend = values.map((_, i) => {
+    if (i < half || i >= values.length - half) return null
+    // Centred moving average: half weight for the two ends of the 13-month window
+    let sum = (values[i - half] + values[i + half]) / 2
+    for (let j = i - half + 1; j < i + half; j++) sum += values[j]
+    return sum / SEASON_LENGTH
+  })
+
+  // Average detrended value per calendar month, centred to sum to zero
+  const byMonth = {}
+  values.forEach((value, i) => {
+    if (trend[i] === null) return
+    const month = monthOf(series[i])
+    byMonth[month] = byMonth[month] || []
+    byMonth[month].push(value - trend[i])
+  })
+  const rawIndices = Object.fromEntries(Object.entries(byMonth).map(([month, effects]) => [month, mean(effects)]))
+  const adjustment = mean(Object.values(rawIndices))
+  const indices = Object.fromEntries(Object.entries(rawIndices).map(([month, effect]) => [month, effect - adjustment]))
+
+  // Strength of seasonality: share of the detrended variance explained by the seasonal part
+  const detrended = []
+  const residuals = []
+  values.forEach((value, i) => {
+    if (trend[i] === null) return
+    const seasonal = indices[monthOf(series[i])]
+    detrended.push(value - trend[i])
+    residuals.push(value - trend[i] - seasonal)
+  })
+  const detrendedVariance = variance(detrended)
+  const strength = detrendedVariance === 0 ? 0 : Math.max(0, 1 - variance(residuals) / detrendedVariance)
+
+  // Between-month against within-month variation of the detrended values
+  const grandMean = mean(detrended)
+  const groups = Object.values(byMonth)
+  const between = groups.reduce((acc, effects) => acc + effects.length * (mean(effects) - grandMean) ** 2, 0)
+  const within = groups.reduce((acc, effects) => {
+    const groupMean = mean(effects)
+    return acc + effects.reduce((sum, effect) => sum + (effect - groupMean) ** 2, 0)
+  }, 0)
+  const betweenDf = groups.length - 1
+  const withinDf = detrended.length - groups.length
+  const pValue = within === 0
+    ? (between > 0 ? 0 : 1)
+    : fTestPValue((between / betweenDf) / (within / withinDf), betweenDf, withinDf)
+
+  const monthName = (month) => new Date(Date.UTC(2000, Number(month), 1)).toLocaleString('en', { month: 'long', timeZone: 'UTC' })
+  const ordered = Object.entries(indices).sort(([, a], [, b]) => b - a)
+  return {
+    indices: Object.fromEntries(Object.entries(indices)
+      .sort(([a], [b]) => a - b)
+      .map(([month, effect]) => [monthName(month), round(effect)])),
+    strength: round(strength, 2),
+    pValue: round(pValue, 4),
+    seasonal: pValue < SIGNIFICANCE_LEVEL,
+    peakMonth: monthName(ordered[0][0]),
+    troughMonth: monthName(ordered[ordered.length - 1][0])
+  }
+}
+
+/**
+ * Find outliers by z-score and by the interquartile range
+ * @param {Array} series - Series, oldest first
+ * @returns {Array} [{ period, value, zScore, methods }], empty with fewer than MIN_OUTLIER_POINTS values
+ */
+export const detectOutliers = (series) => {
+  if (series.length < MIN_OUTLIER_POINTS) return []
+  const values = series.map(point => point.value)
+  const avg = mean(values)
+  const sd = standardDeviation(values)
+  const sorted = [...values].sort((a, b) => a - b)
+  const q1 = quantile(sorted, 0.25)
+  const q3 = quantile(sorted, 0.75)
+  const iqr = q3 - q1
+  const lowerFence = q1 - IQR_MULTIPLIER * iqr
+  const upperFence = q3 + IQR_MULTIPLIER * iqr
+
+  return series.reduce((outliers, point) => {
+    const zScore = sd > 0 ? (point.value - avg) / sd : 0
+    const methods = []
+    if (Math.abs(zScore) >= Z_SCORE_THRESHOLD) methods.push('z-score')
+    if (iqr > 0 && (point.value < lowerFence || point.value > upperFence)) methods.push('IQR')
+    if (methods.length > 0) {
+      outliers.push({ period: point.period, value: round(point.value), zScore: round(zScore), methods })
+    }
+    return outliers
+  }, [])
+}
+
+/**
+ * Run EWMA and CUSUM control charts over a series, with the periods before the latest
+ * ALERT_WINDOW as the baseline
+ * @param {Array} series - Series, oldest first
+ * @returns {Object|null} { baseline: { mean, sd, periods }, ewma: [{ period, value, ewma, limit, direction }],
+ *   cusum: [{ period, value, statistic, direction }], latestInAlert }, or null without a usable baseline
+ */
+export const surveillanceAlerts = (series) => {
+  const baselineSeries = series.slice(0, series.length - ALERT_WINDOW)
+  if (baselineSeries.length < MIN_BASELINE_POINTS) return null
+  const baselineValues = baselineSeries.map(point => point.value)
+  const target = mean(baselineValues)
+  const sd = standardDeviation(baselineValues)
+  if (sd === 0) return null
+
+  const ewma = []
+  const cusum = []
+  let smoothed = target
+  let upper = 0
+  let lower = 0
+  series.forEach((point, i) => {
+    smoothed = EWMA_LAMBDA * point.value + (1 - EWMA_LAMBDA) * smoothed
+    const width = EWMA_LIMIT * sd * Math.sqrt(EWMA_LAMBDA / (2 - EWMA_LAMBDA) * (1 - (1 - EWMA_LAMBDA) ** (2 * (i + 1))))
+    if (Math.abs(smoothed - target) > width) {
+      ewma.push({
+        period: point.period,
+        value: round(point.value),
+        ewma: round(smoothed),
+        limit: round(smoothed > target ? target + width : target - width),
+        direction: smoothed > target ? 'increase' : 'decrease'
+      })
+    }
+
+    // Standardised CUSUM, restarted after each signal
+    const z = (point.value - target) / sd
+    upper = Math.max(0, upper + z - CUSUM_K)
+    lower = Math.max(0, lower - z - CUSUM_K)
+    if (upper > CUSUM_H || lower > CUSUM_H) {
+      const direction = upper > CUSUM_H ? 'increase' : 'decrease'
+      cusum.push({ period: point.period, value: round(point.value), statistic: round(direction === 'increase' ? upper : lower), direction })
+      upper = 0
+      lower = 0
+    }
+  })
+
+  const monitored = new Set(series.slice(-ALERT_WINDOW).map(point => point.period))
+  return {
+    baseline: { mean: round(target), sd: round(sd), periods: baselineSeries.length },
+    ewma,
+    cusum,
+    latestInAlert: [...ewma, ...cusum].some(alert => monitored.has(alert.period))
+  }
+}
+
+/**
+ * Run every analysis on one series
+ * @param {Array} series - Series of { period, value }; non-fixed periods and periods of
+ *   other types than the latest are left out
+ * @returns {Object} { points, trend, movingAverage, yearOverYear, seasonality, outliers, alerts }
+ */
+export const analyzeSeries = (series) => {
+  const fixedPoints = series
+    .filter(point => parsePeriodId(point.period) && !isNaN(point.value))
+    .sort((a, b) => comparePeriodIds(a.period, b.period))
+  // Mixed selections (e.g. weeks and months) are analysed for the period type of the latest period
+  const periodType = fixedPoints.length > 0 ? parsePeriodId(fixedPoints[fixedPoints.length - 1].period).periodType : null
+  const points = fixedPoints.filter(point => parsePeriodId(point.period).periodType === periodType)
+  const values = points.map(point => point.value)
+  const averages = movingAverage(values)
+
+  return {
+    points: points.length,
+    trend: linearTrend(values),
+    movingAverage: averages.length >= MOVING_AVERAGE_WINDOW
+      ? { window: MOVING_AVERAGE_WINDOW, latest: averages[averages.length - 1], previous: averages[averages.length - 2] }
+      : null,
+    yearOverYear: yearOverYear(points),
+    seasonality: seasonalDecomposition(points),
+    outliers: detectOutliers(points),
+    alerts: surveillanceAlerts(points)
+  }
+}
+
+/**
+ * Turn the analysis of a series into findings, most urgent first
+ * @param {Object} analysis - Result of analyzeSeries
+ * @param {string} dataElement - Data element name
+ * @param {string|null} orgUnit - Org unit name, or null for all selected org units
+ * @returns {Array} [{ severity: 'alert'|'warning'|'info', type, dataElement, orgUnit, message }]
+ */
+export const describeFindings = (analysis, dataElement, orgUnit = null) => {
+  const findings = []
+  const subject = orgUnit ? `${dataElement} in ${orgUnit}` : dataElement
+  const add = (severity, type, message) => findings.push({ severity, type, dataElement, orgUnit, message: `${subject}: ${message}` })
+  const { trend, yearOverYear: yoy, seasonality, outliers, alerts } = analysis
+
+  if (alerts && alerts.latestInAlert) {
+    const latest = [...alerts.ewma, ...alerts.cusum].sort((a, b) => comparePeriodIds(b.period, a.period))[0]
+    const methods = [
+      ...(alerts.ewma.some(alert => alert.period === latest.period) ? ['EWMA'] : []),
+      ...(alerts.cusum.some(alert => alert.period === latest.period) ? ['CUSUM'] : [])
+    ]
+    add('alert', 'alert', `unusual ${latest.direction} in ${getPeriodName(latest.period)} ` +
+      `(value ${latest.value} against a baseline mean of ${alerts.baseline.mean}, flagged by ${methods.join(' and ')})`)
+  }
+  outliers.forEach(outlier => {
+    add('warning', 'outlier', `outlier in ${getPeriodName(outlier.period)} (value ${outlier.value}, z-score ${outlier.zScore}, by ${outlier.methods.join(' and ')})`)
+  })
+  if (trend && trend.significant) {
+    add('info', 'trend', `significant ${trend.direction} trend of ${trend.slope} per period` +
+      `${trend.percentPerPeriod !== null ? ` (${trend.percentPerPeriod > 0 ? '+' : ''}${trend.percentPerPeriod}% of the mean)` : ''}, p = ${trend.pValue}`)
+  }
+  if (yoy && yoy.percentChange !== null && Math.abs(yoy.percentChange) >= NOTABLE_YEAR_OVER_YEAR_CHANGE) {
+    add('info', 'yearOverYear', `${yoy.percentChange > 0 ? '+' : ''}${yoy.percentChange}% in ${getPeriodName(yoy.period)} compared with ${getPeriodName(yoy.lastYearPeriod)}`)
+  }
+  if (seasonality && seasonality.seasonal) {
+    add('info', 'seasonality', `significant seasonal pattern (strength ${seasonality.strength}, p = ${seasonality.pValue}), highest in ${seasonality.peakMonth} and lowest in ${seasonality.troughMonth}`)
+  }
+  return findings
+}
+
+const SEVERITY_ORDER = { alert: 0, warning: 1, info: 2 }
+
+/**
+ * Analyse the time series of each data element, overall and per org unit
+ * @param {Array} headers - Data headers
+ * @param {Array} rows - Data rows
+ * @param {Object} metaData - Metadata from the response
+ * @param {Object} options
+ * @param {boolean} options.multiOrgUnitMode - Also analyse each org unit
+ * @param {string} options.aggregation - 'sum' or 'average', how org units combine into the overall series
+ * @returns {Object|null} { dataElements: { [name]: { overall, orgUnits: { [name]: analysis } } }, findings },
+ *   or null without a period column
+ */
+export const analyzeTimeSeries = (headers, rows, metaData, options = {}) => {
+  const { multiOrgUnitMode = false, aggregation = 'sum' } = options
+  const valueIndex = headers.findIndex(h => h.name === 'value')
+  const deIndex = headers.findIndex(h => h.name === 'dx')
+  const peIndex = headers.findIndex(h => h.name === 'pe')
+  const ouIndex = headers.findIndex(h => h.name === 'ou')
+  if (valueIndex === -1 || deIndex === -1 || peIndex === -1) return null
+
+  const items = (metaData && metaData.items) || {}
+  const getName = (id) => (items[id] && items[id].name) || id
+
+  // Values per data element and period, overall and per org unit
+  const overall = {}
+  const perOrgUnit = {}
+  rows.forEach(row => {
+    const value = parseFloat(row[valueIndex])
+    if (isNaN(value)) return
+    const deId = row[deIndex]
+    const peId = row[peIndex]
+    overall[deId] = overall[deId] || {}
+    overall[deId][peId] = overall[deId][peId] || []
+    overall[deId][peId].push(value)
+    if (multiOrgUnitMode && ouIndex >= 0) {
+      const key = `${deId}|${row[ouIndex]}`
+      perOrgUnit[key] = perOrgUnit[key] || { deId, ouId: row[ouIndex], values: {} }
+      perOrgUnit[key].values[peId] = (perOrgUnit[key].values[peId] || 0) + value
+    }
+  })
+
+  const dataElements = {}
+  const findings = []
+  Object.entries(overall).forEach(([deId, byPeriod]) => {
+    const series = Object.entries(byPeriod).map(([period, values]) => ({
+      period,
+      value: aggregation === 'average' ? mean(values) : values.reduce((acc, val) => acc + val, 0)
+    }))
+    const analysis = analyzeSeries(series)
+    dataElements[getName(deId)] = { overall: analysis, orgUnits: {} }
+    findings.push(...describeFindings(analysis, getName(deId)))
+  })
+  Object.values(perOrgUnit).forEach(({ deId, ouId, values }) => {
+    const analysis = analyzeSeries(Object.entries(values).map(([period, value]) => ({ period, value })))
+    dataElements[getName(deId)].orgUnits[getName(ouId)] = analysis
+    findings.push(...describeFindings(analysis, getName(deId), getName(ouId)))
+  })
+
+  return {
+    dataElements,
+    findings: findings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity])
+  }
+}
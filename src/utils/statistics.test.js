@@ -0,0 +1,105 @@
+import {
+  linearTrend,
+  movingAverage,
+  yearOverYear,
+  seasonalDecomposition,
+  detectOutliers,
+  surveillanceAlerts
+} from './statistics'
+
+const monthsFrom = (year, count) => Array.from({ length: count }, (_, i) =>
+  `${year + Math.floor(i / 12)}${String((i % 12) + 1).padStart(2, '0')}`)
+
+describe('linearTrend', () => {
+  it('tests the slope with a t-test', () => {
+    // With two degrees of freedom the two-sided p-value is 1 - |t| / sqrt(t^2 + 2), here t = 2.117
+    expect(linearTrend([1, 3, 2, 5])).toEqual({
+      slope: 1.1,
+      intercept: 1.1,
+      rSquared: 0.691,
+      pValue: 0.1685,
+      significant: false,
+      direction: 'stable',
+      percentPerPeriod: 40
+    })
+  })
+
+  it('marks a perfect line as a significant trend', () => {
+    expect(linearTrend([10, 9, 8, 7, 6, 5])).toMatchObject({
+      slope: -1,
+      pValue: 0,
+      significant: true,
+      direction: 'decreasing',
+      percentPerPeriod: -13.3
+    })
+  })
+
+  it('finds no trend in constant values and needs at least four values', () => {
+    expect(linearTrend([5, 5, 5, 5])).toMatchObject({ slope: 0, pValue: 1, rSquared: null, direction: 'stable' })
+    expect(linearTrend([1, 2, 3])).toBeNull()
+  })
+})
+
+describe('movingAverage', () => {
+  it('averages the trailing window', () => {
+    expect(movingAverage([1, 2, 3, 4])).toEqual([null, null, 2, 3])
+  })
+})
+
+describe('yearOverYear', () => {
+  it('compares the latest week with the same week last year', () => {
+    expect(yearOverYear([{ period: '2023W10', value: 10 }, { period: '2024W10', value: 15 }])).toEqual({
+      period: '2024W10',
+      value: 15,
+      lastYearPeriod: '2023W10',
+      lastYearValue: 10,
+      change: 5,
+      percentChange: 50
+    })
+  })
+})
+
+describe('seasonalDecomposition', () => {
+  // Rising series with a July peak and a January dip
+  const series = monthsFrom(2021, 36).map((period, i) => ({
+    period,
+    value: 100 + i + (i % 12 === 6 ? 40 : 0) - (i % 12 === 0 ? 20 : 0) + ((i * 7) % 5)
+  }))
+
+  it('finds the peak and trough months', () => {
+    const result = seasonalDecomposition(series)
+    expect(result).toMatchObject({ seasonal: true, pValue: 0, peakMonth: 'July', troughMonth: 'January' })
+    expect(result.indices.July).toBe(37.73)
+    expect(result.indices.January).toBe(-20.29)
+  })
+
+  it('needs three years of consecutive months', () => {
+    expect(seasonalDecomposition(series.slice(1))).toBeNull()
+    expect(seasonalDecomposition([...series.slice(0, 20), ...series.slice(21), { period: '202401', value: 100 }])).toBeNull()
+  })
+})
+
+describe('detectOutliers', () => {
+  it('flags values by z-score and by the interquartile range', () => {
+    const values = [10, 11, 10, 12, 11, 10, 11, 12, 10, 11, 60, 11]
+    const series = monthsFrom(2021, 12).map((period, i) => ({ period, value: values[i] }))
+    expect(detectOutliers(series)).toEqual([
+      { period: '202111', value: 60, zScore: 3.17, methods: ['z-score', 'IQR'] }
+    ])
+  })
+})
+
+describe('surveillanceAlerts', () => {
+  it('raises EWMA and CUSUM alerts for a rise in the latest periods', () => {
+    const values = [10, 11, 10, 12, 11, 10, 11, 12, 10, 30, 32, 35]
+    const result = surveillanceAlerts(monthsFrom(2021, 12).map((period, i) => ({ period, value: values[i] })))
+    expect(result.baseline).toEqual({ mean: 10.78, sd: 0.83, periods: 9 })
+    expect(result.ewma.map(alert => alert.period)).toEqual(['202110', '202111', '202112'])
+    expect(result.cusum.map(alert => alert.direction)).toEqual(['increase', 'increase', 'increase'])
+    expect(result.latestInAlert).toBe(true)
+  })
+
+  it('needs a baseline that varies', () => {
+    expect(surveillanceAlerts(monthsFrom(2021, 9).map(period => ({ period, value: 10 })))).toBeNull()
+  })
+})
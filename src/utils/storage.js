@@ -1,41 +1,137 @@
-// Constants for storage keys
+import { getStorageBackend, DEFAULT_STORAGE_LIMITS } from './storageBackend'
+import { fetchSettingsLayers, writeDataStoreKey, SETTINGS_KEY, SECRETS_KEY } from './settingsStore'
+import { getOrgUnitBreakdown, getBreakdownOptionValue } from './orgUnits'
+import { getQueryOptionsKey } from './analyticsQuery'
+
+// Legacy localStorage keys, migrated to the user data store on first load
 const API_KEY_STORAGE_KEY = 'dhis2-ai-insights-api-key'
 const SETTINGS_STORAGE_KEY = 'dhis2-ai-insights-settings'
-const CACHE_STORAGE_KEY = 'dhis2-ai-insights-cache'
+
+// Built-in defaults used when neither the organisation nor the user has set a value
+export const APP_DEFAULT_SETTINGS = {
+  aiProvider: 'openai',
+  model: 'gpt-4',
+  temperature: 0.7,
+  maxTokens: 2000,
+  ollamaServerUrl: 'http://localhost:11434',
+  ollamaModel: 'llama3',
+  ollamaContextWindow: 8192,
+  openaiConnection: 'direct',
+  gatewayUrl: 'http://localhost:3000',
+  cachingEnabled: true,
+  comparePeriods: true,
+  aiTools: true,
+  structuredOutput: false,
+  maxDataRows: 50000
+}
+
+// In-memory copy of the settings layers, filled by loadSettings
+const settingsState = {
+  engine: null,
+  organisation: {},
+  user: {},
+  secrets: {}
+}
 
 /**
- * Save OpenAI API key to local storage
- * @param {string} apiKey - The OpenAI API key to store
+ * Move settings and API key left in localStorage by older versions to the user data store.
+ * The localStorage copies are only removed once the data store write succeeded.
+ */
+const migrateLegacySettings = async () => {
+  try {
+    const legacySettings = localStorage.getItem(SETTINGS_STORAGE_KEY)
+    if (legacySettings && Object.keys(settingsState.user).length === 0) {
+      const saved = await saveSettings(JSON.parse(legacySettings))
+      if (!saved) return
+    }
+    localStorage.removeItem(SETTINGS_STORAGE_KEY)
+    
+    const legacyApiKey = localStorage.getItem(API_KEY_STORAGE_KEY)
+    if (legacyApiKey && !settingsState.secrets.openaiApiKey) {
+      const saved = await saveApiKey(atob(legacyApiKey))
+      if (!saved) return
+    }
+    localStorage.removeItem(API_KEY_STORAGE_KEY)
+  } catch (error) {
+    console.error('Error migrating settings from localStorage:', error)
+  }
+}
+
+/**
+ * Load organisation defaults, user overrides and secrets from the DHIS2 data stores
+ * @param {Object} engine - DHIS2 data engine
+ * @returns {Promise<boolean>} True if the settings were loaded
  */
-export const saveApiKey = (apiKey) => {
+export const loadSettings = async (engine) => {
+  settingsState.engine = engine
   try {
-    // Encrypt the API key before storing (simple obfuscation, not truly secure)
-    const encoded = btoa(apiKey)
-    localStorage.setItem(API_KEY_STORAGE_KEY, encoded)
+    const layers = await fetchSettingsLayers(engine)
+    settingsState.organisation = layers.organisation
+    settingsState.user = layers.user
+    settingsState.secrets = layers.secrets
+    await migrateLegacySettings()
     return true
   } catch (error) {
-    console.error('Error saving API key:', error)
+    console.error('Error loading settings:', error)
     return false
   }
 }
 
 /**
- * Get API key from storage
- * @returns {string|null} The stored API key or null if not found
+ * Save secrets (API keys or tokens) to the user data store. All secrets are kept in one
+ * data store key, so they are written together rather than one request per secret
+ * @param {Object} values - Secret values keyed by name; an empty value removes the secret
+ * @returns {Promise<boolean>} True if the secrets were saved
  */
-export const getApiKeyFromStorage = () => {
+export const saveSecrets = async (values) => {
   try {
-    const encoded = localStorage.getItem(API_KEY_STORAGE_KEY)
-    if (!encoded) return null
-    
-    // Decode the API key
-    return atob(encoded)
+    const secrets = { ...settingsState.secrets }
+    Object.entries(values).forEach(([name, value]) => {
+      if (value) {
+        secrets[name] = value
+      } else {
+        delete secrets[name]
+      }
+    })
+    await writeDataStoreKey(settingsState.engine, 'userDataStore', SECRETS_KEY, secrets, { encrypt: true })
+    settingsState.secrets = secrets
+    return true
   } catch (error) {
-    console.error('Error retrieving API key:', error)
-    return null
+    console.error(`Error saving secrets ${Object.keys(values).join(', ')}:`, error)
+    return false
   }
 }
 
+/**
+ * Save a secret (API key or token) to the user data store
+ * @param {string} name - Secret name
+ * @param {string} value - Secret value; an empty value removes the secret
+ * @returns {Promise<boolean>} True if the secret was saved
+ */
+export const saveSecret = async (name, value) => saveSecrets({ [name]: value })
+
+/**
+ * Get a secret loaded from the user data store
+ * @param {string} name - Secret name
+ * @returns {string|null} The secret or null if not set
+ */
+export const getSecret = (name) => {
+  return settingsState.secrets[name] || null
+}
+
+/**
+ * Save OpenAI API key to the user data store
+ * @param {string} apiKey - The OpenAI API key to store
+ * @returns {Promise<boolean>} True if the key was saved
+ */
+export const saveApiKey = async (apiKey) => saveSecret('openaiApiKey', apiKey)
+
+/**
+ * Get the API key loaded from the user data store
+ * @returns {string|null} The stored API key or null if not found
+ */
+export const getApiKeyFromStorage = () => getSecret('openaiApiKey')
+
 /**
  * Check if API key is set
  * @returns {boolean} True if API key is set
@@ -47,52 +143,142 @@ export const isApiKeySet = () => {
 
 /**
  * Clear the stored API key
+ * @returns {Promise<boolean>} True if the key was cleared
  */
-export const clearApiKey = () => {
+export const clearApiKey = async () => saveSecret('openaiApiKey', null)
+
+/**
+ * Get the AI gateway client token loaded from the user data store
+ * @returns {string|null} The token the gateway expects (GATEWAY_CLIENT_TOKEN), or null if not set
+ */
+export const getGatewayToken = () => getSecret('gatewayToken')
+
+/**
+ * Get the value a setting inherits when the user has not overridden it
+ * @param {string} key - Setting name
+ * @returns {any} The organisation default, or the app default
+ */
+export const getInheritedSetting = (key) => {
+  return key in settingsState.organisation
+    ? settingsState.organisation[key]
+    : APP_DEFAULT_SETTINGS[key]
+}
+
+/**
+ * Describe where the effective value of a setting comes from
+ * @param {string} key - Setting name
+ * @returns {string} 'user', 'organisation' or 'default'
+ */
+export const getSettingSource = (key) => {
+  if (key in settingsState.user) return 'user'
+  if (key in settingsState.organisation) return 'organisation'
+  return 'default'
+}
+
+/**
+ * Check whether a setting value equals the value it would inherit
+ * @param {string} key - Setting name
+ * @param {any} value - Setting value
+ * @returns {boolean} True if storing the value would not change the effective setting
+ */
+const isInheritedValue = (key, value) => {
+  const inherited = getInheritedSetting(key)
+  if (key === 'storageLimits') {
+    // Compare the resolved limits, as the form always sends them filled in with the defaults
+    return JSON.stringify(resolveStorageLimits(value)) === JSON.stringify(resolveStorageLimits(inherited))
+  }
+  return JSON.stringify(value) === JSON.stringify(inherited)
+}
+
+/**
+ * Save the current user's settings as overrides in the user data store.
+ * Values equal to the inherited organisation or app default are not stored,
+ * so later changes to the organisation defaults still reach this user.
+ * @param {Object} settings - Object containing app settings
+ * @returns {Promise<boolean>} True if the settings were saved
+ */
+export const saveSettings = async (settings) => {
   try {
-    localStorage.removeItem(API_KEY_STORAGE_KEY)
+    const overrides = {}
+    Object.entries(settings).forEach(([key, value]) => {
+      if (!isInheritedValue(key, value)) {
+        overrides[key] = value
+      }
+    })
+    
+    await writeDataStoreKey(settingsState.engine, 'userDataStore', SETTINGS_KEY, overrides)
+    settingsState.user = overrides
     return true
   } catch (error) {
-    console.error('Error clearing API key:', error)
+    console.error('Error saving settings:', error)
     return false
   }
 }
 
 /**
- * Save application settings
+ * Save settings as the organisation-wide defaults in the dataStore (requires write access to the namespace)
  * @param {Object} settings - Object containing app settings
+ * @returns {Promise<boolean>} True if the defaults were saved
  */
-export const saveSettings = (settings) => {
+export const saveOrganisationSettings = async (settings) => {
   try {
-    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings))
+    await writeDataStoreKey(settingsState.engine, 'dataStore', SETTINGS_KEY, settings)
+    settingsState.organisation = settings
     return true
   } catch (error) {
-    console.error('Error saving settings:', error)
+    console.error('Error saving organisation settings:', error)
     return false
   }
 }
 
 /**
- * Get application settings
- * @returns {Object|null} Stored settings or null if not found
+ * Get effective application settings: app defaults, overlaid with organisation defaults, overlaid with user overrides
+ * @returns {Object} Settings
  */
 export const getSettings = () => {
-  try {
-    const settings = localStorage.getItem(SETTINGS_STORAGE_KEY)
-    return settings ? JSON.parse(settings) : null
-  } catch (error) {
-    console.error('Error retrieving settings:', error)
-    return null
+  return { ...APP_DEFAULT_SETTINGS, ...settingsState.organisation, ...settingsState.user }
+}
+
+/**
+ * Merge custom storage limits over the defaults
+ * @param {Object} custom - The storageLimits setting, if any
+ * @returns {Object} Resolved limits with maxSizeMB and per-store maxEntries/maxAgeHours
+ */
+const resolveStorageLimits = (custom) => {
+  const limits = custom || {}
+  const stores = {}
+  
+  Object.entries(DEFAULT_STORAGE_LIMITS.stores).forEach(([store, defaults]) => {
+    stores[store] = { ...defaults, ...((limits.stores && limits.stores[store]) || {}) }
+  })
+  
+  return {
+    maxSizeMB: limits.maxSizeMB || DEFAULT_STORAGE_LIMITS.maxSizeMB,
+    stores
   }
 }
 
+/**
+ * Get the storage size and age limits, merging user settings over the defaults
+ * @returns {Object} Resolved limits with maxSizeMB and per-store maxEntries/maxAgeHours
+ */
+export const getStorageLimits = () => resolveStorageLimits((getSettings() || {}).storageLimits)
+
+/**
+ * Get the shared storage backend (IndexedDB, or localStorage as a fallback)
+ * @returns {Promise<Object>} The storage backend
+ */
+const getBackend = () => getStorageBackend(getStorageLimits)
+
 /**
  * Save response to cache
  * @param {string} query - The query used
  * @param {Object} data - The data context
  * @param {Object} response - The response to cache
+ * @param {Object} keyContext - Provider, model and conversation details that shape the answer
+ * @returns {Promise<boolean>} True if the response was cached
  */
-export const cacheResponse = (query, data, response) => {
+export const cacheResponse = async (query, data, response, keyContext = {}) => {
   try {
     // Check if caching is enabled in settings
     const settings = getSettings()
@@ -100,27 +286,15 @@ export const cacheResponse = (query, data, response) => {
       return false
     }
     
-    const cache = getCachedResponses() || {}
+    // Create a cache key based on query, data and provider configuration
+    const cacheKey = createCacheKey(query, data, keyContext)
     
-    // Create a cache key based on query and data
-    const cacheKey = createCacheKey(query, data)
-    
-    // Store response with timestamp
-    cache[cacheKey] = {
+    // Store response with timestamp; size and age limits are enforced by the backend
+    const backend = await getBackend()
+    await backend.set('cache', cacheKey, {
       response,
       timestamp: Date.now()
-    }
-    
-    // Limit cache size (store max 50 responses)
-    const cacheKeys = Object.keys(cache)
-    if (cacheKeys.length > 50) {
-      // Remove oldest entries
-      const sortedKeys = cacheKeys.sort((a, b) => cache[a].timestamp - cache[b].timestamp)
-      const keysToRemove = sortedKeys.slice(0, cacheKeys.length - 50)
-      keysToRemove.forEach(key => delete cache[key])
-    }
-    
-    localStorage.setItem(CACHE_STORAGE_KEY, JSON.stringify(cache))
+    })
     return true
   } catch (error) {
     console.error('Error caching response:', error)
@@ -132,9 +306,10 @@ export const cacheResponse = (query, data, response) => {
  * Get cached response for query and data
  * @param {string} query - The query to look up
  * @param {Object} data - The data context
- * @returns {Object|null} Cached response or null if not found
+ * @param {Object} keyContext - Provider, model and conversation details that shape the answer
+ * @returns {Promise<Object|null>} Cached response (with its timestamp as cachedAt) or null if not found
  */
-export const getCachedResponse = (query, data) => {
+export const getCachedResponse = async (query, data, keyContext = {}) => {
   try {
     // Check if caching is enabled in settings
     const settings = getSettings()
@@ -142,22 +317,16 @@ export const getCachedResponse = (query, data) => {
       return null
     }
     
-    const cache = getCachedResponses()
-    if (!cache) return null
-    
-    const cacheKey = createCacheKey(query, data)
-    const cachedItem = cache[cacheKey]
+    const cacheKey = createCacheKey(query, data, keyContext)
+    const backend = await getBackend()
+    const cachedItem = await backend.get('cache', cacheKey)
     
     if (!cachedItem) return null
     
-    // Check cache expiry (24 hours)
-    const cacheAge = Date.now() - cachedItem.timestamp
-    if (cacheAge > 24 * 60 * 60 * 1000) {
-      // Cache expired
-      return null
+    return {
+      ...cachedItem.response,
+      cachedAt: cachedItem.timestamp
     }
-    
-    return cachedItem.response
   } catch (error) {
     console.error('Error retrieving cached response:', error)
     return null
@@ -165,49 +334,256 @@ export const getCachedResponse = (query, data) => {
 }
 
 /**
- * Get all cached responses
- * @returns {Object|null} All cached responses or null if not found
+ * Get metadata for all cached responses
+ * @returns {Promise<Array>} Cache entries with key, size, createdAt and lastAccessed
  */
-export const getCachedResponses = () => {
+export const getCachedResponses = async () => {
   try {
-    const cache = localStorage.getItem(CACHE_STORAGE_KEY)
-    return cache ? JSON.parse(cache) : null
+    const backend = await getBackend()
+    return await backend.list('cache')
   } catch (error) {
     console.error('Error retrieving cache:', error)
-    return null
+    return []
   }
 }
 
 /**
  * Clear all cached responses
+ * @returns {Promise<boolean>} True if the cache was cleared
  */
-export const clearCache = () => {
+export const clearCache = async () => purgeStorage('cache')
+
+/**
+ * Save a conversation for a data selection
+ * @param {string} selectionKey - Key from createSelectionKey
+ * @param {Array} conversation - The conversation messages
+ * @returns {Promise<boolean>} True if the conversation was saved
+ */
+export const saveConversation = async (selectionKey, conversation) => {
+  try {
+    const backend = await getBackend()
+    await backend.set('conversations', selectionKey, {
+      messages: conversation,
+      updatedAt: Date.now()
+    })
+    return true
+  } catch (error) {
+    console.error('Error saving conversation:', error)
+    return false
+  }
+}
+
+/**
+ * Get the saved conversation for a data selection
+ * @param {string} selectionKey - Key from createSelectionKey
+ * @returns {Promise<Array|null>} The saved messages or null if not found
+ */
+export const getSavedConversation = async (selectionKey) => {
+  try {
+    const backend = await getBackend()
+    const saved = await backend.get('conversations', selectionKey)
+    return saved ? saved.messages : null
+  } catch (error) {
+    console.error('Error retrieving conversation:', error)
+    return null
+  }
+}
+
+/**
+ * Delete the saved conversation for a data selection
+ * @param {string} selectionKey - Key from createSelectionKey
+ * @returns {Promise<boolean>} True if the conversation was deleted
+ */
+export const deleteSavedConversation = async (selectionKey) => {
+  try {
+    const backend = await getBackend()
+    await backend.remove('conversations', selectionKey)
+    return true
+  } catch (error) {
+    console.error('Error deleting conversation:', error)
+    return false
+  }
+}
+
+/**
+ * Save the fetched DHIS2 data for a data selection
+ * @param {string} selectionKey - Key from createSelectionKey
+ * @param {Object} snapshot - The processed data from fetchDataForElements
+ * @returns {Promise<boolean>} True if the snapshot was saved
+ */
+export const saveDataSnapshot = async (selectionKey, snapshot) => {
+  try {
+    const backend = await getBackend()
+    await backend.set('snapshots', selectionKey, snapshot)
+    return true
+  } catch (error) {
+    console.error('Error saving data snapshot:', error)
+    return false
+  }
+}
+
+/**
+ * Get the saved DHIS2 data for a data selection
+ * @param {string} selectionKey - Key from createSelectionKey
+ * @returns {Promise<Object|null>} The snapshot or null if not found or expired
+ */
+export const getDataSnapshot = async (selectionKey) => {
+  try {
+    const backend = await getBackend()
+    return await backend.get('snapshots', selectionKey)
+  } catch (error) {
+    console.error('Error retrieving data snapshot:', error)
+    return null
+  }
+}
+
+/**
+ * Get storage usage per store
+ * @returns {Promise<Object|null>} Backend name, per-store entries/bytes, totalBytes and maxBytes
+ */
+export const getStorageUsage = async () => {
+  try {
+    const backend = await getBackend()
+    return await backend.getUsage()
+  } catch (error) {
+    console.error('Error reading storage usage:', error)
+    return null
+  }
+}
+
+/**
+ * Remove stored entries
+ * @param {string|null} storeName - 'cache', 'conversations' or 'snapshots'; null purges everything
+ * @returns {Promise<boolean>} True if the entries were removed
+ */
+export const purgeStorage = async (storeName = null) => {
+  try {
+    const backend = await getBackend()
+    await backend.clear(storeName)
+    return true
+  } catch (error) {
+    console.error('Error purging storage:', error)
+    return false
+  }
+}
+
+/**
+ * Re-apply the storage limits, e.g. after they were lowered in settings
+ * @returns {Promise<boolean>} True if the limits were applied
+ */
+export const enforceStorageLimits = async () => {
   try {
-    localStorage.removeItem(CACHE_STORAGE_KEY)
+    const backend = await getBackend()
+    await backend.enforceLimits()
     return true
   } catch (error) {
-    console.error('Error clearing cache:', error)
+    console.error('Error enforcing storage limits:', error)
     return false
   }
 }
 
 /**
- * Create a cache key from query and data
+ * Create a key identifying a data selection, used for saved conversations and snapshots
+ * @param {Array} dataElements - Selected data elements (IDs or objects)
+ * @param {string} period - Selected period
+ * @param {Object} orgUnit - Selected organization unit
+ * @param {string} dataType - Selected data type
+ * @param {Object} query - Analytics query from createAnalyticsQuery, for its disaggregation and query options
+ * @returns {string|null} The selection key or null if the selection is incomplete
+ */
+export const createSelectionKey = (dataElements, period, orgUnit, dataType, query = null) => {
+  if (!dataElements || dataElements.length === 0 || !orgUnit) {
+    return null
+  }
+  
+  const breakdown = getOrgUnitBreakdown(orgUnit)
+  const groupSetIds = (orgUnit.groupSets || []).map(groupSet => groupSet.id).sort()
+  const categoryIds = ((query && query.disaggregation) || []).map(category => category.id).sort()
+  
+  // Options added later only enter the key when used, so existing keys stay valid
+  return hashString(JSON.stringify({
+    elements: dataElements.map(de => (typeof de === 'string' ? de : de.id || de.value)).sort(),
+    period,
+    orgUnit: orgUnit.id,
+    includeChildOrgUnits: Boolean(orgUnit.includeChildOrgUnits),
+    ...(breakdown && breakdown.type !== 'children' ? { breakdown: getBreakdownOptionValue(breakdown) } : {}),
+    ...(groupSetIds.length > 0 ? { groupSets: groupSetIds } : {}),
+    dataType: dataType || 'aggregate',
+    ...(categoryIds.length > 0 ? { disaggregation: categoryIds } : {}),
+    ...getQueryOptionsKey(query)
+  }))
+}
+
+/**
+ * Hash a string with 32-bit FNV-1a
+ * @param {string} str - The string to hash
+ * @returns {string} Hex digest
+ */
+const hashString = (str) => {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0')
+}
+
+/**
+ * Describe how the org unit dimension was resolved for a data snapshot
+ * @param {Object} data - The data context
+ * @returns {string} 'special:<id>', 'children', 'LEVEL-n', 'OU_GROUP-x' or 'single', with the
+ *   breakdown appended to special org units
+ */
+const getOrgUnitMode = (data) => {
+  const orgUnit = data.originalOrgUnit || data.orgUnit
+  const breakdown = getOrgUnitBreakdown(orgUnit)
+  const breakdownMode = breakdown && breakdown.type !== 'children' ? getBreakdownOptionValue(breakdown) : null
+  if (orgUnit && orgUnit.isSpecial) {
+    return breakdownMode ? `special:${orgUnit.id}:${breakdownMode}` : `special:${orgUnit.id}`
+  }
+  if (breakdownMode) {
+    return breakdownMode
+  }
+  if (data.multiOrgUnitMode || breakdown) {
+    return 'children'
+  }
+  return 'single'
+}
+
+/**
+ * Create a cache key from query, data and provider configuration
  * @param {string} query - The query text
  * @param {Object} data - The data context
+ * @param {Object} keyContext - Provider, model, temperature, structured, period and conversation
  * @returns {string} A string hash to use as cache key
  */
-const createCacheKey = (query, data) => {
-  // Create a simplified representation of the data
-  const dataKey = JSON.stringify({
-    elements: (data.dataElements || []).map(de => de.id),
-    period: data.period,
-    orgUnit: data.orgUnit ? data.orgUnit.id : null
-  })
+export const createCacheKey = (query, data = {}, keyContext = {}) => {
+  const safeData = data || {}
+  const orgUnit = safeData.originalOrgUnit || safeData.orgUnit
+  const provider = keyContext.provider || 'unknown'
+  const model = keyContext.model || 'default'
   
-  // Combine query and data for a unique key
-  const combined = `${query.trim().toLowerCase()}:${dataKey}`
+  // Everything that changes the answer goes into the descriptor
+  const descriptor = JSON.stringify({
+    query: query.trim().toLowerCase(),
+    provider,
+    model,
+    temperature: keyContext.temperature ?? null,
+    // Structured answers are cached as JSON insights, markdown answers as text
+    structured: Boolean(keyContext.structured),
+    dataType: safeData.dataType || null,
+    period: keyContext.period || safeData.period || null,
+    orgUnit: orgUnit ? orgUnit.id : null,
+    orgUnitMode: getOrgUnitMode(safeData),
+    elements: (safeData.dataElements || []).map(de => (typeof de === 'string' ? de : de.id || de.value)),
+    rows: hashString(JSON.stringify(safeData.rows || [])),
+    comparisons: hashString(JSON.stringify((safeData.summary && safeData.summary.comparisons) || null)),
+    groupSets: hashString(JSON.stringify((safeData.summary && safeData.summary.groupSetBreakdown) || null)),
+    categories: hashString(JSON.stringify((safeData.summary && safeData.summary.categoryBreakdown) || null)),
+    ...(safeData.queryOptions && safeData.queryOptions.length > 0 ? { queryOptions: safeData.queryOptions } : {}),
+    conversation: hashString(JSON.stringify((keyContext.conversation || []).map(m => [m.role, m.content])))
+  })
   
-  // Create a simple hash
-  return btoa(combined).replace(/[^a-zA-Z0-9]/g, '')
-}
\ No newline at end of file
+  // Keep provider and model readable so entries can be inspected per backend
+  return `${provider}:${model}:${hashString(descriptor)}`
+}
@@ -0,0 +1,70 @@
+import { createCacheKey, loadSettings, saveSecrets, saveSettings, getSecret } from './storage'
+
+// Data engine that keeps the data store in memory and records each write
+const createEngine = (values = {}) => {
+  const mutations = []
+  return {
+    mutations,
+    query: async ({ value }) => ({ value: values[value.resource] || null }),
+    mutate: async (mutation) => {
+      mutations.push(mutation)
+      values[mutation.resource] = mutation.data
+    }
+  }
+}
+
+describe('createCacheKey', () => {
+  const data = { dataType: 'aggregate', period: 'LAST_12_MONTHS', orgUnit: { id: 'ImspTQPwCqd' }, dataElements: ['fbfJHSPpUQD'], rows: [] }
+  const keyContext = { provider: 'openai', model: 'gpt-4o', temperature: 0.7, conversation: [] }
+
+  it('gives the same key for the same question, data and settings', () => {
+    expect(createCacheKey(' Trends? ', data, keyContext)).toBe(createCacheKey('trends?', data, keyContext))
+    expect(createCacheKey('Trends?', data, keyContext)).toMatch(/^openai:gpt-4o:/)
+  })
+
+  it('keeps structured and markdown answers apart', () => {
+    const markdown = createCacheKey('Trends?', data, { ...keyContext, structured: false })
+    const structured = createCacheKey('Trends?', data, { ...keyContext, structured: true })
+    expect(structured).not.toBe(markdown)
+    expect(createCacheKey('Trends?', data, keyContext)).toBe(markdown)
+  })
+
+  it('changes with the model, temperature and conversation', () => {
+    const key = createCacheKey('Trends?', data, keyContext)
+    expect(createCacheKey('Trends?', data, { ...keyContext, model: 'gpt-4o-mini' })).not.toBe(key)
+    expect(createCacheKey('Trends?', data, { ...keyContext, temperature: 0 })).not.toBe(key)
+    expect(createCacheKey('Trends?', data, { ...keyContext, conversation: [{ role: 'user', content: 'Hi' }] })).not.toBe(key)
+  })
+})
+
+describe('saving settings', () => {
+  let engine
+
+  beforeEach(async () => {
+    localStorage.clear()
+    engine = createEngine({ 'dataStore/ai-insights/settings': { maxTokens: 1000 } })
+    await loadSettings(engine)
+  })
+
+  it('encrypts the secrets', async () => {
+    expect(await saveSecrets({ openaiApiKey: 'sk-test' })).toBe(true)
+    expect(engine.mutations).toEqual([{
+      resource: 'userDataStore/ai-insights/secrets',
+      type: 'update',
+      data: { openaiApiKey: 'sk-test' },
+      params: { encrypt: true }
+    }])
+    expect(getSecret('openaiApiKey')).toBe('sk-test')
+  })
+
+  it('stores only the settings that differ from the inherited values', async () => {
+    const storageLimits = { maxSizeMB: 50, stores: { cache: { maxEntries: 200, maxAgeHours: 24 } } }
+    await saveSettings({ maxTokens: 1000, temperature: 0.5, storageLimits })
+    expect(engine.mutations[0].data).toEqual({ temperature: 0.5 })
+    expect(engine.mutations[0].params).toBeUndefined()
+
+    const smallerCache = { ...storageLimits, stores: { cache: { maxEntries: 50, maxAgeHours: 24 } } }
+    await saveSettings({ maxTokens: 1000, storageLimits: smallerCache })
+    expect(engine.mutations[1].data).toEqual({ storageLimits: smallerCache })
+  })
+})
@@ -0,0 +1,430 @@
+/**
+ * Storage backends for cached responses, saved conversations and data snapshots.
+ *
+ * IndexedDB is used when the browser provides it; otherwise everything falls back
+ * to localStorage. Both backends share the same async interface and the same
+ * size/age limits with least-recently-used eviction.
+ */
+
+const DB_NAME = 'dhis2-ai-insights'
+const DB_VERSION = 1
+const META_STORE = 'meta'
+const LOCAL_STORAGE_PREFIX = 'dhis2-ai-insights-store-'
+
+// Pre-IndexedDB cache map, dropped once the new backend is in use
+const LEGACY_CACHE_STORAGE_KEY = 'dhis2-ai-insights-cache'
+
+// localStorage is capped at roughly 5 MB per origin, so keep well below that
+const LOCAL_STORAGE_MAX_SIZE_MB = 4
+
+export const STORE_NAMES = ['cache', 'conversations', 'snapshots']
+
+export const DEFAULT_STORAGE_LIMITS = {
+  maxSizeMB: 50,
+  stores: {
+    cache: { maxEntries: 200, maxAgeHours: 24 },
+    conversations: { maxEntries: 50, maxAgeHours: 24 * 30 },
+    snapshots: { maxEntries: 20, maxAgeHours: 24 }
+  }
+}
+
+/**
+ * Estimate the in-memory size of a value in bytes
+ * @param {any} value - The value to measure
+ * @returns {number} Approximate size in bytes (UTF-16)
+ */
+const estimateSize = (value) => {
+  try {
+    return JSON.stringify(value).length * 2
+  } catch (error) {
+    return 0
+  }
+}
+
+/**
+ * Check whether an entry is older than its store's maximum age
+ * @param {Object} meta - Entry metadata
+ * @param {Object} limits - Resolved storage limits
+ * @param {number} now - Current timestamp
+ * @returns {boolean} True if the entry has expired
+ */
+const isExpired = (meta, limits, now = Date.now()) => {
+  const storeLimits = limits.stores[meta.store]
+  if (!storeLimits || !storeLimits.maxAgeHours) return false
+  return now - meta.createdAt > storeLimits.maxAgeHours * 60 * 60 * 1000
+}
+
+/**
+ * Decide which entries to evict so that every store respects its limits
+ * @param {Array} metaRecords - Metadata for all stored entries
+ * @param {Object} limits - Resolved storage limits
+ * @param {number} maxBytes - Total size budget across all stores
+ * @returns {Array} Metadata of the entries to remove
+ */
+export const selectEvictions = (metaRecords, limits, maxBytes) => {
+  const now = Date.now()
+  const evicted = new Set()
+
+  // 1. Drop anything past its maximum age
+  metaRecords.forEach(meta => {
+    if (isExpired(meta, limits, now)) {
+      evicted.add(meta)
+    }
+  })
+
+  // 2. Keep only the most recently used entries in each store
+  STORE_NAMES.forEach(store => {
+    const storeLimits = limits.stores[store]
+    if (!storeLimits || !storeLimits.maxEntries) return
+
+    metaRecords
+      .filter(meta => meta.store === store && !evicted.has(meta))
+      .sort((a, b) => b.lastAccessed - a.lastAccessed)
+      .slice(storeLimits.maxEntries)
+      .forEach(meta => evicted.add(meta))
+  })
+
+  // 3. Evict least recently used entries until the total size fits
+  const remaining = metaRecords
+    .filter(meta => !evicted.has(meta))
+    .sort((a, b) => a.lastAccessed - b.lastAccessed)
+  let totalBytes = remaining.reduce((sum, meta) => sum + (meta.size || 0), 0)
+
+  for (const meta of remaining) {
+    if (totalBytes <= maxBytes) break
+    evicted.add(meta)
+    totalBytes -= meta.size || 0
+  }
+
+  return Array.from(evicted)
+}
+
+/**
+ * Summarise metadata records into a usage report
+ * @param {string} backend - Backend name
+ * @param {Array} metaRecords - Metadata for all stored entries
+ * @param {number} maxBytes - Total size budget
+ * @returns {Object} Usage per store and in total
+ */
+const summariseUsage = (backend, metaRecords, maxBytes) => {
+  const stores = {}
+  STORE_NAMES.forEach(store => {
+    const records = metaRecords.filter(meta => meta.store === store)
+    stores[store] = {
+      entries: records.length,
+      bytes: records.reduce((sum, meta) => sum + (meta.size || 0), 0)
+    }
+  })
+
+  return {
+    backend,
+    stores,
+    totalBytes: Object.values(stores).reduce((sum, store) => sum + store.bytes, 0),
+    maxBytes
+  }
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - The request
+ * @returns {Promise} Resolves with the request result
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+/**
+ * Wait for an IndexedDB transaction to finish
+ * @param {IDBTransaction} transaction - The transaction
+ * @returns {Promise} Resolves when the transaction completes
+ */
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve()
+  transaction.onerror = () => reject(transaction.error)
+  transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'))
+})
+
+/**
+ * Open (and create or upgrade) the app database
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+  request.onupgradeneeded = () => {
+    const db = request.result
+    STORE_NAMES.forEach(store => {
+      if (!db.objectStoreNames.contains(store)) {
+        db.createObjectStore(store)
+      }
+    })
+    if (!db.objectStoreNames.contains(META_STORE)) {
+      const meta = db.createObjectStore(META_STORE, { keyPath: 'id' })
+      meta.createIndex('store', 'store')
+    }
+  }
+
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+  request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another open tab'))
+})
+
+/**
+ * Create the IndexedDB backend
+ * @param {IDBDatabase} db - The open database
+ * @param {Function} getLimits - Returns the resolved storage limits
+ * @returns {Object} Storage backend
+ */
+const createIndexedDBBackend = (db, getLimits) => {
+  const maxBytes = () => getLimits().maxSizeMB * 1024 * 1024
+
+  const getAllMeta = async () => {
+    const transaction = db.transaction(META_STORE, 'readonly')
+    return promisifyRequest(transaction.objectStore(META_STORE).getAll())
+  }
+
+  const deleteEntries = async (metaRecords) => {
+    if (metaRecords.length === 0) return
+    const transaction = db.transaction([...STORE_NAMES, META_STORE], 'readwrite')
+    metaRecords.forEach(meta => {
+      transaction.objectStore(meta.store).delete(meta.key)
+      transaction.objectStore(META_STORE).delete(meta.id)
+    })
+    await transactionDone(transaction)
+  }
+
+  const enforceLimits = async () => {
+    const evictions = selectEvictions(await getAllMeta(), getLimits(), maxBytes())
+    if (evictions.length > 0) {
+      console.log(`Evicting ${evictions.length} stored entries to stay within storage limits`)
+      await deleteEntries(evictions)
+    }
+  }
+
+  return {
+    name: 'indexedDB',
+
+    get: async (store, key) => {
+      const transaction = db.transaction([store, META_STORE], 'readwrite')
+      const done = transactionDone(transaction)
+      const value = await promisifyRequest(transaction.objectStore(store).get(key))
+      const meta = await promisifyRequest(transaction.objectStore(META_STORE).get(`${store}:${key}`))
+
+      if (value === undefined || !meta) {
+        await done
+        return null
+      }
+
+      if (isExpired(meta, getLimits())) {
+        transaction.objectStore(store).delete(key)
+        transaction.objectStore(META_STORE).delete(meta.id)
+        await done
+        return null
+      }
+
+      // Touch the entry so LRU eviction keeps it around
+      transaction.objectStore(META_STORE).put({ ...meta, lastAccessed: Date.now() })
+      await done
+      return value
+    },
+
+    set: async (store, key, value) => {
+      const now = Date.now()
+      const transaction = db.transaction([store, META_STORE], 'readwrite')
+      transaction.objectStore(store).put(value, key)
+      transaction.objectStore(META_STORE).put({
+        id: `${store}:${key}`,
+        store,
+        key,
+        size: estimateSize(value),
+        createdAt: now,
+        lastAccessed: now
+      })
+      await transactionDone(transaction)
+      await enforceLimits()
+    },
+
+    remove: async (store, key) => {
+      await deleteEntries([{ id: `${store}:${key}`, store, key }])
+    },
+
+    list: async (store) => {
+      const transaction = db.transaction(META_STORE, 'readonly')
+      const index = transaction.objectStore(META_STORE).index('store')
+      return promisifyRequest(index.getAll(store))
+    },
+
+    clear: async (store = null) => {
+      const stores = store ? [store] : STORE_NAMES
+      const metaRecords = (await getAllMeta()).filter(meta => stores.includes(meta.store))
+      const transaction = db.transaction([...stores, META_STORE], 'readwrite')
+      stores.forEach(name => transaction.objectStore(name).clear())
+      metaRecords.forEach(meta => transaction.objectStore(META_STORE).delete(meta.id))
+      await transactionDone(transaction)
+    },
+
+    getUsage: async () => summariseUsage('indexedDB', await getAllMeta(), maxBytes()),
+
+    enforceLimits
+  }
+}
+
+/**
+ * Create the localStorage fallback backend
+ * @param {Function} getLimits - Returns the resolved storage limits
+ * @returns {Object} Storage backend
+ */
+const createLocalStorageBackend = (getLimits) => {
+  const maxBytes = () => Math.min(getLimits().maxSizeMB, LOCAL_STORAGE_MAX_SIZE_MB) * 1024 * 1024
+
+  const readStore = (store) => {
+    try {
+      const raw = localStorage.getItem(LOCAL_STORAGE_PREFIX + store)
+      return raw ? JSON.parse(raw) : {}
+    } catch (error) {
+      console.error(`Error reading ${store} from localStorage:`, error)
+      return {}
+    }
+  }
+
+  const writeStore = (store, entries) => {
+    if (Object.keys(entries).length === 0) {
+      localStorage.removeItem(LOCAL_STORAGE_PREFIX + store)
+    } else {
+      localStorage.setItem(LOCAL_STORAGE_PREFIX + store, JSON.stringify(entries))
+    }
+  }
+
+  const getAllMeta = () => STORE_NAMES.flatMap(store =>
+    Object.entries(readStore(store)).map(([key, entry]) => ({
+      id: `${store}:${key}`,
+      store,
+      key,
+      size: entry.size,
+      createdAt: entry.createdAt,
+      lastAccessed: entry.lastAccessed
+    }))
+  )
+
+  const deleteEntries = (metaRecords) => {
+    STORE_NAMES.forEach(store => {
+      const toDelete = metaRecords.filter(meta => meta.store === store)
+      if (toDelete.length === 0) return
+      const entries = readStore(store)
+      toDelete.forEach(meta => delete entries[meta.key])
+      writeStore(store, entries)
+    })
+  }
+
+  const enforceLimits = async () => {
+    const evictions = selectEvictions(getAllMeta(), getLimits(), maxBytes())
+    if (evictions.length > 0) {
+      console.log(`Evicting ${evictions.length} stored entries to stay within storage limits`)
+      deleteEntries(evictions)
+    }
+  }
+
+  return {
+    name: 'localStorage',
+
+    get: async (store, key) => {
+      const entries = readStore(store)
+      const entry = entries[key]
+      if (!entry) return null
+
+      if (isExpired({ store, createdAt: entry.createdAt }, getLimits())) {
+        delete entries[key]
+        writeStore(store, entries)
+        return null
+      }
+
+      entry.lastAccessed = Date.now()
+      writeStore(store, entries)
+      return entry.value
+    },
+
+    set: async (store, key, value) => {
+      const now = Date.now()
+      const entries = readStore(store)
+      entries[key] = {
+        value,
+        size: estimateSize(value),
+        createdAt: now,
+        lastAccessed: now
+      }
+
+      try {
+        writeStore(store, entries)
+      } catch (error) {
+        // Most likely the quota: drop least recently used entries of this store until it fits
+        console.warn(`localStorage write for ${store} failed, evicting older entries:`, error)
+        const olderKeys = Object.keys(entries)
+          .filter(entryKey => entryKey !== key)
+          .sort((a, b) => entries[a].lastAccessed - entries[b].lastAccessed)
+        let written = false
+        while (!written && olderKeys.length > 0) {
+          delete entries[olderKeys.shift()]
+          try {
+            writeStore(store, entries)
+            written = true
+          } catch (retryError) {
+            // Keep evicting
+          }
+        }
+        if (!written) throw error
+      }
+
+      await enforceLimits()
+    },
+
+    remove: async (store, key) => {
+      deleteEntries([{ store, key }])
+    },
+
+    list: async (store) => getAllMeta().filter(meta => meta.store === store),
+
+    clear: async (store = null) => {
+      const stores = store ? [store] : STORE_NAMES
+      stores.forEach(name => localStorage.removeItem(LOCAL_STORAGE_PREFIX + name))
+    },
+
+    getUsage: async () => summariseUsage('localStorage', getAllMeta(), maxBytes()),
+
+    enforceLimits
+  }
+}
+
+let backendPromise = null
+
+/**
+ * Get the shared storage backend, opening IndexedDB on first use
+ * @param {Function} getLimits - Returns the resolved storage limits
+ * @returns {Promise<Object>} The storage backend
+ */
+export const getStorageBackend = (getLimits) => {
+  if (!backendPromise) {
+    backendPromise = (async () => {
+      try {
+        localStorage.removeItem(LEGACY_CACHE_STORAGE_KEY)
+      } catch (error) {
+        // Ignore - localStorage may be unavailable as well
+      }
+
+      if (typeof indexedDB === 'undefined') {
+        console.warn('IndexedDB is not available, falling back to localStorage')
+        return createLocalStorageBackend(getLimits)
+      }
+
+      try {
+        const db = await openDatabase()
+        return createIndexedDBBackend(db, getLimits)
+      } catch (error) {
+        console.warn('Failed to open IndexedDB, falling back to localStorage:', error)
+        return createLocalStorageBackend(getLimits)
+      }
+    })()
+  }
+
+  return backendPromise
+}
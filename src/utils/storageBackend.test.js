@@ -0,0 +1,132 @@
+import { selectEvictions, DEFAULT_STORAGE_LIMITS } from './storageBackend'
+
+const HOUR = 60 * 60 * 1000
+
+/**
+ * Make localStorage reject writes of values over a length, as it does when its quota is used up
+ * @param {number} maxLength - Longest value setItem accepts
+ */
+const limitLocalStorage = (maxLength) => {
+  const setItem = Storage.prototype.setItem
+  jest.spyOn(Storage.prototype, 'setItem').mockImplementation(function (key, value) {
+    if (value.length > maxLength) {
+      throw new Error('QuotaExceededError')
+    }
+    return setItem.call(this, key, value)
+  })
+}
+
+/**
+ * Load a fresh copy of the module, so the backend is chosen again
+ * @returns {Promise<Object>} The storage backend
+ */
+const loadBackend = () => {
+  let getStorageBackend
+  jest.isolateModules(() => {
+    ({ getStorageBackend } = require('./storageBackend'))
+  })
+  return getStorageBackend(() => DEFAULT_STORAGE_LIMITS)
+}
+
+describe('selectEvictions', () => {
+  const now = Date.now()
+  const entry = (store, key, hoursAgo, size = 100) => ({
+    id: `${store}:${key}`,
+    store,
+    key,
+    size,
+    createdAt: now - hoursAgo * HOUR,
+    lastAccessed: now - hoursAgo * HOUR
+  })
+  const limits = {
+    maxSizeMB: 1,
+    stores: {
+      cache: { maxEntries: 2, maxAgeHours: 24 },
+      conversations: { maxEntries: 10, maxAgeHours: 24 * 30 }
+    }
+  }
+  const keys = (records) => records.map(meta => meta.id).sort()
+
+  it('evicts entries past the maximum age of their store', () => {
+    const records = [entry('cache', 'old', 25), entry('cache', 'new', 1), entry('conversations', 'old', 25)]
+    expect(keys(selectEvictions(records, limits, Infinity))).toEqual(['cache:old'])
+  })
+
+  it('keeps only the most recently used entries of each store', () => {
+    const records = [entry('cache', 'a', 3), entry('cache', 'b', 1), entry('cache', 'c', 2), entry('conversations', 'd', 5)]
+    expect(keys(selectEvictions(records, limits, Infinity))).toEqual(['cache:a'])
+  })
+
+  it('counts the most recent access rather than when the entry was stored', () => {
+    const touched = { ...entry('cache', 'a', 10), lastAccessed: now }
+    const records = [touched, entry('cache', 'b', 2), entry('cache', 'c', 1)]
+    expect(keys(selectEvictions(records, limits, Infinity))).toEqual(['cache:b'])
+  })
+
+  it('evicts the least recently used entries across stores until the total size fits', () => {
+    const records = [entry('conversations', 'a', 5, 400), entry('cache', 'b', 3, 400), entry('conversations', 'c', 1, 400)]
+    expect(keys(selectEvictions(records, limits, 800))).toEqual(['conversations:a'])
+    expect(keys(selectEvictions(records, limits, 500))).toEqual(['cache:b', 'conversations:a'])
+  })
+})
+
+describe('getStorageBackend', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  afterEach(() => {
+    delete global.indexedDB
+    jest.restoreAllMocks()
+  })
+
+  it('falls back to localStorage when IndexedDB is missing', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+    const backend = await loadBackend()
+    expect(backend.name).toBe('localStorage')
+
+    await backend.set('cache', 'answer', { content: 'Cases rose' })
+    expect(await backend.get('cache', 'answer')).toEqual({ content: 'Cases rose' })
+    expect(Object.keys(localStorage)).toEqual(['dhis2-ai-insights-store-cache'])
+  })
+
+  it('falls back to localStorage when IndexedDB cannot be opened', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+    global.indexedDB = {
+      open: () => {
+        const request = {}
+        setTimeout(() => {
+          request.error = new Error('Access denied')
+          request.onerror()
+        })
+        return request
+      }
+    }
+    const backend = await loadBackend()
+    expect(backend.name).toBe('localStorage')
+  })
+
+  it('evicts the least recently used entries of a store and retries when localStorage is full', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+    limitLocalStorage(600)
+    const backend = await loadBackend()
+
+    let time = Date.now()
+    jest.spyOn(Date, 'now').mockImplementation(() => time++)
+    await backend.set('cache', 'first', 'a'.repeat(100))
+    await backend.set('cache', 'second', 'b'.repeat(100))
+    await backend.set('cache', 'third', 'c'.repeat(100))
+    await backend.get('cache', 'first')
+
+    await backend.set('cache', 'fourth', 'd'.repeat(200))
+    const stored = (await backend.list('cache')).map(meta => meta.key).sort()
+    expect(stored).toEqual(['first', 'fourth'])
+  })
+
+  it('gives up when the value alone does not fit', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+    limitLocalStorage(100)
+    const backend = await loadBackend()
+    await expect(backend.set('cache', 'answer', 'a'.repeat(200))).rejects.toThrow('QuotaExceededError')
+  })
+})
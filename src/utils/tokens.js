@@ -0,0 +1,155 @@
+/**
+ * Token estimates, context windows and prices per model, for sizing what is sent to the AI.
+ *
+ * Counts are estimated from the text length with a characters-per-token ratio per
+ * model family; no tokenizer is bundled. The estimates err on the high side for
+ * number-heavy text such as the data tables. Actual counts come back in the usage
+ * field of each answer.
+ */
+
+// Characters per token by model family, first match wins
+const CHARS_PER_TOKEN = [
+  { pattern: /^(gpt-4o|gpt-4\.1|gpt-5|o\d)/, chars: 3.8 },
+  { pattern: /^(gpt-|text-)/, chars: 3.5 },
+  { pattern: /(llama|mistral|mixtral|gemma|qwen|phi|deepseek)/, chars: 3.2 }
+]
+const DEFAULT_CHARS_PER_TOKEN = 3.2
+
+// Context windows (input and output tokens) by model, first match wins
+const CONTEXT_WINDOWS = [
+  { pattern: /^(gpt-4o|gpt-4-turbo|gpt-4-1106|gpt-4-0125|o1-mini)/, tokens: 128000 },
+  { pattern: /^o\d/, tokens: 200000 },
+  { pattern: /^gpt-4\.1/, tokens: 1047576 },
+  { pattern: /^gpt-5/, tokens: 400000 },
+  { pattern: /^gpt-4-32k/, tokens: 32768 },
+  { pattern: /^gpt-4/, tokens: 8192 },
+  { pattern: /^gpt-3\.5-turbo/, tokens: 16385 },
+  { pattern: /(llama-?3\.[123]|qwen2\.5|mistral-nemo|phi-?3\.5|deepseek)/, tokens: 128000 },
+  { pattern: /(mistral|mixtral|qwen)/, tokens: 32768 },
+  { pattern: /(llama-?3|gemma)/, tokens: 8192 },
+  { pattern: /(llama-?2|phi)/, tokens: 4096 }
+]
+export const DEFAULT_CONTEXT_WINDOW = 8192
+
+// How the context left after the answer is shared: the data and its summaries, the
+// conversation history, and the fixed instructions with the question
+const BUDGET_SHARES = { data: 0.55, history: 0.3, instructions: 0.15 }
+
+// Tokens each chat message adds for its role and separators
+const MESSAGE_OVERHEAD_TOKENS = 4
+
+// List prices in US dollars per million input and output tokens, first match wins.
+// Models without a price (local models) have no cost estimate
+const MODEL_PRICES = [
+  { pattern: /^gpt-4o-mini/, input: 0.15, output: 0.6 },
+  { pattern: /^gpt-4o/, input: 2.5, output: 10 },
+  { pattern: /^gpt-4\.1-nano/, input: 0.1, output: 0.4 },
+  { pattern: /^gpt-4\.1-mini/, input: 0.4, output: 1.6 },
+  { pattern: /^gpt-4\.1/, input: 2, output: 8 },
+  { pattern: /^gpt-5-nano/, input: 0.05, output: 0.4 },
+  { pattern: /^gpt-5-mini/, input: 0.25, output: 2 },
+  { pattern: /^gpt-5/, input: 1.25, output: 10 },
+  { pattern: /^gpt-4-turbo|^gpt-4-1106|^gpt-4-0125/, input: 10, output: 30 },
+  { pattern: /^gpt-4-32k/, input: 60, output: 120 },
+  { pattern: /^gpt-4/, input: 30, output: 60 },
+  { pattern: /^gpt-3\.5-turbo/, input: 0.5, output: 1.5 },
+  { pattern: /^o\d-mini/, input: 1.1, output: 4.4 },
+  { pattern: /^o3/, input: 2, output: 8 },
+  { pattern: /^o1/, input: 15, output: 60 }
+]
+
+// Share of the budget used when a request is retried after overflowing the context window
+export const OVERFLOW_RETRY_SCALE = 0.5
+
+// Error messages of servers rejecting a request longer than the context window
+const CONTEXT_OVERFLOW_PATTERN = /maximum context length|context_length_exceeded|context (size|window|length)|too many tokens|prompt is too long/i
+
+const findForModel = (table, model, fallback, key) => {
+  const name = String(model || '').toLowerCase()
+  const entry = table.find(candidate => candidate.pattern.test(name))
+  return entry ? entry[key] : fallback
+}
+
+/**
+ * Characters per token of a model, the ratio token estimates are based on
+ * @param {string} model - Model name
+ * @returns {number} Characters per token
+ */
+export const getCharsPerToken = (model) => findForModel(CHARS_PER_TOKEN, model, DEFAULT_CHARS_PER_TOKEN, 'chars')
+
+/**
+ * Estimate the tokens of a text for a model
+ * @param {string} text - Text
+ * @param {string} model - Model name
+ * @returns {number} Estimated tokens
+ */
+export const estimateTokens = (text, model) => Math.ceil(String(text || '').length / getCharsPerToken(model))
+
+/**
+ * Estimate the tokens of chat messages for a model
+ * @param {Array} messages - Messages with content
+ * @param {string} model - Model name
+ * @returns {number} Estimated tokens
+ */
+export const estimateMessageTokens = (messages, model) =>
+  messages.reduce((total, message) => total + estimateTokens(message.content, model) + MESSAGE_OVERHEAD_TOKENS, 0)
+
+/**
+ * Get the context window of a model
+ * @param {string} model - Model name
+ * @returns {number} Context window in tokens (DEFAULT_CONTEXT_WINDOW for unknown models)
+ */
+export const getContextWindow = (model) =>
+  findForModel(CONTEXT_WINDOWS, model, DEFAULT_CONTEXT_WINDOW, 'tokens')
+
+/**
+ * Split the context window of a model between the answer, the data, the conversation
+ * history and the instructions
+ * @param {string} model - Model name
+ * @param {number} answerTokens - Tokens reserved for the answer (max tokens setting)
+ * @param {Object} options
+ * @param {number} options.contextWindow - Context window in use, when it differs from the model's
+ * @param {number} options.scale - Share of the budget to use, below 1 to retry a request that overflowed
+ * @returns {Object} { contextWindow, answer, data, history, instructions } in tokens
+ */
+export const getTokenBudget = (model, answerTokens = 0, options = {}) => {
+  const { contextWindow = getContextWindow(model), scale = 1 } = options
+  const available = Math.max(0, contextWindow - answerTokens) * scale
+  return {
+    contextWindow,
+    answer: answerTokens,
+    data: Math.floor(available * BUDGET_SHARES.data),
+    history: Math.floor(available * BUDGET_SHARES.history),
+    instructions: Math.floor(available * BUDGET_SHARES.instructions)
+  }
+}
+
+/**
+ * Estimate the cost of a request from its usage
+ * @param {string} model - Model name
+ * @param {Object} usage - Usage field of the answer { prompt_tokens, completion_tokens }
+ * @returns {number|null} Cost in US dollars, or null for models without a known price
+ */
+export const estimateCost = (model, usage) => {
+  const price = MODEL_PRICES.find(entry => entry.pattern.test(String(model || '').toLowerCase()))
+  if (!price || !usage) return null
+  return ((usage.prompt_tokens || 0) * price.input + (usage.completion_tokens || 0) * price.output) / 1000000
+}
+
+/**
+ * Check whether an error message says the request did not fit the context window
+ * @param {string} message - Error message from the server
+ * @returns {boolean} True for context overflow errors
+ */
+export const isContextOverflowError = (message) => CONTEXT_OVERFLOW_PATTERN.test(message || '')
+
+/**
+ * Describe a request that still overflowed the context window after it was reduced
+ * @param {string} model - Model name
+ * @param {number} contextWindow - Context window in tokens
+ * @returns {string} Error message for the user
+ */
+export const getContextOverflowMessage = (model, contextWindow) =>
+  `The data and conversation are too large for the context window of ${model} (about ${contextWindow.toLocaleString()} tokens), ` +
+  'even after reducing them. Select fewer data elements, periods or organization units, lower the maximum response tokens, ' +
+  'or choose a model with a larger context window.'
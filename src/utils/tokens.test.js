@@ -0,0 +1,87 @@
+import {
+  estimateTokens,
+  estimateMessageTokens,
+  getContextWindow,
+  getTokenBudget,
+  estimateCost,
+  isContextOverflowError,
+  DEFAULT_CONTEXT_WINDOW
+} from './tokens'
+
+describe('getTokenBudget', () => {
+  it('splits the context left after the answer between data, history and instructions', () => {
+    expect(getTokenBudget('gpt-4o', 1000)).toEqual({
+      contextWindow: 128000,
+      answer: 1000,
+      data: 69850,
+      history: 38100,
+      instructions: 19050
+    })
+    expect(getTokenBudget('gpt-4', 1000)).toEqual({
+      contextWindow: 8192,
+      answer: 1000,
+      data: 3955,
+      history: 2157,
+      instructions: 1078
+    })
+  })
+
+  it('scales the split down to retry a request that overflowed', () => {
+    expect(getTokenBudget('gpt-4o', 1000, { scale: 0.5 })).toMatchObject({ data: 34925, history: 19050, instructions: 9525 })
+  })
+
+  it('uses the context window in use instead of the model default', () => {
+    expect(getTokenBudget('llama3', 2000, { contextWindow: 4096 })).toEqual({
+      contextWindow: 4096,
+      answer: 2000,
+      data: 1152,
+      history: 628,
+      instructions: 314
+    })
+  })
+
+  it('leaves nothing when the answer takes the whole window', () => {
+    expect(getTokenBudget('gpt-4', 10000)).toMatchObject({ data: 0, history: 0, instructions: 0 })
+  })
+})
+
+describe('getContextWindow', () => {
+  it('matches the model family', () => {
+    expect(getContextWindow('gpt-4o-mini')).toBe(128000)
+    expect(getContextWindow('gpt-4.1')).toBe(1047576)
+    expect(getContextWindow('gpt-3.5-turbo')).toBe(16385)
+    expect(getContextWindow('llama3.1:8b')).toBe(128000)
+    expect(getContextWindow('llama3:8b')).toBe(8192)
+    expect(getContextWindow('unknown-model')).toBe(DEFAULT_CONTEXT_WINDOW)
+  })
+})
+
+describe('token estimates', () => {
+  it('divides the length by the characters per token of the model family', () => {
+    const text = 'x'.repeat(380)
+    expect(estimateTokens(text, 'gpt-4o')).toBe(100)
+    expect(estimateTokens(text, 'gpt-3.5-turbo')).toBe(109)
+    expect(estimateTokens(text, 'mistral')).toBe(119)
+    expect(estimateTokens('', 'gpt-4o')).toBe(0)
+  })
+
+  it('adds the overhead of each message', () => {
+    expect(estimateMessageTokens([{ content: 'x'.repeat(38) }, { content: '' }], 'gpt-4o')).toBe(18)
+  })
+})
+
+describe('estimateCost', () => {
+  it('prices the input and output tokens', () => {
+    expect(estimateCost('gpt-4o', { prompt_tokens: 1000000, completion_tokens: 100000 })).toBe(3.5)
+    expect(estimateCost('gpt-4o-mini', { prompt_tokens: 1000000, completion_tokens: 0 })).toBe(0.15)
+    expect(estimateCost('llama3', { prompt_tokens: 1000 })).toBeNull()
+  })
+})
+
+describe('isContextOverflowError', () => {
+  it('recognises context window errors', () => {
+    expect(isContextOverflowError("This model's maximum context length is 8192 tokens")).toBe(true)
+    expect(isContextOverflowError('Rate limit exceeded')).toBe(false)
+    expect(isContextOverflowError(undefined)).toBe(false)
+  })
+})